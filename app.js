@@ -0,0 +1,113 @@
+// app.js — Express app factory
+//
+// createApp({ knex, mailer, payments }) builds the whole site around the
+// given knex instance without opening a port, so index.js can serve it and
+// the integration tests can drive it against a throwaway database.
+
+const express = require('express');
+const session = require('express-session');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+
+const { createMailer } = require('./lib/mailer');
+const { createPaymentProvider } = require('./lib/payments');
+const { appUrl } = require('./lib/urls');
+const { checkInSecret } = require('./lib/checkin');
+const { surveyLinkSecret } = require('./lib/surveylinks');
+const { receiptLinkSecret } = require('./lib/receipts');
+
+const homeRouter = require('./routes/home');
+const authRouter = require('./routes/auth');
+const participantsRouter = require('./routes/participants');
+const eventsRouter = require('./routes/events');
+const registrationsRouter = require('./routes/registrations');
+const checkinRouter = require('./routes/checkin');
+const rosterRouter = require('./routes/roster');
+const calendarRouter = require('./routes/calendar');
+const outboxRouter = require('./routes/outbox');
+const surveysRouter = require('./routes/surveys');
+const questionsRouter = require('./routes/questions');
+const donationsRouter = require('./routes/donations');
+const milestonesRouter = require('./routes/milestones');
+const importsRouter = require('./routes/imports');
+const pledgesRouter = require('./routes/pledges');
+const paymentsRouter = require('./routes/payments');
+const mergesRouter = require('./routes/merges');
+
+function createApp({
+    knex,
+    mailer = createMailer(),
+    payments = createPaymentProvider(),
+    sessionSecret = process.env.SESSION_SECRET
+} = {}) {
+    if (!knex) throw new Error('createApp requires a knex instance');
+
+    // Settings emailed links and signed codes depend on: refuse to start
+    // without them rather than fail on the first email or QR code
+    appUrl();
+    checkInSecret();
+    surveyLinkSecret();
+    receiptLinkSecret();
+
+    const app = express();
+
+    // Ensure uploads folder exists (so multer dest won't fail)
+    const UPLOADS_DIR = path.join(__dirname, 'uploads');
+    if (!fs.existsSync(UPLOADS_DIR)) {
+        fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    }
+    const upload = multer({ dest: UPLOADS_DIR, limits: { fileSize: 5 * 1024 * 1024 } });
+
+    // ===== Middleware & Parsers =====
+    app.use(express.urlencoded({ extended: true }));
+    // Keep the raw JSON too: payment webhooks are signed over the exact bytes
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+    // Session should be registered before any route that depends on it
+    app.use(session({
+        secret: sessionSecret || 'tempsecret',
+        resave: false,
+        saveUninitialized: false, // do not save empty sessions
+    }));
+
+    // Serve static files
+    app.use(express.static(path.join(__dirname, 'public')));
+    // Chart.js for the admin dashboard, served from node_modules so it works offline
+    app.use('/vendor/chart.js', express.static(path.dirname(require.resolve('chart.js'))));
+
+    // Make user available in all views as `user`
+    app.use((req, res, next) => {
+        res.locals.user = req.session.user || null;
+        next();
+    });
+
+    // ===== View Engine =====
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, 'views'));
+
+    // ===== Routes =====
+    const deps = { knex, mailer, upload, payments };
+
+    app.use(homeRouter(deps));
+    app.use(authRouter(deps));
+    app.use(participantsRouter(deps));
+    app.use(eventsRouter(deps));
+    app.use(registrationsRouter(deps));
+    app.use(checkinRouter(deps));
+    app.use(rosterRouter(deps));
+    app.use(calendarRouter(deps));
+    app.use(outboxRouter(deps));
+    app.use(surveysRouter(deps));
+    app.use(questionsRouter(deps));
+    app.use(donationsRouter(deps));
+    app.use(milestonesRouter(deps));
+    app.use(importsRouter(deps));
+    app.use(pledgesRouter(deps));
+    app.use(paymentsRouter(deps));
+    app.use(mergesRouter(deps));
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,23 @@
+// knexfile.js — database config shared by the app (index.js) and the knex CLI
+// (npm run migrate / npm run seed). Connection settings come from .env.
+
+require('dotenv').config();
+
+module.exports = {
+    client: 'pg',
+    connection: {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        port: Number(process.env.DB_PORT) || 5432,
+        ssl: process.env.DB_SSL ? { rejectUnauthorized: false } : false
+    },
+    pool: { min: 0, max: 10 },
+    migrations: {
+        directory: './migrations'
+    },
+    seeds: {
+        directory: './seeds'
+    }
+};
@@ -0,0 +1,28 @@
+// lib/accounts.js — account lifecycle constants shared by the auth and participant routers
+
+// Password reset links stay valid for this long
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Email verification links from /enroll stay valid for this long
+const VERIFY_TOKEN_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+
+// Participants.ParticipantAccountStatus lifecycle:
+//   pending_verification → (email link) → pending_approval → (admin) → active
+// An admin can approve or reject from either pending state.
+// Rows from before this column existed are NULL and treated as active.
+const ACCOUNT_STATUS = {
+    PENDING_VERIFICATION: 'pending_verification',
+    PENDING_APPROVAL: 'pending_approval',
+    ACTIVE: 'active',
+    REJECTED: 'rejected'
+};
+
+// Roles an admin can assign from /users
+const ASSIGNABLE_ROLES = ['participant', 'admin'];
+
+module.exports = {
+    RESET_TOKEN_TTL_MS,
+    VERIFY_TOKEN_TTL_MS,
+    ACCOUNT_STATUS,
+    ASSIGNABLE_ROLES
+};
@@ -0,0 +1,117 @@
+// lib/analytics.js — survey statistics for the analytics page
+//
+// NPS here is the usual promoters minus detractors, as a percentage of all
+// responses (-100…100). Buckets come from SurveyNPSBucket (see lib/surveys.js),
+// recomputed from the recommendation score for rows saved without one.
+// Surveys whose question set has no recommendation question don't count
+// towards NPS, and missing scores are left out of the averages.
+
+const { npsBucket } = require('./surveys');
+
+// Score columns shown in averages and distributions, all on a 1–5 scale
+const SCORE_FIELDS = {
+    satisfaction: 'SurveySatisfaction',
+    usefulness: 'SurveyUsefulnessScore',
+    instructor: 'SurveyInstructorScore',
+    recommendation: 'SurveyRecommendationScore'
+};
+
+// Terms follow the program calendar: Spring Jan–Apr, Summer May–Aug, Fall Sep–Dec
+const INTERVALS = ['month', 'quarter', 'term'];
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function bucketOf(survey) {
+    if (survey.SurveyNPSBucket) return survey.SurveyNPSBucket;
+    const recommendation = Number(survey.SurveyRecommendationScore);
+    return recommendation ? npsBucket(recommendation) : null;
+}
+
+function average(values) {
+    return values.length ? round(values.reduce((t, n) => t + n, 0) / values.length) : null;
+}
+
+// { count, promoters, passives, detractors, nps, averages, distribution }
+// nps and averages are null when there are no responses. distribution[field]
+// is the number of 1s…5s for that score.
+function summarize(surveys) {
+    const count = surveys.length;
+    const buckets = { Promoter: 0, Passive: 0, Detractor: 0 };
+    const averages = { overall: null };
+    const distribution = {};
+
+    surveys.forEach(s => {
+        const bucket = bucketOf(s);
+        if (bucket) buckets[bucket]++;
+    });
+    const rated = buckets.Promoter + buckets.Passive + buckets.Detractor;
+
+    averages.overall = average(surveys
+        .filter(s => s.SurveyOverallScore !== null && s.SurveyOverallScore !== undefined)
+        .map(s => Number(s.SurveyOverallScore)));
+
+    for (const [name, column] of Object.entries(SCORE_FIELDS)) {
+        const scores = surveys.map(s => Number(s[column])).filter(n => n >= 1 && n <= 5);
+        averages[name] = average(scores);
+        distribution[name] = [1, 2, 3, 4, 5].map(n => scores.filter(score => score === n).length);
+    }
+
+    return {
+        count,
+        promoters: buckets.Promoter,
+        passives: buckets.Passive,
+        detractors: buckets.Detractor,
+        nps: rated ? Math.round((buckets.Promoter - buckets.Detractor) / rated * 100) : null,
+        averages,
+        distribution
+    };
+}
+
+// Label and sortable key of the period a date falls in
+function periodOf(date, interval = 'month') {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = d.getMonth();
+
+    if (interval === 'quarter') {
+        const q = Math.floor(month / 3) + 1;
+        return { key: `${year}-${q}`, label: `Q${q} ${year}` };
+    }
+
+    if (interval === 'term') {
+        const t = Math.floor(month / 4);
+        return { key: `${year}-${t}`, label: `${['Spring', 'Summer', 'Fall'][t]} ${year}` };
+    }
+
+    return {
+        key: `${year}-${String(month + 1).padStart(2, '0')}`,
+        label: d.toLocaleString('en-US', { month: 'short', year: 'numeric' })
+    };
+}
+
+// Split surveys by groupFn(survey) → { key, label, ...extra } and summarize
+// each group. Groups come back sorted by key, keeping the extra fields.
+function groupSummaries(surveys, groupFn) {
+    const groups = new Map();
+
+    for (const s of surveys) {
+        const info = groupFn(s);
+        if (!groups.has(info.key)) groups.set(info.key, { info, surveys: [] });
+        groups.get(info.key).surveys.push(s);
+    }
+
+    return [...groups.values()]
+        .sort((a, b) => (a.info.key < b.info.key ? -1 : a.info.key > b.info.key ? 1 : 0))
+        .map(g => ({ ...g.info, ...summarize(g.surveys) }));
+}
+
+module.exports = {
+    SCORE_FIELDS,
+    INTERVALS,
+    summarize,
+    periodOf,
+    groupSummaries
+};
@@ -0,0 +1,77 @@
+// lib/authz.js — route-level access policies
+//
+// Every route declares who may use it:
+//   requireLogin                     any logged-in user
+//   requireRole('admin')             logged in with one of the given roles
+//   requireAdmin                     shorthand for requireRole('admin')
+//   requireSelfOrAdmin('id')         admins, or the participant whose ID is in
+//                                    req.params[field] (falling back to req.body[field])
+//   requireOwnerOrAdmin(loadOwnerId) admins, or the participant returned by
+//                                    `await loadOwnerId(req)` (for rows keyed by
+//                                    their own ID, e.g. Donations)
+// Not logged in → redirect to /login. Logged in but not allowed → 403 page.
+
+function forbidden(req, res) {
+    return res.status(403).render('forbidden', { user: req.session.user || null });
+}
+
+function isAdmin(user) {
+    return !!user && user.role === 'admin';
+}
+
+function isSelf(user, participantId) {
+    return !!user && participantId !== undefined && participantId !== null &&
+        String(user.id) === String(participantId);
+}
+
+function requireLogin(req, res, next) {
+    if (!req.session.user) return res.redirect('/login');
+    next();
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const user = req.session.user;
+        if (!user) return res.redirect('/login');
+        if (!roles.includes(user.role)) return forbidden(req, res);
+        next();
+    };
+}
+
+const requireAdmin = requireRole('admin');
+
+function requireSelfOrAdmin(field) {
+    return (req, res, next) => {
+        const user = req.session.user;
+        if (!user) return res.redirect('/login');
+
+        const participantId = req.params[field] !== undefined ?
+            req.params[field] :
+            (req.body || {})[field];
+
+        if (isAdmin(user) || isSelf(user, participantId)) return next();
+        return forbidden(req, res);
+    };
+}
+
+function requireOwnerOrAdmin(loadOwnerId) {
+    return async(req, res, next) => {
+        const user = req.session.user;
+        if (!user) return res.redirect('/login');
+        if (isAdmin(user)) return next();
+
+        const ownerId = await loadOwnerId(req);
+        if (isSelf(user, ownerId)) return next();
+        return forbidden(req, res);
+    };
+}
+
+module.exports = {
+    requireLogin,
+    requireRole,
+    requireAdmin,
+    requireSelfOrAdmin,
+    requireOwnerOrAdmin,
+    forbidden,
+    isAdmin
+};
@@ -0,0 +1,92 @@
+// lib/calendar.js — data behind the .ics feeds (formatting lives in lib/ical.js)
+
+const crypto = require('crypto');
+const { occurrenceUid } = require('./ical');
+const { WAITLISTED } = require('./waitlist');
+
+// Personal feeds keep recent history so last week's workshop doesn't vanish
+const FEED_HISTORY_MS = 90 * 24 * 60 * 60 * 1000;
+
+// The participant's calendar token, creating one on first use
+async function ensureCalendarToken(knex, participantId) {
+    const row = await knex('Participants')
+        .where({ Participant_ID: participantId })
+        .first('ParticipantCalendarToken');
+
+    if (!row) return null;
+    if (row.ParticipantCalendarToken) return row.ParticipantCalendarToken;
+
+    return resetCalendarToken(knex, participantId);
+}
+
+// Replace the token, so the old feed address stops working
+async function resetCalendarToken(knex, participantId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await knex('Participants')
+        .where({ Participant_ID: participantId })
+        .update({ ParticipantCalendarToken: token });
+    return token;
+}
+
+function occurrencesQuery(knex) {
+    return knex('EventOccurrence as eo')
+        .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+        .select(
+            'eo.Event_ID',
+            'eo.EventDateTimeStart',
+            'eo.EventDateTimeEnd',
+            'eo.EventLocation',
+            'et.EventName',
+            'et.EventDescription'
+        )
+        .orderBy('eo.EventDateTimeStart', 'asc');
+}
+
+// All upcoming occurrences, for the public feed
+function upcomingOccurrences(knex) {
+    return occurrencesQuery(knex).where('eo.EventDateTimeStart', '>=', new Date());
+}
+
+// A single occurrence (undefined if it doesn't exist)
+function findOccurrence(knex, key) {
+    return occurrencesQuery(knex)
+        .where({ 'eo.Event_ID': key.Event_ID, 'eo.EventDateTimeStart': key.EventDateTimeStart })
+        .first();
+}
+
+// Occurrences one participant is registered or waitlisted for
+function participantOccurrences(knex, participantId) {
+    return occurrencesQuery(knex)
+        .join('Registration as r', function() {
+            this.on('r.Event_ID', '=', 'eo.Event_ID')
+                .andOn('r.EventDateTimeStart', '=', 'eo.EventDateTimeStart');
+        })
+        .where('r.Participant_ID', participantId)
+        .andWhere('eo.EventDateTimeStart', '>=', new Date(Date.now() - FEED_HISTORY_MS))
+        .select('r.RegistrationStatus');
+}
+
+// Row from the queries above → lib/ical.js event
+function toCalendarEvent(row, baseUrl) {
+    const waitlisted = row.RegistrationStatus === WAITLISTED;
+
+    return {
+        uid: occurrenceUid(row.Event_ID, row.EventDateTimeStart),
+        start: row.EventDateTimeStart,
+        end: row.EventDateTimeEnd,
+        summary: waitlisted ? `${row.EventName} (waitlisted)` : row.EventName,
+        description: row.EventDescription,
+        location: row.EventLocation,
+        status: waitlisted ? 'TENTATIVE' : 'CONFIRMED',
+        url: `${baseUrl}/events_nonverified`
+    };
+}
+
+module.exports = {
+    ensureCalendarToken,
+    resetCalendarToken,
+    upcomingOccurrences,
+    findOccurrence,
+    participantOccurrences,
+    toCalendarEvent
+};
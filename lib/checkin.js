@@ -0,0 +1,59 @@
+// lib/checkin.js — signed check-in codes for Registration rows
+//
+// A code names one registration and carries an HMAC so it can't be forged or
+// edited to point at someone else:
+//   <Participant_ID>.<Event_ID>.<start as ms since epoch>.<signature>
+// It is short enough for a small QR code and can also be typed by hand.
+// Signed with CHECKIN_SECRET (falls back to SESSION_SECRET); with neither
+// set the app refuses to start, since anyone could forge a code.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+function checkInSecret() {
+    const secret = process.env.CHECKIN_SECRET || process.env.SESSION_SECRET;
+    if (!secret) throw new Error('Check-in codes need CHECKIN_SECRET (or SESSION_SECRET) to be signed');
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', checkInSecret())
+        .update(payload)
+        .digest('base64url')
+        .slice(0, 22); // 128 bits is plenty and keeps the QR code small
+}
+
+// Check-in code for a registration
+function createCheckInToken({ Participant_ID, Event_ID, EventDateTimeStart }) {
+    const payload = [Participant_ID, Event_ID, new Date(EventDateTimeStart).getTime()].join('.');
+    return `${payload}.${sign(payload)}`;
+}
+
+// Registration key from a code, or null if it's malformed or the signature is wrong
+function readCheckInToken(token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 4 || !parts.slice(0, 3).every(p => /^\d+$/.test(p))) return null;
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(parts[3]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    return {
+        Participant_ID: Number(parts[0]),
+        Event_ID: Number(parts[1]),
+        EventDateTimeStart: new Date(Number(parts[2])).toISOString()
+    };
+}
+
+// QR code image for a check-in code, as a data: URL for an <img> tag
+function checkInQrDataUrl(token) {
+    return QRCode.toDataURL(token, { margin: 1, width: 180 });
+}
+
+module.exports = {
+    checkInSecret,
+    createCheckInToken,
+    readCheckInToken,
+    checkInQrDataUrl
+};
@@ -0,0 +1,154 @@
+// lib/dashboard.js — KPIs and chart series for the admin dashboard
+//
+// dashboardStats(knex, { from, to }) covers events, surveys, donations and
+// milestones dated in [from, to). "This month" and "this year" donation totals
+// and the upcoming-events list are always relative to today instead.
+// Rows are aggregated here rather than in SQL so the numbers match the other
+// reports (waitlist and NPS rules live in lib/seats.js and lib/analytics.js).
+
+const { WAITLISTED } = require('./seats');
+const { summarize, periodOf } = require('./analytics');
+const { DONATION_STATUS } = require('./payments');
+
+const UPCOMING_DAYS = 30;
+
+function startOfMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function percent(part, whole) {
+    return whole ? Math.round(part / whole * 1000) / 10 : null;
+}
+
+function money(value) {
+    return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// Every month touching [from, to), so charts show empty months as zero
+function monthsBetween(from, to) {
+    const months = [];
+    for (let d = startOfMonth(from); d < to; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+        months.push(periodOf(d, 'month'));
+    }
+    return months;
+}
+
+function inRange(date, from, to) {
+    const d = new Date(date);
+    return d >= from && d < to;
+}
+
+async function dashboardStats(knex, { from, to, now = new Date() }) {
+    const months = monthsBetween(from, to);
+    const byMonth = () => Object.fromEntries(months.map(m => [m.key, 0]));
+
+    // ----- Participants -----
+    const participants = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .count('* as count');
+
+    // ----- Registrations and attendance -----
+    const registrations = (await knex('Registration as r')
+        .join('EventTemplates as et', 'r.Event_ID', 'et.Event_ID')
+        .where('r.EventDateTimeStart', '>=', from)
+        .andWhere('r.EventDateTimeStart', '<', to)
+        .select('r.Participant_ID', 'r.EventDateTimeStart', 'r.RegistrationStatus', 'r.RegistrationAttendedFlag', 'et.EventType'))
+        .filter(r => r.RegistrationStatus !== WAITLISTED);
+
+    const held = registrations.filter(r => new Date(r.EventDateTimeStart) <= now);
+    const attended = held.filter(r => r.RegistrationAttendedFlag === 'T');
+
+    const heldByMonth = byMonth();
+    const attendedByMonth = byMonth();
+    held.forEach(r => {
+        const { key } = periodOf(r.EventDateTimeStart, 'month');
+        heldByMonth[key]++;
+        if (r.RegistrationAttendedFlag === 'T') attendedByMonth[key]++;
+    });
+
+    const byType = {};
+    registrations.forEach(r => {
+        const type = r.EventType || 'Other';
+        byType[type] = (byType[type] || 0) + 1;
+    });
+
+    // ----- Upcoming occurrences -----
+    const upcoming = (await knex('EventOccurrence as eo')
+        .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+        .where('eo.EventDateTimeStart', '>', now)
+        .andWhere('eo.EventDateTimeStart', '<=', new Date(now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000))
+        .orderBy('eo.EventDateTimeStart', 'asc')
+        .select('eo.Event_ID', 'eo.EventDateTimeStart', 'eo.EventCapacity', 'eo.EventNumRegistered', 'et.EventName'))
+        .map(o => ({ ...o, fillRate: percent(o.EventNumRegistered || 0, o.EventCapacity || 0) }));
+
+    const seats = upcoming.reduce((t, o) => t + (o.EventCapacity || 0), 0);
+    const taken = upcoming.reduce((t, o) => t + (o.EventNumRegistered || 0), 0);
+
+    // ----- Donations -----
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+    const donations = await knex('Donations')
+        .where('DonationDate', '>=', from < yearStart ? from : yearStart)
+        .andWhere('DonationStatus', DONATION_STATUS.COMPLETED)
+        .select('DonationAmount', 'DonationDate');
+
+    const donationsByMonth = byMonth();
+    let donationsInRange = 0;
+    donations.forEach(d => {
+        if (!inRange(d.DonationDate, from, to)) return;
+        donationsInRange += Number(d.DonationAmount);
+        const { key } = periodOf(d.DonationDate, 'month');
+        if (key in donationsByMonth) donationsByMonth[key] += Number(d.DonationAmount);
+    });
+    const sumSince = start => money(donations
+        .filter(d => inRange(d.DonationDate, start, new Date(now.getTime() + 1)))
+        .reduce((t, d) => t + Number(d.DonationAmount), 0));
+
+    // ----- Surveys -----
+    const surveys = await knex('Surveys')
+        .where('EventDateTimeStart', '>=', from)
+        .andWhere('EventDateTimeStart', '<', to);
+    const surveySummary = summarize(surveys);
+
+    // ----- Milestones -----
+    const milestones = await knex('Milestones')
+        .where('MilestoneDate', '>=', from)
+        .andWhere('MilestoneDate', '<', to)
+        .select('MilestoneTitle');
+
+    const milestoneTitles = {};
+    milestones.forEach(m => {
+        milestoneTitles[m.MilestoneTitle] = (milestoneTitles[m.MilestoneTitle] || 0) + 1;
+    });
+
+    return {
+        kpis: {
+            participantsEnrolled: Number(participants[0].count),
+            activeParticipants: new Set(registrations.map(r => r.Participant_ID)).size,
+            upcomingOccurrences: upcoming.length,
+            upcomingFillRate: percent(taken, seats),
+            attendanceRate: percent(attended.length, held.length),
+            donationsThisMonth: sumSince(startOfMonth(now)),
+            donationsThisYear: sumSince(yearStart),
+            donationsInRange: money(donationsInRange),
+            nps: surveySummary.nps,
+            surveyResponses: surveySummary.count,
+            milestonesAwarded: milestones.length
+        },
+        upcoming,
+        topMilestones: Object.entries(milestoneTitles)
+            .map(([title, count]) => ({ title, count }))
+            .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+            .slice(0, 5),
+        charts: {
+            months: months.map(m => m.label),
+            donations: months.map(m => money(donationsByMonth[m.key])),
+            attendanceRate: months.map(m => percent(attendedByMonth[m.key], heldByMonth[m.key])),
+            registrationsByType: {
+                labels: Object.keys(byType).sort(),
+                counts: Object.keys(byType).sort().map(type => byType[type])
+            }
+        }
+    };
+}
+
+module.exports = { UPCOMING_DAYS, dashboardStats };
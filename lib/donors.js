@@ -0,0 +1,107 @@
+// lib/donors.js — who a public donation belongs to
+//
+// /submit-donation-public used to add a new 'visitor' Participants row for
+// every gift. Now the donor is matched by email (ignoring case and
+// surrounding spaces) and a visitor row is only created when nobody has that
+// email. Where legacy duplicates share an email, the donor's name decides
+// between them, then a real account beats a visitor row, then the oldest row.
+// A matched participant's details are never changed from the public form;
+// a matched visitor row only has missing names filled in.
+//
+// The public form only finds or creates the donor once the payment provider
+// confirms the gift (lib/payments.js), so abandoned or declined checkouts
+// leave no visitor rows behind. Migration 20251213000000 folded together the
+// duplicates created before this.
+
+const { unusablePassword } = require('./passwords');
+
+// Names the old public form stored when the donor left them blank
+const PLACEHOLDER_NAMES = ['visitor', 'donor'];
+
+function normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return normalized || null;
+}
+
+function blankName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return !normalized || PLACEHOLDER_NAMES.includes(normalized);
+}
+
+function sameName(a, b) {
+    return !blankName(a) && !blankName(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// The best of several rows sharing an email for a donor named
+// { firstName, lastName } (either may be blank)
+function pickDonor(rows, { firstName, lastName } = {}) {
+    const score = row => [
+        (sameName(row.ParticipantFirstName, firstName) ? 1 : 0) + (sameName(row.ParticipantLastName, lastName) ? 1 : 0),
+        row.ParticipantRole === 'visitor' ? 0 : 1,
+        -row.Participant_ID
+    ];
+
+    let best = null;
+    for (const row of rows) {
+        if (!best) {
+            best = { row, score: score(row) };
+            continue;
+        }
+        const s = score(row);
+        const i = s.findIndex((v, k) => v !== best.score[k]);
+        if (i !== -1 && s[i] > best.score[i]) best = { row, score: s };
+    }
+    return best && best.row;
+}
+
+function participantsWithEmail(db, email) {
+    return db('Participants')
+        .where(db.raw('lower(??)', ['ParticipantEmail']), email)
+        .orderBy('Participant_ID', 'asc');
+}
+
+// Fill in a visitor row's blank or placeholder names from `names`
+async function fillNames(db, row, { firstName, lastName }) {
+    const changes = {};
+    if (row.ParticipantRole !== 'visitor') return changes;
+
+    if (blankName(row.ParticipantFirstName) && !blankName(firstName)) changes.ParticipantFirstName = firstName.trim();
+    if (blankName(row.ParticipantLastName) && !blankName(lastName)) changes.ParticipantLastName = lastName.trim();
+
+    if (Object.keys(changes).length) {
+        await db('Participants').where({ Participant_ID: row.Participant_ID }).update(changes);
+    }
+    return changes;
+}
+
+// { participantId, created } for the person giving through the public form
+async function findOrCreateDonor(db, { firstName, lastName, email } = {}) {
+    const names = { firstName, lastName };
+    const normalized = normalizeEmail(email);
+
+    if (normalized) {
+        const match = pickDonor(await participantsWithEmail(db, normalized), names);
+        if (match) {
+            await fillNames(db, match, names);
+            return { participantId: match.Participant_ID, created: false };
+        }
+    }
+
+    const [donor] = await db('Participants')
+        .insert({
+            ParticipantFirstName: blankName(firstName) ? null : firstName.trim(),
+            ParticipantLastName: blankName(lastName) ? null : lastName.trim(),
+            ParticipantEmail: normalized ? String(email).trim() : null,
+            ParticipantPassword: unusablePassword(), // can never log in
+            ParticipantRole: 'visitor'
+        })
+        .returning('Participant_ID');
+
+    return { participantId: donor.Participant_ID, created: true };
+}
+
+module.exports = {
+    normalizeEmail,
+    pickDonor,
+    findOrCreateDonor
+};
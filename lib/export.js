@@ -0,0 +1,157 @@
+// lib/export.js — CSV and Excel downloads of admin lists
+//
+// Routes describe the columns once and hand over rows as an async iterable
+// (usually inBatches(query)), so big tables are read a page at a time and
+// written to the response as they arrive instead of being held in memory.
+//
+// A column is { header, value: row => any, type } where type is one of
+//   text (default) | number | money | date | datetime
+// ?format=xlsx picks Excel (CSV otherwise); ?q= keeps only rows whose cells
+// contain the text, the same as the search box above each list.
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const BATCH_SIZE = 500;
+
+// Spreadsheet apps treat CSV cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const XLSX_FORMATS = {
+    money: '"$"#,##0.00',
+    date: 'yyyy-mm-dd',
+    datetime: 'yyyy-mm-dd hh:mm'
+};
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Text shown for a cell (CSV output and ?q= matching)
+function formatCell(value, type = 'text') {
+    if (value === null || value === undefined || value === '') return '';
+
+    switch (type) {
+    case 'money':
+        return Number(value).toFixed(2);
+    case 'number':
+        return String(Number(value));
+    case 'date': {
+        const d = new Date(value);
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+    case 'datetime': {
+        const d = new Date(value);
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    }
+    default:
+        return String(value);
+    }
+}
+
+function csvCell(value, type) {
+    let text = formatCell(value, type);
+    if ((!type || type === 'text') && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Excel has no time zones: store the local wall-clock time as if it were UTC
+function xlsxCell(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (type) {
+    case 'money':
+    case 'number':
+        return Number(value);
+    case 'date':
+    case 'datetime': {
+        const d = new Date(value);
+        return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()));
+    }
+    default:
+        return String(value); // stored as a text cell, never evaluated
+    }
+}
+
+// Rows from a knex query, BATCH_SIZE at a time. The query must be ordered
+// by something unique so pages don't overlap.
+async function* inBatches(query, size = BATCH_SIZE) {
+    for (let offset = 0; ; offset += size) {
+        const rows = await query.clone().limit(size).offset(offset);
+        yield* rows;
+        if (rows.length < size) return;
+    }
+}
+
+async function* matching(rows, columns, search) {
+    for await (const row of rows) {
+        const text = columns.map(c => formatCell(c.value(row), c.type)).join(' ').toLowerCase();
+        if (text.includes(search)) yield row;
+    }
+}
+
+async function write(res, chunk) {
+    if (!res.write(chunk)) await once(res, 'drain');
+}
+
+async function streamCsv(res, columns, rows) {
+    // BOM so Excel opens UTF-8 names (e.g. Folklórico) correctly
+    await write(res, '\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n');
+
+    for await (const row of rows) {
+        await write(res, columns.map(c => csvCell(c.value(row), c.type)).join(',') + '\r\n');
+    }
+    res.end();
+}
+
+async function streamXlsx(res, title, columns, rows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31)); // Excel's limit
+
+    sheet.columns = columns.map((c, i) => ({
+        header: c.header,
+        key: String(i),
+        width: Math.max(12, c.header.length + 2),
+        style: XLSX_FORMATS[c.type] ? { numFmt: XLSX_FORMATS[c.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const row of rows) {
+        sheet.addRow(columns.map(c => xlsxCell(c.value(row), c.type))).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+// Send `rows` as a download named <name>-<today>.csv/.xlsx; `title` names
+// the Excel sheet
+async function sendExport(req, res, { name, title = name, columns, rows }) {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const search = String(req.query.q || '').trim().toLowerCase();
+    const source = search ? matching(rows, columns, search) : rows;
+
+    res.attachment(`${name}-${formatCell(new Date(), 'date')}.${format}`);
+    res.type(format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv; charset=utf-8');
+
+    try {
+        if (format === 'xlsx') {
+            await streamXlsx(res, title, columns, source);
+        } else {
+            await streamCsv(res, columns, source);
+        }
+    } catch (err) {
+        // Headers (and maybe some rows) are already out; cut the download short
+        // so it isn't mistaken for a complete file
+        res.destroy(err);
+        throw err;
+    }
+}
+
+module.exports = {
+    BATCH_SIZE,
+    formatCell,
+    csvCell,
+    inBatches,
+    sendExport
+};
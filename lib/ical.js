@@ -0,0 +1,92 @@
+// lib/ical.js — minimal iCalendar (RFC 5545) writer for event feeds
+//
+// buildCalendar({ name, events }) returns the text of a VCALENDAR where each
+// event is { uid, start, end, summary, description, location, status, url }.
+// Times are written in UTC so no VTIMEZONE block is needed.
+
+const PRODID = '-//Ella Rises//Events//EN';
+
+// YYYYMMDDTHHMMSSZ
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const ch of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += ch;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Stable UID for an EventOccurrence so calendar apps update rather than duplicate it
+function occurrenceUid(Event_ID, EventDateTimeStart) {
+    return `${Event_ID}-${new Date(EventDateTimeStart).getTime()}@ellarises.org`;
+}
+
+function buildEvent(event, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDate(event.start)}`
+    ];
+
+    if (event.end) lines.push(`DTEND:${formatDate(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+function buildCalendar({ name, events }) {
+    const stamp = formatDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(e => buildEvent(e, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// Send a calendar; `download` names the file for one-off "add to calendar" links
+function sendCalendar(res, ics, download) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (download) res.attachment(download);
+    res.send(ics);
+}
+
+module.exports = {
+    buildCalendar,
+    occurrenceUid,
+    sendCalendar
+};
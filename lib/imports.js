@@ -0,0 +1,454 @@
+// lib/imports.js — bulk CSV import of participants and registrations
+//
+// An import runs in two passes over the same file and column mapping:
+//   planImport()  — dry run: validate every row and work out whether it
+//                   creates, updates or leaves a record unchanged
+//   applyImport() — plans again inside one transaction and writes it all,
+//                   or nothing if any row has an error
+// Rows are matched to existing participants by email (case-insensitive),
+// so re-importing a list updates people instead of adding duplicates.
+//
+// A mapping is { fieldKey: column index } for the fields of the chosen kind;
+// guessMapping() fills it in from the header row.
+
+const { ACCOUNT_STATUS } = require('./accounts');
+const { WAITLISTED, lockOccurrence, syncRegisteredCount } = require('./seats');
+const { REGISTERED, compactWaitlist } = require('./waitlist');
+
+const ACTION = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    UNCHANGED: 'unchanged',
+    ERROR: 'error'
+};
+
+// Fields each kind of import understands. `aliases` are other header
+// names (lower case, letters only) that map to the field automatically.
+const KINDS = {
+    participants: {
+        label: 'Participants',
+        fields: [
+            { key: 'email', label: 'Email', required: true, aliases: ['emailaddress', 'participantemail'] },
+            { key: 'firstName', label: 'First Name', aliases: ['first', 'participantfirstname'] },
+            { key: 'lastName', label: 'Last Name', aliases: ['last', 'surname', 'participantlastname'] },
+            { key: 'dob', label: 'Date of Birth', aliases: ['dob', 'birthdate', 'birthday', 'participantdob'] },
+            { key: 'phone', label: 'Phone', aliases: ['phonenumber', 'participantphone'] },
+            { key: 'city', label: 'City', aliases: ['participantcity'] },
+            { key: 'state', label: 'State', aliases: ['participantstate'] },
+            { key: 'zip', label: 'ZIP', aliases: ['zipcode', 'postalcode', 'participantzip'] },
+            { key: 'school', label: 'School or Employer', aliases: ['school', 'employer', 'participantschooloremployer'] },
+            { key: 'interest', label: 'Field of Interest', aliases: ['interest', 'participantfieldofinterest'] }
+        ]
+    },
+    registrations: {
+        label: 'Registrations / attendance',
+        fields: [
+            { key: 'email', label: 'Email', required: true, aliases: ['emailaddress', 'participantemail'] },
+            { key: 'eventId', label: 'Event ID', required: true, aliases: ['event_id', 'eventid'] },
+            { key: 'eventStart', label: 'Event Start', required: true, aliases: ['eventdate', 'start', 'eventdatetimestart', 'date'] },
+            { key: 'attended', label: 'Attended', aliases: ['present', 'attendance', 'registrationattendedflag'] }
+        ]
+    }
+};
+
+// Participants columns filled from each participant field
+const PARTICIPANT_COLUMNS = {
+    firstName: 'ParticipantFirstName',
+    lastName: 'ParticipantLastName',
+    dob: 'ParticipantDOB',
+    phone: 'ParticipantPhone',
+    city: 'ParticipantCity',
+    state: 'ParticipantState',
+    zip: 'ParticipantZIP',
+    school: 'ParticipantSchoolorEmployer',
+    interest: 'ParticipantFieldOfInterest'
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP = /^\d{5}(-\d{4})?$/;
+const YES = ['y', 'yes', 't', 'true', '1', 'x', 'attended', 'present'];
+const NO = ['n', 'no', 'f', 'false', '0', 'absent', 'no-show'];
+
+// The export adds ' in front of cells that look like formulas; undo that
+// so a downloaded list can be imported again as-is
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// Rows of cells from CSV text (RFC 4180: quoted cells may hold commas,
+// doubled quotes and line breaks). Blank lines are dropped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(r => r.map(c => (ESCAPED_FORMULA.test(c) ? c.slice(1) : c).trim()))
+        .filter(r => r.some(c => c !== ''));
+}
+
+function headerKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Column index for each field whose name (or an alias) matches a header
+function guessMapping(kind, headers) {
+    const keys = headers.map(headerKey);
+    const mapping = {};
+
+    for (const field of KINDS[kind].fields) {
+        const names = [headerKey(field.label), headerKey(field.key), ...field.aliases.map(headerKey)];
+        const index = keys.findIndex(k => names.includes(k));
+        if (index !== -1) mapping[field.key] = index;
+    }
+    return mapping;
+}
+
+// Keep only known fields pointing at real columns (e.g. from a submitted form)
+function cleanMapping(kind, headers, input = {}) {
+    const mapping = {};
+    for (const field of KINDS[kind].fields) {
+        const value = input[field.key];
+        if (value === undefined || value === null || value === '') continue;
+
+        const index = Number(value);
+        if (Number.isInteger(index) && index >= 0 && index < headers.length) mapping[field.key] = index;
+    }
+    return mapping;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' from YYYY-MM-DD or M/D/YYYY, or null if it isn't a real date
+function parseDate(text) {
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    let year, month, day;
+
+    if (m) {
+        [, year, month, day] = m.map(Number);
+    } else if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+        [, month, day, year] = m.map(Number);
+    } else {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function parseAttended(text) {
+    const value = text.toLowerCase();
+    if (value === '') return null;
+    if (YES.includes(value)) return true;
+    if (NO.includes(value)) return false;
+    return undefined;
+}
+
+function sameValue(current, next) {
+    if (current instanceof Date) current = `${current.getFullYear()}-${pad(current.getMonth() + 1)}-${pad(current.getDate())}`;
+    return String(current == null ? '' : current) === String(next);
+}
+
+// Cell values for each mapped field, by field key
+function readRow(kind, cells, mapping) {
+    const values = {};
+    for (const field of KINDS[kind].fields) {
+        values[field.key] = mapping[field.key] === undefined ? '' : (cells[mapping[field.key]] || '');
+    }
+    return values;
+}
+
+// Existing participants for the given emails, keyed by lower-case email.
+// Legacy duplicates resolve to the oldest row, like /users shows them.
+async function participantsByEmail(db, emails) {
+    const found = new Map();
+    if (emails.length === 0) return found;
+
+    const rows = await db('Participants')
+        .whereIn(db.raw('lower(??)', ['ParticipantEmail']), emails)
+        .orderBy('Participant_ID', 'asc');
+
+    for (const row of rows) {
+        const email = row.ParticipantEmail.toLowerCase();
+        if (!found.has(email)) found.set(email, row);
+    }
+    return found;
+}
+
+async function planParticipants(db, records) {
+    const existing = await participantsByEmail(db, [...new Set(records.map(r => r.values.email.toLowerCase()))]);
+    const seen = new Map();
+    const today = new Date();
+
+    return records.map(({ line, values }) => {
+        const errors = [];
+        const email = values.email.toLowerCase();
+        const changes = {};
+
+        if (!values.email) {
+            errors.push('Email is missing');
+        } else if (!EMAIL.test(values.email)) {
+            errors.push(`"${values.email}" is not a valid email address`);
+        } else if (seen.has(email)) {
+            errors.push(`Same email as line ${seen.get(email)}`);
+        } else {
+            seen.set(email, line);
+        }
+
+        for (const [key, column] of Object.entries(PARTICIPANT_COLUMNS)) {
+            if (values[key] !== '') changes[column] = values[key];
+        }
+
+        if (values.dob) {
+            const dob = parseDate(values.dob);
+            if (!dob) {
+                errors.push(`Date of birth "${values.dob}" should look like 2008-04-30 or 4/30/2008`);
+            } else if (new Date(dob) > today || dob < '1900-01-01') {
+                errors.push(`Date of birth ${dob} is out of range`);
+            } else {
+                changes.ParticipantDOB = dob;
+            }
+        }
+
+        if (values.zip && !ZIP.test(values.zip)) errors.push(`ZIP "${values.zip}" should be 5 digits (or ZIP+4)`);
+        if (values.state.length > 50) errors.push('State is longer than 50 characters');
+        if (values.phone.length > 30) errors.push('Phone is longer than 30 characters');
+
+        const match = existing.get(email);
+        if (!match && !errors.length && (!values.firstName || !values.lastName)) {
+            errors.push('New participants need a first and last name');
+        }
+
+        if (errors.length) return { line, values, action: ACTION.ERROR, errors };
+
+        if (!match) {
+            return {
+                line,
+                values,
+                action: ACTION.CREATE,
+                errors,
+                record: { ParticipantEmail: values.email, ...changes }
+            };
+        }
+
+        // Blank cells leave the current value alone
+        const update = {};
+        for (const [column, value] of Object.entries(changes)) {
+            if (!sameValue(match[column], value)) update[column] = value;
+        }
+        const changed = KINDS.participants.fields
+            .filter(f => PARTICIPANT_COLUMNS[f.key] in update)
+            .map(f => f.label);
+
+        return {
+            line,
+            values,
+            action: Object.keys(update).length ? ACTION.UPDATE : ACTION.UNCHANGED,
+            errors,
+            participantId: match.Participant_ID,
+            record: update,
+            changed
+        };
+    });
+}
+
+async function planRegistrations(db, records) {
+    const participants = await participantsByEmail(db, [...new Set(records.map(r => r.values.email.toLowerCase()))]);
+
+    const eventIds = [...new Set(records.map(r => r.values.eventId).filter(id => /^\d+$/.test(id)).map(Number))];
+    const occurrences = new Map();
+    if (eventIds.length) {
+        const rows = await db('EventOccurrence').whereIn('Event_ID', eventIds);
+        rows.forEach(o => occurrences.set(`${o.Event_ID}|${new Date(o.EventDateTimeStart).getTime()}`, o));
+    }
+
+    // Current registrations of the people and events named in the file
+    const registrations = new Map();
+    const participantIds = [...participants.values()].map(p => p.Participant_ID);
+    if (participantIds.length && eventIds.length) {
+        const rows = await db('Registration')
+            .whereIn('Participant_ID', participantIds)
+            .whereIn('Event_ID', eventIds);
+        rows.forEach(r => registrations.set(`${r.Participant_ID}|${r.Event_ID}|${new Date(r.EventDateTimeStart).getTime()}`, r));
+    }
+
+    const seen = new Map();
+    const now = new Date();
+
+    return records.map(({ line, values }) => {
+        const errors = [];
+        const participant = participants.get(values.email.toLowerCase());
+        const start = new Date(values.eventStart);
+        const attended = parseAttended(values.attended);
+
+        if (!values.email) {
+            errors.push('Email is missing');
+        } else if (!participant) {
+            errors.push(`No participant with email ${values.email} — import them as participants first`);
+        }
+
+        let occurrence;
+        if (!/^\d+$/.test(values.eventId)) {
+            errors.push(`Event ID "${values.eventId}" is not a number`);
+        } else if (!values.eventStart || isNaN(start)) {
+            errors.push(`Event start "${values.eventStart}" is not a date and time`);
+        } else {
+            occurrence = occurrences.get(`${Number(values.eventId)}|${start.getTime()}`);
+            if (!occurrence) errors.push(`Event ${values.eventId} has no occurrence starting ${start.toLocaleString()}`);
+        }
+
+        if (attended === undefined) errors.push(`Attended "${values.attended}" should be yes or no`);
+
+        if (errors.length) return { line, values, action: ACTION.ERROR, errors };
+
+        const key = { Event_ID: occurrence.Event_ID, EventDateTimeStart: new Date(occurrence.EventDateTimeStart).toISOString() };
+        const id = `${participant.Participant_ID}|${key.Event_ID}|${start.getTime()}`;
+
+        if (seen.has(id)) {
+            return { line, values, action: ACTION.ERROR, errors: [`Same participant and event as line ${seen.get(id)}`] };
+        }
+        seen.set(id, line);
+
+        const started = new Date(occurrence.EventDateTimeStart) <= now;
+        const status = attended ?
+            { RegistrationAttendedFlag: 'T', RegistrationStatus: 'attended', RegistrationWaitlistPosition: null } :
+            { RegistrationAttendedFlag: 'F', RegistrationStatus: started ? 'no-show' : REGISTERED, RegistrationWaitlistPosition: null };
+
+        const current = registrations.get(id);
+        const base = { line, values, errors, participantId: participant.Participant_ID, key };
+
+        if (!current) return { ...base, action: ACTION.CREATE, record: status };
+
+        // A blank Attended cell only confirms the registration exists, and a
+        // waitlist spot is kept unless the sheet shows they came
+        const unchanged = attended === null ||
+            (!attended && current.RegistrationStatus === WAITLISTED) ||
+            (current.RegistrationAttendedFlag === status.RegistrationAttendedFlag &&
+                current.RegistrationStatus === status.RegistrationStatus);
+
+        if (unchanged) return { ...base, action: ACTION.UNCHANGED, record: {} };
+
+        if (!attended) status.RegistrationCheckInTime = null;
+        return { ...base, action: ACTION.UPDATE, record: status };
+    });
+}
+
+// Dry run: { rows: [{ line, values, action, errors, ... }], counts }
+// `line` is the row's position in the file (the header is line 1).
+async function planImport(db, kind, table, mapping) {
+    const records = table.slice(1).map((cells, i) => ({ line: i + 2, values: readRow(kind, cells, mapping) }));
+
+    const missing = KINDS[kind].fields.filter(f => f.required && mapping[f.key] === undefined);
+    const rows = missing.length ?
+        records.map(r => ({ ...r, action: ACTION.ERROR, errors: [`No column chosen for ${missing.map(f => f.label).join(', ')}`] })) :
+        await (kind === 'participants' ? planParticipants(db, records) : planRegistrations(db, records));
+
+    const counts = { create: 0, update: 0, unchanged: 0, error: 0 };
+    rows.forEach(r => counts[r.action]++);
+
+    return { rows, counts };
+}
+
+async function writeParticipants(trx, rows) {
+    for (const row of rows) {
+        if (row.action === ACTION.CREATE) {
+            await trx('Participants').insert({
+                ...row.record,
+                ParticipantRole: 'participant',
+                ParticipantAccountStatus: ACCOUNT_STATUS.ACTIVE
+            });
+        } else if (row.action === ACTION.UPDATE) {
+            await trx('Participants').where({ Participant_ID: row.participantId }).update(row.record);
+        }
+    }
+}
+
+// Imported sign-ins are history, so they skip capacity and deadline checks
+// and send no confirmations; seat counts and waitlists are fixed up after.
+async function writeRegistrations(trx, rows) {
+    const touched = new Map();
+    for (const row of rows) {
+        if (row.action === ACTION.CREATE || row.action === ACTION.UPDATE) {
+            touched.set(`${row.key.Event_ID}|${row.key.EventDateTimeStart}`, row.key);
+        }
+    }
+
+    const keys = [...touched.values()];
+    for (const key of keys) await lockOccurrence(trx, key);
+
+    for (const row of rows) {
+        if (row.action === ACTION.CREATE) {
+            await trx('Registration').insert({ Participant_ID: row.participantId, ...row.key, ...row.record });
+        } else if (row.action === ACTION.UPDATE) {
+            await trx('Registration')
+                .where({ Participant_ID: row.participantId, ...row.key })
+                .update(row.record);
+        }
+    }
+
+    for (const key of keys) {
+        await compactWaitlist(trx, key);
+        await syncRegisteredCount(trx, key);
+    }
+}
+
+// Plan again and write in one transaction. Returns { ok, counts, rows };
+// ok is false (and nothing is written) if any row has an error.
+async function applyImport(knex, kind, table, mapping) {
+    return knex.transaction(async trx => {
+        const plan = await planImport(trx, kind, table, mapping);
+        if (plan.counts.error) return { ok: false, ...plan };
+
+        if (kind === 'participants') {
+            await writeParticipants(trx, plan.rows);
+        } else {
+            await writeRegistrations(trx, plan.rows);
+        }
+        return { ok: true, ...plan };
+    });
+}
+
+module.exports = {
+    ACTION,
+    KINDS,
+    parseCsv,
+    parseDate,
+    guessMapping,
+    cleanMapping,
+    planImport,
+    applyImport
+};
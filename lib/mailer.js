@@ -0,0 +1,68 @@
+// lib/mailer.js — pluggable outgoing mail
+//
+// Pick a transport with MAIL_TRANSPORT (default "console"):
+//   console — prints each message to stdout
+//   file    — writes each message as a .eml file into MAIL_DIR (default ./mail)
+// Other transports can be added with registerTransport(name, factory), where
+// factory(options) returns an object with an async send(message) method.
+
+const fs = require('fs');
+const path = require('path');
+
+const transports = {
+    console: () => ({
+        async send(message) {
+            console.log('----- outgoing mail -----');
+            console.log(formatMessage(message));
+            console.log('-------------------------');
+        }
+    }),
+
+    file: (options = {}) => {
+        const dir = options.dir || process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+
+        return {
+            async send(message) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+                const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+                await fs.promises.writeFile(file, formatMessage(message));
+            }
+        };
+    }
+};
+
+function formatMessage({ from, to, subject, text }) {
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        '',
+        text
+    ].join('\n');
+}
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+function createMailer(options = {}) {
+    const name = options.transport || process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    const transport = factory(options);
+    const from = options.from || process.env.MAIL_FROM || 'Ella Rises <no-reply@ellarises.org>';
+
+    return {
+        send(message) {
+            return transport.send({ from, ...message });
+        }
+    };
+}
+
+module.exports = { createMailer, registerTransport };
@@ -0,0 +1,369 @@
+// lib/merges.js — finding and merging duplicate participant records
+//
+// findDuplicates() suggests pairs of Participants rows that are probably the
+// same person: same email (ignoring case), same name and date of birth, or
+// the same phone number once punctuation and a leading US country code are
+// stripped. Anonymized rows are never suggested.
+//
+// mergeParticipants() folds one record (merged) into another (survivor) in
+// a single transaction:
+//   - the admin picks, field by field, whose contact details to keep; login
+//     details (password, role, account status, calendar link) stay with the
+//     survivor
+//   - Registration, Surveys, Milestones, Donations, Pledges and Outbox rows
+//     move to the survivor. Where both have a registration, survey or
+//     milestone for the same event/title (their composite keys would
+//     collide) one is kept: the stronger registration (attended > registered
+//     > no-show > waitlisted > cancelled), the survivor's survey and
+//     milestone (taking the merged milestone's date if it had none)
+//   - the merged row is deleted and a ParticipantMerges row records the
+//     snapshot, field choices and everything moved or dropped
+// Like lib/registrations.js, it returns { ok, status, message, ... }.
+
+const { lockOccurrence, syncRegisteredCount } = require('./seats');
+const { compactWaitlist, promoteWaitlisted } = require('./waitlist');
+const { updateDonorTotal } = require('./payments');
+
+// Contact details the admin chooses between, in display order
+const MERGE_FIELDS = [
+    { key: 'ParticipantFirstName', label: 'First name' },
+    { key: 'ParticipantLastName', label: 'Last name' },
+    { key: 'ParticipantEmail', label: 'Email' },
+    { key: 'ParticipantDOB', label: 'Date of birth' },
+    { key: 'ParticipantPhone', label: 'Phone' },
+    { key: 'ParticipantCity', label: 'City' },
+    { key: 'ParticipantState', label: 'State' },
+    { key: 'ParticipantZIP', label: 'ZIP' },
+    { key: 'ParticipantSchoolorEmployer', label: 'School or employer' },
+    { key: 'ParticipantFieldOfInterest', label: 'Field of interest' }
+];
+
+// Shown for comparison but always kept from the survivor
+const ACCOUNT_FIELDS = [
+    { key: 'ParticipantRole', label: 'Role' },
+    { key: 'ParticipantAccountStatus', label: 'Account status' }
+];
+
+// Secrets left out of the audit snapshot
+const SECRET_FIELDS = [
+    'ParticipantPassword',
+    'ParticipantResetTokenHash',
+    'ParticipantVerifyTokenHash',
+    'ParticipantCalendarToken'
+];
+
+// Tables whose rows simply change Participant_ID
+const SIMPLE_TABLES = ['Donations', 'Pledges', 'Outbox'];
+
+// Higher wins when both records are registered for the same occurrence
+function registrationRank(r) {
+    if (r.RegistrationAttendedFlag === 'T' || r.RegistrationStatus === 'attended') return 5;
+    if (!r.RegistrationStatus || r.RegistrationStatus === 'registered') return 4;
+    if (r.RegistrationStatus === 'no-show') return 3;
+    if (r.RegistrationStatus === 'waitlisted') return 2;
+    return 1;
+}
+
+function fail(status, message) {
+    return { ok: false, status, message };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' (local) for a date column, or null
+function isoDate(value) {
+    if (!value) return null;
+    const d = new Date(value);
+    if (isNaN(d)) return null;
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase() || null;
+}
+
+// Last ten digits, without a leading US country code; null if too short to compare
+function normalizePhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+    return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function nameKey(row) {
+    const first = String(row.ParticipantFirstName || '').trim().toLowerCase();
+    const last = String(row.ParticipantLastName || '').trim().toLowerCase();
+    const dob = isoDate(row.ParticipantDOB);
+    return first && last && dob ? `${first}|${last}|${dob}` : null;
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) return isoDate(a) === isoDate(b);
+    return (a === null || a === undefined ? '' : String(a)) === (b === null || b === undefined ? '' : String(b));
+}
+
+function occurrenceKey(row) {
+    return `${row.Event_ID}|${new Date(row.EventDateTimeStart).getTime()}`;
+}
+
+// Suggested survivor first: a real account over a visitor row, then the older row
+function orderPair(a, b) {
+    const visitor = p => (p.ParticipantRole === 'visitor' ? 1 : 0);
+    if (visitor(a) !== visitor(b)) return visitor(a) < visitor(b) ? [a, b] : [b, a];
+    return a.Participant_ID < b.Participant_ID ? [a, b] : [b, a];
+}
+
+// Likely duplicates as [{ survivor, merged, reasons }], strongest match first
+async function findDuplicates(db) {
+    const rows = (await db('Participants').orderBy('Participant_ID', 'asc'))
+        .filter(p => p.ParticipantEmail || p.ParticipantFirstName || p.ParticipantLastName);
+
+    const pairs = new Map();
+    const match = (keyOf, reason) => {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = keyOf(row);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+        for (const group of groups.values()) {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const [survivor, merged] = orderPair(group[i], group[j]);
+                    const id = `${survivor.Participant_ID}|${merged.Participant_ID}`;
+                    if (!pairs.has(id)) pairs.set(id, { survivor, merged, reasons: [] });
+                    pairs.get(id).reasons.push(reason);
+                }
+            }
+        }
+    };
+
+    match(p => normalizeEmail(p.ParticipantEmail), 'same email');
+    match(nameKey, 'same name and date of birth');
+    match(p => normalizePhone(p.ParticipantPhone), 'same phone');
+
+    return [...pairs.values()].sort((a, b) =>
+        b.reasons.length - a.reasons.length || a.survivor.Participant_ID - b.survivor.Participant_ID);
+}
+
+// How many rows of each kind belong to a participant
+async function relatedCounts(db, participantId) {
+    const counts = {};
+    for (const table of ['Registration', 'Surveys', 'Milestones', ...SIMPLE_TABLES]) {
+        const [{ count }] = await db(table).where({ Participant_ID: participantId }).count('* as count');
+        counts[table] = Number(count);
+    }
+    return counts;
+}
+
+// Both records, their related row counts and how many rows would collide,
+// for the side-by-side screen. Null if either record doesn't exist.
+async function mergePreview(db, survivorId, mergedId) {
+    const survivor = await db('Participants').where({ Participant_ID: survivorId }).first();
+    const merged = await db('Participants').where({ Participant_ID: mergedId }).first();
+    if (!survivor || !merged) return null;
+
+    const overlap = async(table, keyOf) => {
+        const mine = new Set((await db(table).where({ Participant_ID: survivorId })).map(keyOf));
+        return (await db(table).where({ Participant_ID: mergedId })).filter(r => mine.has(keyOf(r))).length;
+    };
+
+    return {
+        survivor,
+        merged,
+        counts: {
+            survivor: await relatedCounts(db, survivorId),
+            merged: await relatedCounts(db, mergedId)
+        },
+        collisions: {
+            Registration: await overlap('Registration', occurrenceKey),
+            Surveys: await overlap('Surveys', occurrenceKey),
+            Milestones: await overlap('Milestones', m => m.MilestoneTitle)
+        }
+    };
+}
+
+async function moveRegistrations(trx, survivorId, mergedId, summary) {
+    const mine = new Map((await trx('Registration').where({ Participant_ID: survivorId })).map(r => [occurrenceKey(r), r]));
+    const theirs = await trx('Registration').where({ Participant_ID: mergedId });
+    const collided = [];
+
+    for (const r of theirs) {
+        const occurrence = { Event_ID: r.Event_ID, EventDateTimeStart: r.EventDateTimeStart };
+        const existing = mine.get(occurrenceKey(r));
+
+        if (!existing) {
+            await trx('Registration').where({ ...occurrence, Participant_ID: mergedId }).update({ Participant_ID: survivorId });
+            summary.moved++;
+            continue;
+        }
+
+        await lockOccurrence(trx, occurrence);
+        if (registrationRank(r) > registrationRank(existing)) {
+            await trx('Registration').where({ ...occurrence, Participant_ID: survivorId }).del();
+            await trx('Registration').where({ ...occurrence, Participant_ID: mergedId }).update({ Participant_ID: survivorId });
+            summary.dropped.push(existing);
+        } else {
+            await trx('Registration').where({ ...occurrence, Participant_ID: mergedId }).del();
+            summary.dropped.push(r);
+        }
+        collided.push(occurrence);
+    }
+    return collided;
+}
+
+async function moveSurveys(trx, survivorId, mergedId, summary) {
+    const mine = new Set((await trx('Surveys').where({ Participant_ID: survivorId })).map(occurrenceKey));
+    const theirs = await trx('Surveys').where({ Participant_ID: mergedId });
+
+    for (const survey of theirs) {
+        const from = { Participant_ID: mergedId, Event_ID: survey.Event_ID, EventDateTimeStart: survey.EventDateTimeStart };
+        const answers = await trx('SurveyAnswers').where(from);
+
+        if (mine.has(occurrenceKey(survey))) {
+            await trx('SurveyAnswers').where(from).del();
+            await trx('Surveys').where(from).del();
+            summary.dropped.push({ survey, answers });
+            continue;
+        }
+
+        // Copy, re-point the answers, then remove the original, so the
+        // answers' foreign key to Surveys holds throughout
+        await trx('Surveys').insert({ ...survey, Participant_ID: survivorId });
+        await trx('SurveyAnswers').where(from).update({ Participant_ID: survivorId });
+        await trx('Surveys').where(from).del();
+        summary.moved++;
+    }
+}
+
+async function moveMilestones(trx, survivorId, mergedId, summary) {
+    const mine = new Map((await trx('Milestones').where({ Participant_ID: survivorId })).map(m => [m.MilestoneTitle, m]));
+    const theirs = await trx('Milestones').where({ Participant_ID: mergedId });
+
+    for (const m of theirs) {
+        const existing = mine.get(m.MilestoneTitle);
+
+        if (!existing) {
+            await trx('Milestones').where({ Participant_ID: mergedId, MilestoneTitle: m.MilestoneTitle }).update({ Participant_ID: survivorId });
+            summary.moved++;
+            continue;
+        }
+
+        if (!existing.MilestoneDate && m.MilestoneDate) {
+            await trx('Milestones')
+                .where({ Participant_ID: survivorId, MilestoneTitle: m.MilestoneTitle })
+                .update({ MilestoneDate: m.MilestoneDate });
+        }
+        await trx('Milestones').where({ Participant_ID: mergedId, MilestoneTitle: m.MilestoneTitle }).del();
+        summary.dropped.push(m);
+    }
+}
+
+// Merge mergedId into survivorId. `choices` maps MERGE_FIELDS keys to
+// 'survivor' or 'merged' (survivor if missing). Returns { ok, mergeId,
+// promoted } where `promoted` lists waitlisted participants given a seat
+// freed by a duplicate registration (their emails are already queued).
+async function mergeParticipants(knex, { survivorId, mergedId, choices = {}, adminId = null }) {
+    survivorId = Number(survivorId);
+    mergedId = Number(mergedId);
+
+    if (!survivorId || !mergedId || survivorId === mergedId) return fail(400, 'Choose two different participants to merge.');
+    if (adminId !== null && mergedId === Number(adminId)) {
+        return fail(400, 'You can\'t merge away the account you\'re signed in with; keep it as the surviving record.');
+    }
+
+    return knex.transaction(async trx => {
+        const rows = await trx('Participants').whereIn('Participant_ID', [survivorId, mergedId]).forUpdate();
+        const survivor = rows.find(r => r.Participant_ID === survivorId);
+        const merged = rows.find(r => r.Participant_ID === mergedId);
+        if (!survivor || !merged) return fail(404, 'Participant not found; it may already have been merged.');
+
+        const changes = {};
+        const fields = {};
+        for (const { key } of MERGE_FIELDS) {
+            if (choices[key] !== 'merged' || sameValue(survivor[key], merged[key])) continue;
+            changes[key] = merged[key];
+            fields[key] = { from: survivor[key], to: merged[key] };
+        }
+
+        const summary = {
+            Registration: { moved: 0, dropped: [] },
+            Surveys: { moved: 0, dropped: [] },
+            Milestones: { moved: 0, dropped: [] }
+        };
+
+        const collided = await moveRegistrations(trx, survivorId, mergedId, summary.Registration);
+        await moveSurveys(trx, survivorId, mergedId, summary.Surveys);
+        await moveMilestones(trx, survivorId, mergedId, summary.Milestones);
+
+        for (const table of SIMPLE_TABLES) {
+            summary[table] = { moved: await trx(table).where({ Participant_ID: mergedId }).update({ Participant_ID: survivorId }) };
+        }
+
+        if (Object.keys(changes).length) {
+            await trx('Participants').where({ Participant_ID: survivorId }).update(changes);
+        }
+
+        // Two seats held by one person became one
+        const promoted = [];
+        for (const occurrence of collided) {
+            await compactWaitlist(trx, occurrence);
+            await syncRegisteredCount(trx, occurrence);
+            promoted.push(...await promoteWaitlisted(trx, occurrence));
+        }
+
+        await updateDonorTotal(trx, survivorId);
+
+        const snapshot = { ...merged };
+        SECRET_FIELDS.forEach(key => delete snapshot[key]);
+
+        const [record] = await trx('ParticipantMerges')
+            .insert({
+                ParticipantMergeSurvivor_ID: survivorId,
+                ParticipantMergeMerged_ID: mergedId,
+                ParticipantMergeAdmin_ID: adminId,
+                ParticipantMergeSnapshot: JSON.stringify(snapshot),
+                ParticipantMergeFields: JSON.stringify(fields),
+                ParticipantMergeSummary: JSON.stringify(summary)
+            })
+            .returning('ParticipantMerge_ID');
+
+        await trx('Participants').where({ Participant_ID: mergedId }).del();
+
+        return {
+            ok: true,
+            status: 200,
+            mergeId: record.ParticipantMerge_ID,
+            promoted,
+            message: `Merged participant #${mergedId} into #${survivorId}.`
+        };
+    });
+}
+
+// Recent merges, newest first, with the JSON columns parsed
+async function recentMerges(db, limit = 25) {
+    const rows = await db('ParticipantMerges as m')
+        .leftJoin('Participants as a', 'm.ParticipantMergeAdmin_ID', 'a.Participant_ID')
+        .select('m.*', 'a.ParticipantFirstName as AdminFirstName', 'a.ParticipantLastName as AdminLastName')
+        .orderBy('m.ParticipantMerge_ID', 'desc')
+        .limit(limit);
+
+    return rows.map(r => ({
+        ...r,
+        snapshot: JSON.parse(r.ParticipantMergeSnapshot),
+        fields: JSON.parse(r.ParticipantMergeFields),
+        summary: JSON.parse(r.ParticipantMergeSummary)
+    }));
+}
+
+module.exports = {
+    MERGE_FIELDS,
+    ACCOUNT_FIELDS,
+    normalizePhone,
+    findDuplicates,
+    mergePreview,
+    mergeParticipants,
+    recentMerges
+};
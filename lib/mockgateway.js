@@ -0,0 +1,164 @@
+// lib/mockgateway.js — local stand-in for a payment provider (see lib/payments.js)
+//
+// Lets the whole donation flow run without a live payment service. Checkout
+// sends the donor to /mock-gateway/checkout/<ref> on this same server, where
+// they can pay or decline; the gateway then POSTs a signed webhook to
+// /payments/webhook/mock, as a real provider would, before sending the donor
+// back to the site. Refunds are confirmed the same way.
+//
+// Anyone who can open the checkout page can mark their own donation paid, so
+// this is for development and tests only: it has to be chosen explicitly
+// (PAYMENT_PROVIDER=mock) and lib/payments.js refuses it in production.
+//
+// Webhooks carry   Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+// signed with MOCK_PAYMENT_SECRET (falls back to SESSION_SECRET; the gateway
+// won't start with neither) and are refused more than WEBHOOK_TOLERANCE_S
+// old. Checkout sessions are kept in memory, so a restart abandons them (the
+// donation simply stays pending).
+
+const crypto = require('crypto');
+
+const WEBHOOK_PATH = '/payments/webhook/mock';
+const WEBHOOK_TOLERANCE_S = 5 * 60;
+
+function hmac(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function randomId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Mock-Signature header value for a webhook body
+function signWebhook(body, secret, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+// The event in a webhook request, or null if it isn't correctly signed,
+// is too old or isn't an event
+function readWebhook(rawBody, headers, secret, now = new Date()) {
+    if (!rawBody) return null;
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+
+    const parts = Object.fromEntries(String(headers['mock-signature'] || '')
+        .split(',')
+        .map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return null;
+    if (Math.abs(now.getTime() / 1000 - timestamp) > WEBHOOK_TOLERANCE_S) return null;
+
+    const expected = Buffer.from(hmac(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let event;
+    try {
+        event = JSON.parse(body);
+    } catch (err) {
+        return null;
+    }
+    if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || typeof event.ref !== 'string') {
+        return null;
+    }
+    return { id: event.id, type: event.type, ref: event.ref, amount: event.amount };
+}
+
+// POST a signed event to the site's webhook; resolves to the HTTP status
+async function sendWebhook(url, event, secret) {
+    const body = JSON.stringify(event);
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Mock-Signature': signWebhook(body, secret) },
+        body
+    });
+    return res.status;
+}
+
+// baseUrl is the site's own address (APP_URL), where the checkout page and
+// webhook live
+function createMockGateway({ baseUrl, secret = process.env.MOCK_PAYMENT_SECRET || process.env.SESSION_SECRET } = {}) {
+    if (!secret) {
+        throw new Error('The mock payment gateway needs MOCK_PAYMENT_SECRET (or SESSION_SECRET) to sign its webhooks');
+    }
+
+    const webhookUrl = `${baseUrl}${WEBHOOK_PATH}`;
+
+    // ref → { ref, donationId, amount, description, returnUrl, status, lastEvent }
+    const sessions = new Map();
+
+    async function deliver(session, type) {
+        const event = { id: randomId('mock_evt'), type, ref: session.ref, amount: session.amount };
+        session.lastEvent = event;
+        return sendWebhook(webhookUrl, event, secret);
+    }
+
+    return {
+        name: 'mock',
+        baseUrl,
+
+        async createCheckout({ donationId, amount, description, returnUrl }) {
+            const ref = randomId('mock_pay');
+            sessions.set(ref, {
+                ref,
+                donationId,
+                amount: Number(amount),
+                description,
+                returnUrl,
+                status: 'open',
+                lastEvent: null
+            });
+            return { ref, url: `${baseUrl}/mock-gateway/checkout/${ref}` };
+        },
+
+        async refund({ ref, amount }) {
+            const status = await sendWebhook(webhookUrl, {
+                id: randomId('mock_evt'),
+                type: 'payment.refunded',
+                ref,
+                amount
+            }, secret);
+            if (status >= 300) throw new Error(`Refund webhook was refused with HTTP ${status}`);
+        },
+
+        readWebhook(rawBody, headers) {
+            return readWebhook(rawBody, headers, secret);
+        },
+
+        // ----- The gateway's own pages (routes/payments.js) -----
+        session(ref) {
+            return sessions.get(ref) || null;
+        },
+
+        // The donor paid ('pay') or the card was declined ('decline'). The
+        // webhook goes out before the donor is sent back, so the return page
+        // already shows the outcome; a failed delivery leaves it pending.
+        async finish(ref, outcome) {
+            const session = sessions.get(ref);
+            if (!session || session.status !== 'open') return null;
+
+            session.status = outcome === 'pay' ? 'paid' : 'declined';
+            try {
+                await deliver(session, outcome === 'pay' ? 'payment.succeeded' : 'payment.failed');
+            } catch (err) {
+                console.error('Mock gateway webhook failed:', err.message);
+            }
+            return session;
+        },
+
+        // Send the last event again, as providers do when a delivery fails
+        async resend(ref) {
+            const session = sessions.get(ref);
+            if (!session || !session.lastEvent) return null;
+            return sendWebhook(webhookUrl, session.lastEvent, secret);
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_PATH,
+    signWebhook,
+    readWebhook,
+    sendWebhook,
+    createMockGateway
+};
@@ -0,0 +1,329 @@
+// lib/notifications.js — what goes into the outbox, and when
+//
+// Queued straight away:
+//   registration_confirmed   after /register or the Register button
+//   donation_receipt         after an online donation, with a link to the PDF
+//   event_cancelled          registrants and waitlist of an upcoming occurrence
+//                            an admin deletes
+//   waitlist_promoted        people given a freed seat by promoteWaitlisted()
+// Queued by the scheduler's periodic scan (queueScheduledNotifications):
+//   event_reminder           seat holders, once the event is < 24h away
+//   deadline_warning         people who've come to the same program before but
+//                            aren't signed up, once the registration deadline is
+//                            < 48h away and seats are left
+//   survey_request           attendees without a survey, after the event ends
+//                            (for up to a week)
+// Scans rely on OutboxDedupeKey, so each person gets each message once.
+
+const { enqueue } = require('./outbox');
+const { appUrl } = require('./urls');
+const { ACCOUNT_STATUS } = require('./accounts');
+const { WAITLISTED } = require('./seats');
+const { surveyLinkPath } = require('./surveylinks');
+const { receiptNumber, receiptLinkPath } = require('./receipts');
+
+const HOUR = 60 * 60 * 1000;
+const REMINDER_WINDOW_MS = 24 * HOUR;
+const DEADLINE_WINDOW_MS = 48 * HOUR;
+const SURVEY_WINDOW_MS = 7 * 24 * HOUR;
+
+function occurrenceTag(occ) {
+    return `${occ.Event_ID}:${new Date(occ.EventDateTimeStart).getTime()}`;
+}
+
+function when(occ) {
+    return new Date(occ.EventDateTimeStart).toLocaleString() +
+        (occ.EventLocation ? ` at ${occ.EventLocation}` : '');
+}
+
+function isActive(p) {
+    return !p.ParticipantAccountStatus || p.ParticipantAccountStatus === ACCOUNT_STATUS.ACTIVE;
+}
+
+function occurrences(db) {
+    return db('EventOccurrence as eo')
+        .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+        .select('eo.*', 'et.EventName');
+}
+
+// Registrations (with participant contact details) for a set of occurrences
+async function registrationsFor(db, occs) {
+    if (!occs.length) return [];
+
+    const rows = await db('Registration as r')
+        .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+        .whereIn('r.Event_ID', [...new Set(occs.map(o => o.Event_ID))])
+        .select(
+            'r.Participant_ID',
+            'r.Event_ID',
+            'r.EventDateTimeStart',
+            'r.RegistrationStatus',
+            'r.RegistrationAttendedFlag',
+            'p.ParticipantEmail',
+            'p.ParticipantFirstName',
+            'p.ParticipantAccountStatus'
+        );
+
+    const wanted = new Set(occs.map(occurrenceTag));
+    return rows.filter(r => wanted.has(occurrenceTag(r)) && r.ParticipantEmail && isActive(r));
+}
+
+// ===== Immediate =====
+async function queueRegistrationConfirmed(db, { participantId, key, waitlisted, position }) {
+    const participant = await db('Participants').where({ Participant_ID: participantId }).first();
+    const occ = await occurrences(db)
+        .where({ 'eo.Event_ID': key.Event_ID, 'eo.EventDateTimeStart': key.EventDateTimeStart })
+        .first();
+
+    if (!participant || !occ) return;
+
+    await enqueue(db, {
+        kind: 'registration_confirmed',
+        participantId,
+        to: participant.ParticipantEmail,
+        subject: waitlisted ?
+            `You're on the waitlist for ${occ.EventName}` :
+            `You're registered for ${occ.EventName}`,
+        text: [
+            `Hi ${participant.ParticipantFirstName || ''},`,
+            '',
+            waitlisted ?
+                `${occ.EventName} on ${when(occ)} is full, so you're #${position} on the waitlist. ` +
+                "We'll email you if a spot opens up." :
+                `You're registered for ${occ.EventName} on ${when(occ)}.`,
+            '',
+            'See or cancel your registrations here:',
+            `${appUrl()}/events_user/${participantId}`
+        ].join('\n')
+    });
+}
+
+// The receipt link is signed, so visitor donors without a login can open it
+async function queueDonationReceipt(db, donationId) {
+    const donation = await db('Donations as d')
+        .join('Participants as p', 'd.Participant_ID', 'p.Participant_ID')
+        .where('d.Donation_ID', donationId)
+        .first('d.*', 'p.ParticipantEmail', 'p.ParticipantFirstName');
+
+    if (!donation) return;
+
+    await enqueue(db, {
+        kind: 'donation_receipt',
+        dedupeKey: `receipt:${donationId}`,
+        participantId: donation.Participant_ID,
+        to: donation.ParticipantEmail,
+        subject: `Your Ella Rises donation receipt ${receiptNumber(donationId)}`,
+        text: [
+            `Hi ${donation.ParticipantFirstName || ''},`,
+            '',
+            `Thank you for your gift of $${Number(donation.DonationAmount).toFixed(2)}.`,
+            'Download your receipt for your records here:',
+            `${appUrl()}${receiptLinkPath(donationId)}`
+        ].join('\n')
+    });
+}
+
+// `promoted` as returned by promoteWaitlisted() (lib/waitlist.js)
+async function queueWaitlistPromoted(db, promoted) {
+    for (const p of promoted) {
+        await enqueue(db, {
+            kind: 'waitlist_promoted',
+            participantId: p.Participant_ID,
+            to: p.ParticipantEmail,
+            subject: `You're in! A spot opened up for ${p.EventName}`,
+            text: [
+                `Hi ${p.ParticipantFirstName || ''},`,
+                '',
+                `A spot opened up and you've been moved off the waitlist for ${p.EventName} on ${when(p)}.`,
+                '',
+                "You're now registered. See your events here:",
+                '',
+                `${appUrl()}/events_user/${p.Participant_ID}`
+            ].join('\n')
+        });
+    }
+}
+
+// Call before the occurrences and their registrations are deleted
+async function queueEventCancelled(db, keys, now = new Date()) {
+    if (!keys.length) return 0;
+
+    const upcoming = (await occurrences(db).whereIn('eo.Event_ID', [...new Set(keys.map(k => k.Event_ID))]))
+        .filter(o => new Date(o.EventDateTimeStart) > now);
+    const wanted = new Set(keys.map(occurrenceTag));
+    const byTag = new Map(upcoming.filter(o => wanted.has(occurrenceTag(o))).map(o => [occurrenceTag(o), o]));
+
+    const regs = (await registrationsFor(db, [...byTag.values()]))
+        .filter(r => r.RegistrationStatus !== 'cancelled');
+
+    for (const r of regs) {
+        const occ = byTag.get(occurrenceTag(r));
+        await enqueue(db, {
+            kind: 'event_cancelled',
+            dedupeKey: `cancelled:${r.Participant_ID}:${occurrenceTag(occ)}`,
+            participantId: r.Participant_ID,
+            to: r.ParticipantEmail,
+            subject: `${occ.EventName} on ${new Date(occ.EventDateTimeStart).toLocaleDateString()} is cancelled`,
+            text: [
+                `Hi ${r.ParticipantFirstName || ''},`,
+                '',
+                `We're sorry — ${occ.EventName} on ${when(occ)} has been cancelled, ` +
+                (r.RegistrationStatus === WAITLISTED ? 'so your place on the waitlist' : 'so your registration') +
+                ' no longer applies.',
+                '',
+                'See other upcoming events here:',
+                `${appUrl()}/events_user/${r.Participant_ID}`
+            ].join('\n')
+        });
+    }
+    return regs.length;
+}
+
+// ===== Scheduled scans =====
+async function queueEventReminders(db, now) {
+    const soon = await occurrences(db)
+        .where('eo.EventDateTimeStart', '>', now)
+        .andWhere('eo.EventDateTimeStart', '<=', new Date(now.getTime() + REMINDER_WINDOW_MS));
+
+    const regs = (await registrationsFor(db, soon)).filter(r => r.RegistrationStatus !== WAITLISTED);
+    const byTag = new Map(soon.map(o => [occurrenceTag(o), o]));
+
+    for (const r of regs) {
+        const occ = byTag.get(occurrenceTag(r));
+        await enqueue(db, {
+            kind: 'event_reminder',
+            dedupeKey: `reminder:${r.Participant_ID}:${occurrenceTag(occ)}`,
+            participantId: r.Participant_ID,
+            to: r.ParticipantEmail,
+            subject: `Reminder: ${occ.EventName} is coming up`,
+            text: [
+                `Hi ${r.ParticipantFirstName || ''},`,
+                '',
+                `This is a reminder that ${occ.EventName} is on ${when(occ)}.`,
+                'Bring the check-in QR code from your events page:',
+                `${appUrl()}/events_user/${r.Participant_ID}`,
+                '',
+                "Can't make it? Please cancel so someone on the waitlist can have your seat."
+            ].join('\n')
+        });
+    }
+    return regs.length;
+}
+
+async function queueDeadlineWarnings(db, now) {
+    const closing = (await occurrences(db)
+        .where('eo.EventRegistrationDeadline', '>', now)
+        .andWhere('eo.EventRegistrationDeadline', '<=', new Date(now.getTime() + DEADLINE_WINDOW_MS))
+        .andWhere('eo.EventDateTimeStart', '>', now))
+        .filter(o => (o.EventCapacity || 0) > (o.EventNumRegistered || 0));
+
+    if (!closing.length) return 0;
+
+    // Everyone who has ever registered for these programs
+    const history = await db('Registration as r')
+        .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+        .whereIn('r.Event_ID', [...new Set(closing.map(o => o.Event_ID))])
+        .select(
+            'r.Participant_ID',
+            'r.Event_ID',
+            'r.EventDateTimeStart',
+            'p.ParticipantEmail',
+            'p.ParticipantFirstName',
+            'p.ParticipantRole',
+            'p.ParticipantAccountStatus'
+        );
+
+    let queued = 0;
+    for (const occ of closing) {
+        const tag = occurrenceTag(occ);
+        const signedUp = new Set(history.filter(h => occurrenceTag(h) === tag).map(h => h.Participant_ID));
+        const seen = new Set();
+
+        for (const h of history) {
+            if (h.Event_ID !== occ.Event_ID || signedUp.has(h.Participant_ID) || seen.has(h.Participant_ID)) continue;
+            if (h.ParticipantRole !== 'participant' || !h.ParticipantEmail || !isActive(h)) continue;
+            seen.add(h.Participant_ID);
+
+            await enqueue(db, {
+                kind: 'deadline_warning',
+                dedupeKey: `deadline:${h.Participant_ID}:${tag}`,
+                participantId: h.Participant_ID,
+                to: h.ParticipantEmail,
+                subject: `Last chance to sign up for ${occ.EventName}`,
+                text: [
+                    `Hi ${h.ParticipantFirstName || ''},`,
+                    '',
+                    `Registration for ${occ.EventName} on ${when(occ)} closes ` +
+                    `${new Date(occ.EventRegistrationDeadline).toLocaleString()}, and there are still seats left.`,
+                    '',
+                    'Sign up here:',
+                    `${appUrl()}/events_user/${h.Participant_ID}`
+                ].join('\n')
+            });
+            queued++;
+        }
+    }
+    return queued;
+}
+
+async function queueSurveyRequests(db, now) {
+    const recent = (await occurrences(db)
+        .where('eo.EventDateTimeStart', '<=', now)
+        .andWhere('eo.EventDateTimeStart', '>=', new Date(now.getTime() - SURVEY_WINDOW_MS - REMINDER_WINDOW_MS)))
+        .filter(o => {
+            const end = new Date(o.EventDateTimeEnd || o.EventDateTimeStart);
+            return end <= now && end >= new Date(now.getTime() - SURVEY_WINDOW_MS);
+        });
+
+    const attended = (await registrationsFor(db, recent)).filter(r => r.RegistrationAttendedFlag === 'T');
+    if (!attended.length) return 0;
+
+    const surveys = await db('Surveys')
+        .whereIn('Event_ID', [...new Set(recent.map(o => o.Event_ID))])
+        .select('Participant_ID', 'Event_ID', 'EventDateTimeStart');
+    const answered = new Set(surveys.map(s => `${s.Participant_ID}:${occurrenceTag(s)}`));
+    const byTag = new Map(recent.map(o => [occurrenceTag(o), o]));
+
+    let queued = 0;
+    for (const r of attended) {
+        const tag = occurrenceTag(r);
+        if (answered.has(`${r.Participant_ID}:${tag}`)) continue;
+
+        const occ = byTag.get(tag);
+        await enqueue(db, {
+            kind: 'survey_request',
+            dedupeKey: `survey:${r.Participant_ID}:${tag}`,
+            participantId: r.Participant_ID,
+            to: r.ParticipantEmail,
+            subject: `How was ${occ.EventName}?`,
+            text: [
+                `Hi ${r.ParticipantFirstName || ''},`,
+                '',
+                `Thanks for coming to ${occ.EventName}! Would you take a minute to tell us how it went?`,
+                '',
+                `${appUrl()}${surveyLinkPath(r)}`,
+                '',
+                "No need to log in — this link is just for you, so please don't forward it."
+            ].join('\n')
+        });
+        queued++;
+    }
+    return queued;
+}
+
+// One pass of every scan; returns how many candidates each one considered
+async function queueScheduledNotifications(db, now = new Date()) {
+    return {
+        reminders: await queueEventReminders(db, now),
+        deadlineWarnings: await queueDeadlineWarnings(db, now),
+        surveyRequests: await queueSurveyRequests(db, now)
+    };
+}
+
+module.exports = {
+    queueRegistrationConfirmed,
+    queueDonationReceipt,
+    queueWaitlistPromoted,
+    queueEventCancelled,
+    queueScheduledNotifications
+};
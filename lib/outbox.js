@@ -0,0 +1,112 @@
+// lib/outbox.js — queued outgoing notifications
+//
+// Code that wants to notify someone calls enqueue() (ideally inside the same
+// transaction as the change it's about); the scheduler calls deliverPending()
+// to send due messages through the mailer (lib/mailer.js — console, file or
+// any registered transport).
+//
+// OutboxStatus: pending → sent, or → failed after MAX_ATTEMPTS tries.
+// Failed sends are retried with a growing delay; admins can resend from /outbox.
+
+const STATUS = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+const MAX_ATTEMPTS = 5;
+
+// Wait before retry n: 1, 4, 9, 16 minutes
+function retryDelayMs(attempts) {
+    return attempts * attempts * 60 * 1000;
+}
+
+// Queue a message. A repeated dedupeKey is silently ignored, so periodic scans
+// can call this every run without sending duplicates.
+async function enqueue(db, { kind, dedupeKey = null, participantId = null, to, subject, text, sendAfter = new Date() }) {
+    if (!to) return;
+
+    const row = {
+        OutboxKind: kind,
+        OutboxDedupeKey: dedupeKey,
+        Participant_ID: participantId,
+        OutboxTo: to,
+        OutboxSubject: subject,
+        OutboxBody: text,
+        OutboxStatus: STATUS.PENDING,
+        OutboxSendAfter: sendAfter
+    };
+
+    if (dedupeKey) {
+        await db('Outbox').insert(row).onConflict('OutboxDedupeKey').ignore();
+    } else {
+        await db('Outbox').insert(row);
+    }
+}
+
+// Send everything that's due. Returns { sent, failed } counts for this run.
+async function deliverPending(knex, mailer, { limit = 50 } = {}) {
+    const due = await knex('Outbox')
+        .where({ OutboxStatus: STATUS.PENDING })
+        .andWhere('OutboxSendAfter', '<=', new Date())
+        .orderBy('OutboxSendAfter', 'asc')
+        .limit(limit);
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const message of due) {
+        const attempts = message.OutboxAttempts + 1;
+
+        try {
+            await mailer.send({
+                to: message.OutboxTo,
+                subject: message.OutboxSubject,
+                text: message.OutboxBody
+            });
+
+            await knex('Outbox')
+                .where({ Outbox_ID: message.Outbox_ID })
+                .update({
+                    OutboxStatus: STATUS.SENT,
+                    OutboxAttempts: attempts,
+                    OutboxSentAt: new Date(),
+                    OutboxLastError: null
+                });
+            result.sent++;
+
+        } catch (err) {
+            console.error(`Outbox delivery failed (#${message.Outbox_ID}):`, err);
+
+            await knex('Outbox')
+                .where({ Outbox_ID: message.Outbox_ID })
+                .update({
+                    OutboxStatus: attempts >= MAX_ATTEMPTS ? STATUS.FAILED : STATUS.PENDING,
+                    OutboxAttempts: attempts,
+                    OutboxLastError: String(err && err.message || err),
+                    OutboxSendAfter: new Date(Date.now() + retryDelayMs(attempts))
+                });
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+// Put a message back in the queue to go out on the next run
+async function resend(knex, outboxId) {
+    return knex('Outbox')
+        .where({ Outbox_ID: outboxId })
+        .update({
+            OutboxStatus: STATUS.PENDING,
+            OutboxAttempts: 0,
+            OutboxSendAfter: new Date()
+        });
+}
+
+module.exports = {
+    STATUS,
+    MAX_ATTEMPTS,
+    enqueue,
+    deliverPending,
+    resend
+};
@@ -0,0 +1,93 @@
+// lib/passwords.js — salted scrypt hashing for Participants.ParticipantPassword
+//
+// Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+// Anything that doesn't start with "scrypt$" is treated as a legacy plaintext
+// password so existing rows keep working until they are upgraded at login.
+// Rows that must never log in hold scrypt$unusable$<random>, which sits in the
+// hashed namespace so no plaintext password can be mistaken for it.
+
+const crypto = require('crypto');
+
+const SCRYPT_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Prefix for passwords that can never be used to log in (e.g. visitor donors)
+const UNUSABLE_PREFIX = SCRYPT_PREFIX + '$unusable$';
+
+function scrypt(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, params, (err, key) => {
+            if (err) return reject(err);
+            resolve(key);
+        });
+    });
+}
+
+// Hash a plaintext password for storage
+async function hashPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password is required');
+    }
+
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return [SCRYPT_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// A random value that no password will ever match
+function unusablePassword() {
+    return UNUSABLE_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(SCRYPT_PREFIX + '$');
+}
+
+function isUnusable(stored) {
+    return !stored || (isHashed(stored) && stored.startsWith(UNUSABLE_PREFIX));
+}
+
+// Check a login attempt against a stored value.
+// Returns { ok, needsRehash } — needsRehash is true when the stored value was
+// legacy plaintext (or weaker params) and should be replaced with a fresh hash.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || isUnusable(stored)) {
+        return { ok: false, needsRehash: false };
+    }
+
+    // Legacy plaintext row
+    if (!isHashed(stored)) {
+        return { ok: safeEqual(Buffer.from(password), Buffer.from(stored)), needsRehash: true };
+    }
+
+    const [, N, r, p, saltB64, hashB64] = stored.split('$');
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    const expected = Buffer.from(hashB64, 'base64');
+    const key = await scrypt(password, Buffer.from(saltB64, 'base64'), params);
+
+    const needsRehash = params.N !== SCRYPT_PARAMS.N ||
+        params.r !== SCRYPT_PARAMS.r ||
+        params.p !== SCRYPT_PARAMS.p;
+
+    return { ok: safeEqual(key, expected), needsRehash };
+}
+
+// Constant-time compare that tolerates different lengths
+function safeEqual(a, b) {
+    if (a.length !== b.length) {
+        crypto.timingSafeEqual(a, a);
+        return false;
+    }
+    return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    unusablePassword,
+    isHashed
+};
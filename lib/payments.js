@@ -0,0 +1,231 @@
+// lib/payments.js — pluggable payment provider for public donations
+//
+// A public donation is recorded 'pending', with the donor's name and email
+// from the form, and the donor is sent to the provider's checkout. Only a
+// signed webhook from the provider moves it on:
+//   payment.succeeded → 'completed' (the donor is matched or created as in
+//                       lib/donors.js; counted in totals, receipt emailed)
+//   payment.failed    → 'failed'
+//   payment.refunded  → 'refunded' (drops out of totals and statements)
+// Each webhook event is recorded in PaymentEvents, so a redelivered event is
+// only applied once.
+//
+// Pick a provider with PAYMENT_PROVIDER; with none set, online donations are
+// turned off. "mock" (the local gateway in lib/mockgateway.js) is for
+// development and tests and is refused when NODE_ENV=production. The site's
+// own address for checkout returns and webhooks comes from APP_URL, never
+// from a request's Host header. Others can be added with
+// registerProvider(name, factory), where factory({ baseUrl, ... }) returns:
+//   name
+//   async createCheckout({ donationId, amount, description, returnUrl }) → { ref, url }
+//   async refund({ ref, amount }) — the result arrives as a webhook
+//   readWebhook(rawBody, headers) → { id, type, ref } or null if the
+//                                   signature doesn't check out
+//
+// Like lib/registrations.js, actions return { ok, status, message, ... }.
+
+const { createMockGateway } = require('./mockgateway');
+const { findOrCreateDonor } = require('./donors');
+
+const DONATION_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    REFUNDED: 'refunded'
+};
+
+// Webhook event type → the statuses it applies to and the status it sets
+const TRANSITIONS = {
+    'payment.succeeded': { from: [DONATION_STATUS.PENDING, DONATION_STATUS.FAILED], to: DONATION_STATUS.COMPLETED },
+    'payment.failed': { from: [DONATION_STATUS.PENDING], to: DONATION_STATUS.FAILED },
+    'payment.refunded': { from: [DONATION_STATUS.COMPLETED], to: DONATION_STATUS.REFUNDED }
+};
+
+const providers = {
+    mock: createMockGateway
+};
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+// The configured provider, or null when online donations are turned off.
+// Misconfiguration throws, so the server refuses to start rather than take
+// payments it can't confirm.
+function createPaymentProvider(options = {}) {
+    const name = options.provider || process.env.PAYMENT_PROVIDER;
+    if (!name) return null;
+
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider lets donors mark their own payments; it cannot be used in production');
+    }
+
+    const baseUrl = (options.baseUrl || process.env.APP_URL || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+        throw new Error('Set APP_URL so the payment provider can send donors and webhooks back to this site');
+    }
+
+    return factory({ ...options, baseUrl });
+}
+
+function fail(status, message) {
+    return { ok: false, status, message };
+}
+
+// TotalDonations is recomputed rather than adjusted, so a refund can't leave
+// it out of step with the completed donations
+async function updateDonorTotal(db, participantId) {
+    if (!participantId) return;
+
+    const [{ total }] = await db('Donations')
+        .where({ Participant_ID: participantId, DonationStatus: DONATION_STATUS.COMPLETED })
+        .sum('DonationAmount as total');
+
+    await db('Participants')
+        .where({ Participant_ID: participantId })
+        .update({ TotalDonations: Number(total || 0) });
+}
+
+// Record a pending donation and open a checkout for it. The donor
+// ({ firstName, lastName, email }, any of them blank) gets a Participants row
+// only once payment is confirmed. returnPath(donationId) is where on this
+// site the provider sends the donor back to. Returns { ok, donationId, url }.
+async function startCheckout(knex, provider, { donor = {}, amount, returnPath }) {
+    const [donation] = await knex('Donations')
+        .insert({
+            Participant_ID: null,
+            DonationDonorFirstName: donor.firstName || null,
+            DonationDonorLastName: donor.lastName || null,
+            DonationDonorEmail: donor.email || null,
+            DonationAmount: amount,
+            DonationDate: knex.fn.now(),
+            DonationStatus: DONATION_STATUS.PENDING,
+            DonationProvider: provider.name,
+            DonationStatusChangedAt: new Date()
+        })
+        .returning('Donation_ID');
+
+    const donationId = donation.Donation_ID;
+
+    let checkout;
+    try {
+        checkout = await provider.createCheckout({
+            donationId,
+            amount,
+            description: 'Donation to Ella Rises',
+            returnUrl: `${provider.baseUrl}${returnPath(donationId)}`
+        });
+    } catch (err) {
+        await knex('Donations')
+            .where({ Donation_ID: donationId })
+            .update({ DonationStatus: DONATION_STATUS.FAILED, DonationStatusChangedAt: new Date() });
+        throw err;
+    }
+
+    await knex('Donations')
+        .where({ Donation_ID: donationId })
+        .update({ DonationProviderRef: checkout.ref });
+
+    return { ok: true, status: 200, donationId, url: checkout.url };
+}
+
+// Apply a verified webhook event. `donationStatus` in the result is set when
+// the donation changed, so the caller can email a receipt on completion.
+async function applyPaymentEvent(knex, providerName, event) {
+    return knex.transaction(async trx => {
+        const seen = await trx('PaymentEvents')
+            .where({ PaymentEventProvider: providerName, PaymentEventRef: event.id })
+            .first();
+        if (seen) return { ok: true, status: 200, message: 'Event already handled.' };
+
+        const donation = await trx('Donations')
+            .where({ DonationProvider: providerName, DonationProviderRef: event.ref })
+            .forUpdate()
+            .first();
+        if (!donation) return fail(404, 'No donation for this payment.');
+
+        await trx('PaymentEvents').insert({
+            PaymentEventProvider: providerName,
+            PaymentEventRef: event.id,
+            PaymentEventType: event.type,
+            Donation_ID: donation.Donation_ID
+        });
+
+        const transition = TRANSITIONS[event.type];
+        if (!transition) {
+            return { ok: true, status: 200, donationId: donation.Donation_ID, message: `Ignored ${event.type}.` };
+        }
+        if (!transition.from.includes(donation.DonationStatus)) {
+            return {
+                ok: true,
+                status: 200,
+                donationId: donation.Donation_ID,
+                message: `Donation is ${donation.DonationStatus}; ignored ${event.type}.`
+            };
+        }
+
+        const update = { DonationStatus: transition.to, DonationStatusChangedAt: new Date() };
+
+        // First confirmation of a public gift: now it's real, find its donor
+        if (transition.to === DONATION_STATUS.COMPLETED && !donation.Participant_ID) {
+            const donor = await findOrCreateDonor(trx, {
+                firstName: donation.DonationDonorFirstName,
+                lastName: donation.DonationDonorLastName,
+                email: donation.DonationDonorEmail
+            });
+            update.Participant_ID = donor.participantId;
+        }
+
+        await trx('Donations')
+            .where({ Donation_ID: donation.Donation_ID })
+            .update(update);
+
+        await updateDonorTotal(trx, update.Participant_ID || donation.Participant_ID);
+
+        return {
+            ok: true,
+            status: 200,
+            donationId: donation.Donation_ID,
+            donationStatus: transition.to,
+            message: `Donation ${transition.to}.`
+        };
+    });
+}
+
+// Ask the provider to refund a completed donation. The donation is marked
+// refunded when the provider's webhook confirms it.
+async function requestRefund(knex, provider, donationId) {
+    const donation = await knex('Donations').where({ Donation_ID: donationId }).first();
+    if (!donation) return fail(404, 'Donation not found.');
+
+    if (donation.DonationStatus !== DONATION_STATUS.COMPLETED) {
+        return fail(400, 'Only completed donations can be refunded.');
+    }
+    if (!donation.DonationProviderRef) {
+        return fail(400, 'This donation was not paid online; refund it outside the site.');
+    }
+    if (!provider) {
+        return fail(400, 'Online payments are turned off; refund this donation outside the site.');
+    }
+    if (donation.DonationProvider !== provider.name) {
+        return fail(400, `This donation was paid through ${donation.DonationProvider}, which is not the current provider.`);
+    }
+
+    await provider.refund({ ref: donation.DonationProviderRef, amount: Number(donation.DonationAmount) });
+
+    return { ok: true, status: 200, message: 'Refund requested; the donation will show as refunded once the provider confirms it.' };
+}
+
+module.exports = {
+    DONATION_STATUS,
+    registerProvider,
+    createPaymentProvider,
+    updateDonorTotal,
+    startCheckout,
+    applyPaymentEvent,
+    requestRefund
+};
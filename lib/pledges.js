@@ -0,0 +1,390 @@
+// lib/pledges.js — recurring pledges and their installments
+//
+// A pledge is PledgeAmount every month, quarter or year from its start date
+// until its end date (or until cancelled). scheduleInstallments(), run by the
+// background scheduler, records an 'expected' PledgeInstallments row for each
+// due date once it arrives; receiveInstallment() turns one into a real
+// Donations row. An installment still expected OVERDUE_AFTER_DAYS after its
+// due date is overdue.
+//
+// Pledges are closed rather than edited, so the history is kept:
+//   cancelPledge()  — 'cancelled', no further installments
+//   changePledge()  — the old pledge ends ('changed') the day before the new
+//                     terms start, and a new pledge points back at it; its
+//                     installments are still recorded until that end date
+//
+// Dates are calendar dates handled as 'YYYY-MM-DD' strings in server local
+// time. Like lib/registrations.js, actions return { ok, status, message, ... }.
+
+const { queueDonationReceipt } = require('./notifications');
+const { DONATION_STATUS, updateDonorTotal } = require('./payments');
+
+// Months between installments
+const FREQUENCIES = {
+    monthly: 1,
+    quarterly: 3,
+    annual: 12
+};
+
+const PLEDGE_STATUS = {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    CHANGED: 'changed'
+};
+
+const INSTALLMENT_STATUS = {
+    EXPECTED: 'expected',
+    RECEIVED: 'received',
+    WAIVED: 'waived'
+};
+
+const OVERDUE_AFTER_DAYS = 7;
+
+function fail(status, message) {
+    return { ok: false, status, message };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' for a Date (local) or a date string; null if empty or invalid
+function dateOnly(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+    const d = new Date(value);
+    if (isNaN(d)) return null;
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Same day `months` later, clamped to the end of shorter months (Jan 31 → Feb 28)
+function addMonths(date, months) {
+    const [y, m, d] = date.split('-').map(Number);
+    const first = new Date(y, m - 1 + months, 1);
+    const last = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    return `${first.getFullYear()}-${pad(first.getMonth() + 1)}-${pad(Math.min(d, last))}`;
+}
+
+function addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    return dateOnly(new Date(y, m - 1, d + days));
+}
+
+// Due dates of a pledge from its start up to and including `through`
+function dueDates(pledge, through) {
+    const start = dateOnly(pledge.PledgeStartDate);
+    const end = dateOnly(pledge.PledgeEndDate);
+    const step = FREQUENCIES[pledge.PledgeFrequency];
+    const last = end && end < through ? end : through;
+
+    const dates = [];
+    for (let i = 0; ; i++) {
+        const date = addMonths(start, i * step);
+        if (date > last) break;
+        dates.push(date);
+    }
+    return dates;
+}
+
+// First due date after `after`, or null once the pledge has ended
+function nextDueDate(pledge, after) {
+    if (pledge.PledgeStatus !== PLEDGE_STATUS.ACTIVE) return null;
+
+    const start = dateOnly(pledge.PledgeStartDate);
+    const end = dateOnly(pledge.PledgeEndDate);
+    const step = FREQUENCIES[pledge.PledgeFrequency];
+
+    for (let i = 0; ; i++) {
+        const date = addMonths(start, i * step);
+        if (end && date > end) return null;
+        if (date > after) return date;
+    }
+}
+
+// Check and normalise pledge terms from a form:
+// { ok, terms } or { ok: false, status: 400, message }
+function readTerms(body = {}) {
+    const amount = Number(body.PledgeAmount);
+    const frequency = body.PledgeFrequency;
+    const start = dateOnly(body.PledgeStartDate);
+    const end = body.PledgeEndDate ? dateOnly(body.PledgeEndDate) : null;
+
+    if (!(amount > 0)) return fail(400, 'Pledge amount must be more than zero.');
+    if (!FREQUENCIES[frequency]) return fail(400, 'Choose monthly, quarterly or annual.');
+    if (!start) return fail(400, 'Choose a start date.');
+    if (body.PledgeEndDate && !end) return fail(400, 'The end date is not a valid date.');
+    if (end && end < start) return fail(400, 'The end date must be on or after the start date.');
+
+    return {
+        ok: true,
+        terms: {
+            PledgeAmount: Math.round(amount * 100) / 100,
+            PledgeFrequency: frequency,
+            PledgeStartDate: start,
+            PledgeEndDate: end
+        }
+    };
+}
+
+// Record expected installments that have come due for one pledge (or every
+// active or changed pledge) and close active pledges whose end date has
+// passed. A changed pledge keeps its old terms until the day before the new
+// ones start, which may still be ahead. Returns how many installments were
+// added.
+async function scheduleInstallments(db, { pledgeId = null, now = new Date() } = {}) {
+    const today = dateOnly(now);
+
+    let query = db('Pledges')
+        .whereIn('PledgeStatus', [PLEDGE_STATUS.ACTIVE, PLEDGE_STATUS.CHANGED])
+        .andWhere('PledgeStartDate', '<=', today);
+    if (pledgeId !== null) query = query.andWhere({ Pledge_ID: pledgeId });
+
+    let added = 0;
+    for (const pledge of await query) {
+        const recorded = new Set((await db('PledgeInstallments')
+            .where({ Pledge_ID: pledge.Pledge_ID })
+            .pluck('InstallmentDueDate')).map(dateOnly));
+
+        const missing = dueDates(pledge, today).filter(date => !recorded.has(date));
+        if (missing.length) {
+            await db('PledgeInstallments').insert(missing.map(date => ({
+                Pledge_ID: pledge.Pledge_ID,
+                InstallmentDueDate: date,
+                InstallmentAmount: pledge.PledgeAmount,
+                InstallmentStatus: INSTALLMENT_STATUS.EXPECTED
+            })));
+            added += missing.length;
+        }
+
+        if (pledge.PledgeStatus === PLEDGE_STATUS.ACTIVE && pledge.PledgeEndDate && dateOnly(pledge.PledgeEndDate) < today) {
+            await db('Pledges')
+                .where({ Pledge_ID: pledge.Pledge_ID })
+                .update({ PledgeStatus: PLEDGE_STATUS.COMPLETED, PledgeClosedAt: now });
+        }
+    }
+    return added;
+}
+
+async function createPledge(knex, participantId, body, now = new Date()) {
+    const read = readTerms(body);
+    if (!read.ok) return read;
+
+    return knex.transaction(async trx => {
+        const [pledge] = await trx('Pledges')
+            .insert({
+                Participant_ID: participantId,
+                ...read.terms,
+                PledgeStatus: PLEDGE_STATUS.ACTIVE
+            })
+            .returning('Pledge_ID');
+
+        await scheduleInstallments(trx, { pledgeId: pledge.Pledge_ID, now });
+
+        return { ok: true, status: 200, pledgeId: pledge.Pledge_ID, message: 'Pledge created.' };
+    });
+}
+
+// Stop a pledge. Installments already due stay as they are.
+async function cancelPledge(knex, pledgeId, now = new Date()) {
+    const pledge = await knex('Pledges').where({ Pledge_ID: pledgeId }).first();
+    if (!pledge) return fail(404, 'Pledge not found.');
+    if (pledge.PledgeStatus !== PLEDGE_STATUS.ACTIVE) return fail(400, 'Only active pledges can be cancelled.');
+
+    const today = dateOnly(now);
+    const end = dateOnly(pledge.PledgeEndDate);
+
+    await knex('Pledges')
+        .where({ Pledge_ID: pledgeId })
+        .update({
+            PledgeStatus: PLEDGE_STATUS.CANCELLED,
+            PledgeEndDate: end && end < today ? end : today,
+            PledgeClosedAt: now
+        });
+
+    return { ok: true, status: 200, message: 'Pledge cancelled.' };
+}
+
+// New terms from their start date on, which must come after the last
+// installment already received. The old pledge ends the day before; any of
+// its installments still expected from then on are waived.
+async function changePledge(knex, pledgeId, body, now = new Date()) {
+    const read = readTerms(body);
+    if (!read.ok) return read;
+
+    return knex.transaction(async trx => {
+        const pledge = await trx('Pledges').where({ Pledge_ID: pledgeId }).forUpdate().first();
+        if (!pledge) return fail(404, 'Pledge not found.');
+        if (pledge.PledgeStatus !== PLEDGE_STATUS.ACTIVE) return fail(400, 'Only active pledges can be changed.');
+
+        const start = read.terms.PledgeStartDate;
+        if (start <= dateOnly(pledge.PledgeStartDate)) {
+            return fail(400, 'The new terms must start after the current pledge started.');
+        }
+
+        // Received installments stay with the old pledge, so the new schedule
+        // can't start early enough to ask for the same period again
+        const lastReceived = (await trx('PledgeInstallments')
+            .where({ Pledge_ID: pledgeId, InstallmentStatus: INSTALLMENT_STATUS.RECEIVED })
+            .select('InstallmentDueDate'))
+            .map(i => dateOnly(i.InstallmentDueDate))
+            .sort()
+            .pop();
+        if (lastReceived && start <= lastReceived) {
+            return fail(400, `The installment due ${lastReceived} has already been received; the new terms must start after it.`);
+        }
+
+        await trx('Pledges')
+            .where({ Pledge_ID: pledgeId })
+            .update({
+                PledgeStatus: PLEDGE_STATUS.CHANGED,
+                PledgeEndDate: addDays(start, -1),
+                PledgeClosedAt: now
+            });
+
+        await trx('PledgeInstallments')
+            .where({ Pledge_ID: pledgeId, InstallmentStatus: INSTALLMENT_STATUS.EXPECTED })
+            .andWhere('InstallmentDueDate', '>=', start)
+            .update({ InstallmentStatus: INSTALLMENT_STATUS.WAIVED });
+
+        const [created] = await trx('Pledges')
+            .insert({
+                Participant_ID: pledge.Participant_ID,
+                ...read.terms,
+                PledgeStatus: PLEDGE_STATUS.ACTIVE,
+                PledgeReplaces_ID: pledgeId
+            })
+            .returning('Pledge_ID');
+
+        await scheduleInstallments(trx, { pledgeId: created.Pledge_ID, now });
+
+        return { ok: true, status: 200, pledgeId: created.Pledge_ID, message: 'Pledge changed.' };
+    });
+}
+
+// Mark an installment received: records the gift in Donations (amount and
+// date default to the installment's) and emails the donor a receipt
+async function receiveInstallment(knex, installmentId, { amount, date } = {}) {
+    return knex.transaction(async trx => {
+        const installment = await trx('PledgeInstallments as i')
+            .join('Pledges as p', 'i.Pledge_ID', 'p.Pledge_ID')
+            .where('i.PledgeInstallment_ID', installmentId)
+            .forUpdate()
+            .first('i.*', 'p.Participant_ID');
+
+        if (!installment) return fail(404, 'Installment not found.');
+        if (installment.InstallmentStatus !== INSTALLMENT_STATUS.EXPECTED) {
+            return fail(400, 'This installment is not waiting to be received.');
+        }
+
+        const received = amount === undefined || amount === '' ? Number(installment.InstallmentAmount) : Number(amount);
+        if (!(received > 0)) return fail(400, 'Amount received must be more than zero.');
+
+        const [donation] = await trx('Donations')
+            .insert({
+                Participant_ID: installment.Participant_ID,
+                DonationAmount: received,
+                DonationDate: dateOnly(date) || dateOnly(new Date()),
+                DonationStatus: DONATION_STATUS.COMPLETED
+            })
+            .returning('Donation_ID');
+
+        await updateDonorTotal(trx, installment.Participant_ID);
+
+        await trx('PledgeInstallments')
+            .where({ PledgeInstallment_ID: installmentId })
+            .update({
+                InstallmentStatus: INSTALLMENT_STATUS.RECEIVED,
+                Donation_ID: donation.Donation_ID,
+                InstallmentReceivedAt: new Date()
+            });
+
+        await queueDonationReceipt(trx, donation.Donation_ID);
+
+        return { ok: true, status: 200, donationId: donation.Donation_ID, pledgeId: installment.Pledge_ID, message: 'Installment received.' };
+    });
+}
+
+// Forgive an expected installment (e.g. the donor skipped a month)
+async function waiveInstallment(knex, installmentId) {
+    const updated = await knex('PledgeInstallments')
+        .where({ PledgeInstallment_ID: installmentId, InstallmentStatus: INSTALLMENT_STATUS.EXPECTED })
+        .update({ InstallmentStatus: INSTALLMENT_STATUS.WAIVED });
+
+    return updated ?
+        { ok: true, status: 200, message: 'Installment waived.' } :
+        fail(400, 'This installment is not waiting to be received.');
+}
+
+function isOverdue(installment, now = new Date()) {
+    return installment.InstallmentStatus === INSTALLMENT_STATUS.EXPECTED &&
+        dateOnly(installment.InstallmentDueDate) < addDays(dateOnly(now), -OVERDUE_AFTER_DAYS);
+}
+
+// Fulfilment figures for a pledge from its installments:
+// { scheduled, received, outstanding, overdue, overdueAmount, fulfilment, nextDue }
+// `fulfilment` is received ÷ scheduled (null before anything is due).
+function summarizePledge(pledge, installments, now = new Date()) {
+    const sum = rows => rows.reduce((s, i) => s + Number(i.InstallmentAmount || 0), 0);
+
+    const counted = installments.filter(i => i.InstallmentStatus !== INSTALLMENT_STATUS.WAIVED);
+    const received = counted.filter(i => i.InstallmentStatus === INSTALLMENT_STATUS.RECEIVED);
+    const outstanding = counted.filter(i => i.InstallmentStatus === INSTALLMENT_STATUS.EXPECTED);
+    const overdue = outstanding.filter(i => isOverdue(i, now));
+
+    const scheduled = sum(counted);
+
+    return {
+        scheduled,
+        received: sum(received),
+        outstanding: sum(outstanding),
+        overdue: overdue.length,
+        overdueAmount: sum(overdue),
+        fulfilment: scheduled ? sum(received) / scheduled : null,
+        nextDue: nextDueDate(pledge, dateOnly(now))
+    };
+}
+
+// Pledges with donor names and a `summary`, newest first. Filters:
+// participantId, status (a PLEDGE_STATUS value) or overdue: true.
+async function listPledges(db, { participantId = null, status = null, overdue = false, now = new Date() } = {}) {
+    let query = db('Pledges as pl')
+        .join('Participants as p', 'pl.Participant_ID', 'p.Participant_ID')
+        .select('pl.*', 'p.ParticipantFirstName', 'p.ParticipantLastName', 'p.ParticipantEmail')
+        .orderBy('pl.PledgeCreatedAt', 'desc')
+        .orderBy('pl.Pledge_ID', 'desc');
+
+    if (participantId !== null) query = query.where('pl.Participant_ID', participantId);
+    if (status) query = query.where('pl.PledgeStatus', status);
+
+    const pledges = await query;
+    if (!pledges.length) return [];
+
+    const installments = await db('PledgeInstallments').whereIn('Pledge_ID', pledges.map(p => p.Pledge_ID));
+    const byPledge = new Map(pledges.map(p => [p.Pledge_ID, []]));
+    installments.forEach(i => byPledge.get(i.Pledge_ID).push(i));
+
+    return pledges
+        .map(p => ({ ...p, summary: summarizePledge(p, byPledge.get(p.Pledge_ID), now) }))
+        .filter(p => !overdue || p.summary.overdue > 0);
+}
+
+module.exports = {
+    FREQUENCIES,
+    PLEDGE_STATUS,
+    INSTALLMENT_STATUS,
+    OVERDUE_AFTER_DAYS,
+    dateOnly,
+    addMonths,
+    dueDates,
+    isOverdue,
+    summarizePledge,
+    listPledges,
+    scheduleInstallments,
+    createPledge,
+    cancelPledge,
+    changePledge,
+    receiveInstallment,
+    waiveInstallment
+};
@@ -0,0 +1,258 @@
+// lib/questions.js — survey question sets built per event template
+//
+// A question is { id, order, type, text, required, options, legacyField }:
+//   type         likert (1–5) | choice (one of `options`) | text
+//   legacyField  which Surveys column the answer also fills in, so the
+//                original reports keep working: satisfaction, usefulness,
+//                instructor, recommendation (likert only) or comments (text)
+// Templates without a set of their own get DEFAULT_QUESTIONS — the original
+// hard-coded survey — as version 1 the first time a survey is opened.
+// Sets are immutable; saveQuestionSet() adds a new version instead.
+
+const { scoreSurvey } = require('./surveys');
+
+const QUESTION_TYPES = ['likert', 'choice', 'text'];
+
+const LIKERT_SCALE = [1, 2, 3, 4, 5];
+
+const LEGACY_FIELDS = {
+    satisfaction: { column: 'SurveySatisfaction', type: 'likert', label: 'Satisfaction score' },
+    usefulness: { column: 'SurveyUsefulnessScore', type: 'likert', label: 'Usefulness score' },
+    instructor: { column: 'SurveyInstructorScore', type: 'likert', label: 'Instructor score' },
+    recommendation: { column: 'SurveyRecommendationScore', type: 'likert', label: 'Recommendation score (NPS)' },
+    comments: { column: 'SurveyComments', type: 'text', label: 'Comments' }
+};
+
+const MAX_ANSWER_LENGTH = 2000;
+
+const DEFAULT_QUESTIONS = [
+    { type: 'likert', text: 'How satisfied were you with this event?', required: true, legacyField: 'satisfaction' },
+    { type: 'likert', text: 'How useful was this event to you?', required: true, legacyField: 'usefulness' },
+    { type: 'likert', text: 'How would you rate the instructor?', required: true, legacyField: 'instructor' },
+    { type: 'likert', text: 'How likely are you to recommend this event to a friend?', required: true, legacyField: 'recommendation' },
+    { type: 'text', text: 'Comments', required: false, legacyField: 'comments' }
+];
+
+function fromRow(row) {
+    return {
+        id: row.SurveyQuestion_ID,
+        order: row.SurveyQuestionOrder,
+        type: row.SurveyQuestionType,
+        text: row.SurveyQuestionText,
+        required: Boolean(row.SurveyQuestionRequired),
+        options: row.SurveyQuestionOptions ? JSON.parse(row.SurveyQuestionOptions) : [],
+        legacyField: row.SurveyQuestionLegacyField || null
+    };
+}
+
+// The set row plus its questions in order, or null
+async function loadQuestionSet(db, setId) {
+    const set = await db('SurveyQuestionSets').where({ SurveyQuestionSet_ID: setId }).first();
+    if (!set) return null;
+
+    const rows = await db('SurveyQuestions')
+        .where({ SurveyQuestionSet_ID: setId })
+        .orderBy('SurveyQuestionOrder', 'asc');
+
+    return { ...set, questions: rows.map(fromRow) };
+}
+
+// Latest version for a template, or null if it has never had one
+async function currentQuestionSet(db, eventId) {
+    const set = await db('SurveyQuestionSets')
+        .where({ Event_ID: eventId })
+        .orderBy('SurveyQuestionSetVersion', 'desc')
+        .first();
+
+    return set ? loadQuestionSet(db, set.SurveyQuestionSet_ID) : null;
+}
+
+async function insertQuestionSet(db, eventId, version, questions) {
+    const [inserted] = await db('SurveyQuestionSets')
+        .insert({ Event_ID: eventId, SurveyQuestionSetVersion: version })
+        .returning('SurveyQuestionSet_ID');
+    const setId = inserted.SurveyQuestionSet_ID;
+
+    await db('SurveyQuestions').insert(questions.map((q, i) => ({
+        SurveyQuestionSet_ID: setId,
+        SurveyQuestionOrder: i + 1,
+        SurveyQuestionType: q.type,
+        SurveyQuestionText: q.text,
+        SurveyQuestionRequired: Boolean(q.required),
+        SurveyQuestionOptions: q.type === 'choice' ? JSON.stringify(q.options) : null,
+        SurveyQuestionLegacyField: q.legacyField || null
+    })));
+
+    return loadQuestionSet(db, setId);
+}
+
+// Current set for a template, creating version 1 from the defaults if needed
+async function ensureQuestionSet(knex, eventId) {
+    const current = await currentQuestionSet(knex, eventId);
+    if (current) return current;
+
+    return knex.transaction(async trx => {
+        // Another request may have just created it
+        const created = await currentQuestionSet(trx, eventId);
+        return created || insertQuestionSet(trx, eventId, 1, DEFAULT_QUESTIONS);
+    });
+}
+
+// Check and tidy questions posted from the builder. Rows with no text are
+// dropped. Returns { questions, errors }.
+function normalizeQuestions(input) {
+    const rows = Array.isArray(input) ? input : Object.values(input || {});
+    const errors = [];
+    const usedLegacy = new Set();
+
+    const questions = rows
+        .filter(row => row && String(row.text || '').trim())
+        .map((row, i) => {
+            const n = i + 1;
+            const type = QUESTION_TYPES.includes(row.type) ? row.type : 'likert';
+            const options = type === 'choice' ?
+                [...new Set(String(row.options || '').split(/\r?\n/).map(o => o.trim()).filter(Boolean))] :
+                [];
+            const legacyField = LEGACY_FIELDS[row.legacyField] ? row.legacyField : null;
+
+            if (type === 'choice' && options.length < 2) {
+                errors.push(`Question ${n}: multiple choice needs at least two options (one per line).`);
+            }
+            if (legacyField) {
+                if (LEGACY_FIELDS[legacyField].type !== type) {
+                    errors.push(`Question ${n}: only ${LEGACY_FIELDS[legacyField].type} questions can fill in "${LEGACY_FIELDS[legacyField].label}".`);
+                }
+                if (usedLegacy.has(legacyField)) {
+                    errors.push(`Question ${n}: "${LEGACY_FIELDS[legacyField].label}" is already filled in by another question.`);
+                }
+                usedLegacy.add(legacyField);
+            }
+
+            return {
+                type,
+                text: String(row.text).trim(),
+                required: row.required === 'on' || row.required === 'true' || row.required === true,
+                options,
+                legacyField
+            };
+        });
+
+    if (!questions.length) errors.push('Add at least one question.');
+
+    return { questions, errors };
+}
+
+function sameQuestions(a, b) {
+    const strip = qs => JSON.stringify(qs.map(q => [q.type, q.text, q.required, q.options, q.legacyField]));
+    return strip(a) === strip(b);
+}
+
+// Save the builder's questions as the template's next version. Returns
+// { set, created }; created is false when nothing changed.
+async function saveQuestionSet(knex, eventId, questions) {
+    return knex.transaction(async trx => {
+        const current = await currentQuestionSet(trx, eventId);
+
+        if (current && sameQuestions(current.questions, questions)) {
+            return { set: current, created: false };
+        }
+
+        const version = current ? current.SurveyQuestionSetVersion + 1 : 1;
+        return { set: await insertQuestionSet(trx, eventId, version, questions), created: true };
+    });
+}
+
+// Check the answers posted from a survey form (answers[q<id>] = value).
+// Returns { values, errors, entered } where values maps question id → valid
+// answer (unanswered optional questions are left out), errors maps question
+// id → message, and entered is everything as typed, for re-showing the form.
+function readAnswers(questions, posted = {}) {
+    const values = {};
+    const errors = {};
+    const entered = {};
+
+    for (const q of questions) {
+        const raw = posted[`q${q.id}`];
+        const value = String(Array.isArray(raw) ? raw[0] : raw ?? '').trim();
+        entered[q.id] = value;
+
+        if (!value) {
+            if (q.required) errors[q.id] = 'This question is required.';
+            continue;
+        }
+
+        if (q.type === 'likert' && !LIKERT_SCALE.includes(Number(value))) {
+            errors[q.id] = 'Choose a score from 1 to 5.';
+        } else if (q.type === 'choice' && !q.options.includes(value)) {
+            errors[q.id] = 'Choose one of the options.';
+        } else if (value.length > MAX_ANSWER_LENGTH) {
+            errors[q.id] = `Keep answers under ${MAX_ANSWER_LENGTH} characters.`;
+        } else {
+            values[q.id] = value;
+        }
+    }
+
+    return { values, errors, entered };
+}
+
+// Surveys columns (legacy scores, overall score, NPS bucket, comments)
+// derived from answers to the mapped questions
+function legacyColumns(questions, values) {
+    const mapped = {};
+    for (const q of questions) {
+        if (q.legacyField && values[q.id] !== undefined) mapped[q.legacyField] = values[q.id];
+    }
+
+    return {
+        ...scoreSurvey(mapped),
+        SurveyComments: mapped.comments ?? null
+    };
+}
+
+// Stored answers for one survey as { question id → value }
+async function loadAnswers(db, { Participant_ID, Event_ID, EventDateTimeStart }) {
+    const rows = await db('SurveyAnswers').where({ Participant_ID, Event_ID, EventDateTimeStart });
+    return Object.fromEntries(rows.map(r => [r.SurveyQuestion_ID, r.SurveyAnswerValue]));
+}
+
+// Replace one survey's answers
+async function saveAnswers(db, key, values) {
+    await db('SurveyAnswers').where(key).del();
+
+    const rows = Object.entries(values).map(([id, value]) => ({
+        ...key,
+        SurveyQuestion_ID: Number(id),
+        SurveyAnswerValue: value
+    }));
+    if (rows.length) await db('SurveyAnswers').insert(rows);
+}
+
+// Store a new survey (legacy columns plus per-question answers) in one transaction
+async function recordSurvey(knex, key, questionSet, values) {
+    await knex.transaction(async trx => {
+        await trx('Surveys').insert({
+            ...key,
+            ...legacyColumns(questionSet.questions, values),
+            SurveyQuestionSet_ID: questionSet.SurveyQuestionSet_ID,
+            SurveySubmissionDate: trx.fn.now()
+        });
+        await saveAnswers(trx, key, values);
+    });
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    LIKERT_SCALE,
+    LEGACY_FIELDS,
+    DEFAULT_QUESTIONS,
+    loadQuestionSet,
+    currentQuestionSet,
+    ensureQuestionSet,
+    normalizeQuestions,
+    saveQuestionSet,
+    readAnswers,
+    legacyColumns,
+    loadAnswers,
+    saveAnswers,
+    recordSurvey
+};
@@ -0,0 +1,298 @@
+// lib/receipts.js — donation receipts and year-end giving statements (PDF)
+//
+// Every completed donation has a receipt numbered from its Donation_ID
+// (ER-000123), so the number never changes even if the donation is edited.
+// A giving statement lists one participant's donations for a calendar year.
+// Pending, failed and refunded payments (lib/payments.js) get neither.
+//
+// Visitors who give through /donate-public have no login, so their receipt
+// link is signed instead: /receipts/<Donation_ID>.<signature>.pdf
+// Signed with RECEIPT_LINK_SECRET (falls back to SESSION_SECRET); with neither
+// set the app refuses to start, since anyone could forge a link.
+//
+// The organisation details printed on every PDF come from ORG_NAME,
+// ORG_ADDRESS (lines separated by "|") and ORG_EIN.
+
+const crypto = require('crypto');
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { inBatches } = require('./export');
+const { DONATION_STATUS } = require('./payments');
+
+function org() {
+    return {
+        name: process.env.ORG_NAME || 'Ella Rises',
+        address: (process.env.ORG_ADDRESS || '').split('|').map(s => s.trim()).filter(Boolean),
+        ein: process.env.ORG_EIN || ''
+    };
+}
+
+function receiptNumber(donationId) {
+    return `ER-${String(donationId).padStart(6, '0')}`;
+}
+
+// ===== Signed receipt links =====
+function receiptLinkSecret() {
+    const secret = process.env.RECEIPT_LINK_SECRET || process.env.SESSION_SECRET;
+    if (!secret) throw new Error('Receipt links need RECEIPT_LINK_SECRET (or SESSION_SECRET) to be signed');
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', receiptLinkSecret())
+        .update(`receipt:${payload}`) // never interchangeable with other signed codes
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+function createReceiptToken(donationId) {
+    return `${donationId}.${sign(String(donationId))}`;
+}
+
+// Donation_ID from a token, or null if it's malformed or the signature is wrong
+function readReceiptToken(token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 2 || !/^\d+$/.test(parts[0])) return null;
+
+    const expected = Buffer.from(sign(parts[0]));
+    const given = Buffer.from(parts[1]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    return Number(parts[0]);
+}
+
+function receiptLinkPath(donationId) {
+    return `/receipts/${createReceiptToken(donationId)}.pdf`;
+}
+
+// ===== Data =====
+
+// One completed donation with the donor's details, or undefined
+function loadDonation(db, donationId) {
+    return db('Donations as d')
+        .leftJoin('Participants as p', 'd.Participant_ID', 'p.Participant_ID')
+        .where('d.Donation_ID', donationId)
+        .andWhere('d.DonationStatus', DONATION_STATUS.COMPLETED)
+        .first(
+            'd.*',
+            'p.ParticipantFirstName',
+            'p.ParticipantLastName',
+            'p.ParticipantEmail',
+            'p.ParticipantCity',
+            'p.ParticipantState',
+            'p.ParticipantZIP'
+        );
+}
+
+function yearRange(year) {
+    return [`${year}-01-01`, `${year}-12-31`];
+}
+
+// A participant's donations in a calendar year, oldest first
+function donationsForYear(db, participantId, year) {
+    return db('Donations')
+        .where({ Participant_ID: participantId, DonationStatus: DONATION_STATUS.COMPLETED })
+        .whereBetween('DonationDate', yearRange(year))
+        .orderBy('DonationDate', 'asc')
+        .orderBy('Donation_ID', 'asc');
+}
+
+// Years (newest first) in which a participant, or anyone if participantId
+// is null, has donated
+async function donationYears(db, participantId = null) {
+    let query = db('Donations').where({ DonationStatus: DONATION_STATUS.COMPLETED }).select('DonationDate');
+    if (participantId !== null) query = query.where({ Participant_ID: participantId });
+
+    const years = new Set((await query).map(d => new Date(d.DonationDate).getFullYear()));
+    return [...years].sort((a, b) => b - a);
+}
+
+// { donor, donations } for every participant who gave in the year, read a
+// page at a time
+async function* statementsForYear(db, year) {
+    const query = db('Donations as d')
+        .join('Participants as p', 'd.Participant_ID', 'p.Participant_ID')
+        .whereBetween('d.DonationDate', yearRange(year))
+        .andWhere('d.DonationStatus', DONATION_STATUS.COMPLETED)
+        .orderBy('d.Participant_ID', 'asc')
+        .orderBy('d.DonationDate', 'asc')
+        .orderBy('d.Donation_ID', 'asc')
+        .select('d.*', 'p.ParticipantFirstName', 'p.ParticipantLastName', 'p.ParticipantEmail',
+            'p.ParticipantCity', 'p.ParticipantState', 'p.ParticipantZIP');
+
+    let current = null;
+    for await (const row of inBatches(query)) {
+        if (current && current.donor.Participant_ID !== row.Participant_ID) {
+            yield current;
+            current = null;
+        }
+        if (!current) current = { donor: row, donations: [] };
+        current.donations.push(row);
+    }
+    if (current) yield current;
+}
+
+// ===== PDF =====
+function money(amount) {
+    return `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function longDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function donorName(donor) {
+    return [donor.ParticipantFirstName, donor.ParticipantLastName].filter(Boolean).join(' ') || 'Anonymous donor';
+}
+
+function donorLines(donor) {
+    const place = [donor.ParticipantCity, donor.ParticipantState]
+        .filter(s => s && s !== 'N/A')
+        .join(', ');
+    const zip = donor.ParticipantZIP && donor.ParticipantZIP !== '00000' ? donor.ParticipantZIP : '';
+
+    return [donorName(donor), [place, zip].filter(Boolean).join(' '), donor.ParticipantEmail].filter(Boolean);
+}
+
+function header(doc, title) {
+    const { name, address } = org();
+
+    doc.fontSize(20).font('Helvetica-Bold').text(name);
+    doc.fontSize(10).font('Helvetica');
+    address.forEach(line => doc.text(line));
+    doc.moveDown(1.5);
+    doc.fontSize(16).font('Helvetica-Bold').text(title);
+    doc.moveDown();
+    doc.fontSize(11).font('Helvetica');
+}
+
+function taxNote(doc) {
+    const { name, ein } = org();
+
+    doc.moveDown(2);
+    doc.fontSize(9).font('Helvetica')
+        .text('No goods or services were provided in exchange for these contributions.')
+        .text(ein ?
+            `${name} is a tax-exempt organization under section 501(c)(3) of the Internal Revenue Code (EIN ${ein}).` :
+            'Please keep this document for your tax records.');
+}
+
+function newDocument(title) {
+    return new PDFDocument({ size: 'LETTER', margin: 60, info: { Title: title, Author: org().name } });
+}
+
+// Receipt for one donation (as returned by loadDonation). The document is
+// finished and ready to pipe.
+function receiptPdf(donation) {
+    const number = receiptNumber(donation.Donation_ID);
+    const doc = newDocument(`Donation receipt ${number}`);
+
+    header(doc, 'Donation Receipt');
+
+    doc.text(`Receipt number: ${number}`);
+    doc.text(`Issued: ${longDate(new Date())}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Donor');
+    doc.font('Helvetica');
+    donorLines(donation).forEach(line => doc.text(line));
+    doc.moveDown();
+
+    doc.text(`Date of gift: ${longDate(donation.DonationDate)}`);
+    doc.font('Helvetica-Bold').text(`Amount: ${money(donation.DonationAmount)}`);
+    doc.font('Helvetica');
+
+    doc.moveDown();
+    doc.text(`Thank you for supporting ${org().name}.`);
+    taxNote(doc);
+
+    doc.end();
+    return doc;
+}
+
+// Year-end statement for one donor; `donations` come from donationsForYear()
+function statementPdf({ donor, year, donations }) {
+    const doc = newDocument(`${year} giving statement — ${donorName(donor)}`);
+    const total = donations.reduce((s, d) => s + Number(d.DonationAmount || 0), 0);
+
+    header(doc, `${year} Giving Statement`);
+
+    donorLines(donor).forEach(line => doc.text(line));
+    doc.moveDown();
+    doc.text(`Donations received from January 1 to December 31, ${year}.`);
+    doc.moveDown();
+
+    const columns = [doc.page.margins.left, doc.page.margins.left + 200, doc.page.margins.left + 340];
+    const row = (cells, bold) => {
+        // Start a new page before a row rather than splitting it across two
+        if (doc.y + 20 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        cells.forEach((text, i) => doc.text(text, columns[i], y, { width: 140, align: i === 2 ? 'right' : 'left' }));
+        doc.x = columns[0];
+        doc.moveDown(0.3);
+    };
+
+    row(['Date', 'Receipt', 'Amount'], true);
+    donations.forEach(d => row([longDate(d.DonationDate), receiptNumber(d.Donation_ID), money(d.DonationAmount)]));
+    doc.moveDown(0.5);
+    row([`Total (${donations.length} gift${donations.length === 1 ? '' : 's'})`, '', money(total)], true);
+
+    taxNote(doc);
+
+    doc.end();
+    return doc;
+}
+
+function sendPdf(res, doc, filename) {
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(filename);
+    doc.pipe(res);
+}
+
+function statementFilename(donor, year) {
+    const name = String(donor.ParticipantLastName || 'donor').replace(/[^a-z0-9]+/gi, '-');
+    return `giving-statement-${year}-${String(donor.Participant_ID).padStart(6, '0')}-${name}.pdf`;
+}
+
+// Zip of every donor's statement for the year, built one PDF at a time.
+// Returns the number of statements.
+async function sendStatementsZip(db, res, year) {
+    const archive = archiver('zip');
+    let count = 0;
+
+    res.set('Content-Type', 'application/zip');
+    res.attachment(`giving-statements-${year}.zip`);
+    archive.pipe(res);
+
+    try {
+        for await (const { donor, donations } of statementsForYear(db, year)) {
+            archive.append(statementPdf({ donor, year, donations }), { name: statementFilename(donor, year) });
+            await once(archive, 'entry');
+            count++;
+        }
+        await archive.finalize();
+    } catch (err) {
+        archive.abort();
+        res.destroy(err);
+        throw err;
+    }
+    return count;
+}
+
+module.exports = {
+    receiptNumber,
+    receiptLinkSecret,
+    createReceiptToken,
+    readReceiptToken,
+    receiptLinkPath,
+    loadDonation,
+    donationsForYear,
+    donationYears,
+    receiptPdf,
+    statementPdf,
+    statementFilename,
+    sendPdf,
+    sendStatementsZip
+};
@@ -0,0 +1,111 @@
+// lib/recurrence.js — expand EventTemplates.EventRecurrencePattern into dates
+//
+// Supported patterns (case-insensitive, as stored on the template or picked on
+// /events/add):
+//   None       a single occurrence
+//   Daily      every day
+//   Weekly     every 7 days
+//   Biweekly   every 14 days
+//   Monthly    same weekday and week of the month as the first date
+//              (e.g. "2nd Tuesday"); a 5th weekday becomes "last weekday"
+//   MonthlyDate  same day of the month (skips months that are too short)
+// Dates are stepped in server local time so a 5pm class stays at 5pm across
+// daylight-saving changes.
+
+const PATTERNS = ['None', 'Daily', 'Weekly', 'Biweekly', 'Monthly', 'MonthlyDate'];
+
+// Upper bound on a single series so a typo can't create thousands of rows
+const MAX_OCCURRENCES = 104;
+
+function normalizePattern(pattern) {
+    const key = String(pattern || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+    return PATTERNS.find(p => p.toLowerCase() === key) || 'None';
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+// nth (1–4) or last (-1) weekday of the month that `date` falls in
+function weekOfMonth(date) {
+    const n = Math.ceil(date.getDate() / 7);
+    return n >= 5 ? -1 : n;
+}
+
+function nthWeekday(year, month, weekday, n, like) {
+    const d = new Date(like);
+    if (n === -1) {
+        d.setFullYear(year, month + 1, 0); // last day of the month
+        d.setDate(d.getDate() - ((d.getDay() - weekday + 7) % 7));
+    } else {
+        d.setFullYear(year, month, 1);
+        d.setDate(1 + ((weekday - d.getDay() + 7) % 7) + (n - 1) * 7);
+    }
+    return d;
+}
+
+// The i-th date of a series starting at `start` (i = 0 is `start` itself)
+function nthDate(pattern, start, i) {
+    switch (pattern) {
+    case 'Daily':
+        return addDays(start, i);
+    case 'Weekly':
+        return addDays(start, 7 * i);
+    case 'Biweekly':
+        return addDays(start, 14 * i);
+    case 'Monthly':
+        return nthWeekday(start.getFullYear(), start.getMonth() + i, start.getDay(), weekOfMonth(start), start);
+    case 'MonthlyDate': {
+        const d = new Date(start);
+        d.setFullYear(start.getFullYear(), start.getMonth() + i, 1);
+        const month = d.getMonth();
+        d.setDate(start.getDate());
+        return d.getMonth() === month ? d : null;
+    }
+    default:
+        return i === 0 ? new Date(start) : null;
+    }
+}
+
+// Expand a series into start dates.
+// Stops at `count` occurrences or the end of the `until` day, whichever comes
+// first; with neither, only the first date is returned.
+function expandSeries({ pattern, start, until, count }) {
+    const rule = normalizePattern(pattern);
+    const first = new Date(start);
+    if (isNaN(first)) throw new Error('A valid start date is required');
+
+    let last = null;
+    if (until) {
+        last = new Date(until);
+        if (isNaN(last)) throw new Error('Invalid end date');
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(until))) {
+            last = new Date(`${until}T23:59:59.999`); // whole end day
+        }
+    }
+
+    let limit = count ? parseInt(count, 10) : (last ? MAX_OCCURRENCES : 1);
+    if (!(limit > 0)) throw new Error('Number of occurrences must be at least 1');
+    limit = Math.min(limit, MAX_OCCURRENCES);
+
+    if (rule === 'None') return [first];
+
+    const dates = [];
+    // MonthlyDate can skip months, so allow a few extra steps
+    for (let i = 0; dates.length < limit && i < MAX_OCCURRENCES * 2; i++) {
+        const d = nthDate(rule, first, i);
+        if (!d) continue;
+        if (last && d > last) break;
+        dates.push(d);
+    }
+    return dates;
+}
+
+module.exports = {
+    PATTERNS,
+    MAX_OCCURRENCES,
+    normalizePattern,
+    expandSeries
+};
@@ -0,0 +1,150 @@
+// lib/registrations.js — signing up for and cancelling an event occurrence
+//
+// Shared by the admin /register and /registration/.../delete routes and the
+// participant register/cancel buttons on /events_user. Both run in one
+// transaction under the occurrence lock (see lib/seats.js) and return a
+// result object instead of touching req/res:
+//   { ok, status, message, ... }
+// `status` is the HTTP status a plain-text endpoint should answer with.
+
+const { lockOccurrence, syncRegisteredCount } = require('./seats');
+const {
+    REGISTERED,
+    WAITLISTED,
+    nextWaitlistPosition,
+    compactWaitlist,
+    promoteWaitlisted
+} = require('./waitlist');
+const { queueRegistrationConfirmed } = require('./notifications');
+
+const DEFAULT_CUTOFF_HOURS = 24;
+
+// CANCELLATION_CUTOFF_HOURS as a number of hours; anything unset, blank,
+// negative or not a number falls back to the default
+function cutoffHours(value) {
+    if (value === undefined || String(value).trim() === '') return DEFAULT_CUTOFF_HOURS;
+
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours < 0) {
+        console.warn(`Ignoring CANCELLATION_CUTOFF_HOURS=${value}; using ${DEFAULT_CUTOFF_HOURS} hours.`);
+        return DEFAULT_CUTOFF_HOURS;
+    }
+    return hours;
+}
+
+// Participants can cancel a seat until this long before the event starts.
+// CANCELLATION_CUTOFF_HOURS=0 allows cancelling right up to the start.
+const CANCELLATION_CUTOFF_MS = cutoffHours(process.env.CANCELLATION_CUTOFF_HOURS) * 60 * 60 * 1000;
+
+function fail(status, message) {
+    return { ok: false, status, message };
+}
+
+// Whether a seat holder may still cancel (waitlist spots can always be given up)
+function canCancel(registration, occurrence, now = new Date()) {
+    if (!registration) return false;
+    if (registration.RegistrationStatus === WAITLISTED) return true;
+    return new Date(occurrence.EventDateTimeStart).getTime() - now.getTime() >= CANCELLATION_CUTOFF_MS;
+}
+
+// Register a participant, or waitlist them if the occurrence is full.
+// Result adds `waitlisted` and `position` on success.
+async function registerParticipant(knex, participantId, key) {
+    return knex.transaction(async trx => {
+        const event = await lockOccurrence(trx, key);
+
+        if (!event) return fail(404, 'Event occurrence not found');
+
+        const now = new Date();
+
+        if (new Date(event.EventDateTimeStart) <= now) {
+            return fail(400, 'This event has already started');
+        }
+
+        if (event.EventRegistrationDeadline && now > new Date(event.EventRegistrationDeadline)) {
+            return fail(400, 'Registration deadline has passed');
+        }
+
+        const existing = await trx('Registration')
+            .where({ Participant_ID: participantId, ...key })
+            .first();
+
+        if (existing) return fail(400, 'Already registered for this event');
+
+        // Full → join the waitlist instead; promoted automatically when a seat frees up
+        if (await syncRegisteredCount(trx, key) >= event.EventCapacity) {
+            const position = await nextWaitlistPosition(trx, key);
+
+            await trx('Registration').insert({
+                Participant_ID: participantId,
+                ...key,
+                RegistrationStatus: WAITLISTED,
+                RegistrationWaitlistPosition: position,
+                RegistrationAttendedFlag: 'F'
+            });
+
+            await queueRegistrationConfirmed(trx, { participantId, key, waitlisted: true, position });
+
+            return {
+                ok: true,
+                status: 200,
+                waitlisted: true,
+                position,
+                message: `Event is full — you are #${position} on the waitlist`
+            };
+        }
+
+        await trx('Registration').insert({
+            Participant_ID: participantId,
+            ...key,
+            RegistrationStatus: REGISTERED,
+            RegistrationAttendedFlag: 'F'
+        });
+
+        await syncRegisteredCount(trx, key);
+        await queueRegistrationConfirmed(trx, { participantId, key, waitlisted: false });
+
+        return { ok: true, status: 200, waitlisted: false, message: 'Registration successful' };
+    });
+}
+
+// Remove a registration and fill the freed seat from the waitlist.
+// Participants are held to the cancellation cutoff; pass { enforceCutoff: false }
+// for admins. Result adds `promoted` (already queued their emails) on success.
+async function cancelRegistration(knex, participantId, key, { enforceCutoff = true } = {}) {
+    return knex.transaction(async trx => {
+        const event = await lockOccurrence(trx, key);
+
+        const registration = await trx('Registration')
+            .where({ Participant_ID: participantId, ...key })
+            .first();
+
+        if (!event || !registration) return fail(404, 'Registration not found.');
+
+        if (enforceCutoff && !canCancel(registration, event)) {
+            return fail(400, 'It is too late to cancel this registration online. Please contact Ella Rises.');
+        }
+
+        await trx('Registration')
+            .where({ Participant_ID: participantId, ...key })
+            .del();
+
+        if (registration.RegistrationStatus === WAITLISTED) {
+            await compactWaitlist(trx, key);
+            return { ok: true, status: 200, promoted: [], message: 'Removed from the waitlist' };
+        }
+
+        await syncRegisteredCount(trx, key);
+
+        const promoted = await promoteWaitlisted(trx, key);
+        return { ok: true, status: 200, promoted, message: 'Registration cancelled' };
+    });
+}
+
+module.exports = {
+    CANCELLATION_CUTOFF_MS,
+    cutoffHours,
+    canCancel,
+    registerParticipant,
+    cancelRegistration
+};
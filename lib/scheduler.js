@@ -0,0 +1,54 @@
+// lib/scheduler.js — tiny in-process job runner
+//
+// Jobs are async functions run one after another every `intervalMs`. A run
+// never overlaps the previous one, and a failing job is logged without
+// stopping the others. The timer is unref'd so it never keeps the process
+// (or a test run) alive on its own.
+
+function createScheduler({ intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000 } = {}) {
+    const jobs = [];
+    let timer = null;
+    let running = null;
+
+    function addJob(name, fn) {
+        jobs.push({ name, fn });
+    }
+
+    // Run every job once; resolves to { [name]: result }
+    function runOnce() {
+        if (running) return running;
+
+        running = (async() => {
+            const results = {};
+            for (const job of jobs) {
+                try {
+                    results[job.name] = await job.fn();
+                } catch (err) {
+                    console.error(`Scheduled job "${job.name}" failed:`, err);
+                    results[job.name] = { error: err.message };
+                }
+            }
+            return results;
+        })().finally(() => {
+            running = null;
+        });
+
+        return running;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(runOnce, intervalMs);
+        timer.unref();
+        runOnce();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { addJob, runOnce, start, stop };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,81 @@
+// lib/seats.js — keeping EventOccurrence.EventNumRegistered honest
+//
+// EventNumRegistered is a cached count of the Registration rows that hold a
+// seat (every status except 'waitlisted'). Anything that adds, removes or
+// re-statuses a registration should, inside one transaction:
+//   1. lockOccurrence()       — SELECT ... FOR UPDATE on the occurrence row, so
+//                               concurrent sign-ups for the same event queue up
+//                               instead of both seeing the last free seat
+//   2. change Registration rows
+//   3. syncRegisteredCount()  — recount from Registration rather than +1/-1
+// recountAllOccurrences() repairs counts that drifted before this was in place.
+
+const WAITLISTED = 'waitlisted';
+
+// Lock and return the occurrence row (undefined if it doesn't exist)
+function lockOccurrence(trx, key) {
+    return trx('EventOccurrence')
+        .where({ Event_ID: key.Event_ID, EventDateTimeStart: key.EventDateTimeStart })
+        .forUpdate()
+        .first();
+}
+
+function seatHolders(db) {
+    return db('Registration')
+        .where(q => q.whereNull('RegistrationStatus').orWhereNot('RegistrationStatus', WAITLISTED));
+}
+
+// Reset EventNumRegistered from the Registration rows that hold a seat
+// and return the new count
+async function syncRegisteredCount(db, key) {
+    const [{ count }] = await seatHolders(db)
+        .andWhere({ Event_ID: key.Event_ID, EventDateTimeStart: key.EventDateTimeStart })
+        .count('* as count');
+
+    await db('EventOccurrence')
+        .where({ Event_ID: key.Event_ID, EventDateTimeStart: key.EventDateTimeStart })
+        .update({ EventNumRegistered: Number(count) });
+
+    return Number(count);
+}
+
+// Recount every occurrence. Returns the ones that were wrong as
+// { Event_ID, EventDateTimeStart, was, now }.
+async function recountAllOccurrences(db) {
+    const occurrences = await db('EventOccurrence')
+        .select('Event_ID', 'EventDateTimeStart', 'EventNumRegistered')
+        .forUpdate();
+
+    const counts = await seatHolders(db)
+        .groupBy('Event_ID', 'EventDateTimeStart')
+        .select('Event_ID', 'EventDateTimeStart')
+        .count('* as count');
+    const byKey = new Map(counts.map(c =>
+        [`${c.Event_ID}|${new Date(c.EventDateTimeStart).getTime()}`, Number(c.count)]
+    ));
+
+    const fixed = [];
+    for (const occ of occurrences) {
+        const actual = byKey.get(`${occ.Event_ID}|${new Date(occ.EventDateTimeStart).getTime()}`) || 0;
+        if (occ.EventNumRegistered === actual) continue;
+
+        await db('EventOccurrence')
+            .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+            .update({ EventNumRegistered: actual });
+
+        fixed.push({
+            Event_ID: occ.Event_ID,
+            EventDateTimeStart: occ.EventDateTimeStart,
+            was: occ.EventNumRegistered,
+            now: actual
+        });
+    }
+    return fixed;
+}
+
+module.exports = {
+    WAITLISTED,
+    lockOccurrence,
+    syncRegisteredCount,
+    recountAllOccurrences
+};
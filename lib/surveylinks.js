@@ -0,0 +1,70 @@
+// lib/surveylinks.js — signed, login-free survey links for one registration
+//
+//   /take-survey/<Participant_ID>.<Event_ID>.<start ms>.<expires ms>.<signature>
+//
+// The HMAC covers the registration and the expiry, so a link can't be edited
+// to answer for someone else or to live longer. A link only works for an
+// attended registration with no survey yet, which also makes it single-use.
+// Links last SURVEY_LINK_TTL_DAYS (default 14) after the event starts.
+// Signed with SURVEY_LINK_SECRET (falls back to SESSION_SECRET); with neither
+// set the app refuses to start, since anyone could forge a link.
+
+const crypto = require('crypto');
+
+const SURVEY_LINK_TTL_MS = Number(process.env.SURVEY_LINK_TTL_DAYS || 14) * 24 * 60 * 60 * 1000;
+
+function surveyLinkSecret() {
+    const secret = process.env.SURVEY_LINK_SECRET || process.env.SESSION_SECRET;
+    if (!secret) throw new Error('Survey links need SURVEY_LINK_SECRET (or SESSION_SECRET) to be signed');
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', surveyLinkSecret())
+        .update(`survey:${payload}`) // never interchangeable with other signed codes
+        .digest('base64url')
+        .slice(0, 22);
+}
+
+// Token for a registration's survey link
+function createSurveyToken({ Participant_ID, Event_ID, EventDateTimeStart }, expiresAt) {
+    const start = new Date(EventDateTimeStart).getTime();
+    const expires = expiresAt ? new Date(expiresAt).getTime() : start + SURVEY_LINK_TTL_MS;
+    const payload = [Participant_ID, Event_ID, start, expires].join('.');
+    return `${payload}.${sign(payload)}`;
+}
+
+// { key, expiresAt, expired } for a token, or null if it's malformed or the
+// signature doesn't match
+function readSurveyToken(token, now = new Date()) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 5 || !parts.slice(0, 4).every(p => /^\d+$/.test(p))) return null;
+
+    const payload = parts.slice(0, 4).join('.');
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(parts[4]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const expiresAt = new Date(Number(parts[3]));
+    return {
+        key: {
+            Participant_ID: Number(parts[0]),
+            Event_ID: Number(parts[1]),
+            EventDateTimeStart: new Date(Number(parts[2])).toISOString()
+        },
+        expiresAt,
+        expired: expiresAt <= now
+    };
+}
+
+function surveyLinkPath(registration, expiresAt) {
+    return `/take-survey/${createSurveyToken(registration, expiresAt)}`;
+}
+
+module.exports = {
+    SURVEY_LINK_TTL_MS,
+    surveyLinkSecret,
+    createSurveyToken,
+    readSurveyToken,
+    surveyLinkPath
+};
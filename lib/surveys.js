@@ -0,0 +1,40 @@
+// lib/surveys.js — derived survey columns
+//
+// SurveyOverallScore is the mean of satisfaction, usefulness and instructor
+// scores; SurveyNPSBucket comes from the 1–5 recommendation score
+// (5 = Promoter, 4 = Passive, anything lower = Detractor). Question sets from
+// the survey builder may leave some of these out: missing scores are stored
+// as NULL and left out of the mean, and no bucket is set without a
+// recommendation score.
+
+function npsBucket(recommendation) {
+    if (recommendation === 5) return 'Promoter';
+    if (recommendation === 4) return 'Passive';
+    return 'Detractor';
+}
+
+function parseScore(value) {
+    const n = parseInt(value);
+    return Number.isNaN(n) ? null : n;
+}
+
+// Parse the four score fields and return the Surveys columns to store
+function scoreSurvey({ satisfaction, usefulness, instructor, recommendation }) {
+    const sat = parseScore(satisfaction);
+    const use = parseScore(usefulness);
+    const instr = parseScore(instructor);
+    const rec = parseScore(recommendation);
+
+    const parts = [sat, use, instr].filter(n => n !== null);
+
+    return {
+        SurveySatisfaction: sat,
+        SurveyUsefulnessScore: use,
+        SurveyInstructorScore: instr,
+        SurveyRecommendationScore: rec,
+        SurveyOverallScore: parts.length ? (parts.reduce((t, n) => t + n, 0) / parts.length).toFixed(2) : null,
+        SurveyNPSBucket: rec === null ? null : npsBucket(rec)
+    };
+}
+
+module.exports = { scoreSurvey, npsBucket };
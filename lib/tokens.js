@@ -0,0 +1,18 @@
+// lib/tokens.js — random single-use tokens (password reset, email verification)
+//
+// Only the SHA-256 hash of a token is stored in the database; the raw token
+// goes out in the emailed link, so a leaked table can't be used to reset accounts.
+
+const crypto = require('crypto');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Returns { token, hash } — send the token, store the hash
+function createToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+}
+
+module.exports = { createToken, hashToken };
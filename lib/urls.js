@@ -0,0 +1,12 @@
+// lib/urls.js — absolute URLs for links that leave the browser (emails, feeds)
+
+// Base URL for links in outgoing mail, from APP_URL only: building it from
+// the Host header would let whoever triggers an email (e.g. a password reset)
+// point its link at their own site. createApp() checks it's set at startup.
+function appUrl() {
+    const url = (process.env.APP_URL || '').replace(/\/+$/, '');
+    if (!url) throw new Error('Set APP_URL so emailed links point at this site');
+    return url;
+}
+
+module.exports = { appUrl };
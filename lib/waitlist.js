@@ -0,0 +1,125 @@
+// lib/waitlist.js — waitlist for full event occurrences
+//
+// Registrations past capacity are stored with RegistrationStatus 'waitlisted'
+// and a RegistrationWaitlistPosition (1 = next in line). Waitlisted rows don't
+// count towards EventNumRegistered. Whenever a seat frees up (a registration
+// is deleted or capacity is raised) promoteWaitlisted() fills it from the
+// front of the line and queues each promoted person an email in the outbox
+// (lib/notifications.js), in the same transaction as the promotion.
+//
+// Every helper takes `db`, which can be knex or a transaction, and `key`,
+// the occurrence's { Event_ID, EventDateTimeStart }. Callers are expected to
+// hold the occurrence lock (see lib/seats.js).
+
+const { WAITLISTED, syncRegisteredCount } = require('./seats');
+const { queueWaitlistPromoted } = require('./notifications');
+
+const REGISTERED = 'registered';
+
+function waitlistQuery(db, key) {
+    return db('Registration')
+        .where({
+            Event_ID: key.Event_ID,
+            EventDateTimeStart: key.EventDateTimeStart,
+            RegistrationStatus: WAITLISTED
+        });
+}
+
+// Position the next person to join the waitlist would get
+async function nextWaitlistPosition(db, key) {
+    const row = await waitlistQuery(db, key).max('RegistrationWaitlistPosition as max').first();
+    return (Number(row && row.max) || 0) + 1;
+}
+
+// Renumber the waitlist 1..n, keeping the current order
+async function compactWaitlist(db, key) {
+    const rows = await waitlistQuery(db, key)
+        .orderBy('RegistrationWaitlistPosition', 'asc')
+        .orderBy('RegistrationCreatedAt', 'asc')
+        .select('Participant_ID', 'RegistrationWaitlistPosition');
+
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i].RegistrationWaitlistPosition !== i + 1) {
+            await waitlistQuery(db, key)
+                .where({ Participant_ID: rows[i].Participant_ID })
+                .update({ RegistrationWaitlistPosition: i + 1 });
+        }
+    }
+}
+
+// Move a waitlisted participant one place 'up' or 'down'
+async function moveInWaitlist(db, key, participantId, direction) {
+    await compactWaitlist(db, key);
+
+    const row = await waitlistQuery(db, key).where({ Participant_ID: participantId }).first();
+    if (!row) return false;
+
+    const from = row.RegistrationWaitlistPosition;
+    const to = direction === 'up' ? from - 1 : from + 1;
+
+    const other = await waitlistQuery(db, key).where({ RegistrationWaitlistPosition: to }).first();
+    if (!other) return false;
+
+    await waitlistQuery(db, key)
+        .where({ Participant_ID: other.Participant_ID })
+        .update({ RegistrationWaitlistPosition: from });
+    await waitlistQuery(db, key)
+        .where({ Participant_ID: participantId })
+        .update({ RegistrationWaitlistPosition: to });
+
+    return true;
+}
+
+// Fill any free seats from the front of the waitlist and queue their emails.
+// Returns the promoted participants (with name and email).
+async function promoteWaitlisted(db, key) {
+    const occ = await db('EventOccurrence')
+        .where({ Event_ID: key.Event_ID, EventDateTimeStart: key.EventDateTimeStart })
+        .first();
+
+    // Nobody is promoted into an event that has already started
+    if (!occ || new Date(occ.EventDateTimeStart) <= new Date()) return [];
+
+    const free = (occ.EventCapacity || 0) - await syncRegisteredCount(db, key);
+    if (free <= 0) return [];
+
+    const next = await waitlistQuery(db, key)
+        .join('Participants as p', 'p.Participant_ID', 'Registration.Participant_ID')
+        .orderBy('RegistrationWaitlistPosition', 'asc')
+        .orderBy('RegistrationCreatedAt', 'asc')
+        .limit(free)
+        .select(
+            'Registration.Participant_ID',
+            'p.ParticipantFirstName',
+            'p.ParticipantEmail'
+        );
+
+    if (!next.length) return [];
+
+    await waitlistQuery(db, key)
+        .whereIn('Participant_ID', next.map(r => r.Participant_ID))
+        .update({ RegistrationStatus: REGISTERED, RegistrationWaitlistPosition: null });
+
+    await syncRegisteredCount(db, key);
+    await compactWaitlist(db, key);
+
+    const template = await db('EventTemplates').where({ Event_ID: key.Event_ID }).first();
+    const promoted = next.map(p => ({
+        ...p,
+        EventName: template ? template.EventName : 'your event',
+        EventDateTimeStart: occ.EventDateTimeStart,
+        EventLocation: occ.EventLocation
+    }));
+
+    await queueWaitlistPromoted(db, promoted);
+    return promoted;
+}
+
+module.exports = {
+    REGISTERED,
+    WAITLISTED,
+    nextWaitlistPosition,
+    compactWaitlist,
+    moveInWaitlist,
+    promoteWaitlisted
+};
@@ -0,0 +1,144 @@
+// Core Ella Rises schema.
+//
+// Composite keys match what the routes address rows by:
+//   EventOccurrence  (Event_ID, EventDateTimeStart)
+//   Registration     (Participant_ID, Event_ID, EventDateTimeStart)
+//   Surveys          (Participant_ID, Event_ID, EventDateTimeStart)
+//   Milestones       (Participant_ID, MilestoneTitle)
+// EventDateTimeStart can be edited from /events/edit, so child rows follow it
+// with ON UPDATE CASCADE.
+//
+// Each table is only created if missing, so running this against the existing
+// production database is a no-op that just records the baseline.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('Participants'))) {
+        await knex.schema.createTable('Participants', table => {
+            table.increments('Participant_ID').primary();
+            table.string('ParticipantEmail');
+            table.string('ParticipantPassword');
+            table.string('ParticipantFirstName');
+            table.string('ParticipantLastName');
+            table.date('ParticipantDOB');
+            table.string('ParticipantRole', 20);
+            table.string('ParticipantPhone', 30);
+            table.string('ParticipantCity');
+            table.string('ParticipantState', 50);
+            table.string('ParticipantZIP', 10);
+            table.string('ParticipantSchoolorEmployer');
+            table.string('ParticipantFieldOfInterest');
+            table.decimal('TotalDonations', 12, 2).defaultTo(0);
+
+            // Not unique: anonymized rows are NULL and legacy duplicates still exist
+            table.index('ParticipantEmail');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('EventTemplates'))) {
+        await knex.schema.createTable('EventTemplates', table => {
+            table.increments('Event_ID').primary();
+            table.string('EventName').notNullable();
+            table.string('EventType', 50);
+            table.text('EventDescription');
+            table.string('EventRecurrencePattern', 50);
+            table.integer('EventDefaultCapacity');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('EventOccurrence'))) {
+        await knex.schema.createTable('EventOccurrence', table => {
+            table.integer('Event_ID').notNullable()
+                .references('Event_ID').inTable('EventTemplates')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.timestamp('EventDateTimeStart').notNullable();
+            table.timestamp('EventDateTimeEnd');
+            table.string('EventLocation');
+            table.integer('EventCapacity');
+            table.integer('EventNumRegistered').notNullable().defaultTo(0);
+            table.timestamp('EventRegistrationDeadline');
+
+            table.primary(['Event_ID', 'EventDateTimeStart']);
+            table.index('EventDateTimeStart');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('Registration'))) {
+        await knex.schema.createTable('Registration', table => {
+            table.integer('Participant_ID').notNullable()
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.integer('Event_ID').notNullable();
+            table.timestamp('EventDateTimeStart').notNullable();
+            table.string('RegistrationStatus', 30);
+            table.string('RegistrationAttendedFlag', 1).notNullable().defaultTo('F');
+            table.timestamp('RegistrationCheckInTime');
+            table.timestamp('RegistrationCreatedAt').defaultTo(knex.fn.now());
+
+            table.primary(['Participant_ID', 'Event_ID', 'EventDateTimeStart']);
+            table.foreign(['Event_ID', 'EventDateTimeStart'])
+                .references(['Event_ID', 'EventDateTimeStart']).inTable('EventOccurrence')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.index(['Event_ID', 'EventDateTimeStart']);
+        });
+    }
+
+    if (!(await knex.schema.hasTable('Surveys'))) {
+        await knex.schema.createTable('Surveys', table => {
+            table.integer('Participant_ID').notNullable()
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.integer('Event_ID').notNullable();
+            table.timestamp('EventDateTimeStart').notNullable();
+            table.integer('SurveySatisfaction');
+            table.integer('SurveyUsefulnessScore');
+            table.integer('SurveyInstructorScore');
+            table.integer('SurveyRecommendationScore');
+            table.decimal('SurveyOverallScore', 4, 2);
+            table.string('SurveyNPSBucket', 20);
+            table.text('SurveyComments');
+            table.timestamp('SurveySubmissionDate').defaultTo(knex.fn.now());
+
+            table.primary(['Participant_ID', 'Event_ID', 'EventDateTimeStart']);
+            table.foreign(['Event_ID', 'EventDateTimeStart'])
+                .references(['Event_ID', 'EventDateTimeStart']).inTable('EventOccurrence')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.index(['Event_ID', 'EventDateTimeStart']);
+        });
+    }
+
+    if (!(await knex.schema.hasTable('Donations'))) {
+        await knex.schema.createTable('Donations', table => {
+            table.increments('Donation_ID').primary();
+            table.integer('Participant_ID')
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('SET NULL');
+            table.decimal('DonationAmount', 12, 2).notNullable();
+            table.date('DonationDate').defaultTo(knex.fn.now());
+
+            table.index('Participant_ID');
+            table.index('DonationDate');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('Milestones'))) {
+        await knex.schema.createTable('Milestones', table => {
+            table.integer('Participant_ID').notNullable()
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.string('MilestoneTitle').notNullable();
+            table.date('MilestoneDate');
+
+            table.primary(['Participant_ID', 'MilestoneTitle']);
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('Milestones');
+    await knex.schema.dropTableIfExists('Donations');
+    await knex.schema.dropTableIfExists('Surveys');
+    await knex.schema.dropTableIfExists('Registration');
+    await knex.schema.dropTableIfExists('EventOccurrence');
+    await knex.schema.dropTableIfExists('EventTemplates');
+    await knex.schema.dropTableIfExists('Participants');
+};
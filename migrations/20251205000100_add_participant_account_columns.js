@@ -0,0 +1,34 @@
+// Account security columns used by /login, /forgot-password, /reset-password,
+// /enroll and the /approvals queue. Token columns hold SHA-256 hashes only.
+
+const COLUMNS = {
+    ParticipantResetTokenHash: table => table.string('ParticipantResetTokenHash', 64),
+    ParticipantResetTokenExpires: table => table.timestamp('ParticipantResetTokenExpires'),
+    ParticipantAccountStatus: table => table.string('ParticipantAccountStatus', 30),
+    ParticipantEmailVerifiedAt: table => table.timestamp('ParticipantEmailVerifiedAt'),
+    ParticipantVerifyTokenHash: table => table.string('ParticipantVerifyTokenHash', 64),
+    ParticipantVerifyTokenExpires: table => table.timestamp('ParticipantVerifyTokenExpires')
+};
+
+exports.up = async function(knex) {
+    for (const [name, add] of Object.entries(COLUMNS)) {
+        if (!(await knex.schema.hasColumn('Participants', name))) {
+            await knex.schema.alterTable('Participants', table => add(table));
+        }
+    }
+
+    await knex.schema.alterTable('Participants', table => {
+        table.index('ParticipantResetTokenHash');
+        table.index('ParticipantVerifyTokenHash');
+        table.index('ParticipantAccountStatus');
+    });
+};
+
+exports.down = async function(knex) {
+    await knex.schema.alterTable('Participants', table => {
+        table.dropIndex('ParticipantResetTokenHash');
+        table.dropIndex('ParticipantVerifyTokenHash');
+        table.dropIndex('ParticipantAccountStatus');
+        table.dropColumns(...Object.keys(COLUMNS));
+    });
+};
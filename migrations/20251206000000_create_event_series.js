@@ -0,0 +1,38 @@
+// Recurring event series created from /events/add.
+// EventSeries keeps the rule an admin picked; each generated EventOccurrence
+// points back at it so "this and following" edits and cancellations can find
+// the rest of the series. One-off occurrences leave EventSeries_ID NULL.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('EventSeries'))) {
+        await knex.schema.createTable('EventSeries', table => {
+            table.increments('EventSeries_ID').primary();
+            table.integer('Event_ID').notNullable()
+                .references('Event_ID').inTable('EventTemplates')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.string('EventSeriesPattern', 50).notNullable();
+            table.timestamp('EventSeriesStart').notNullable();
+            table.date('EventSeriesUntil');
+            table.integer('EventSeriesCount');
+            table.timestamp('EventSeriesCreatedAt').defaultTo(knex.fn.now());
+        });
+    }
+
+    if (!(await knex.schema.hasColumn('EventOccurrence', 'EventSeries_ID'))) {
+        await knex.schema.alterTable('EventOccurrence', table => {
+            table.integer('EventSeries_ID')
+                .references('EventSeries_ID').inTable('EventSeries')
+                .onDelete('SET NULL');
+            table.index('EventSeries_ID');
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.alterTable('EventOccurrence', table => {
+        table.dropIndex('EventSeries_ID');
+        table.dropForeign('EventSeries_ID');
+        table.dropColumn('EventSeries_ID');
+    });
+    await knex.schema.dropTableIfExists('EventSeries');
+};
@@ -0,0 +1,17 @@
+// Waitlist for full occurrences. A waitlisted Registration has
+// RegistrationStatus 'waitlisted' and a 1-based RegistrationWaitlistPosition;
+// it doesn't count towards EventOccurrence.EventNumRegistered until promoted.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasColumn('Registration', 'RegistrationWaitlistPosition'))) {
+        await knex.schema.alterTable('Registration', table => {
+            table.integer('RegistrationWaitlistPosition');
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.alterTable('Registration', table => {
+        table.dropColumn('RegistrationWaitlistPosition');
+    });
+};
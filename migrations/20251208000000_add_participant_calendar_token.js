@@ -0,0 +1,19 @@
+// Private calendar feed address for each participant (/calendar/<token>.ics).
+// Stored as-is, unlike reset/verify tokens, so /events_user can keep showing
+// the subscription link; it only exposes the participant's own schedule and
+// can be replaced from that page if it leaks.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasColumn('Participants', 'ParticipantCalendarToken'))) {
+        await knex.schema.alterTable('Participants', table => {
+            table.string('ParticipantCalendarToken', 64).unique();
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.alterTable('Participants', table => {
+        table.dropUnique('ParticipantCalendarToken');
+        table.dropColumn('ParticipantCalendarToken');
+    });
+};
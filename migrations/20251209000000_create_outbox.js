@@ -0,0 +1,31 @@
+// Outbox of notifications waiting to be delivered by the background scheduler
+// (see lib/outbox.js). OutboxDedupeKey stops the periodic scans from queueing
+// the same reminder twice, e.g. "reminder:<participant>:<event>:<start ms>".
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('Outbox'))) {
+        await knex.schema.createTable('Outbox', table => {
+            table.increments('Outbox_ID').primary();
+            table.string('OutboxKind', 50).notNullable();
+            table.string('OutboxDedupeKey').unique();
+            table.integer('Participant_ID')
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('SET NULL');
+            table.string('OutboxTo').notNullable();
+            table.string('OutboxSubject').notNullable();
+            table.text('OutboxBody').notNullable();
+            table.string('OutboxStatus', 20).notNullable().defaultTo('pending');
+            table.integer('OutboxAttempts').notNullable().defaultTo(0);
+            table.text('OutboxLastError');
+            table.timestamp('OutboxSendAfter').notNullable().defaultTo(knex.fn.now());
+            table.timestamp('OutboxSentAt');
+            table.timestamp('OutboxCreatedAt').notNullable().defaultTo(knex.fn.now());
+
+            table.index(['OutboxStatus', 'OutboxSendAfter']);
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('Outbox');
+};
@@ -0,0 +1,75 @@
+// Configurable survey questions per event template (see lib/questions.js).
+//
+// A question set is never edited in place: saving the builder adds a new
+// SurveyQuestionSetVersion, and each Surveys row records the version it
+// answered, so old SurveyAnswers always point at the wording they were given.
+// The legacy score columns on Surveys are still filled in from questions
+// mapped to them (SurveyQuestionLegacyField).
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('SurveyQuestionSets'))) {
+        await knex.schema.createTable('SurveyQuestionSets', table => {
+            table.increments('SurveyQuestionSet_ID').primary();
+            table.integer('Event_ID').notNullable()
+                .references('Event_ID').inTable('EventTemplates')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.integer('SurveyQuestionSetVersion').notNullable();
+            table.timestamp('SurveyQuestionSetCreatedAt').notNullable().defaultTo(knex.fn.now());
+
+            table.unique(['Event_ID', 'SurveyQuestionSetVersion']);
+        });
+    }
+
+    if (!(await knex.schema.hasTable('SurveyQuestions'))) {
+        await knex.schema.createTable('SurveyQuestions', table => {
+            table.increments('SurveyQuestion_ID').primary();
+            table.integer('SurveyQuestionSet_ID').notNullable()
+                .references('SurveyQuestionSet_ID').inTable('SurveyQuestionSets')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.integer('SurveyQuestionOrder').notNullable();
+            table.string('SurveyQuestionType', 20).notNullable(); // likert | choice | text
+            table.text('SurveyQuestionText').notNullable();
+            table.boolean('SurveyQuestionRequired').notNullable().defaultTo(false);
+            table.text('SurveyQuestionOptions'); // JSON array of choices
+            table.string('SurveyQuestionLegacyField', 30); // satisfaction | usefulness | instructor | recommendation | comments
+
+            table.index('SurveyQuestionSet_ID');
+        });
+    }
+
+    if (!(await knex.schema.hasColumn('Surveys', 'SurveyQuestionSet_ID'))) {
+        await knex.schema.alterTable('Surveys', table => {
+            table.integer('SurveyQuestionSet_ID')
+                .references('SurveyQuestionSet_ID').inTable('SurveyQuestionSets')
+                .onUpdate('CASCADE').onDelete('SET NULL');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('SurveyAnswers'))) {
+        await knex.schema.createTable('SurveyAnswers', table => {
+            table.integer('Participant_ID').notNullable();
+            table.integer('Event_ID').notNullable();
+            table.timestamp('EventDateTimeStart').notNullable();
+            table.integer('SurveyQuestion_ID').notNullable()
+                .references('SurveyQuestion_ID').inTable('SurveyQuestions')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.text('SurveyAnswerValue');
+
+            table.primary(['Participant_ID', 'Event_ID', 'EventDateTimeStart', 'SurveyQuestion_ID']);
+            table.foreign(['Participant_ID', 'Event_ID', 'EventDateTimeStart'])
+                .references(['Participant_ID', 'Event_ID', 'EventDateTimeStart']).inTable('Surveys')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('SurveyAnswers');
+    if (await knex.schema.hasColumn('Surveys', 'SurveyQuestionSet_ID')) {
+        await knex.schema.alterTable('Surveys', table => {
+            table.dropColumn('SurveyQuestionSet_ID');
+        });
+    }
+    await knex.schema.dropTableIfExists('SurveyQuestions');
+    await knex.schema.dropTableIfExists('SurveyQuestionSets');
+};
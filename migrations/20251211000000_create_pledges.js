@@ -0,0 +1,57 @@
+// Recurring pledges (see lib/pledges.js).
+//
+// A pledge promises PledgeAmount every month, quarter or year from
+// PledgeStartDate until PledgeEndDate (open-ended if NULL). The scheduler
+// adds one PledgeInstallments row per due date as it arrives; an admin marks
+// it received, which records the gift in Donations and links it here.
+// Pledges are never edited in place: a change closes the old pledge
+// ('changed') and starts a new one pointing back at it via
+// PledgeReplaces_ID, so the history of what was promised is kept.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('Pledges'))) {
+        await knex.schema.createTable('Pledges', table => {
+            table.increments('Pledge_ID').primary();
+            table.integer('Participant_ID').notNullable()
+                .references('Participant_ID').inTable('Participants')
+                .onUpdate('CASCADE').onDelete('CASCADE');
+            table.decimal('PledgeAmount', 12, 2).notNullable();
+            table.string('PledgeFrequency', 20).notNullable();
+            table.date('PledgeStartDate').notNullable();
+            table.date('PledgeEndDate');
+            table.string('PledgeStatus', 20).notNullable().defaultTo('active');
+            table.integer('PledgeReplaces_ID')
+                .references('Pledge_ID').inTable('Pledges')
+                .onDelete('SET NULL');
+            table.timestamp('PledgeCreatedAt').defaultTo(knex.fn.now());
+            table.timestamp('PledgeClosedAt');
+
+            table.index('Participant_ID');
+            table.index('PledgeStatus');
+        });
+    }
+
+    if (!(await knex.schema.hasTable('PledgeInstallments'))) {
+        await knex.schema.createTable('PledgeInstallments', table => {
+            table.increments('PledgeInstallment_ID').primary();
+            table.integer('Pledge_ID').notNullable()
+                .references('Pledge_ID').inTable('Pledges')
+                .onDelete('CASCADE');
+            table.date('InstallmentDueDate').notNullable();
+            table.decimal('InstallmentAmount', 12, 2).notNullable();
+            table.string('InstallmentStatus', 20).notNullable().defaultTo('expected');
+            table.integer('Donation_ID')
+                .references('Donation_ID').inTable('Donations')
+                .onDelete('SET NULL');
+            table.timestamp('InstallmentReceivedAt');
+
+            table.unique(['Pledge_ID', 'InstallmentDueDate']);
+            table.index(['InstallmentStatus', 'InstallmentDueDate']);
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('PledgeInstallments');
+    await knex.schema.dropTableIfExists('Pledges');
+};
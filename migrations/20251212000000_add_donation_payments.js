@@ -0,0 +1,55 @@
+// Online payment for donations (see lib/payments.js).
+//
+// DonationStatus is 'pending' while the donor is at the payment provider and
+// only becomes 'completed' when the provider's signed webhook confirms it
+// ('failed' / 'refunded' otherwise). Rows recorded before payments existed,
+// and gifts entered by staff, are completed. DonationProvider and
+// DonationProviderRef tie a donation to the provider's payment.
+//
+// PaymentEvents records every webhook event handled, so a redelivered event
+// is only applied once.
+
+const COLUMNS = {
+    DonationStatus: table => table.string('DonationStatus', 20).notNullable().defaultTo('completed'),
+    DonationProvider: table => table.string('DonationProvider', 30),
+    DonationProviderRef: table => table.string('DonationProviderRef', 100),
+    DonationStatusChangedAt: table => table.timestamp('DonationStatusChangedAt')
+};
+
+exports.up = async function(knex) {
+    for (const [name, add] of Object.entries(COLUMNS)) {
+        if (!(await knex.schema.hasColumn('Donations', name))) {
+            await knex.schema.alterTable('Donations', table => add(table));
+        }
+    }
+
+    await knex.schema.alterTable('Donations', table => {
+        table.index('DonationStatus');
+        table.index(['DonationProvider', 'DonationProviderRef']);
+    });
+
+    if (!(await knex.schema.hasTable('PaymentEvents'))) {
+        await knex.schema.createTable('PaymentEvents', table => {
+            table.increments('PaymentEvent_ID').primary();
+            table.string('PaymentEventProvider', 30).notNullable();
+            table.string('PaymentEventRef', 100).notNullable();
+            table.string('PaymentEventType', 50).notNullable();
+            table.integer('Donation_ID')
+                .references('Donation_ID').inTable('Donations')
+                .onDelete('SET NULL');
+            table.timestamp('PaymentEventReceivedAt').defaultTo(knex.fn.now());
+
+            table.unique(['PaymentEventProvider', 'PaymentEventRef']);
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('PaymentEvents');
+
+    await knex.schema.alterTable('Donations', table => {
+        table.dropIndex('DonationStatus');
+        table.dropIndex(['DonationProvider', 'DonationProviderRef']);
+        table.dropColumns(...Object.keys(COLUMNS));
+    });
+};
@@ -0,0 +1,123 @@
+// One-time backfill for public donor matching (see lib/donors.js).
+//
+// /submit-donation-public used to create a new 'visitor' row for every gift,
+// so the same donor could appear many times. Fold visitor rows that share an
+// email into the participant account with that email, or into the oldest
+// visitor row, moving their donations along.
+//
+// Everything this needs is written out here rather than borrowed from lib/,
+// so later changes to the app can't change what this migration did.
+//
+// Irreversible: the merged rows are deleted and their donations stay with the
+// row they were moved to, so `down` refuses rather than pretend to undo it.
+
+// Names the old public form stored when the donor left them blank
+const PLACEHOLDER_NAMES = ['visitor', 'donor'];
+
+// Tables whose rows follow a visitor into the row it's merged into. Anything
+// else pointing at a visitor (e.g. an imported registration) means it's left
+// for an admin to merge by hand.
+const MOVABLE = ['Donations', 'Outbox'];
+const BLOCKING = ['Registration', 'Surveys', 'Milestones', 'Pledges'];
+
+function normalizeEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return normalized || null;
+}
+
+function blankName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    return !normalized || PLACEHOLDER_NAMES.includes(normalized);
+}
+
+// The row the others merge into: a participant account, else the oldest visitor
+function pickKeeper(rows) {
+    return rows.find(r => r.ParticipantRole !== 'visitor') || rows[0];
+}
+
+async function fillNames(knex, keeper, duplicate) {
+    if (keeper.ParticipantRole !== 'visitor') return;
+
+    const changes = {};
+    if (blankName(keeper.ParticipantFirstName) && !blankName(duplicate.ParticipantFirstName)) {
+        changes.ParticipantFirstName = duplicate.ParticipantFirstName.trim();
+    }
+    if (blankName(keeper.ParticipantLastName) && !blankName(duplicate.ParticipantLastName)) {
+        changes.ParticipantLastName = duplicate.ParticipantLastName.trim();
+    }
+
+    if (Object.keys(changes).length) {
+        await knex('Participants').where({ Participant_ID: keeper.Participant_ID }).update(changes);
+        Object.assign(keeper, changes);
+    }
+}
+
+// Recomputed from completed donations, as lib/payments.js does at this point
+async function recomputeTotal(knex, participantId) {
+    const [{ total }] = await knex('Donations')
+        .where({ Participant_ID: participantId, DonationStatus: 'completed' })
+        .sum('DonationAmount as total');
+
+    await knex('Participants')
+        .where({ Participant_ID: participantId })
+        .update({ TotalDonations: Number(total || 0) });
+}
+
+exports.up = async function(knex) {
+    const groups = new Map();
+    for (const row of await knex('Participants').whereNotNull('ParticipantEmail').orderBy('Participant_ID', 'asc')) {
+        const email = normalizeEmail(row.ParticipantEmail);
+        if (!email) continue;
+        if (!groups.has(email)) groups.set(email, []);
+        groups.get(email).push(row);
+    }
+
+    let merged = 0;
+    let donationsMoved = 0;
+    const skipped = [];
+
+    for (const rows of groups.values()) {
+        if (rows.length < 2 || !rows.some(r => r.ParticipantRole === 'visitor')) continue;
+
+        const keeper = pickKeeper(rows);
+        const duplicates = rows.filter(r => r !== keeper && r.ParticipantRole === 'visitor');
+        let changed = false;
+
+        for (const duplicate of duplicates) {
+            const where = { Participant_ID: duplicate.Participant_ID };
+
+            let blocked = false;
+            for (const table of BLOCKING) {
+                if (await knex(table).where(where).first()) blocked = true;
+            }
+            if (blocked) {
+                skipped.push(duplicate.Participant_ID);
+                continue;
+            }
+
+            for (const table of MOVABLE) {
+                const moved = await knex(table).where(where).update({ Participant_ID: keeper.Participant_ID });
+                if (table === 'Donations') donationsMoved += moved;
+            }
+
+            await fillNames(knex, keeper, duplicate);
+            await knex('Participants').where(where).del();
+            merged++;
+            changed = true;
+        }
+
+        if (changed) await recomputeTotal(knex, keeper.Participant_ID);
+    }
+
+    if (merged || skipped.length) {
+        console.log(`Merged ${merged} duplicate visitor donor(s), moving ${donationsMoved} donation(s).`);
+    }
+    if (skipped.length) {
+        console.log(`Left visitor rows with other data attached for an admin to review: ${skipped.join(', ')}`);
+    }
+    return { merged, donationsMoved, skipped };
+};
+
+exports.down = async function() {
+    throw new Error('Merging duplicate visitor donors cannot be undone: the merged rows were deleted.');
+};
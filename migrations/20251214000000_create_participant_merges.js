@@ -0,0 +1,29 @@
+// Audit trail for merged duplicate participants (see lib/merges.js).
+//
+// One row per merge: which record survived, which was merged into it (and is
+// now deleted), the admin who did it, a JSON snapshot of the merged record,
+// the field values taken from it, and what was moved or dropped because
+// both records had a row for the same event or milestone. The IDs are
+// plain integers, not foreign keys, so the record outlives both rows.
+
+exports.up = async function(knex) {
+    if (!(await knex.schema.hasTable('ParticipantMerges'))) {
+        await knex.schema.createTable('ParticipantMerges', table => {
+            table.increments('ParticipantMerge_ID').primary();
+            table.integer('ParticipantMergeSurvivor_ID').notNullable();
+            table.integer('ParticipantMergeMerged_ID').notNullable();
+            table.integer('ParticipantMergeAdmin_ID');
+            table.timestamp('ParticipantMergeAt').notNullable().defaultTo(knex.fn.now());
+            table.text('ParticipantMergeSnapshot').notNullable(); // merged participant row
+            table.text('ParticipantMergeFields').notNullable(); // { field: { from, to } } taken from it
+            table.text('ParticipantMergeSummary').notNullable(); // moved / kept / dropped per table
+
+            table.index('ParticipantMergeSurvivor_ID');
+            table.index('ParticipantMergeMerged_ID');
+        });
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('ParticipantMerges');
+};
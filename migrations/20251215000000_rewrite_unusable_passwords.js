@@ -0,0 +1,26 @@
+// Unusable passwords (visitor donor rows) used to be stored as "!<random>",
+// which a legacy plaintext password could also look like. They now live under
+// scrypt$unusable$ (see lib/passwords.js); rewrite the old ones. Only visitor
+// rows are touched, since those are the only rows that were ever given one.
+
+const crypto = require('crypto');
+
+const OLD_PREFIX = '!';
+const NEW_PREFIX = 'scrypt$unusable$';
+
+exports.up = async function(knex) {
+    const visitors = await knex('Participants')
+        .where({ ParticipantRole: 'visitor' })
+        .select('Participant_ID', 'ParticipantPassword');
+
+    for (const row of visitors) {
+        if (!row.ParticipantPassword || !row.ParticipantPassword.startsWith(OLD_PREFIX)) continue;
+
+        await knex('Participants')
+            .where({ Participant_ID: row.Participant_ID })
+            .update({ ParticipantPassword: NEW_PREFIX + crypto.randomBytes(24).toString('hex') });
+    }
+};
+
+// Either form is a password nobody can log in with
+exports.down = async function() {};
@@ -0,0 +1,25 @@
+// Who gave through the public donation form (see lib/payments.js).
+//
+// The donor's Participants row is only found or created once the payment
+// provider confirms the gift, so until then a pending donation has no
+// Participant_ID and keeps the name and email from the form here.
+
+const COLUMNS = {
+    DonationDonorFirstName: table => table.string('DonationDonorFirstName', 100),
+    DonationDonorLastName: table => table.string('DonationDonorLastName', 100),
+    DonationDonorEmail: table => table.string('DonationDonorEmail', 255)
+};
+
+exports.up = async function(knex) {
+    for (const [name, add] of Object.entries(COLUMNS)) {
+        if (!(await knex.schema.hasColumn('Donations', name))) {
+            await knex.schema.alterTable('Donations', table => add(table));
+        }
+    }
+};
+
+exports.down = async function(knex) {
+    await knex.schema.alterTable('Donations', table => {
+        table.dropColumns(...Object.keys(COLUMNS));
+    });
+};
@@ -0,0 +1,39 @@
+// Draws the admin dashboard charts from the JSON embedded by dashboard_content.ejs.
+// Chart.js is served locally from /vendor/chart.js, so this works offline.
+(function () {
+    const dataElement = document.getElementById('dashboardData');
+    if (!dataElement || typeof Chart === 'undefined') return;
+
+    const data = JSON.parse(dataElement.textContent);
+    const purple = '#6f42c1';
+    const palette = ['#6f42c1', '#e83e8c', '#fd7e14', '#20c997', '#0dcaf0', '#ffc107', '#198754'];
+
+    new Chart(document.getElementById('donationsChart'), {
+        type: 'bar',
+        data: {
+            labels: data.months,
+            datasets: [{ label: 'Donations ($)', data: data.donations, backgroundColor: purple }]
+        },
+        options: { plugins: { legend: { display: false } } }
+    });
+
+    new Chart(document.getElementById('attendanceChart'), {
+        type: 'line',
+        data: {
+            labels: data.months,
+            datasets: [{ label: 'Attendance (%)', data: data.attendanceRate, borderColor: purple, spanGaps: true }]
+        },
+        options: {
+            plugins: { legend: { display: false } },
+            scales: { y: { min: 0, max: 100 } }
+        }
+    });
+
+    new Chart(document.getElementById('typeChart'), {
+        type: 'doughnut',
+        data: {
+            labels: data.registrationsByType.labels,
+            datasets: [{ data: data.registrationsByType.counts, backgroundColor: palette }]
+        }
+    });
+})();
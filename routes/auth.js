@@ -0,0 +1,296 @@
+// routes/auth.js — login/logout, enrollment, email verification and password reset
+
+const express = require('express');
+const { hashPassword, verifyPassword } = require('../lib/passwords');
+const { createToken, hashToken } = require('../lib/tokens');
+const { appUrl } = require('../lib/urls');
+const { normalizeEmail } = require('../lib/donors');
+const {
+    RESET_TOKEN_TTL_MS,
+    VERIFY_TOKEN_TTL_MS,
+    ACCOUNT_STATUS
+} = require('../lib/accounts');
+
+module.exports = function authRouter({ knex, mailer }) {
+    const router = express.Router();
+
+    // The account (never a visitor donor row, which can't log in) for an
+    // email address, whatever its case. Legacy accounts may have no role at
+    // all, which `<> 'visitor'` alone would skip.
+    async function findAccount(email) {
+        const normalized = normalizeEmail(email);
+        if (!normalized) return null;
+
+        return knex('Participants')
+            .where(knex.raw('lower(??)', ['ParticipantEmail']), normalized)
+            .where(q => q.whereNull('ParticipantRole').orWhereNot({ ParticipantRole: 'visitor' }))
+            .orderBy('Participant_ID', 'asc')
+            .first();
+    }
+
+    // Login pages
+    router.get('/login', (req, res) => {
+        res.render('login', { error: null });
+    });
+
+    router.post('/login', async(req, res) => {
+        const { email, password } = req.body || {};
+
+        try {
+            const participant = await findAccount(email);
+            if (!participant) {
+                return res.render('login', { error: 'Invalid login' });
+            }
+
+            const { ok, needsRehash } = await verifyPassword(password, participant.ParticipantPassword);
+            if (!ok) {
+                return res.render('login', { error: 'Invalid login' });
+            }
+
+            const status = participant.ParticipantAccountStatus;
+            if (status === ACCOUNT_STATUS.PENDING_VERIFICATION) {
+                return res.render('login', { error: 'Please verify your email address using the link we sent you.' });
+            }
+            if (status === ACCOUNT_STATUS.PENDING_APPROVAL) {
+                return res.render('login', { error: 'Your account is waiting for approval by an Ella Rises administrator.' });
+            }
+            if (status === ACCOUNT_STATUS.REJECTED) {
+                return res.render('login', { error: 'Invalid login' });
+            }
+
+            // Upgrade legacy plaintext (or outdated) passwords on first successful login
+            if (needsRehash) {
+                await knex('Participants')
+                    .where({ Participant_ID: participant.Participant_ID })
+                    .update({ ParticipantPassword: await hashPassword(password) });
+            }
+
+            // Save minimal session info: id, email, role
+            req.session.user = {
+                id: participant.Participant_ID,
+                email: participant.ParticipantEmail,
+                role: participant.ParticipantRole // expected values: 'participant' or 'admin'
+            };
+
+            return res.redirect('/');
+        } catch (err) {
+            console.error('Login error:', err);
+            return res.status(500).send('Server error');
+        }
+    });
+
+    // Logout
+    router.get('/logout', (req, res) => {
+        req.session.destroy(err => {
+            if (err) console.error('Session destroy error:', err);
+            res.redirect('/');
+        });
+    });
+
+    // ===== Forgot / Reset Password =====
+    // Look up the participant holding a still-valid reset token
+    function findByResetToken(token) {
+        return knex('Participants')
+            .where({ ParticipantResetTokenHash: hashToken(token) })
+            .andWhere('ParticipantResetTokenExpires', '>', new Date())
+            .first();
+    }
+
+    router.get('/forgot-password', (req, res) => {
+        res.render('forgot_password', { message: null });
+    });
+
+    router.post('/forgot-password', async(req, res) => {
+        const email = (req.body.email || '').trim();
+
+        // Same response whether or not the email exists, so accounts can't be probed
+        const message = 'If that email belongs to an account, a reset link is on its way.';
+
+        try {
+            const participant = await findAccount(email);
+
+            if (participant) {
+                const { token, hash } = createToken();
+
+                // A new request replaces any earlier outstanding token
+                await knex('Participants')
+                    .where({ Participant_ID: participant.Participant_ID })
+                    .update({
+                        ParticipantResetTokenHash: hash,
+                        ParticipantResetTokenExpires: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+                    });
+
+                await mailer.send({
+                    to: participant.ParticipantEmail,
+                    subject: 'Reset your Ella Rises password',
+                    text: [
+                        `Hi ${participant.ParticipantFirstName || ''},`,
+                        '',
+                        'Use the link below to choose a new password. It expires in one hour and can only be used once.',
+                        '',
+                        `${appUrl()}/reset-password/${token}`,
+                        '',
+                        "If you didn't ask for this, you can ignore this email."
+                    ].join('\n')
+                });
+            }
+
+            res.render('forgot_password', { message });
+        } catch (err) {
+            console.error('Forgot password error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    router.get('/reset-password/:token', async(req, res) => {
+        try {
+            const participant = await findByResetToken(req.params.token);
+
+            res.render('reset_password', {
+                token: req.params.token,
+                valid: !!participant,
+                error: null
+            });
+        } catch (err) {
+            console.error('Reset password error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    router.post('/reset-password/:token', async(req, res) => {
+        const { token } = req.params;
+        const { password, confirmPassword } = req.body;
+
+        try {
+            const participant = await findByResetToken(token);
+
+            if (!participant) {
+                return res.render('reset_password', { token, valid: false, error: null });
+            }
+
+            if (!password || password !== confirmPassword) {
+                return res.render('reset_password', { token, valid: true, error: 'Passwords do not match.' });
+            }
+
+            // Clearing the token makes the link single-use
+            await knex('Participants')
+                .where({ Participant_ID: participant.Participant_ID })
+                .update({
+                    ParticipantPassword: await hashPassword(password),
+                    ParticipantResetTokenHash: null,
+                    ParticipantResetTokenExpires: null
+                });
+
+            res.render('login', { error: null, message: 'Your password has been reset. Please log in.' });
+        } catch (err) {
+            console.error('Reset password error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // ===== Enroll =====
+    router.get('/enroll', (req, res) => res.render('enroll', { user: req.session.user }));
+
+    // Public sign-up always creates a participant waiting on email verification.
+    // The role is never taken from the form — only an admin can change it (/users).
+    router.post('/enroll', async(req, res) => {
+        const data = req.body;
+
+        try {
+            const { token, hash } = createToken();
+
+            await knex('Participants').insert({
+                ParticipantEmail: data.ParticipantEmail,
+                ParticipantPassword: await hashPassword(data.ParticipantPassword),
+                ParticipantFirstName: data.ParticipantFirstName,
+                ParticipantLastName: data.ParticipantLastName,
+                ParticipantDOB: data.ParticipantDOB,
+                ParticipantRole: 'participant',
+                ParticipantPhone: data.ParticipantPhone,
+                ParticipantCity: data.ParticipantCity,
+                ParticipantState: data.ParticipantState,
+                ParticipantZIP: data.ParticipantZIP,
+                ParticipantSchoolorEmployer: data.ParticipantSchoolorEmployer,
+                ParticipantFieldOfInterest: data.ParticipantFieldOfInterest,
+                ParticipantAccountStatus: ACCOUNT_STATUS.PENDING_VERIFICATION,
+                ParticipantVerifyTokenHash: hash,
+                ParticipantVerifyTokenExpires: new Date(Date.now() + VERIFY_TOKEN_TTL_MS)
+            });
+
+            await mailer.send({
+                to: data.ParticipantEmail,
+                subject: 'Verify your Ella Rises email address',
+                text: [
+                    `Hi ${data.ParticipantFirstName || ''},`,
+                    '',
+                    'Thanks for enrolling with Ella Rises! Please confirm your email address:',
+                    '',
+                    `${appUrl()}/verify-email/${token}`,
+                    '',
+                    'Once verified, an administrator will review and approve your account.'
+                ].join('\n')
+            });
+
+            res.render('login', {
+                error: null,
+                message: 'Thanks for enrolling! Check your email for a link to verify your address.'
+            });
+
+        } catch (err) {
+            console.error('Error enrolling participant:');
+
+            // Log full error object
+            console.error(err);
+
+            // PostgreSQL-specific info
+            if (err.code) console.error('Error code:', err.code);
+            if (err.constraint) console.error('Constraint failed:', err.constraint);
+            if (err.column) console.error('Column involved:', err.column);
+            if (err.detail) console.error('Detail:', err.detail);
+            if (err.hint) console.error('Hint:', err.hint);
+
+            // Return detailed message to client for debugging (optional)
+            res.status(500).send(`Error enrolling participant: ${err.message}`);
+        }
+    });
+
+    // ===== Email verification (link sent by /enroll) =====
+    router.get('/verify-email/:token', async(req, res) => {
+        try {
+            const participant = await knex('Participants')
+                .where({ ParticipantVerifyTokenHash: hashToken(req.params.token) })
+                .andWhere('ParticipantVerifyTokenExpires', '>', new Date())
+                .first();
+
+            if (!participant) {
+                return res.render('login', { error: 'This verification link is invalid or has expired.' });
+            }
+
+            const update = {
+                ParticipantEmailVerifiedAt: knex.fn.now(),
+                ParticipantVerifyTokenHash: null,
+                ParticipantVerifyTokenExpires: null
+            };
+
+            // Only move forward in the lifecycle — an admin may have already acted
+            if (participant.ParticipantAccountStatus === ACCOUNT_STATUS.PENDING_VERIFICATION) {
+                update.ParticipantAccountStatus = ACCOUNT_STATUS.PENDING_APPROVAL;
+            }
+
+            await knex('Participants')
+                .where({ Participant_ID: participant.Participant_ID })
+                .update(update);
+
+            const message = participant.ParticipantAccountStatus === ACCOUNT_STATUS.ACTIVE ?
+                'Your email is verified. You can log in now.' :
+                'Your email is verified. An administrator will approve your account shortly.';
+
+            res.render('login', { error: null, message });
+        } catch (err) {
+            console.error('Email verification error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    return router;
+};
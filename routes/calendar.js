@@ -0,0 +1,97 @@
+// routes/calendar.js — iCalendar (.ics) feeds and "add to calendar" downloads
+
+const express = require('express');
+const { requireLogin } = require('../lib/authz');
+const { appUrl } = require('../lib/urls');
+const { buildCalendar, sendCalendar } = require('../lib/ical');
+const {
+    resetCalendarToken,
+    upcomingOccurrences,
+    findOccurrence,
+    participantOccurrences,
+    toCalendarEvent
+} = require('../lib/calendar');
+
+module.exports = function calendarRouter({ knex }) {
+    const router = express.Router();
+
+    // PUBLIC — every upcoming occurrence, for calendar subscriptions
+    router.get('/events.ics', async(req, res) => {
+        try {
+            const rows = await upcomingOccurrences(knex);
+            const baseUrl = appUrl();
+
+            sendCalendar(res, buildCalendar({
+                name: 'Ella Rises Events',
+                events: rows.map(r => toCalendarEvent(r, baseUrl))
+            }));
+        } catch (err) {
+            console.error('Public calendar error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // PUBLIC — one occurrence as a downloadable file ("Add to calendar")
+    router.get('/events/:eventId/:startTime/calendar.ics', async(req, res) => {
+        try {
+            const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+            const row = await findOccurrence(knex, key);
+
+            if (!row) return res.status(404).send('Event occurrence not found');
+
+            const date = new Date(row.EventDateTimeStart).toISOString().slice(0, 10);
+            const fileName = `${row.EventName.replace(/[^a-z0-9]+/gi, '-')}-${date}.ics`;
+
+            sendCalendar(res, buildCalendar({
+                name: row.EventName,
+                events: [toCalendarEvent(row, appUrl())]
+            }), fileName);
+        } catch (err) {
+            console.error('Event calendar error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // PRIVATE — one participant's registrations; the token in the URL is the
+    // only credential, since calendar apps can't log in
+    router.get('/calendar/:token.ics', async(req, res) => {
+        try {
+            const participant = await knex('Participants')
+                .where({ ParticipantCalendarToken: req.params.token })
+                .first('Participant_ID', 'ParticipantFirstName');
+
+            if (!participant) return res.status(404).send('Calendar not found');
+
+            const rows = await participantOccurrences(knex, participant.Participant_ID);
+            const baseUrl = appUrl();
+
+            sendCalendar(res, buildCalendar({
+                name: 'My Ella Rises Events',
+                events: rows.map(r => toCalendarEvent(r, baseUrl))
+            }));
+        } catch (err) {
+            console.error('Participant calendar error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // New private feed address (the old one stops working)
+    router.post('/calendar/reset', requireLogin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            await resetCalendarToken(knex, user.id);
+
+            req.session.flash = {
+                type: 'success',
+                text: 'Your calendar link was replaced. Re-subscribe with the new link below.'
+            };
+            res.redirect(`/events_user/${user.id}`);
+        } catch (err) {
+            console.error('Calendar reset error:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    return router;
+};
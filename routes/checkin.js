@@ -0,0 +1,139 @@
+// routes/checkin.js — admin check-in desk for one event occurrence
+//
+// Participants show the QR code from /events_user; staff scan it (or type
+// the code) here, which stamps RegistrationCheckInTime and marks attendance.
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const { readCheckInToken } = require('../lib/checkin');
+const { WAITLISTED } = require('../lib/waitlist');
+
+module.exports = function checkinRouter({ knex }) {
+    const router = express.Router();
+
+    function checkinUrl(key) {
+        return `/events/${key.Event_ID}/${encodeURIComponent(key.EventDateTimeStart)}/checkin`;
+    }
+
+    // Check-in screen: code entry plus everyone registered and who's arrived
+    router.get('/events/:eventId/:startTime/checkin', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+
+        try {
+            const event = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .where({ 'eo.Event_ID': key.Event_ID, 'eo.EventDateTimeStart': key.EventDateTimeStart })
+                .first('eo.*', 'et.EventName');
+
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            const registrations = await knex('Registration as r')
+                .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+                .where({ 'r.Event_ID': key.Event_ID, 'r.EventDateTimeStart': key.EventDateTimeStart })
+                .andWhere(q => q.whereNull('r.RegistrationStatus').orWhereNot('r.RegistrationStatus', WAITLISTED))
+                .orderBy('p.ParticipantLastName', 'asc')
+                .orderBy('p.ParticipantFirstName', 'asc')
+                .select(
+                    'r.Participant_ID',
+                    'r.RegistrationCheckInTime',
+                    'r.RegistrationAttendedFlag',
+                    'p.ParticipantFirstName',
+                    'p.ParticipantLastName'
+                );
+
+            // One-time result of the last scan
+            const flash = req.session.flash || null;
+            delete req.session.flash;
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Check-in',
+                contentFile: 'checkin_content',
+                contentData: {
+                    user,
+                    event,
+                    registrations,
+                    flash,
+                    checkinUrl: checkinUrl(key)
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading check-in screen:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Scan or typed code. Every outcome goes back to the screen as a flash
+    // message so the next person can be scanned straight away.
+    router.post('/events/:eventId/:startTime/checkin', requireAdmin, async(req, res) => {
+        const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+
+        const reject = text => {
+            req.session.flash = { type: 'danger', text };
+            res.redirect(checkinUrl(key));
+        };
+
+        try {
+            const scanned = readCheckInToken(req.body.token);
+
+            if (!scanned) {
+                return reject("That isn't a valid Ella Rises check-in code.");
+            }
+
+            const participant = await knex('Participants')
+                .where({ Participant_ID: scanned.Participant_ID })
+                .first('ParticipantFirstName', 'ParticipantLastName');
+            const name = participant ?
+                `${participant.ParticipantFirstName || ''} ${participant.ParticipantLastName || ''}`.trim() :
+                'This participant';
+
+            if (String(scanned.Event_ID) !== String(key.Event_ID) ||
+                scanned.EventDateTimeStart !== key.EventDateTimeStart) {
+                const other = await knex('EventTemplates').where({ Event_ID: scanned.Event_ID }).first();
+                return reject(`Wrong event: ${name}'s code is for ` +
+                    `${other ? other.EventName : 'another event'} on ${new Date(scanned.EventDateTimeStart).toLocaleString()}.`);
+            }
+
+            const registration = await knex('Registration')
+                .where({ Participant_ID: scanned.Participant_ID, ...key })
+                .first();
+
+            if (!registration) {
+                return reject(`${name} is no longer registered for this event.`);
+            }
+
+            if (registration.RegistrationStatus === WAITLISTED) {
+                return reject(`${name} is still on the waitlist and doesn't have a seat.`);
+            }
+
+            if (registration.RegistrationCheckInTime) {
+                return reject(`${name} already checked in at ${new Date(registration.RegistrationCheckInTime).toLocaleTimeString()}.`);
+            }
+
+            // Only stamp a row that hasn't been checked in meanwhile (double scan)
+            const updated = await knex('Registration')
+                .where({ Participant_ID: scanned.Participant_ID, ...key })
+                .whereNull('RegistrationCheckInTime')
+                .update({
+                    RegistrationCheckInTime: new Date(),
+                    RegistrationAttendedFlag: 'T',
+                    RegistrationStatus: 'attended'
+                });
+
+            if (!updated) {
+                return reject(`${name} is already checked in.`);
+            }
+
+            req.session.flash = { type: 'success', text: `Welcome, ${name}! Checked in.` };
+            res.redirect(checkinUrl(key));
+
+        } catch (err) {
+            console.error('Error checking in:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,476 @@
+// routes/donations.js — participant, public and admin donation routes
+
+const express = require('express');
+const {
+    requireLogin,
+    requireRole,
+    requireAdmin,
+    requireOwnerOrAdmin,
+    requireSelfOrAdmin,
+    forbidden
+} = require('../lib/authz');
+const { inBatches, sendExport } = require('../lib/export');
+const { queueDonationReceipt } = require('../lib/notifications');
+const { DONATION_STATUS, startCheckout, requestRefund, updateDonorTotal } = require('../lib/payments');
+const {
+    receiptNumber,
+    createReceiptToken,
+    readReceiptToken,
+    receiptLinkPath,
+    loadDonation,
+    donationsForYear,
+    donationYears,
+    receiptPdf,
+    statementPdf,
+    statementFilename,
+    sendPdf,
+    sendStatementsZip
+} = require('../lib/receipts');
+
+module.exports = function donationsRouter({ knex, payments }) {
+    const router = express.Router();
+
+    // Owner lookup for routes keyed by Donation_ID
+    const donationOwner = async(req) => {
+        const donation = await knex('Donations')
+            .where({ Donation_ID: req.params.id })
+            .first('Participant_ID');
+        return donation && donation.Participant_ID;
+    };
+
+    // Calendar year from the URL, or null if it isn't a sensible one
+    function statementYear(req) {
+        const year = Number(req.params.year);
+        return Number.isInteger(year) && year >= 1900 && year <= new Date().getFullYear() + 1 ? year : null;
+    }
+
+    function takeFlash(req) {
+        const flash = req.session.flash || null;
+        delete req.session.flash;
+        return flash;
+    }
+
+    // Where the payment provider sends a public donor back to; signed like
+    // the receipt link, so only the donor can see how their payment went
+    function thanksPath(donationId) {
+        return `/donate-public/thanks/${createReceiptToken(donationId)}`;
+    }
+
+    // Every donation with the donor's name, newest first (admin list and export)
+    function allDonations() {
+        return knex('Donations')
+            .leftJoin('Participants', 'Donations.Participant_ID', 'Participants.Participant_ID')
+            .select(
+                'Donations.Donation_ID',
+                'Donations.Participant_ID',
+                'Donations.DonationAmount',
+                'Donations.DonationDate',
+                'Donations.DonationStatus',
+                'Donations.DonationProviderRef',
+                'Donations.DonationDonorFirstName',
+                'Donations.DonationDonorLastName',
+                'Donations.DonationDonorEmail',
+                'Participants.ParticipantFirstName',
+                'Participants.ParticipantLastName',
+                'Participants.ParticipantEmail'
+            )
+            .orderBy('Donations.DonationDate', 'desc')
+            .orderBy('Donations.Donation_ID', 'desc');
+    }
+
+    // Public gifts not yet confirmed have no participant, only the form's details
+    function donorName(d) {
+        return d.Participant_ID ?
+            [d.ParticipantFirstName, d.ParticipantLastName].filter(Boolean).join(' ') :
+            [d.DonationDonorFirstName, d.DonationDonorLastName].filter(Boolean).join(' ');
+    }
+
+    // ===== LOGGED-IN DONATIONS PAGE =====
+    router.get('/donations', requireLogin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            let donations = [];
+
+            // ADMIN VIEW
+            if (user.role === 'admin') {
+                donations = await allDonations();
+
+                // Pending, failed and refunded payments are listed but not counted
+                const totalAmount = donations
+                    .filter(d => d.DonationStatus === DONATION_STATUS.COMPLETED)
+                    .reduce((s, d) => s + Number(d.DonationAmount || 0), 0);
+
+                return res.render('manage_dashboard', {
+                    user,
+                    title: 'Donations',
+                    contentFile: 'donations_admin_content',
+                    contentData: {
+                        user,
+                        donations,
+                        totalAmount,
+                        years: await donationYears(knex),
+                        receiptNumber,
+                        donorName,
+                        flash: takeFlash(req)
+                    }
+                });
+            }
+
+            // PARTICIPANT VIEW
+            if (user.role === 'participant') {
+                donations = await knex('Donations')
+                    .where({ Participant_ID: user.id, DonationStatus: DONATION_STATUS.COMPLETED })
+                    .select('Donation_ID', 'DonationAmount', 'DonationDate')
+                    .orderBy('DonationDate', 'desc');
+
+                const totalAmount = donations.reduce((s, d) => s + Number(d.DonationAmount || 0), 0);
+
+                return res.render('donations_user', {
+                    user,
+                    donations,
+                    totalAmount,
+                    years: await donationYears(knex, user.id),
+                    receiptNumber,
+                    flash: takeFlash(req)
+                });
+            }
+
+            return forbidden(req, res);
+        } catch (err) {
+            console.error("Error fetching donations:", err);
+            res.status(500).send("Server error.");
+        }
+    });
+
+    // ===== SHOW ADD DONATION FORM (USER ONLY) =====
+    router.get('/donate', requireRole('participant'), (req, res) => {
+        const user = req.session.user;
+        res.render('add_donation_user', { user });
+    });
+
+    // ===== LOGGED-IN PARTICIPANT SUBMIT DONATION =====
+    router.post('/submit-donation', requireRole('participant'), async(req, res) => {
+        try {
+            const user = req.session.user;
+            const amount = parseFloat(req.body.amount);
+
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).send("Invalid donation amount.");
+            }
+
+            const [donation] = await knex('Donations').insert({
+                Participant_ID: user.id,
+                DonationAmount: amount,
+                DonationDate: knex.fn.now(),
+                DonationStatus: DONATION_STATUS.COMPLETED
+            }).returning('Donation_ID');
+
+            try {
+                await updateDonorTotal(knex, user.id);
+            } catch (e) {
+                console.warn("TotalDonations optional column not updated:", e.message);
+            }
+
+            await queueDonationReceipt(knex, donation.Donation_ID);
+
+            req.session.flash = {
+                type: 'success',
+                text: `Thank you for your donation! Your receipt is ${receiptNumber(donation.Donation_ID)} — ` +
+                    'download it below; we\'ve emailed you a copy too.'
+            };
+            res.redirect('/donations');
+
+        } catch (err) {
+            console.error("Error submitting donation:", err);
+            res.status(500).send("Error submitting donation.");
+        }
+    });
+
+    // ===== Donations =====
+    // ===== PUBLIC DONATION PAGE (no login required) =====
+    // Without a payment provider (PAYMENT_PROVIDER unset) the form is hidden
+    const OFFLINE_MESSAGE = 'Online donations are not available right now. Please contact Ella Rises to give another way.';
+
+    function renderPublicDonation(res, status, data = {}) {
+        res.status(status).render('add_donation_public', {
+            message: payments ? null : OFFLINE_MESSAGE,
+            messageType: payments ? null : 'warning',
+            receiptUrl: null,
+            online: Boolean(payments),
+            ...data
+        });
+    }
+
+    router.get('/donate-public', (req, res) => {
+        renderPublicDonation(res, 200);
+    });
+
+    // ===== PUBLIC DONATION SUBMIT =====
+    // Recorded as pending and handed to the payment provider; it only counts
+    // once the provider's webhook confirms payment (routes/payments.js)
+    router.post('/submit-donation-public', async(req, res) => {
+        if (!payments) return renderPublicDonation(res, 503);
+
+        try {
+            const { firstName, lastName, email, amount } = req.body || {};
+
+            const numericAmount = parseFloat(amount || 0);
+            if (numericAmount <= 0) {
+                return res.status(400).send("Invalid donation amount.");
+            }
+
+            // Pending donation with the donor's details, then off to checkout.
+            // The donor is matched or created once payment is confirmed.
+            const checkout = await startCheckout(knex, payments, {
+                donor: { firstName, lastName, email },
+                amount: numericAmount,
+                returnPath: thanksPath
+            });
+
+            return res.redirect(checkout.url);
+
+        } catch (err) {
+            console.error("Public donation error:", err);
+            return res.status(500).send("Server error submitting donation.");
+        }
+    });
+
+    // ===== PUBLIC DONATION OUTCOME =====
+    // The donor lands here from checkout; the webhook may still be on its way
+    router.get('/donate-public/thanks/:token', async(req, res) => {
+        const donationId = readReceiptToken(req.params.token);
+        if (!donationId) return res.status(404).send('Donation not found.');
+
+        try {
+            const donation = await knex('Donations').where({ Donation_ID: donationId }).first();
+            if (!donation) return res.status(404).send('Donation not found.');
+
+            const outcomes = {
+                [DONATION_STATUS.COMPLETED]: ['success', 'Thank you for your donation!'],
+                [DONATION_STATUS.PENDING]: ['info', 'Thank you! We\'re waiting for the payment provider to confirm your ' +
+                    'payment. Refresh this page in a moment for your receipt.'],
+                [DONATION_STATUS.FAILED]: ['danger', 'Your payment didn\'t go through, so no donation was made. ' +
+                    'You can try again below.'],
+                [DONATION_STATUS.REFUNDED]: ['info', 'This donation has been refunded.']
+            };
+            const [messageType, message] = outcomes[donation.DonationStatus] || outcomes[DONATION_STATUS.PENDING];
+
+            renderPublicDonation(res, 200, {
+                message,
+                messageType,
+                receiptUrl: donation.DonationStatus === DONATION_STATUS.COMPLETED ? receiptLinkPath(donation.Donation_ID) : null
+            });
+
+        } catch (err) {
+            console.error('Error loading donation outcome:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== REFUND (ADMIN) =====
+    // Asks the provider; the donation shows as refunded once its webhook arrives
+    router.post('/donation/:id/refund', requireAdmin, async(req, res) => {
+        try {
+            const result = await requestRefund(knex, payments, req.params.id);
+            if (result.status === 404) return res.status(404).send(result.message);
+
+            req.session.flash = { type: result.ok ? 'success' : 'danger', text: result.message };
+            res.redirect('/donations');
+
+        } catch (err) {
+            console.error('Error requesting refund:', err);
+            req.session.flash = { type: 'danger', text: 'The payment provider could not be reached; try again.' };
+            res.redirect('/donations');
+        }
+    });
+
+    // ===== Receipts and statements (PDF) =====
+    router.get('/donation/:id/receipt.pdf', requireOwnerOrAdmin(donationOwner), async(req, res) => {
+        try {
+            const donation = await loadDonation(knex, req.params.id);
+            if (!donation) return res.status(404).send('Donation not found.');
+
+            sendPdf(res, receiptPdf(donation), `receipt-${receiptNumber(donation.Donation_ID)}.pdf`);
+        } catch (err) {
+            console.error('Error creating receipt:', err);
+            if (!res.headersSent) res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Signed link from the thank-you page and receipt email (no login)
+    router.get('/receipts/:token.pdf', async(req, res) => {
+        const donationId = readReceiptToken(req.params.token);
+        if (!donationId) return res.status(404).send('Receipt not found.');
+
+        try {
+            const donation = await loadDonation(knex, donationId);
+            if (!donation) return res.status(404).send('Receipt not found.');
+
+            sendPdf(res, receiptPdf(donation), `receipt-${receiptNumber(donation.Donation_ID)}.pdf`);
+        } catch (err) {
+            console.error('Error creating receipt:', err);
+            if (!res.headersSent) res.status(500).send('Internal server error.');
+        }
+    });
+
+    router.get('/statements/:participantId/:year.pdf', requireSelfOrAdmin('participantId'), async(req, res) => {
+        const year = statementYear(req);
+        if (!year) return res.status(400).send('Invalid year.');
+
+        try {
+            const donor = await knex('Participants').where({ Participant_ID: req.params.participantId }).first();
+            if (!donor) return res.status(404).send('Participant not found.');
+
+            const donations = await donationsForYear(knex, donor.Participant_ID, year);
+            sendPdf(res, statementPdf({ donor, year, donations }), statementFilename(donor, year));
+        } catch (err) {
+            console.error('Error creating giving statement:', err);
+            if (!res.headersSent) res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Every donor's statement for the year in one zip
+    router.get('/statements/:year.zip', requireAdmin, async(req, res) => {
+        const year = statementYear(req);
+        if (!year) return res.status(400).send('Invalid year.');
+
+        try {
+            await sendStatementsZip(knex, res, year);
+        } catch (err) {
+            console.error('Error creating giving statements:', err);
+            if (!res.headersSent) res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== Export (?format=csv|xlsx, ?q= search) =====
+    router.get('/donations/export', requireAdmin, async(req, res) => {
+        try {
+            await sendExport(req, res, {
+                name: 'donations',
+                columns: [
+                    { header: 'Donation ID', value: d => d.Donation_ID, type: 'number' },
+                    { header: 'Participant ID', value: d => d.Participant_ID, type: 'number' },
+                    { header: 'Donor Name', value: d => donorName(d) },
+                    { header: 'Donor Email', value: d => d.ParticipantEmail || d.DonationDonorEmail },
+                    { header: 'Amount', value: d => d.DonationAmount, type: 'money' },
+                    { header: 'Date', value: d => d.DonationDate, type: 'date' },
+                    { header: 'Status', value: d => d.DonationStatus }
+                ],
+                rows: inBatches(allDonations())
+            });
+        } catch (err) {
+            console.error('Error exporting donations:', err);
+            if (!res.headersSent) res.status(500).send('Internal server error.');
+        }
+    });
+
+    // GET route to display the new donation form
+    router.get("/donations/add", requireAdmin, (req, res) => {
+        const user = req.session.user;
+        res.render("add_donation_admin", {
+            user: user
+        });
+    });
+
+    // POST route to create a new donation
+    router.post("/donations/add", requireAdmin, async (req, res) => {
+        try {
+            const { DonationAmount, Participant_ID, DonationDate } = req.body;
+
+            // Validate required fields
+            if (!DonationAmount) {
+                return res.status(400).send("Donation Amount is required.");
+            }
+
+            // Build insert object
+            const newDonation = {
+                DonationAmount
+            };
+
+            if (Participant_ID) newDonation.Participant_ID = Participant_ID;
+            if (DonationDate) newDonation.DonationDate = DonationDate;
+
+            // Insert into database
+            await knex("Donations").insert(newDonation);
+
+            // Redirect to donations list
+            res.redirect("/manage_dashboard");
+
+        } catch (err) {
+            console.error("Error adding donation:", err);
+            res.status(500).send("Server error adding donation");
+        }
+    });
+
+    // Edit donation
+    router.get('/donation/:id/edit', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const donationId = req.params.id;
+
+        try {
+            const donation = await knex('Donations')
+                .where({ Donation_ID: donationId })
+                .first();
+
+            if (donation) {
+                res.render('edit_donation', { user, donation });
+            } else {
+                res.status(404).send('Donation not found.');
+            }
+        } catch (err) {
+            console.error('Error fetching donation:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ADMIN update donation
+    router.post('/donations/update', requireAdmin, async(req, res) => {
+        try {
+            const { Donation_ID, DonationAmount, Participant_ID, DonationDate } = req.body;
+
+            await knex("Donations")
+                .where({ Donation_ID })
+                .update({
+                    DonationAmount,
+                    Participant_ID,
+                    DonationDate
+                });
+
+            res.redirect('/donations');
+        } catch (err) {
+            console.error("Admin donation update error:", err);
+            res.status(500).send("Error updating donation");
+        }
+    });
+
+    // Delete a specific donation by Donation_ID
+    router.post('/donation/:id/delete', requireOwnerOrAdmin(donationOwner), async(req, res) => {
+        const donationId = req.params.id;
+
+        try {
+            const deleted = await knex('Donations')
+                .where({ Donation_ID: donationId })
+                .del();
+
+            if (!deleted) {
+                return res.status(404).send('Donation not found.');
+            }
+
+            // Redirect safely based on logged-in user
+            if (req.session.user && req.session.user.role === 'admin') {
+                return res.redirect('/manage_dashboard');
+            } else {
+                return res.redirect('/donations');
+            }
+
+        } catch (err) {
+            console.error('Error deleting donation:', err);
+
+            // Optional: display an error page instead of crashing
+            return res.status(500).send('Internal server error while deleting donation.');
+        }
+    });
+
+    return router;
+};
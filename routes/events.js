@@ -0,0 +1,573 @@
+// routes/events.js — event occurrences: admin list/add/edit/delete and participant/public views
+
+const express = require('express');
+const { requireAdmin, requireSelfOrAdmin } = require('../lib/authz');
+const { expandSeries, normalizePattern } = require('../lib/recurrence');
+const { appUrl } = require('../lib/urls');
+const { lockOccurrence, recountAllOccurrences } = require('../lib/seats');
+const { WAITLISTED, promoteWaitlisted } = require('../lib/waitlist');
+const { CANCELLATION_CUTOFF_MS, canCancel } = require('../lib/registrations');
+const { createCheckInToken, checkInQrDataUrl } = require('../lib/checkin');
+const { ensureCalendarToken } = require('../lib/calendar');
+const { queueEventCancelled } = require('../lib/notifications');
+
+// Capacity can't drop below the seats already taken in any of `occurrences`;
+// returns the message to show, or null when the new capacity fits
+function capacityError(occurrences, capacity) {
+    if (capacity === undefined || capacity === null || capacity === '') return null;
+
+    const seats = Number(capacity);
+    const full = occurrences.find(o => (o.EventNumRegistered || 0) > seats);
+    if (!full) return null;
+
+    return `Capacity ${seats} is below the ${full.EventNumRegistered} people already registered for ` +
+        `${new Date(full.EventDateTimeStart).toLocaleString()}. Cancel registrations first.`;
+}
+
+// Turn the /events/add form into the EventOccurrence rows it describes.
+// The first start/end/deadline set the length and deadline offset that every
+// generated occurrence copies; a blank capacity falls back to the template.
+function planOccurrences(template, form) {
+    const pattern = normalizePattern(form.EventRecurrencePattern);
+    const dates = expandSeries({
+        pattern,
+        start: form.EventDateTimeStart,
+        until: form.SeriesUntil,
+        count: form.SeriesCount
+    });
+    if (!dates.length) throw new Error('The series has no dates between start and end');
+
+    const first = dates[0].getTime();
+    const length = form.EventDateTimeEnd ? new Date(form.EventDateTimeEnd).getTime() - first : null;
+    const deadlineOffset = form.EventRegistrationDeadline ?
+        first - new Date(form.EventRegistrationDeadline).getTime() :
+        null;
+
+    if (length !== null && !(length >= 0)) throw new Error('The event must end after it starts');
+
+    const capacity = form.EventCapacity !== undefined && form.EventCapacity !== '' ?
+        parseInt(form.EventCapacity, 10) :
+        template.EventDefaultCapacity;
+
+    const rows = dates.map(start => ({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventDateTimeEnd: length !== null ? new Date(start.getTime() + length) : null,
+        EventLocation: form.EventLocation,
+        EventCapacity: capacity,
+        EventRegistrationDeadline: deadlineOffset !== null ? new Date(start.getTime() - deadlineOffset) : null
+    }));
+
+    return { pattern, rows };
+}
+
+module.exports = function eventsRouter({ knex }) {
+    const router = express.Router();
+
+    // ===============
+    // EVENTS ROUTES 
+    // ===============
+    // Admin events route
+    router.get('/events', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            const now = new Date();
+
+            const events = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .select(
+                    'et.Event_ID',
+                    'et.EventName',
+                    'et.EventType',
+                    'et.EventDescription',
+                    'eo.EventDateTimeStart',
+                    'eo.EventLocation'
+                )
+                .orderBy('eo.EventDateTimeStart', 'asc');
+
+            // Waitlist sizes, shown on each upcoming event's Waitlist button
+            const waitlists = await knex('Registration')
+                .where({ RegistrationStatus: WAITLISTED })
+                .groupBy('Event_ID', 'EventDateTimeStart')
+                .select('Event_ID', 'EventDateTimeStart')
+                .count('* as count');
+            const waitlistCounts = new Map(waitlists.map(w =>
+                [`${w.Event_ID}|${new Date(w.EventDateTimeStart).getTime()}`, Number(w.count)]
+            ));
+            events.forEach(e => {
+                e.WaitlistCount = waitlistCounts.get(`${e.Event_ID}|${new Date(e.EventDateTimeStart).getTime()}`) || 0;
+            });
+
+            const upcomingEvents = events.filter(e => new Date(e.EventDateTimeStart) >= now);
+            const pastEvents = events.filter(e => new Date(e.EventDateTimeStart) < now);
+
+            // Render manage_dashboard with events_content
+            res.render('manage_dashboard', {
+                user,
+                title: 'Events',
+                contentFile: 'events_content',
+                contentData: {
+                    user,
+                    upcomingEvents,
+                    pastEvents,
+                    recounted: req.query.recounted
+                }
+            });
+
+        } catch (err) {
+            console.error("Admin events error:", err);
+            res.status(500).send("Error retrieving events");
+        }
+    });
+
+    // User event routes
+    router.get('/events_user/:id', requireSelfOrAdmin('id'), async(req, res) => {
+        const userId = req.session.user.id;
+
+        try {
+            // Includes the user's own registration (if any) so the page can
+            // offer register/cancel and show their place on a waitlist
+            const upcomingEvents = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .leftJoin('Registration as r', function() {
+                    this.on('r.Event_ID', '=', 'eo.Event_ID')
+                        .andOn('r.EventDateTimeStart', '=', 'eo.EventDateTimeStart')
+                        .andOn('r.Participant_ID', '=', knex.raw('?', [userId]));
+                })
+                .select(
+                    'eo.Event_ID',
+                    'eo.EventDateTimeStart',
+                    'et.EventName',
+                    'et.EventType',
+                    'et.EventDescription',
+                    'eo.EventLocation',
+                    'eo.EventCapacity',
+                    'eo.EventNumRegistered',
+                    'eo.EventRegistrationDeadline',
+                    'r.RegistrationStatus',
+                    'r.RegistrationWaitlistPosition'
+                )
+                .where('eo.EventDateTimeStart', '>=', new Date())
+                .orderBy('eo.EventDateTimeStart', 'asc');
+
+            const userPastEvents = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .join('Registration as r', function() {
+                    this.on('r.Event_ID', '=', 'eo.Event_ID')
+                        .andOn('r.EventDateTimeStart', '=', 'eo.EventDateTimeStart')
+                        .andOn('r.Participant_ID', '=', knex.raw('?', [userId]));
+                })
+                .select(
+                    'eo.Event_ID',
+                    'eo.EventDateTimeStart',
+                    'et.EventName',
+                    'et.EventDescription',
+                    'eo.EventLocation',
+                    'r.RegistrationAttendedFlag'
+                )
+                .where('eo.EventDateTimeStart', '<', new Date())
+                .andWhere('r.RegistrationAttendedFlag', '=', 'T')
+                .orderBy('eo.EventDateTimeStart', 'desc');
+
+            const now = new Date();
+            upcomingEvents.forEach(e => {
+                e.SeatsLeft = Math.max(0, (e.EventCapacity || 0) - (e.EventNumRegistered || 0));
+                e.RegistrationOpen = !e.EventRegistrationDeadline || new Date(e.EventRegistrationDeadline) >= now;
+                e.CanCancel = canCancel(e.RegistrationStatus ? e : null, e, now);
+            });
+            const myRegistrations = upcomingEvents.filter(e => e.RegistrationStatus);
+
+            // QR check-in code for every seat they hold (shown at the door)
+            for (const e of myRegistrations) {
+                if (e.RegistrationStatus === WAITLISTED) continue;
+                e.CheckInToken = createCheckInToken({ ...e, Participant_ID: userId });
+                e.CheckInQr = await checkInQrDataUrl(e.CheckInToken);
+            }
+
+            // One-time message from the register/cancel buttons
+            const flash = req.session.flash || null;
+            delete req.session.flash;
+
+            // Private subscription link for this participant's calendar app
+            const calendarToken = await ensureCalendarToken(knex, userId);
+            const calendarUrl = `${appUrl()}/calendar/${calendarToken}.ics`;
+
+            res.render('events_user', {
+                user: req.session.user,
+                upcomingEvents,
+                userPastEvents,
+                myRegistrations,
+                flash,
+                cancellationCutoffHours: CANCELLATION_CUTOFF_MS / (60 * 60 * 1000),
+                calendarUrl
+            });
+
+        } catch (err) {
+            console.error("User events error:", err);
+            res.status(500).send("Server error");
+        }
+    });
+
+    // Public events route
+    // PUBLIC — shows upcoming events only
+    router.get('/events_nonverified', async(req, res) => {
+        try {
+            const now = new Date();
+
+            const events = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .select(
+                    'eo.Event_ID',
+                    'et.EventName',
+                    'et.EventDescription',
+                    'eo.EventDateTimeStart'
+                )
+                .where('eo.EventDateTimeStart', '>=', now)
+                .orderBy('eo.EventDateTimeStart', 'asc');
+
+            res.render('events_nonverified', {
+                user: req.session.user,
+                events
+            });
+        } catch (err) {
+            console.error("Public events error:", err);
+            res.status(500).send("Server error");
+        }
+    });
+
+    // ===============
+    // ADD EVENT FORM (ADMIN)
+    // ===============
+    router.get('/events/add', requireAdmin, async(req, res) => {
+        try {
+            const eventTemplates = await knex('EventTemplates')
+                .select(
+                    'Event_ID',
+                    'EventName',
+                    'EventType',
+                    'EventDescription',
+                    'EventRecurrencePattern',
+                    'EventDefaultCapacity'
+                )
+                .orderBy('EventName', 'asc');
+
+            // Pre-select each template's pattern in the recurrence dropdown
+            eventTemplates.forEach(t => {
+                t.RecurrenceDefault = normalizePattern(t.EventRecurrencePattern);
+            });
+
+            res.render('add_events', {
+                user: req.session.user,
+                eventTemplates
+            });
+
+        } catch (err) {
+            console.error("Error loading event templates:", err);
+            res.status(500).send("Server error retrieving event templates");
+        }
+    });
+
+    // ===============
+    // ADD EVENT ACTION (ADMIN)
+    // ===============
+    // A single occurrence is created straight away. A recurring series is
+    // shown as a preview first; the preview form posts back with confirm=1
+    // and the whole series is created in one transaction.
+    router.post('/events/add', requireAdmin, async(req, res) => {
+        try {
+            const template = await knex('EventTemplates')
+                .where({ Event_ID: req.body.Event_ID })
+                .first();
+
+            if (!template) return res.status(400).send('Please choose an event template.');
+
+            let plan;
+            try {
+                plan = planOccurrences(template, req.body);
+            } catch (err) {
+                return res.status(400).send(err.message);
+            }
+
+            const { pattern, rows } = plan;
+
+            // Occurrences that already exist (same template and start) are skipped
+            const existing = await knex('EventOccurrence')
+                .where({ Event_ID: template.Event_ID })
+                .whereIn('EventDateTimeStart', rows.map(r => r.EventDateTimeStart))
+                .select('EventDateTimeStart');
+            const taken = new Set(existing.map(e => new Date(e.EventDateTimeStart).getTime()));
+            rows.forEach(r => {
+                r.conflict = taken.has(r.EventDateTimeStart.getTime());
+            });
+
+            if (pattern === 'None') {
+                if (rows[0].conflict) {
+                    return res.status(409).send('That event already has an occurrence at this time.');
+                }
+
+                const { conflict, ...row } = rows[0];
+                await knex('EventOccurrence').insert(row);
+                return res.redirect('/events');
+            }
+
+            if (!req.body.confirm) {
+                return res.render('events_series_preview', {
+                    user: req.session.user,
+                    template,
+                    pattern,
+                    rows,
+                    form: req.body
+                });
+            }
+
+            await knex.transaction(async trx => {
+                const [series] = await trx('EventSeries')
+                    .insert({
+                        Event_ID: template.Event_ID,
+                        EventSeriesPattern: pattern,
+                        EventSeriesStart: rows[0].EventDateTimeStart,
+                        EventSeriesUntil: req.body.SeriesUntil || null,
+                        EventSeriesCount: req.body.SeriesCount ? parseInt(req.body.SeriesCount, 10) : null
+                    })
+                    .returning('EventSeries_ID');
+
+                const seriesId = series.EventSeries_ID;
+                const toInsert = rows
+                    .filter(r => !r.conflict)
+                    .map(({ conflict, ...row }) => ({ ...row, EventSeries_ID: seriesId }));
+
+                if (toInsert.length) await trx('EventOccurrence').insert(toInsert);
+            });
+
+            res.redirect('/events');
+
+        } catch (err) {
+            console.error("Error adding event occurrence:", err);
+            res.status(500).send("Server error creating event occurrence");
+        }
+    });
+
+    // ===============
+    // RECOUNT REGISTRATIONS (ADMIN)
+    // ===============
+    // Repairs EventNumRegistered on every occurrence from the Registration rows
+    router.post('/events/recount', requireAdmin, async(req, res) => {
+        try {
+            const fixed = await knex.transaction(trx => recountAllOccurrences(trx));
+            res.redirect(`/events?recounted=${fixed.length}`);
+
+        } catch (err) {
+            console.error("Error recounting registrations:", err);
+            res.status(500).send("Server error recounting registrations");
+        }
+    });
+
+    // Old link for the add form — the template list lives on /events/add
+    router.get('/add_events', requireAdmin, (req, res) => res.redirect('/events/add'));
+
+    // Edit event occurrence (composite key)
+    router.get('/events/edit/:eventId/:startTime', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const { eventId, startTime } = req.params;
+
+        try {
+            const event = await knex('EventOccurrence')
+                .where({
+                    Event_ID: eventId,
+                    EventDateTimeStart: startTime
+                })
+                .first();
+
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            // How many occurrences "this and following" would touch
+            let followingCount = 0;
+            if (event.EventSeries_ID) {
+                const [{ count }] = await knex('EventOccurrence')
+                    .where({ EventSeries_ID: event.EventSeries_ID })
+                    .andWhere('EventDateTimeStart', '>=', event.EventDateTimeStart)
+                    .count('* as count');
+                followingCount = Number(count);
+            }
+
+            res.render('edit_events', { user, event, followingCount });
+
+        } catch (err) {
+            console.error('Error fetching event occurrence:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Handles saving updated event occurrence details after the admin submits the edit form.
+    // OriginalDateTimeStart locates the row, since the start time itself is editable.
+    // scope=following applies the change to this and every later occurrence in
+    // the same series: start times move by the same amount, and each one gets
+    // the new length, location, capacity and deadline offset.
+    // Raising capacity promotes people from the waitlist either way; lowering it
+    // below the seats already taken is refused.
+    // ==================
+    // EDIT EVENT SUBMIT
+    // ==================
+    router.post('/events/edit', requireAdmin, async(req, res) => {
+        try {
+            const {
+                Event_ID,
+                OriginalDateTimeStart,
+                EventDateTimeStart,
+                EventDateTimeEnd,
+                EventLocation,
+                EventCapacity,
+                EventRegistrationDeadline,
+                scope
+            } = req.body;
+
+            // Convert all dates to ISO format for Postgres
+            const newStart = new Date(EventDateTimeStart).toISOString();
+            const newEnd = EventDateTimeEnd ? new Date(EventDateTimeEnd).toISOString() : null;
+            const regDeadline = EventRegistrationDeadline ? new Date(EventRegistrationDeadline).toISOString() : null;
+
+            const event = await knex('EventOccurrence')
+                .where({
+                    Event_ID: Event_ID,
+                    EventDateTimeStart: OriginalDateTimeStart // exact match to find the row
+                })
+                .first();
+
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            if (scope !== 'following' || !event.EventSeries_ID) {
+                const result = await knex.transaction(async trx => {
+                    const locked = await lockOccurrence(trx, { Event_ID, EventDateTimeStart: OriginalDateTimeStart });
+
+                    const error = capacityError([locked], EventCapacity);
+                    if (error) return { error };
+
+                    await trx("EventOccurrence")
+                        .where({
+                            Event_ID: Event_ID,
+                            EventDateTimeStart: OriginalDateTimeStart
+                        })
+                        .update({
+                            EventDateTimeStart: newStart,
+                            EventDateTimeEnd: newEnd,
+                            EventLocation,
+                            EventCapacity,
+                            EventRegistrationDeadline: regDeadline
+                        });
+
+                    // A bigger capacity lets people in from the waitlist
+                    await promoteWaitlisted(trx, { Event_ID, EventDateTimeStart: newStart });
+                    return {};
+                });
+                if (result.error) return res.status(400).send(result.error);
+
+                return res.redirect("/events");
+            }
+
+            const shift = new Date(newStart) - new Date(event.EventDateTimeStart);
+            const length = newEnd ? new Date(newEnd) - new Date(newStart) : null;
+            const deadlineOffset = regDeadline ? new Date(newStart) - new Date(regDeadline) : null;
+
+            const result = await knex.transaction(async trx => {
+                // Move the latest rows first when shifting later (earliest first
+                // when shifting earlier) so no row lands on a start still in use
+                const following = await trx('EventOccurrence')
+                    .where({ EventSeries_ID: event.EventSeries_ID })
+                    .andWhere('EventDateTimeStart', '>=', event.EventDateTimeStart)
+                    .orderBy('EventDateTimeStart', shift > 0 ? 'desc' : 'asc')
+                    .forUpdate();
+
+                const error = capacityError(following, EventCapacity);
+                if (error) return { error };
+
+                for (const occ of following) {
+                    const start = new Date(new Date(occ.EventDateTimeStart).getTime() + shift);
+
+                    await trx('EventOccurrence')
+                        .where({
+                            Event_ID: occ.Event_ID,
+                            EventDateTimeStart: occ.EventDateTimeStart
+                        })
+                        .update({
+                            EventDateTimeStart: start,
+                            EventDateTimeEnd: length !== null ? new Date(start.getTime() + length) : null,
+                            EventLocation,
+                            EventCapacity,
+                            EventRegistrationDeadline: deadlineOffset !== null ? new Date(start.getTime() - deadlineOffset) : null
+                        });
+
+                    await promoteWaitlisted(trx, { Event_ID: occ.Event_ID, EventDateTimeStart: start });
+                }
+
+                return {};
+            });
+            if (result.error) return res.status(400).send(result.error);
+
+            res.redirect("/events");
+
+        } catch (err) {
+            console.error("Error editing event:", err);
+            res.status(500).send("Server error editing event");
+        }
+    });
+
+    // Delete a specific EventOccurrence by composite key
+    // scope=following cancels this and every later occurrence in its series.
+    // Registrants of occurrences that haven't happened yet get a cancellation email.
+    // ==================
+    // DELETE EVENT OCCURRENCE (ADMIN) WITH CASCADE
+    // ==================
+    router.post('/events/delete/:eventId/:startTime', requireAdmin, async (req, res) => {
+        const trx = await knex.transaction(); // start transaction
+
+        try {
+            const { eventId, startTime } = req.params;
+            const startISO = new Date(startTime).toISOString();
+
+            let targets = [{ Event_ID: eventId, EventDateTimeStart: startISO }];
+
+            if ((req.body || {}).scope === 'following') {
+                const event = await trx('EventOccurrence')
+                    .where({ Event_ID: eventId, EventDateTimeStart: startISO })
+                    .first();
+
+                if (event && event.EventSeries_ID) {
+                    targets = await trx('EventOccurrence')
+                        .where({ EventSeries_ID: event.EventSeries_ID })
+                        .andWhere('EventDateTimeStart', '>=', event.EventDateTimeStart)
+                        .select('Event_ID', 'EventDateTimeStart');
+                }
+            }
+
+            // Tell everyone holding a seat or waiting for one before their rows go
+            await queueEventCancelled(trx, targets);
+
+            let deleted = 0;
+            for (const key of targets) {
+                // Delete dependent registrations first
+                await trx('Registration').where(key).del();
+
+                // Delete dependent surveys next
+                await trx('Surveys').where(key).del();
+
+                // Delete the actual event occurrence
+                deleted += await trx('EventOccurrence').where(key).del();
+            }
+
+            if (!deleted) {
+                console.warn("Delete attempted but no record found:", eventId, startISO);
+            }
+
+            await trx.commit(); // commit transaction
+            res.redirect("/events");
+
+        } catch (err) {
+            await trx.rollback(); // rollback if any error occurs
+            console.error("Error deleting event occurrence:", err);
+            res.status(500).send("Internal server error");
+        }
+    });
+
+    return router;
+};
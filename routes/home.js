@@ -0,0 +1,70 @@
+// routes/home.js — home page, admin landing pages and the teapot
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const { UPCOMING_DAYS, dashboardStats } = require('../lib/dashboard');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD in local time
+function dateInput(date) {
+    return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+module.exports = function homeRouter({ knex }) {
+    const router = express.Router();
+
+    // Home
+    router.get('/', (req, res) => {
+        res.render('index'); // res.locals.user is available in EJS
+    });
+
+    router.get('/manage_dashboard', requireAdmin, (req, res) => {
+        res.render('manage_dashboard', {
+            user: req.session.user,
+            contentFile: 'manage_default_content',
+            contentData: { user: req.session.user }, // render it first
+        });
+    });
+
+    // Live KPIs and charts; from/to (YYYY-MM-DD, inclusive) default to the last 12 months
+    router.get('/dashboard', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const today = new Date();
+
+        const filters = {
+            from: DATE_PATTERN.test(req.query.from || '') ? req.query.from :
+                dateInput(new Date(today.getFullYear(), today.getMonth() - 11, 1)),
+            to: DATE_PATTERN.test(req.query.to || '') ? req.query.to : dateInput(today)
+        };
+
+        try {
+            const from = new Date(`${filters.from}T00:00:00`);
+            const to = new Date(`${filters.to}T00:00:00`);
+            to.setDate(to.getDate() + 1);
+
+            if (!(from < to)) return res.status(400).send('The start date must be on or before the end date.');
+
+            const stats = await dashboardStats(knex, { from, to });
+
+            res.render('manage_dashboard', {
+                title: 'Dashboard',
+                contentFile: 'dashboard_content',
+                contentData: { user, filters, upcomingDays: UPCOMING_DAYS, ...stats }
+            });
+
+        } catch (err) {
+            console.error('Error loading dashboard:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Teapot
+    router.get('/teapot', (req, res) => {
+        res.status(418).render('teapot', {
+            message: "I'm a teapot ☕"
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,182 @@
+// routes/imports.js — admin CSV import of participants and registrations
+//
+// Upload → pick columns → dry-run report → commit. The uploaded file stays in
+// uploads/ until the import is committed or cancelled; the session only
+// remembers where it is and the chosen column mapping.
+
+const fs = require('fs');
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const { KINDS, parseCsv, guessMapping, cleanMapping, planImport, applyImport } = require('../lib/imports');
+
+module.exports = function importsRouter({ knex, upload }) {
+    const router = express.Router();
+
+    const receiveFile = upload.single('file');
+
+    function removeFile(file) {
+        if (file) fs.promises.unlink(file).catch(() => {});
+    }
+
+    // Header row plus data rows of the pending upload, or null if it's gone
+    async function readPending(pending) {
+        try {
+            return parseCsv(await fs.promises.readFile(pending.file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    function plural(n, word) {
+        return `${n} ${word}${n === 1 ? '' : 's'}`;
+    }
+
+    // Upload form, or the dry-run report for the pending upload
+    router.get('/import', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const pending = req.session.import || null;
+
+        try {
+            let table = null;
+            let plan = null;
+
+            if (pending) {
+                table = await readPending(pending);
+                if (table) {
+                    plan = await planImport(knex, pending.kind, table, pending.mapping);
+                } else {
+                    delete req.session.import;
+                }
+            }
+
+            const flash = req.session.flash || null;
+            delete req.session.flash;
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Import',
+                contentFile: 'import_content',
+                contentData: {
+                    user,
+                    kinds: KINDS,
+                    pending: table ? pending : null,
+                    headers: table ? table[0] : [],
+                    plan,
+                    flash
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading import:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // New upload replaces any pending one; columns are matched by header name
+    router.post('/import', requireAdmin, (req, res) => {
+        receiveFile(req, res, async err => {
+            const reject = text => {
+                if (req.file) removeFile(req.file.path);
+                req.session.flash = { type: 'danger', text };
+                res.redirect('/import');
+            };
+
+            if (err) {
+                return reject(err.code === 'LIMIT_FILE_SIZE' ?
+                    'That file is too large — split it into files under 5 MB.' :
+                    'The upload failed. Please try again.');
+            }
+
+            try {
+                const kind = req.body.kind;
+                if (!KINDS[kind]) return reject('Choose what the file contains.');
+                if (!req.file) return reject('Choose a CSV file to import.');
+                if (!/\.csv$/i.test(req.file.originalname)) {
+                    return reject('Only .csv files can be imported. In Excel, use Save As → CSV.');
+                }
+
+                const table = parseCsv(await fs.promises.readFile(req.file.path, 'utf8'));
+                if (table.length < 2) return reject('That file has no rows below the header row.');
+
+                if (req.session.import) removeFile(req.session.import.file);
+                req.session.import = {
+                    kind,
+                    file: req.file.path,
+                    name: req.file.originalname,
+                    mapping: guessMapping(kind, table[0])
+                };
+                res.redirect('/import');
+
+            } catch (err) {
+                console.error('Error uploading import:', err);
+                if (req.file) removeFile(req.file.path);
+                res.status(500).send('Internal server error.');
+            }
+        });
+    });
+
+    // Change which column feeds each field, then show the dry run again
+    router.post('/import/mapping', requireAdmin, async(req, res) => {
+        const pending = req.session.import;
+        if (!pending) return res.redirect('/import');
+
+        try {
+            const table = await readPending(pending);
+            if (table) pending.mapping = cleanMapping(pending.kind, table[0], req.body.map);
+            res.redirect('/import');
+
+        } catch (err) {
+            console.error('Error saving import mapping:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Write every row in one transaction; any error (even one that appeared
+    // since the dry run) leaves the database untouched
+    router.post('/import/commit', requireAdmin, async(req, res) => {
+        const pending = req.session.import;
+        if (!pending) return res.redirect('/import');
+
+        try {
+            const table = await readPending(pending);
+            if (!table) {
+                delete req.session.import;
+                req.session.flash = { type: 'danger', text: 'The uploaded file is no longer available. Please upload it again.' };
+                return res.redirect('/import');
+            }
+
+            const result = await applyImport(knex, pending.kind, table, pending.mapping);
+
+            if (!result.ok) {
+                req.session.flash = {
+                    type: 'danger',
+                    text: `Nothing was imported — ${plural(result.counts.error, 'row')} still ${result.counts.error === 1 ? 'has' : 'have'} errors.`
+                };
+                return res.redirect('/import');
+            }
+
+            removeFile(pending.file);
+            delete req.session.import;
+
+            const { create, update, unchanged } = result.counts;
+            req.session.flash = {
+                type: 'success',
+                text: `Imported ${pending.name}: ${create} created, ${update} updated, ${unchanged} unchanged.`
+            };
+            res.redirect('/import');
+
+        } catch (err) {
+            console.error('Error committing import:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    router.post('/import/cancel', requireAdmin, (req, res) => {
+        if (req.session.import) removeFile(req.session.import.file);
+        delete req.session.import;
+        res.redirect('/import');
+    });
+
+    return router;
+};
@@ -0,0 +1,95 @@
+// routes/merges.js — admin tool for merging duplicate participants (see lib/merges.js)
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const {
+    MERGE_FIELDS,
+    ACCOUNT_FIELDS,
+    findDuplicates,
+    mergePreview,
+    mergeParticipants,
+    recentMerges
+} = require('../lib/merges');
+
+module.exports = function mergesRouter({ knex }) {
+    const router = express.Router();
+
+    function takeFlash(req) {
+        const flash = req.session.flash || null;
+        delete req.session.flash;
+        return flash;
+    }
+
+    // Likely duplicates, and the merges done so far
+    router.get('/users/duplicates', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            res.render('manage_dashboard', {
+                user,
+                title: 'Duplicate Participants',
+                contentFile: 'duplicates_content',
+                contentData: {
+                    user,
+                    duplicates: await findDuplicates(knex),
+                    merges: await recentMerges(knex),
+                    flash: takeFlash(req)
+                }
+            });
+        } catch (err) {
+            console.error('Error finding duplicates:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Side by side: ?survivor=<id>&merged=<id>
+    router.get('/users/merge', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const survivorId = Number(req.query.survivor);
+        const mergedId = Number(req.query.merged);
+
+        if (!survivorId || !mergedId || survivorId === mergedId) {
+            return res.status(400).send('Choose two different participants to compare.');
+        }
+
+        try {
+            const preview = await mergePreview(knex, survivorId, mergedId);
+            if (!preview) return res.status(404).send('Participant not found.');
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Merge Participants',
+                contentFile: 'merge_content',
+                contentData: { user, ...preview, fields: MERGE_FIELDS, accountFields: ACCOUNT_FIELDS }
+            });
+        } catch (err) {
+            console.error('Error loading merge preview:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // choice[<field>]=survivor|merged for each contact field
+    router.post('/users/merge', requireAdmin, async(req, res) => {
+        const body = req.body || {};
+
+        try {
+            const result = await mergeParticipants(knex, {
+                survivorId: body.survivorId,
+                mergedId: body.mergedId,
+                choices: body.choice || {},
+                adminId: req.session.user.id
+            });
+            if (result.status === 404) return res.status(404).send(result.message);
+            if (!result.ok) return res.status(result.status).send(result.message);
+
+            req.session.flash = { type: 'success', text: result.message };
+            res.redirect('/users/duplicates');
+
+        } catch (err) {
+            console.error('Error merging participants:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
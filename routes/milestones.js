@@ -0,0 +1,243 @@
+// routes/milestones.js — participant milestones (self-service and admin)
+
+const express = require('express');
+const { requireAdmin, requireSelfOrAdmin } = require('../lib/authz');
+const { inBatches, sendExport } = require('../lib/export');
+
+module.exports = function milestonesRouter({ knex }) {
+    const router = express.Router();
+
+    // 1. GET — Edit Milestone Page
+    router.get("/milestone/:participantId/:title/edit", requireSelfOrAdmin('participantId'), async(req, res) => {
+        const { participantId, title } = req.params;
+
+        try {
+            const milestone = await knex("Milestones")
+                .where({
+                    Participant_ID: participantId,
+                    MilestoneTitle: title
+                })
+                .first();
+
+            if (!milestone) return res.status(404).send("Milestone not found.");
+
+            res.render("edit_milestone", {
+                user: req.session.user,
+                milestone
+            });
+
+        } catch (err) {
+            console.error("Error loading milestone:", err);
+            res.status(500).send("Internal server error.");
+        }
+    });
+
+    // 2. POST — Update Milestone Date ONLY
+    router.post("/milestone/:participantId/:title/update", requireSelfOrAdmin('participantId'), async(req, res) => {
+        const { participantId, title } = req.params;
+        const { MilestoneDate } = req.body;
+
+        try {
+            await knex("Milestones")
+                .where({
+                    Participant_ID: participantId,
+                    MilestoneTitle: title
+                })
+                .update({
+                    MilestoneDate: MilestoneDate
+                });
+
+            if (req.session.user.role === "admin") {
+                return res.redirect("/manage_dashboard?view=milestones");
+            }
+
+            return res.redirect(`/profile/${participantId}`);
+
+        } catch (err) {
+            console.error("Error updating milestone:", err);
+            res.status(500).send("Update failed.");
+        }
+    });
+
+    // 3. POST — Delete a Milestone
+    router.post("/milestone/:participantId/:title/delete", requireSelfOrAdmin('participantId'), async(req, res) => {
+        const { participantId, title } = req.params;
+
+        try {
+            const deleted = await knex("Milestones")
+                .where({
+                    Participant_ID: participantId,
+                    MilestoneTitle: title
+                })
+                .del();
+
+            if (!deleted) {
+                return res.status(404).send("Milestone not found.");
+            }
+
+            if (req.session.user.role === "admin") {
+                return res.redirect("/manage_dashboard?view=milestones");
+            }
+
+            return res.redirect(`/profile/${participantId}`);
+
+        } catch (err) {
+            console.error("Error deleting milestone:", err);
+            res.status(500).send("Error deleting milestone.");
+        }
+    });
+
+    // 4. GET — Add Milestone Page (User)
+    router.get("/milestone/add/:id", requireSelfOrAdmin('id'), async(req, res) => {
+        const participantId = req.params.id;
+
+        const participant = await knex("Participants")
+            .where("Participant_ID", participantId)
+            .first();
+
+        if (!participant) return res.status(404).send("Participant not found.");
+
+        res.render("add_milestone_user", {
+            user: req.session.user,
+            participant
+        });
+    });
+
+    // 5. POST — User Adds Milestone
+    router.post("/milestone/add", requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        const { Participant_ID, MilestoneTitle, MilestoneDate } = req.body;
+
+        try {
+            // CHECK FOR DUPLICATE TITLE
+            const exists = await knex("Milestones")
+                .where({
+                    Participant_ID,
+                    MilestoneTitle
+                })
+                .first();
+
+            if (exists) {
+                return res.status(400).send("You already have a milestone with that title. Titles must be unique.");
+            }
+
+            // INSERT NEW MILESTONE
+            await knex("Milestones").insert({
+                Participant_ID,
+                MilestoneTitle,
+                MilestoneDate
+            });
+
+            return res.redirect(`/profile/${Participant_ID}`);
+
+        } catch (err) {
+            console.error("Error adding milestone:", err);
+            res.status(500).send("Error adding milestone.");
+        }
+    });
+
+    // 6. GET — Admin Add Milestone Page
+    router.get("/add_milestone_admin", requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        const participants = await knex("Participants").select(
+            "Participant_ID",
+            "ParticipantFirstName",
+            "ParticipantLastName",
+            "ParticipantEmail"
+        );
+
+        res.render("add_milestone_admin", {
+            user,
+            participants
+        });
+    });
+
+    // 7. POST — Admin Adds Milestone
+    router.post("/milestone/add_admin", requireAdmin, async(req, res) => {
+        const { Participant_ID, MilestoneTitle, MilestoneDate } = req.body;
+
+        try {
+            // CHECK FOR DUPLICATE TITLE
+            const exists = await knex("Milestones")
+                .where({
+                    Participant_ID,
+                    MilestoneTitle
+                })
+                .first();
+
+            if (exists) {
+                return res.status(400).send("This participant already has a milestone with that title.");
+            }
+
+            // INSERT NEW MILESTONE
+            await knex("Milestones").insert({
+                Participant_ID,
+                MilestoneTitle,
+                MilestoneDate
+            });
+
+            return res.redirect("/manage_dashboard?view=milestones");
+
+        } catch (err) {
+            console.error("Milestone insert error:", err);
+            res.status(500).send("Error adding milestone.");
+        }
+    });
+
+    // ===============================
+    // ADMIN — View All Milestones
+    // ===============================
+    // Every milestone with the participant's name (admin list and export)
+    function allMilestones() {
+        return knex("Milestones")
+            .join("Participants", "Milestones.Participant_ID", "Participants.Participant_ID")
+            .select(
+                "Milestones.Participant_ID",
+                "Participants.ParticipantFirstName",
+                "Participants.ParticipantLastName",
+                "Milestones.MilestoneTitle",
+                "Milestones.MilestoneDate"
+            )
+            .orderBy("Participants.ParticipantLastName")
+            .orderBy("Milestones.Participant_ID")
+            .orderBy("Milestones.MilestoneTitle");
+    }
+
+    router.get("/milestones/export", requireAdmin, async(req, res) => {
+        try {
+            await sendExport(req, res, {
+                name: 'milestones',
+                columns: [
+                    { header: 'Participant ID', value: m => m.Participant_ID, type: 'number' },
+                    { header: 'First Name', value: m => m.ParticipantFirstName },
+                    { header: 'Last Name', value: m => m.ParticipantLastName },
+                    { header: 'Milestone', value: m => m.MilestoneTitle },
+                    { header: 'Date', value: m => m.MilestoneDate, type: 'date' }
+                ],
+                rows: inBatches(allMilestones())
+            });
+        } catch (err) {
+            console.error("Error exporting milestones:", err);
+            if (!res.headersSent) res.status(500).send("Internal server error.");
+        }
+    });
+
+    router.get("/milestones", requireAdmin, async(req, res) => {
+
+        try {
+            const milestones = await allMilestones();
+
+            res.render("manage_dashboard", {
+                user: req.session.user,
+                contentFile: "milestones",
+                contentData: { milestones }
+            });
+
+        } catch (err) {
+            console.error("Error loading milestone admin page:", err);
+            res.status(500).send("Internal server error loading milestones.");
+        }
+    });
+
+    return router;
+};
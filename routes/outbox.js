@@ -0,0 +1,82 @@
+// routes/outbox.js — admin view of queued notifications (see lib/outbox.js)
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const { STATUS, deliverPending, resend } = require('../lib/outbox');
+const { queueScheduledNotifications } = require('../lib/notifications');
+
+module.exports = function outboxRouter({ knex, mailer }) {
+    const router = express.Router();
+
+    // Latest messages, optionally filtered by status, with per-status counts
+    router.get('/outbox', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const status = Object.values(STATUS).includes(req.query.status) ? req.query.status : '';
+
+        try {
+            let query = knex('Outbox')
+                .orderBy('OutboxCreatedAt', 'desc')
+                .orderBy('Outbox_ID', 'desc')
+                .limit(200);
+
+            if (status) query = query.where({ OutboxStatus: status });
+
+            const messages = await query;
+
+            const counts = { pending: 0, sent: 0, failed: 0 };
+            const rows = await knex('Outbox').select('OutboxStatus').count('* as count').groupBy('OutboxStatus');
+            rows.forEach(r => {
+                counts[r.OutboxStatus] = Number(r.count);
+            });
+
+            const flash = req.session.flash || null;
+            delete req.session.flash;
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Outbox',
+                contentFile: 'outbox_content',
+                contentData: { user, messages, counts, status, flash }
+            });
+
+        } catch (err) {
+            console.error('Error loading outbox:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Queue a failed (or already sent) message to go out again
+    router.post('/outbox/:id/resend', requireAdmin, async(req, res) => {
+        try {
+            const updated = await resend(knex, req.params.id);
+            if (!updated) return res.status(404).send('Message not found.');
+
+            req.session.flash = { type: 'success', text: 'Message queued to be sent again.' };
+            res.redirect('/outbox');
+
+        } catch (err) {
+            console.error('Error resending outbox message:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Run the scheduler's work now instead of waiting for the next tick
+    router.post('/outbox/run', requireAdmin, async(req, res) => {
+        try {
+            await queueScheduledNotifications(knex);
+            const { sent, failed } = await deliverPending(knex, mailer);
+
+            req.session.flash = {
+                type: failed ? 'warning' : 'success',
+                text: `Sent ${sent} message${sent === 1 ? '' : 's'}` + (failed ? `, ${failed} failed.` : '.')
+            };
+            res.redirect('/outbox');
+
+        } catch (err) {
+            console.error('Error running outbox:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
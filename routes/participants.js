@@ -0,0 +1,570 @@
+// routes/participants.js — participant/user admin, approvals and profiles
+
+const express = require('express');
+const { hashPassword } = require('../lib/passwords');
+const { createToken } = require('../lib/tokens');
+const { appUrl } = require('../lib/urls');
+const { requireAdmin, requireSelfOrAdmin } = require('../lib/authz');
+const { ACCOUNT_STATUS, ASSIGNABLE_ROLES, VERIFY_TOKEN_TTL_MS } = require('../lib/accounts');
+const { normalizeEmail } = require('../lib/donors');
+const { inBatches, sendExport } = require('../lib/export');
+
+module.exports = function participantsRouter({ knex, mailer }) {
+    const router = express.Router();
+
+    // Registrations that were attended, as listed on /participants
+    function attendedRegistrations() {
+        return knex('Registration as r')
+            .join('Participants as p', 'r.Participant_ID', 'p.Participant_ID')
+            .join('EventTemplates as et', 'r.Event_ID', 'et.Event_ID')
+            .select(
+                'r.Participant_ID',
+                'p.ParticipantFirstName',
+                'p.ParticipantLastName',
+                'p.ParticipantEmail',
+                'p.ParticipantPhone',
+                'r.Event_ID',
+                'r.EventDateTimeStart',
+                'et.EventName'
+            )
+            .where('r.RegistrationAttendedFlag', 'T');
+    }
+
+    // Everyone on /users, one row per email address like the page shows
+    async function* uniqueUsers() {
+        const seen = new Set();
+        const query = knex('Participants')
+            .select('Participant_ID', 'ParticipantFirstName', 'ParticipantLastName', 'ParticipantEmail', 'ParticipantPhone', 'ParticipantRole', 'ParticipantAccountStatus')
+            .orderBy('Participant_ID', 'asc');
+
+        for await (const p of inBatches(query)) {
+            if (seen.has(p.ParticipantEmail)) continue;
+            seen.add(p.ParticipantEmail);
+            yield p;
+        }
+    }
+
+    // A new email address has to be verified again; the account status is
+    // left alone so an active participant can still log in meanwhile. Adds
+    // the verification fields to `updateData` and returns the token to mail,
+    // or null when the address hasn't changed (case and spacing aside).
+    function resetVerificationIfEmailChanged(current, updateData) {
+        if (normalizeEmail(updateData.ParticipantEmail) === normalizeEmail(current.ParticipantEmail)) return null;
+
+        const { token, hash } = createToken();
+        updateData.ParticipantEmailVerifiedAt = null;
+        updateData.ParticipantVerifyTokenHash = hash;
+        updateData.ParticipantVerifyTokenExpires = new Date(Date.now() + VERIFY_TOKEN_TTL_MS);
+        return token;
+    }
+
+    async function sendChangedEmailVerification(participant, token) {
+        if (!token || !participant.ParticipantEmail) return;
+
+        await mailer.send({
+            to: participant.ParticipantEmail,
+            subject: 'Verify your Ella Rises email address',
+            text: [
+                `Hi ${participant.ParticipantFirstName || ''},`,
+                '',
+                'The email address on your Ella Rises account was changed to this one. Please confirm it:',
+                '',
+                `${appUrl()}/verify-email/${token}`,
+                '',
+                "If you didn't make this change, contact an Ella Rises administrator."
+            ].join('\n')
+        });
+    }
+
+    // ===== Participants page (admin only) =====
+    router.get('/participants', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            // 2) Get participants who attended (RegistrationAttendedFlag = 'T')
+            const participantsRaw = await attendedRegistrations();
+
+            // Render directly to manage_dashboard
+            res.render('manage_dashboard', {
+                user,
+                title: 'Participants',
+                contentFile: 'participants_content',
+                contentData: {
+                    user,
+                    participantsRaw
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading participants:', err);
+            res.status(500).send('Database error.');
+        }
+    });
+
+    router.get('/users', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            // 1) Get all participants
+            const usersRaw = await knex('Participants')
+                .select('Participant_ID', 'ParticipantFirstName', 'ParticipantLastName', 'ParticipantEmail', 'ParticipantPhone', 'ParticipantRole');
+
+            // Deduplicate by email for each list
+            const uniqueByEmail = (arr) => {
+                const seen = new Set();
+                return arr.filter(p => {
+                    if (!seen.has(p.ParticipantEmail)) {
+                        seen.add(p.ParticipantEmail);
+                        return true;
+                    }
+                    return false;
+                });
+            };
+
+            const users = uniqueByEmail(usersRaw).map(p => ({
+                Participant_ID: p.Participant_ID,
+                firstName: p.ParticipantFirstName,
+                lastName: p.ParticipantLastName,
+                email: p.ParticipantEmail,
+                phone: p.ParticipantPhone,
+                role: p.ParticipantRole
+            }));
+
+            // Render directly to manage_dashboard
+            res.render('manage_dashboard', {
+                user,
+                title: 'Users',
+                contentFile: 'users',
+                contentData: {
+                    user,
+                    users,
+                    roles: ASSIGNABLE_ROLES
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading participants:', err);
+            res.status(500).send('Database error.');
+        }
+    });
+
+    // ===== Exports (?format=csv|xlsx, ?q= search) =====
+    router.get('/participants/export', requireAdmin, async(req, res) => {
+        try {
+            await sendExport(req, res, {
+                name: 'participants',
+                columns: [
+                    { header: 'Participant ID', value: r => r.Participant_ID, type: 'number' },
+                    { header: 'First Name', value: r => r.ParticipantFirstName },
+                    { header: 'Last Name', value: r => r.ParticipantLastName },
+                    { header: 'Email', value: r => r.ParticipantEmail },
+                    { header: 'Phone', value: r => r.ParticipantPhone },
+                    { header: 'Event', value: r => r.EventName },
+                    { header: 'Event Date', value: r => r.EventDateTimeStart, type: 'datetime' }
+                ],
+                rows: inBatches(attendedRegistrations()
+                    .orderBy('r.Participant_ID', 'asc')
+                    .orderBy('r.Event_ID', 'asc')
+                    .orderBy('r.EventDateTimeStart', 'asc'))
+            });
+        } catch (err) {
+            console.error('Error exporting participants:', err);
+            if (!res.headersSent) res.status(500).send('Database error.');
+        }
+    });
+
+    router.get('/users/export', requireAdmin, async(req, res) => {
+        try {
+            await sendExport(req, res, {
+                name: 'users',
+                columns: [
+                    { header: 'Participant ID', value: u => u.Participant_ID, type: 'number' },
+                    { header: 'First Name', value: u => u.ParticipantFirstName },
+                    { header: 'Last Name', value: u => u.ParticipantLastName },
+                    { header: 'Email', value: u => u.ParticipantEmail },
+                    { header: 'Phone', value: u => u.ParticipantPhone },
+                    { header: 'Role', value: u => u.ParticipantRole },
+                    { header: 'Account Status', value: u => u.ParticipantAccountStatus }
+                ],
+                rows: uniqueUsers()
+            });
+        } catch (err) {
+            console.error('Error exporting users:', err);
+            if (!res.headersSent) res.status(500).send('Database error.');
+        }
+    });
+
+    // ADMIN change a user's role — the only way to elevate an account
+    router.post('/users/:id/role', requireAdmin, async(req, res) => {
+        const { id } = req.params;
+        const { ParticipantRole } = req.body;
+
+        if (!ASSIGNABLE_ROLES.includes(ParticipantRole)) {
+            return res.status(400).send('Invalid role.');
+        }
+
+        // Don't let an admin lock themselves out of the admin area
+        if (String(req.session.user.id) === String(id) && ParticipantRole !== 'admin') {
+            return res.status(400).send('You cannot remove your own admin role.');
+        }
+
+        try {
+            await knex('Participants')
+                .where({ Participant_ID: id })
+                .update({ ParticipantRole });
+
+            res.redirect('/users');
+        } catch (err) {
+            console.error('Error updating role:', err);
+            res.status(500).send('Error updating role.');
+        }
+    });
+
+    // ===== Account approval queue (admin only) =====
+    router.get('/approvals', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            const pending = await knex('Participants')
+                .select(
+                    'Participant_ID',
+                    'ParticipantFirstName',
+                    'ParticipantLastName',
+                    'ParticipantEmail',
+                    'ParticipantDOB',
+                    'ParticipantCity',
+                    'ParticipantState',
+                    'ParticipantAccountStatus',
+                    'ParticipantEmailVerifiedAt'
+                )
+                .whereIn('ParticipantAccountStatus', [
+                    ACCOUNT_STATUS.PENDING_VERIFICATION,
+                    ACCOUNT_STATUS.PENDING_APPROVAL
+                ])
+                .orderBy('Participant_ID', 'asc');
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Approvals',
+                contentFile: 'approvals_content',
+                contentData: { user, pending }
+            });
+        } catch (err) {
+            console.error('Error loading approval queue:', err);
+            res.status(500).send('Database error.');
+        }
+    });
+
+    router.post('/approvals/:id/approve', requireAdmin, async(req, res) => {
+        try {
+            const participant = await knex('Participants')
+                .where({ Participant_ID: req.params.id })
+                .first();
+
+            if (!participant) return res.status(404).send('Participant not found.');
+
+            await knex('Participants')
+                .where({ Participant_ID: participant.Participant_ID })
+                .update({
+                    ParticipantAccountStatus: ACCOUNT_STATUS.ACTIVE,
+                    ParticipantVerifyTokenHash: null,
+                    ParticipantVerifyTokenExpires: null
+                });
+
+            await mailer.send({
+                to: participant.ParticipantEmail,
+                subject: 'Your Ella Rises account is approved',
+                text: [
+                    `Hi ${participant.ParticipantFirstName || ''},`,
+                    '',
+                    'Your account has been approved. You can log in here:',
+                    '',
+                    `${appUrl()}/login`
+                ].join('\n')
+            });
+
+            res.redirect('/approvals');
+        } catch (err) {
+            console.error('Error approving participant:', err);
+            res.status(500).send('Error approving participant.');
+        }
+    });
+
+    router.post('/approvals/:id/reject', requireAdmin, async(req, res) => {
+        try {
+            await knex('Participants')
+                .where({ Participant_ID: req.params.id })
+                .update({
+                    ParticipantAccountStatus: ACCOUNT_STATUS.REJECTED,
+                    ParticipantVerifyTokenHash: null,
+                    ParticipantVerifyTokenExpires: null
+                });
+
+            res.redirect('/approvals');
+        } catch (err) {
+            console.error('Error rejecting participant:', err);
+            res.status(500).send('Error rejecting participant.');
+        }
+    });
+
+    // ===== Profile Routes =====
+    // Users can ONLY view their own profile
+    router.get('/profile/:id', requireSelfOrAdmin('id'), async(req, res) => {
+
+        try {
+            const requestedId = Number(req.params.id);
+            const loggedInUser = req.session.user;
+
+            const profile = await knex('Participants')
+                .where({ Participant_ID: requestedId })
+                .first();
+
+            const milestones = await knex('Milestones')
+                .where({ Participant_ID: requestedId })
+                .orderBy('MilestoneDate', 'desc');
+
+            res.render('profile', {
+                user: loggedInUser,
+                profile,
+                milestones
+            });
+
+        } catch (err) {
+            console.error("Error loading profile:", err);
+            res.status(500).send('Error loading profile');
+        }
+    });
+
+    // Participant updates their own profile (admins may update anyone)
+    router.post('/profile/update', requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        try {
+            const id = req.body.Participant_ID;
+
+            if (!id) {
+                return res.status(400).send("Missing Participant_ID");
+            }
+
+            const current = await knex("Participants")
+                .where({ Participant_ID: id })
+                .first();
+
+            if (!current) {
+                return res.status(404).send("Participant not found.");
+            }
+
+            const updateData = {
+                ParticipantFirstName: req.body.ParticipantFirstName,
+                ParticipantLastName: req.body.ParticipantLastName,
+                ParticipantEmail: req.body.ParticipantEmail,
+                ParticipantDOB: req.body.ParticipantDOB || null,
+                ParticipantPhone: req.body.ParticipantPhone || null,
+                ParticipantSchoolorEmployer: req.body.ParticipantSchoolorEmployer || null,
+                ParticipantFieldOfInterest: req.body.ParticipantFieldOfInterest || null
+            };
+
+            const token = resetVerificationIfEmailChanged(current, updateData);
+
+            // Save update
+            await knex("Participants")
+                .where({ Participant_ID: id })
+                .update(updateData);
+
+            await sendChangedEmailVerification({ ...current, ...updateData }, token);
+
+
+            // Redirect logic:
+            const loggedInUser = req.session.user;
+
+            // ADMIN editing someone else
+            if (loggedInUser.role === "admin" && loggedInUser.id !== Number(id)) {
+                return res.redirect("/users"); // or /participants depending on your admin view
+            }
+
+            // USER updating themselves
+            return res.redirect(`/profile/${id}`);
+
+        } catch (err) {
+            console.error("Profile update error:", err);
+            res.status(500).send("Update failed");
+        }
+    });
+
+    // ===== Admin user management =====
+    router.get('/users/edit/:id', requireAdmin, async(req, res) => {
+        const id = req.params.id;
+
+        const participant = await knex("Participants")
+            .where({ Participant_ID: id })
+            .first();
+
+        res.render('manage_dashboard', {
+            user: req.session.user,
+            contentFile: 'edit_user_content',
+            contentData: { user: req.session.user, participant }
+        });
+    });
+
+    // Edit participant (retrieve for edit form)
+    router.get('/participant/:id/edit', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const participantId = req.params.id;
+
+        try {
+            const participant = await knex('Participants')
+                .where({ Participant_ID: participantId })
+                .first();
+
+            if (participant) {
+                res.render('edit_user', { user, participant });
+            } else {
+                res.status(404).send('Participant not found.');
+            }
+        } catch (err) {
+            console.error('Error fetching participant:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ADMIN update a user's profile
+    router.post('/profile/update/admin', requireAdmin, async(req, res) => {
+        try {
+            const id = req.body.Participant_ID;
+
+            const current = await knex("Participants")
+                .where({ Participant_ID: id })
+                .first();
+
+            if (!current) {
+                return res.status(404).send("Participant not found.");
+            }
+
+            const updateData = {
+                ParticipantEmail: req.body.ParticipantEmail,
+                ParticipantFirstName: req.body.ParticipantFirstName,
+                ParticipantLastName: req.body.ParticipantLastName,
+                ParticipantDOB: req.body.ParticipantDOB,
+                ParticipantPhone: req.body.ParticipantPhone,
+                ParticipantCity: req.body.ParticipantCity,
+                ParticipantState: req.body.ParticipantState,
+                ParticipantZIP: req.body.ParticipantZIP,
+                ParticipantSchoolorEmployer: req.body.ParticipantSchoolorEmployer,
+                ParticipantFieldOfInterest: req.body.ParticipantFieldOfInterest
+            };
+
+            // Blank password field means "keep the current password".
+            // A changed password also voids any outstanding reset link.
+            if (req.body.ParticipantPassword) {
+                updateData.ParticipantPassword = await hashPassword(req.body.ParticipantPassword);
+                updateData.ParticipantResetTokenHash = null;
+                updateData.ParticipantResetTokenExpires = null;
+            }
+
+            const token = resetVerificationIfEmailChanged(current, updateData);
+
+            await knex("Participants")
+                .where({ Participant_ID: id })
+                .update(updateData);
+
+            await sendChangedEmailVerification({ ...current, ...updateData }, token);
+
+            res.redirect('/users');
+        } catch (err) {
+            console.error("Admin user update error:", err);
+            res.status(500).send("Update failed");
+        }
+    });
+
+    router.get('/create_user', requireAdmin, (req, res) =>
+        res.render('manage_dashboard', {
+            user: req.session.user,
+            title: 'Create User',
+            contentFile: 'create_user_content',
+            contentData: { user: req.session.user }
+        }));
+
+    // ===== POST: Create user (admin) =====
+    router.post('/create-user-submit', requireAdmin, async(req, res) => {
+        const body = req.body || {};
+
+        if (!ASSIGNABLE_ROLES.includes(body.ParticipantRole)) {
+            return res.status(400).send('Invalid role.');
+        }
+
+        try {
+            await knex('Participants').insert({
+                ParticipantEmail: body.ParticipantEmail,
+                ParticipantPassword: await hashPassword(body.ParticipantPassword),
+                ParticipantFirstName: body.ParticipantFirstName,
+                ParticipantLastName: body.ParticipantLastName,
+                ParticipantDOB: body.ParticipantDOB,
+                ParticipantRole: body.ParticipantRole,
+                ParticipantPhone: body.ParticipantPhone,
+                ParticipantCity: body.ParticipantCity,
+                ParticipantState: body.ParticipantState,
+                ParticipantZIP: body.ParticipantZIP,
+                ParticipantSchoolorEmployer: body.ParticipantSchoolorEmployer,
+                ParticipantFieldOfInterest: body.ParticipantFieldOfInterest,
+                ParticipantAccountStatus: ACCOUNT_STATUS.ACTIVE
+            });
+
+            res.redirect('/participants');
+
+        } catch (err) {
+            console.error('Error creating user:');
+
+            // Log full error object
+            console.error(err);
+
+            // PostgreSQL-specific info
+            if (err.code) console.error('Error code:', err.code);
+            if (err.constraint) console.error('Constraint failed:', err.constraint);
+            if (err.column) console.error('Column involved:', err.column);
+            if (err.detail) console.error('Detail:', err.detail);
+            if (err.hint) console.error('Hint:', err.hint);
+
+            // Return detailed message to client for debugging (optional)
+            res.status(500).send(`Error creating user: ${err.message}`);
+        }
+    });
+
+    // ===== ALL DELETE ROUTES =====
+    // Soft delete / anonymize a participant via POST
+    router.post('/participant/:id/delete', requireSelfOrAdmin('id'), async(req, res) => {
+        const participantId = req.params.id;
+        const user = req.session.user;
+
+        try {
+            const updated = await knex('Participants')
+                .where({ Participant_ID: participantId })
+                .update({
+                    ParticipantEmail: null,
+                    ParticipantPassword: null,
+                    ParticipantFirstName: null,
+                    ParticipantLastName: null,
+                    ParticipantDOB: null,
+                    ParticipantRole: null,
+                    ParticipantPhone: null,
+                    ParticipantCity: null,
+                    ParticipantState: null,
+                    ParticipantZIP: null,
+                    ParticipantSchoolorEmployer: null,
+                    ParticipantFieldOfInterest: null
+                });
+
+            if (updated) {
+                if (user && user.role === 'admin') {
+                res.redirect('/participants'); // redirect back to the page
+                } else {
+                res.redirect('/logout'); // log out the user if they deleted themselves
+                }
+            } else {
+                res.status(404).send('Participant not found.');
+            }
+        } catch (err) {
+            console.error('Error anonymizing participant:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,77 @@
+// routes/payments.js — payment provider webhooks and the local mock gateway
+//
+// The provider confirms, fails and refunds donations only through its signed
+// webhook (see lib/payments.js). When PAYMENT_PROVIDER is "mock" this router
+// also serves the mock gateway's checkout page (see lib/mockgateway.js); with
+// no provider configured it serves nothing.
+
+const express = require('express');
+const { applyPaymentEvent, DONATION_STATUS } = require('../lib/payments');
+const { queueDonationReceipt } = require('../lib/notifications');
+
+module.exports = function paymentsRouter({ knex, payments }) {
+    const router = express.Router();
+    if (!payments) return router;
+
+    // ===== Webhook =====
+    // req.rawBody is the unparsed JSON (kept by express.json in app.js); the
+    // signature is over those exact bytes
+    router.post('/payments/webhook/:provider', async(req, res) => {
+        if (req.params.provider !== payments.name) return res.status(404).send('Unknown payment provider.');
+
+        const event = payments.readWebhook(req.rawBody, req.headers);
+        if (!event) return res.status(400).send('Invalid webhook signature.');
+
+        try {
+            const result = await applyPaymentEvent(knex, payments.name, event);
+
+            if (result.donationStatus === DONATION_STATUS.COMPLETED) {
+                await queueDonationReceipt(knex, result.donationId);
+            }
+
+            res.status(result.status).json({ received: result.ok, message: result.message });
+
+        } catch (err) {
+            console.error('Error handling payment webhook:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    if (payments.name !== 'mock') return router;
+
+    // ===== Mock gateway =====
+    router.get('/mock-gateway/checkout/:ref', (req, res) => {
+        const session = payments.session(req.params.ref);
+        if (!session) return res.status(404).send('Checkout session not found.');
+
+        res.render('mock_checkout', { session });
+    });
+
+    // action=pay|decline sends the matching webhook, then returns the donor;
+    // action=resend redelivers the last webhook and stays on the page
+    router.post('/mock-gateway/checkout/:ref', async(req, res) => {
+        const { action } = req.body || {};
+        const ref = req.params.ref;
+
+        try {
+            if (action === 'resend') {
+                const status = await payments.resend(ref);
+                if (status === null) return res.status(404).send('Nothing to resend.');
+                return res.redirect(`/mock-gateway/checkout/${ref}`);
+            }
+
+            if (action !== 'pay' && action !== 'decline') return res.status(400).send('Choose pay or decline.');
+
+            const session = await payments.finish(ref, action);
+            if (!session) return res.status(404).send('Checkout session not found or already finished.');
+
+            res.redirect(session.returnUrl);
+
+        } catch (err) {
+            console.error('Mock gateway error:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,213 @@
+// routes/pledges.js — recurring pledges (see lib/pledges.js)
+//
+// Participants set up and manage their own pledges from /donate and
+// /pledges; admins can pledge on a donor's behalf from /donations/add,
+// mark installments received and follow up on overdue pledges.
+
+const express = require('express');
+const { requireAdmin, requireRole, requireOwnerOrAdmin } = require('../lib/authz');
+const {
+    PLEDGE_STATUS,
+    OVERDUE_AFTER_DAYS,
+    dateOnly,
+    isOverdue,
+    summarizePledge,
+    listPledges,
+    createPledge,
+    cancelPledge,
+    changePledge,
+    receiveInstallment,
+    waiveInstallment
+} = require('../lib/pledges');
+
+module.exports = function pledgesRouter({ knex }) {
+    const router = express.Router();
+
+    const pledgeOwner = async(req) => {
+        const pledge = await knex('Pledges')
+            .where({ Pledge_ID: req.params.id })
+            .first('Participant_ID');
+        return pledge && pledge.Participant_ID;
+    };
+
+    function takeFlash(req) {
+        const flash = req.session.flash || null;
+        delete req.session.flash;
+        return flash;
+    }
+
+    // Outcome of an action as a flash message on the pledge page
+    function finish(req, res, result, pledgeId) {
+        req.session.flash = { type: result.ok ? 'success' : 'danger', text: result.message };
+        res.redirect(`/pledges/${result.pledgeId || pledgeId}`);
+    }
+
+    // Admins see every pledge (?filter=active|overdue); participants their own
+    router.get('/pledges', requireRole('participant', 'admin'), async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            if (user.role === 'admin') {
+                const filter = ['active', 'overdue'].includes(req.query.filter) ? req.query.filter : '';
+                const pledges = await listPledges(knex, {
+                    status: filter === 'active' ? PLEDGE_STATUS.ACTIVE : null,
+                    overdue: filter === 'overdue'
+                });
+
+                return res.render('manage_dashboard', {
+                    user,
+                    title: 'Pledges',
+                    contentFile: 'pledges_content',
+                    contentData: { user, pledges, filter, overdueAfterDays: OVERDUE_AFTER_DAYS, flash: takeFlash(req) }
+                });
+            }
+
+            const pledges = await listPledges(knex, { participantId: user.id });
+            res.render('pledges', { user, pledges, filter: '', overdueAfterDays: OVERDUE_AFTER_DAYS, flash: takeFlash(req) });
+
+        } catch (err) {
+            console.error('Error loading pledges:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // New pledge: participants pledge for themselves, admins for Participant_ID
+    router.post('/pledges', requireRole('participant', 'admin'), async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            let participantId = user.id;
+
+            if (user.role === 'admin') {
+                const donor = await knex('Participants').where({ Participant_ID: Number((req.body || {}).Participant_ID) || 0 }).first();
+                if (!donor) return res.status(400).send('Enter the Participant ID of the donor making the pledge.');
+                participantId = donor.Participant_ID;
+            }
+
+            const result = await createPledge(knex, participantId, req.body);
+            if (!result.ok) return res.status(result.status).send(result.message);
+
+            req.session.flash = { type: 'success', text: 'Thank you! Your pledge has been set up.' };
+            res.redirect(`/pledges/${result.pledgeId}`);
+
+        } catch (err) {
+            console.error('Error creating pledge:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // One pledge: installments, fulfilment and the pledges it replaced
+    router.get('/pledges/:id', requireOwnerOrAdmin(pledgeOwner), async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            const pledge = await knex('Pledges as pl')
+                .join('Participants as p', 'pl.Participant_ID', 'p.Participant_ID')
+                .where('pl.Pledge_ID', req.params.id)
+                .first('pl.*', 'p.ParticipantFirstName', 'p.ParticipantLastName', 'p.ParticipantEmail');
+
+            if (!pledge) return res.status(404).send('Pledge not found.');
+
+            const installments = await knex('PledgeInstallments')
+                .where({ Pledge_ID: pledge.Pledge_ID })
+                .orderBy('InstallmentDueDate', 'desc');
+
+            // Earlier terms this pledge replaced, and what replaced it
+            const history = [];
+            for (let id = pledge.PledgeReplaces_ID; id;) {
+                const previous = await knex('Pledges').where({ Pledge_ID: id }).first();
+                if (!previous) break;
+                history.push(previous);
+                id = previous.PledgeReplaces_ID;
+            }
+            const replacedBy = await knex('Pledges').where({ PledgeReplaces_ID: pledge.Pledge_ID }).first();
+
+            const summary = summarizePledge(pledge, installments);
+            const today = dateOnly(new Date());
+
+            const data = {
+                user,
+                pledge,
+                summary,
+                installments: installments.map(i => ({ ...i, overdue: isOverdue(i) })),
+                history,
+                replacedBy,
+                // Change form starts from the current terms, effective at the next installment
+                changeDefaults: {
+                    PledgeAmount: Number(pledge.PledgeAmount).toFixed(2),
+                    PledgeFrequency: pledge.PledgeFrequency,
+                    PledgeStartDate: summary.nextDue || today,
+                    PledgeEndDate: dateOnly(pledge.PledgeEndDate)
+                },
+                today,
+                isAdmin: user.role === 'admin',
+                flash: takeFlash(req)
+            };
+
+            if (user.role === 'admin') {
+                return res.render('manage_dashboard', { user, title: 'Pledge', contentFile: 'pledge_content', contentData: data });
+            }
+            res.render('pledge', data);
+
+        } catch (err) {
+            console.error('Error loading pledge:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    router.post('/pledges/:id/cancel', requireOwnerOrAdmin(pledgeOwner), async(req, res) => {
+        try {
+            const result = await cancelPledge(knex, req.params.id);
+            if (result.status === 404) return res.status(404).send(result.message);
+            finish(req, res, result, req.params.id);
+
+        } catch (err) {
+            console.error('Error cancelling pledge:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // New terms from a start date; the current pledge is closed, not edited
+    router.post('/pledges/:id/change', requireOwnerOrAdmin(pledgeOwner), async(req, res) => {
+        try {
+            const result = await changePledge(knex, req.params.id, req.body);
+            if (result.status === 404) return res.status(404).send(result.message);
+            finish(req, res, result, req.params.id);
+
+        } catch (err) {
+            console.error('Error changing pledge:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== Installments (admin) =====
+    router.post('/pledges/installments/:id/receive', requireAdmin, async(req, res) => {
+        try {
+            const installment = await knex('PledgeInstallments').where({ PledgeInstallment_ID: req.params.id }).first();
+            if (!installment) return res.status(404).send('Installment not found.');
+
+            const { amount, date } = req.body || {};
+            const result = await receiveInstallment(knex, installment.PledgeInstallment_ID, { amount, date });
+            finish(req, res, result, installment.Pledge_ID);
+
+        } catch (err) {
+            console.error('Error receiving installment:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    router.post('/pledges/installments/:id/waive', requireAdmin, async(req, res) => {
+        try {
+            const installment = await knex('PledgeInstallments').where({ PledgeInstallment_ID: req.params.id }).first();
+            if (!installment) return res.status(404).send('Installment not found.');
+
+            finish(req, res, await waiveInstallment(knex, installment.PledgeInstallment_ID), installment.Pledge_ID);
+
+        } catch (err) {
+            console.error('Error waiving installment:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
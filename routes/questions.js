@@ -0,0 +1,153 @@
+// routes/questions.js — survey builder: question sets per event template
+//
+// Saving never changes a version surveys were answered on; it adds the next
+// version (see lib/questions.js), which new survey forms use from then on.
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const {
+    QUESTION_TYPES,
+    LEGACY_FIELDS,
+    DEFAULT_QUESTIONS,
+    currentQuestionSet,
+    loadQuestionSet,
+    normalizeQuestions,
+    saveQuestionSet
+} = require('../lib/questions');
+
+module.exports = function questionsRouter({ knex }) {
+    const router = express.Router();
+
+    // Every template with its current version and number of responses
+    router.get('/survey_questions', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+
+        try {
+            const templates = await knex('EventTemplates')
+                .select('Event_ID', 'EventName', 'EventType')
+                .orderBy('EventName', 'asc');
+
+            const sets = await knex('SurveyQuestionSets as qs')
+                .leftJoin('SurveyQuestions as q', 'q.SurveyQuestionSet_ID', 'qs.SurveyQuestionSet_ID')
+                .select('qs.Event_ID', 'qs.SurveyQuestionSet_ID', 'qs.SurveyQuestionSetVersion')
+                .count('q.SurveyQuestion_ID as questions')
+                .groupBy('qs.Event_ID', 'qs.SurveyQuestionSet_ID', 'qs.SurveyQuestionSetVersion');
+
+            const responses = await knex('Surveys')
+                .select('Event_ID')
+                .count('* as count')
+                .groupBy('Event_ID');
+
+            const rows = templates.map(t => {
+                const current = sets
+                    .filter(s => s.Event_ID === t.Event_ID)
+                    .sort((a, b) => b.SurveyQuestionSetVersion - a.SurveyQuestionSetVersion)[0];
+                const answered = responses.find(r => r.Event_ID === t.Event_ID);
+
+                return {
+                    ...t,
+                    version: current ? current.SurveyQuestionSetVersion : null,
+                    questions: current ? Number(current.questions) : DEFAULT_QUESTIONS.length,
+                    responses: answered ? Number(answered.count) : 0
+                };
+            });
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Survey Questions',
+                contentFile: 'survey_questions_content',
+                contentData: { user, templates: rows }
+            });
+
+        } catch (err) {
+            console.error('Error loading survey question sets:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    async function renderBuilder(req, res, { questions, errors = [], status = 200 }) {
+        const user = req.session.user;
+        const eventId = req.params.eventId;
+
+        const template = await knex('EventTemplates').where({ Event_ID: eventId }).first();
+        if (!template) return res.status(404).send('Event template not found.');
+
+        const versions = await knex('SurveyQuestionSets')
+            .where({ Event_ID: eventId })
+            .orderBy('SurveyQuestionSetVersion', 'desc');
+
+        const used = await knex('Surveys')
+            .where({ Event_ID: eventId })
+            .whereNotNull('SurveyQuestionSet_ID')
+            .select('SurveyQuestionSet_ID')
+            .count('* as count')
+            .groupBy('SurveyQuestionSet_ID');
+
+        const history = [];
+        for (const v of versions) {
+            const set = await loadQuestionSet(knex, v.SurveyQuestionSet_ID);
+            const count = used.find(u => u.SurveyQuestionSet_ID === v.SurveyQuestionSet_ID);
+            history.push({ ...set, responses: count ? Number(count.count) : 0 });
+        }
+
+        const flash = req.session.flash || null;
+        delete req.session.flash;
+
+        res.status(status).render('manage_dashboard', {
+            user,
+            title: 'Survey Builder',
+            contentFile: 'survey_builder_content',
+            contentData: {
+                user,
+                template,
+                questions,
+                errors,
+                history,
+                flash,
+                questionTypes: QUESTION_TYPES,
+                legacyFields: LEGACY_FIELDS
+            }
+        });
+    }
+
+    // Builder, starting from the current version (or the default questions)
+    router.get('/survey_questions/:eventId', requireAdmin, async(req, res) => {
+        try {
+            const current = await currentQuestionSet(knex, req.params.eventId);
+            await renderBuilder(req, res, { questions: current ? current.questions : DEFAULT_QUESTIONS });
+
+        } catch (err) {
+            console.error('Error loading survey builder:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Save the builder as a new version
+    router.post('/survey_questions/:eventId', requireAdmin, async(req, res) => {
+        const eventId = req.params.eventId;
+
+        try {
+            const template = await knex('EventTemplates').where({ Event_ID: eventId }).first();
+            if (!template) return res.status(404).send('Event template not found.');
+
+            const { questions, errors } = normalizeQuestions(req.body.questions);
+
+            if (errors.length) {
+                return renderBuilder(req, res, { questions, errors, status: 400 });
+            }
+
+            const { set, created } = await saveQuestionSet(knex, eventId, questions);
+
+            req.session.flash = created ?
+                { type: 'success', text: `Saved as version ${set.SurveyQuestionSetVersion}. New surveys for ${template.EventName} will use these questions.` } :
+                { type: 'info', text: 'No changes to save.' };
+            res.redirect(`/survey_questions/${eventId}`);
+
+        } catch (err) {
+            console.error('Error saving survey questions:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
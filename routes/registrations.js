@@ -0,0 +1,259 @@
+// routes/registrations.js — event sign-ups and admin edits to Registration rows
+
+const express = require('express');
+const { requireLogin, requireAdmin, requireSelfOrAdmin } = require('../lib/authz');
+const { lockOccurrence } = require('../lib/seats');
+const { registerParticipant, cancelRegistration } = require('../lib/registrations');
+const {
+    WAITLISTED,
+    nextWaitlistPosition,
+    compactWaitlist,
+    moveInWaitlist,
+    promoteWaitlisted
+} = require('../lib/waitlist');
+
+module.exports = function registrationsRouter({ knex }) {
+    const router = express.Router();
+
+    // ===== Registration routes =====
+    // Admin/API sign-up for any participant; answers in plain text.
+    // See lib/registrations.js for the capacity, deadline and waitlist rules.
+    router.post('/register', requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        const { Participant_ID, Event_ID, EventDateTimeStart } = req.body;
+
+        try {
+            if (!Participant_ID || !Event_ID || !EventDateTimeStart) {
+                return res.status(400).send('Missing required fields');
+            }
+
+            const key = { Event_ID, EventDateTimeStart: new Date(EventDateTimeStart).toISOString() };
+            const result = await registerParticipant(knex, Participant_ID, key);
+
+            res.status(result.status).send(result.message);
+        } catch (err) {
+            console.error('Error registering:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // ===== Self-service (logged-in participant) =====
+    // Buttons on /events_user act for the session user only and report back
+    // through a one-time flash message on that page.
+    router.post('/events/:eventId/:startTime/register', requireLogin, async(req, res) => {
+        const user = req.session.user;
+        const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+
+        try {
+            const result = await registerParticipant(knex, user.id, key);
+
+            req.session.flash = {
+                type: !result.ok ? 'danger' : (result.waitlisted ? 'warning' : 'success'),
+                text: result.ok && !result.waitlisted ? "You're registered!" : result.message
+            };
+            res.redirect(`/events_user/${user.id}`);
+        } catch (err) {
+            console.error('Error registering:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    router.post('/events/:eventId/:startTime/cancel', requireLogin, async(req, res) => {
+        const user = req.session.user;
+        const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+
+        try {
+            const result = await cancelRegistration(knex, user.id, key);
+
+            req.session.flash = { type: result.ok ? 'success' : 'danger', text: result.message };
+            res.redirect(`/events_user/${user.id}`);
+        } catch (err) {
+            console.error('Error cancelling registration:', err);
+            res.status(500).send('Server error');
+        }
+    });
+
+    // Edit registration (composite key)
+    router.get('/registration/:participantId/:eventId/:startTime/edit', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const { participantId, eventId, startTime } = req.params;
+
+        try {
+            const registration = await knex('Registration')
+                .where({
+                    Participant_ID: participantId,
+                    Event_ID: eventId,
+                    EventDateTimeStart: startTime
+                })
+                .first();
+
+            if (registration) {
+                res.render('edit_registration', { user, registration });
+            } else {
+                res.status(404).send('Registration not found.');
+            }
+        } catch (err) {
+            console.error('Error fetching registration:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Save the edit form. The composite key comes from the URL; the form only
+    // supplies the editable fields. RegistrationCreatedAt is read-only.
+    // Changing a status to or from 'waitlisted' moves a seat, so the count is
+    // resynced and the waitlist promoted under the occurrence lock.
+    router.post('/registration/:participantId/:eventId/:startTime/edit', requireAdmin, async(req, res) => {
+        const { participantId, eventId, startTime } = req.params;
+
+        try {
+            const {
+                RegistrationStatus,
+                RegistrationAttendedFlag,
+                RegistrationCheckInTime
+            } = req.body;
+
+            // Convert dates to ISO strings for Postgres
+            const eventStartISO = new Date(startTime).toISOString();
+            const checkInISO = RegistrationCheckInTime ? new Date(RegistrationCheckInTime).toISOString() : null;
+
+            // Convert attended flag to 'T' or 'F'
+            const attendedFlag = (RegistrationAttendedFlag === 'true' || RegistrationAttendedFlag === 'T') ? 'T' : 'F';
+
+            const key = { Event_ID: eventId, EventDateTimeStart: eventStartISO };
+
+            const promoted = await knex.transaction(async trx => {
+                await lockOccurrence(trx, key);
+
+                const current = await trx('Registration')
+                    .where({ Participant_ID: participantId, ...key })
+                    .first();
+
+                if (!current) return null;
+
+                const changes = {
+                    RegistrationStatus,
+                    RegistrationAttendedFlag: attendedFlag,
+                    RegistrationCheckInTime: checkInISO
+                };
+
+                // Joining the waitlist puts them at the back; leaving it clears the position
+                if (RegistrationStatus === WAITLISTED && current.RegistrationStatus !== WAITLISTED) {
+                    changes.RegistrationWaitlistPosition = await nextWaitlistPosition(trx, key);
+                } else if (RegistrationStatus !== WAITLISTED) {
+                    changes.RegistrationWaitlistPosition = null;
+                }
+
+                await trx('Registration')
+                    .where({ Participant_ID: participantId, ...key })
+                    .update(changes);
+
+                await compactWaitlist(trx, key);
+                return promoteWaitlisted(trx, key);
+            });
+
+            if (!promoted) {
+                return res.status(404).send('Registration not found.');
+            }
+
+            res.redirect('/participants'); // redirect after update
+        } catch (err) {
+            console.error('Error updating registration:', err);
+            res.status(500).send('Error updating registration');
+        }
+    });
+
+    // Delete a specific Registration by composite key.
+    // Freeing a seat promotes the next person on the waitlist. Participants
+    // deleting their own registration are held to the cancellation cutoff.
+    router.post('/registration/:participantId/:eventId/:startTime/delete', requireSelfOrAdmin('participantId'), async (req, res) => {
+        const { participantId, eventId, startTime } = req.params;
+        const user = req.session.user; // get logged-in user
+        const key = { Event_ID: eventId, EventDateTimeStart: new Date(startTime).toISOString() };
+
+        try {
+            const result = await cancelRegistration(knex, participantId, key, {
+                enforceCutoff: user.role !== 'admin'
+            });
+
+            if (!result.ok) {
+                return res.status(result.status).send(result.message);
+            }
+
+            // Redirect depending on user role
+            if (user.role === 'admin') {
+                return res.redirect('/manage_dashboard');
+            } else {
+                return res.redirect(`/profile/${participantId}`);
+            }
+
+        } catch (err) {
+            console.error('Error deleting registration:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== Waitlist (admin) =====
+    // Waitlist for one occurrence, in promotion order
+    router.get('/events/:eventId/:startTime/waitlist', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const key = { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+
+        try {
+            const event = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .where({ 'eo.Event_ID': key.Event_ID, 'eo.EventDateTimeStart': key.EventDateTimeStart })
+                .first('eo.*', 'et.EventName');
+
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            const waitlist = await knex('Registration as r')
+                .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+                .where({
+                    'r.Event_ID': key.Event_ID,
+                    'r.EventDateTimeStart': key.EventDateTimeStart,
+                    'r.RegistrationStatus': WAITLISTED
+                })
+                .orderBy('r.RegistrationWaitlistPosition', 'asc')
+                .orderBy('r.RegistrationCreatedAt', 'asc')
+                .select(
+                    'r.Participant_ID',
+                    'r.RegistrationWaitlistPosition',
+                    'r.RegistrationCreatedAt',
+                    'p.ParticipantFirstName',
+                    'p.ParticipantLastName',
+                    'p.ParticipantEmail'
+                );
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Waitlist',
+                contentFile: 'waitlist_content',
+                contentData: { user, event, waitlist }
+            });
+
+        } catch (err) {
+            console.error('Error loading waitlist:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Move someone up or down the waitlist
+    router.post('/events/:eventId/:startTime/waitlist/move', requireAdmin, async(req, res) => {
+        const { eventId, startTime } = req.params;
+        const key = { Event_ID: eventId, EventDateTimeStart: new Date(startTime).toISOString() };
+
+        try {
+            await knex.transaction(async trx => {
+                await lockOccurrence(trx, key);
+                await moveInWaitlist(trx, key, req.body.Participant_ID, req.body.direction === 'up' ? 'up' : 'down');
+            });
+
+            res.redirect(`/events/${eventId}/${encodeURIComponent(key.EventDateTimeStart)}/waitlist`);
+
+        } catch (err) {
+            console.error('Error reordering waitlist:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,162 @@
+// routes/roster.js — attendance roster and printable sign-in sheet for one event occurrence
+
+const express = require('express');
+const { requireAdmin } = require('../lib/authz');
+const { lockOccurrence } = require('../lib/seats');
+const { WAITLISTED } = require('../lib/waitlist');
+const { surveyLinkPath } = require('../lib/surveylinks');
+
+module.exports = function rosterRouter({ knex }) {
+    const router = express.Router();
+
+    function occurrenceKey(req) {
+        return { Event_ID: req.params.eventId, EventDateTimeStart: new Date(req.params.startTime).toISOString() };
+    }
+
+    function rosterUrl(key) {
+        return `/events/${key.Event_ID}/${encodeURIComponent(key.EventDateTimeStart)}/roster`;
+    }
+
+    function loadEvent(key) {
+        return knex('EventOccurrence as eo')
+            .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+            .where({ 'eo.Event_ID': key.Event_ID, 'eo.EventDateTimeStart': key.EventDateTimeStart })
+            .first('eo.*', 'et.EventName', 'et.EventType', 'et.EventDescription');
+    }
+
+    // Everyone registered (waitlist last), sorted by name
+    function loadRegistrants(key) {
+        return knex('Registration as r')
+            .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+            .where({ 'r.Event_ID': key.Event_ID, 'r.EventDateTimeStart': key.EventDateTimeStart })
+            .orderBy('p.ParticipantLastName', 'asc')
+            .orderBy('p.ParticipantFirstName', 'asc')
+            .select(
+                'r.Participant_ID',
+                'r.RegistrationStatus',
+                'r.RegistrationAttendedFlag',
+                'r.RegistrationCheckInTime',
+                'r.RegistrationWaitlistPosition',
+                'p.ParticipantFirstName',
+                'p.ParticipantLastName',
+                'p.ParticipantEmail',
+                'p.ParticipantPhone'
+            );
+    }
+
+    // Roster with one attended checkbox per seat holder
+    router.get('/events/:eventId/:startTime/roster', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const key = occurrenceKey(req);
+
+        try {
+            const event = await loadEvent(key);
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            const registrants = await loadRegistrants(key);
+
+            const flash = req.session.flash || null;
+            delete req.session.flash;
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Roster',
+                contentFile: 'roster_content',
+                contentData: {
+                    user,
+                    event,
+                    // Login-free survey links, for attendees without email
+                    attendees: registrants
+                        .filter(r => r.RegistrationStatus !== WAITLISTED)
+                        .map(r => ({
+                            ...r,
+                            surveyLink: r.RegistrationAttendedFlag === 'T' ? surveyLinkPath({ ...r, ...key }) : null
+                        })),
+                    waitlist: registrants
+                        .filter(r => r.RegistrationStatus === WAITLISTED)
+                        .sort((a, b) => a.RegistrationWaitlistPosition - b.RegistrationWaitlistPosition),
+                    flash,
+                    rosterUrl: rosterUrl(key)
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading roster:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Save every checkbox in one go. Checked → attended; unchecked → 'no-show'
+    // once the event has started, otherwise back to plain 'registered'.
+    // Check-in times from the QR desk are kept for anyone still marked attended.
+    router.post('/events/:eventId/:startTime/roster', requireAdmin, async(req, res) => {
+        const key = occurrenceKey(req);
+        const attended = new Set([].concat(req.body.attended || []).map(String));
+
+        try {
+            const changed = await knex.transaction(async trx => {
+                const event = await lockOccurrence(trx, key);
+                if (!event) return null;
+
+                const started = new Date(event.EventDateTimeStart) <= new Date();
+
+                const rows = await trx('Registration')
+                    .where(key)
+                    .andWhere(q => q.whereNull('RegistrationStatus').orWhereNot('RegistrationStatus', WAITLISTED));
+
+                let count = 0;
+                for (const row of rows) {
+                    const present = attended.has(String(row.Participant_ID));
+                    const changes = present ?
+                        { RegistrationAttendedFlag: 'T', RegistrationStatus: 'attended' } :
+                        { RegistrationAttendedFlag: 'F', RegistrationStatus: started ? 'no-show' : 'registered', RegistrationCheckInTime: null };
+
+                    if (row.RegistrationAttendedFlag === changes.RegistrationAttendedFlag &&
+                        row.RegistrationStatus === changes.RegistrationStatus) continue;
+
+                    await trx('Registration')
+                        .where({ Participant_ID: row.Participant_ID, ...key })
+                        .update(changes);
+                    count++;
+                }
+                return count;
+            });
+
+            if (changed === null) return res.status(404).send('Event occurrence not found.');
+
+            req.session.flash = {
+                type: 'success',
+                text: `Attendance saved — ${changed} registration${changed === 1 ? '' : 's'} updated.`
+            };
+            res.redirect(rosterUrl(key));
+
+        } catch (err) {
+            console.error('Error saving roster:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // Printable paper sign-in sheet (standalone page with print CSS)
+    router.get('/events/:eventId/:startTime/signin-sheet', requireAdmin, async(req, res) => {
+        const key = occurrenceKey(req);
+
+        try {
+            const event = await loadEvent(key);
+            if (!event) return res.status(404).send('Event occurrence not found.');
+
+            const registrants = await loadRegistrants(key);
+
+            res.render('signin_sheet', {
+                event,
+                attendees: registrants.filter(r => r.RegistrationStatus !== WAITLISTED),
+                blankRows: 8 // for walk-ins
+            });
+
+        } catch (err) {
+            console.error('Error loading sign-in sheet:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    return router;
+};
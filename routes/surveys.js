@@ -0,0 +1,593 @@
+// routes/surveys.js — post-event surveys: submit, edit, delete and per-occurrence results
+
+const express = require('express');
+const { requireAdmin, requireSelfOrAdmin } = require('../lib/authz');
+const { scoreSurvey } = require('../lib/surveys');
+const { INTERVALS, summarize, periodOf, groupSummaries } = require('../lib/analytics');
+const {
+    ensureQuestionSet,
+    loadQuestionSet,
+    readAnswers,
+    legacyColumns,
+    loadAnswers,
+    saveAnswers,
+    recordSurvey
+} = require('../lib/questions');
+const { readSurveyToken } = require('../lib/surveylinks');
+const { inBatches, sendExport } = require('../lib/export');
+
+module.exports = function surveysRouter({ knex }) {
+    const router = express.Router();
+
+    // ===== Survey analytics =====
+    function analyticsUrl(filters) {
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(filters)) {
+            if (value) params.set(name, value);
+        }
+        return `/surveys/analytics?${params}`;
+    }
+
+    // Filters: type (EventType), eventId (template), from/to (event dates,
+    // YYYY-MM-DD, inclusive) and interval for the trend table. The breakdown
+    // drills down type → template → occurrence; picking a template also lists
+    // its individual surveys.
+    router.get('/surveys/analytics', requireAdmin, async(req, res) => {
+        const user = req.session.user;
+        const filters = {
+            type: req.query.type || '',
+            eventId: req.query.eventId || '',
+            from: /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || '') ? req.query.from : '',
+            to: /^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '') ? req.query.to : '',
+            interval: INTERVALS.includes(req.query.interval) ? req.query.interval : 'month'
+        };
+
+        try {
+            const templates = await knex('EventTemplates')
+                .select('Event_ID', 'EventName', 'EventType')
+                .orderBy('EventName', 'asc');
+            const types = [...new Set(templates.map(t => t.EventType).filter(Boolean))].sort();
+
+            let query = knex('Surveys as s')
+                .join('EventTemplates as et', 's.Event_ID', 'et.Event_ID')
+                .join('Participants as p', 's.Participant_ID', 'p.Participant_ID')
+                .select('s.*', 'et.EventName', 'et.EventType', 'p.ParticipantFirstName', 'p.ParticipantLastName')
+                .orderBy('s.EventDateTimeStart', 'desc');
+
+            if (filters.type) query = query.where('et.EventType', filters.type);
+            if (filters.eventId) query = query.where('s.Event_ID', filters.eventId);
+            if (filters.from) query = query.where('s.EventDateTimeStart', '>=', new Date(`${filters.from}T00:00:00`));
+            if (filters.to) {
+                const end = new Date(`${filters.to}T00:00:00`);
+                end.setDate(end.getDate() + 1);
+                query = query.where('s.EventDateTimeStart', '<', end);
+            }
+
+            const surveys = await query;
+
+            let breakdownBy, breakdown;
+            if (filters.eventId) {
+                breakdownBy = 'Occurrence';
+                breakdown = groupSummaries(surveys, s => {
+                    const iso = new Date(s.EventDateTimeStart).toISOString();
+                    return {
+                        key: iso,
+                        label: new Date(s.EventDateTimeStart).toLocaleString(),
+                        url: `/surveys/${s.Event_ID}/${encodeURIComponent(iso)}`
+                    };
+                });
+            } else if (filters.type) {
+                breakdownBy = 'Template';
+                breakdown = groupSummaries(surveys, s => ({
+                    key: s.EventName,
+                    label: s.EventName,
+                    url: analyticsUrl({ ...filters, eventId: s.Event_ID })
+                }));
+            } else {
+                breakdownBy = 'Event Type';
+                breakdown = groupSummaries(surveys, s => ({
+                    key: s.EventType || '',
+                    label: s.EventType || '(none)',
+                    url: analyticsUrl({ ...filters, type: s.EventType || '' })
+                }));
+            }
+
+            const trend = groupSummaries(surveys, s => periodOf(s.EventDateTimeStart, filters.interval));
+
+            res.render('manage_dashboard', {
+                user,
+                title: 'Survey Analytics',
+                contentFile: 'survey_analytics_content',
+                contentData: {
+                    user,
+                    filters,
+                    types,
+                    templates,
+                    overall: summarize(surveys),
+                    breakdownBy,
+                    breakdown,
+                    trend,
+                    surveys: filters.eventId ? surveys : []
+                }
+            });
+
+        } catch (err) {
+            console.error('Error loading survey analytics:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== Surveys route (composite key) =====
+    router.get('/surveys/:eventId/:eventDateTimeStart', requireAdmin, async(req, res) => {
+        const { eventId, eventDateTimeStart } = req.params;
+
+        try {
+            const event = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .select(
+                    'eo.Event_ID',
+                    'eo.EventDateTimeStart',
+                    'et.EventName' // <-- pulled from EventTemplate
+                )
+                .where({
+                    'eo.Event_ID': eventId,
+                    'eo.EventDateTimeStart': eventDateTimeStart
+                })
+                .first();
+
+            if (!event) return res.status(404).send('Event not found');
+
+            const surveys = await knex('Surveys as s')
+                .join('Participants as p', 's.Participant_ID', 'p.Participant_ID')
+                .select('s.*', 'p.ParticipantFirstName', 'p.ParticipantLastName')
+                .where({ 's.Event_ID': eventId, 's.EventDateTimeStart': eventDateTimeStart });
+
+            // Scores a survey's question set didn't ask are left out of the averages
+            const averages = {};
+            for (const [name, value] of Object.entries(summarize(surveys).averages)) {
+                averages[name] = value === null ? '—' : value.toFixed(2);
+            }
+
+            res.render('surveys', {
+                event,
+                surveys,
+                averages,
+                user: req.session.user
+            });
+        } catch (err) {
+            console.error('Knex Surveys route error:', err);
+            res.status(500).send('Error retrieving surveys');
+        }
+    });
+
+    // Same surveys as the results page (?format=csv|xlsx, ?q= search)
+    router.get('/surveys/:eventId/:eventDateTimeStart/export', requireAdmin, async(req, res) => {
+        const { eventId, eventDateTimeStart } = req.params;
+
+        try {
+            const event = await knex('EventTemplates').where({ Event_ID: eventId }).first('EventName');
+            if (!event) return res.status(404).send('Event not found');
+
+            const start = new Date(eventDateTimeStart);
+            const slug = event.EventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+            await sendExport(req, res, {
+                name: `surveys-${slug}-${start.toISOString().slice(0, 10)}`,
+                title: 'surveys',
+                columns: [
+                    { header: 'Participant ID', value: r => r.Participant_ID, type: 'number' },
+                    { header: 'First Name', value: r => r.ParticipantFirstName },
+                    { header: 'Last Name', value: r => r.ParticipantLastName },
+                    { header: 'Satisfaction', value: r => r.SurveySatisfaction, type: 'number' },
+                    { header: 'Usefulness', value: r => r.SurveyUsefulnessScore, type: 'number' },
+                    { header: 'Instructor', value: r => r.SurveyInstructorScore, type: 'number' },
+                    { header: 'Recommendation', value: r => r.SurveyRecommendationScore, type: 'number' },
+                    { header: 'Overall Score', value: r => r.SurveyOverallScore, type: 'number' },
+                    { header: 'NPS Bucket', value: r => r.SurveyNPSBucket },
+                    { header: 'Comments', value: r => r.SurveyComments },
+                    { header: 'Submitted', value: r => r.SurveySubmissionDate, type: 'datetime' }
+                ],
+                rows: inBatches(knex('Surveys as s')
+                    .join('Participants as p', 's.Participant_ID', 'p.Participant_ID')
+                    .select('s.*', 'p.ParticipantFirstName', 'p.ParticipantLastName')
+                    .where({ 's.Event_ID': eventId, 's.EventDateTimeStart': start })
+                    .orderBy('s.Participant_ID', 'asc'))
+            });
+
+        } catch (err) {
+            console.error('Error exporting surveys:', err);
+            if (!res.headersSent) res.status(500).send('Error retrieving surveys');
+        }
+    });
+
+    const NOT_ATTENDED = 'This survey is only for participants who attended the event.';
+
+    // Surveys only count from people who came: the attended registration for
+    // { Participant_ID, Event_ID, EventDateTimeStart }, or undefined
+    function attendedRegistration(key) {
+        const start = new Date(key.EventDateTimeStart);
+        if (!key.Participant_ID || !key.Event_ID || isNaN(start)) return Promise.resolve(undefined);
+
+        return knex('Registration')
+            .where({ Participant_ID: key.Participant_ID, Event_ID: key.Event_ID, EventDateTimeStart: start })
+            .andWhere('RegistrationAttendedFlag', 'T')
+            .first();
+    }
+
+    // Back to the participant's events page, or the admin dashboard
+    function afterSurvey(res, user) {
+        if (user.role === 'admin') {
+            res.redirect('/manage_dashboard');
+        } else {
+            res.redirect(`/events_user/${user.id}`);
+        }
+    }
+
+    // Survey form, built from the event template's current question set
+    router.get('/add_survey/:Participant_ID/:Event_ID/:EventDateTimeStart', requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        const { Participant_ID, Event_ID, EventDateTimeStart } = req.params;
+
+        try {
+            const event = await knex('EventOccurrence as eo')
+                .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+                .where({ 'eo.Event_ID': Event_ID, 'eo.EventDateTimeStart': new Date(EventDateTimeStart) })
+                .first('eo.Event_ID', 'eo.EventDateTimeStart', 'et.EventName');
+
+            if (!event) return res.status(404).send('Event not found');
+            if (!(await attendedRegistration(req.params))) return res.status(403).send(NOT_ATTENDED);
+
+            res.render('add_survey', {
+                user: req.session.user,
+                Participant_ID,
+                Event_ID,
+                EventDateTimeStart,
+                event,
+                questionSet: await ensureQuestionSet(knex, Event_ID),
+                values: {},
+                errors: {}
+            });
+
+        } catch (err) {
+            console.error('Error loading survey form:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // ===== POST: Submit Survey =====
+    // Forms built from a question set post SurveyQuestionSet_ID and
+    // answers[q<id>]; the old fixed-field form (and /add_survey/submit, the old
+    // admin entry point) posts the score columns directly. Either way the
+    // participant must have attended the occurrence, as with survey links.
+    router.post(['/submit-survey', '/add_survey/submit'], requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        const user = req.session.user;
+        try {
+            const {
+                SurveySatisfactionScore,
+                SurveyUsefulnessScore,
+                SurveyInstructorScore,
+                SurveyRecommendationScore,
+                SurveyComments,
+                SurveyQuestionSet_ID,
+                Event_ID,
+                EventDateTimeStart,
+                Participant_ID
+            } = req.body;
+
+            if (!(await attendedRegistration({ Participant_ID, Event_ID, EventDateTimeStart }))) {
+                return res.status(403).send(NOT_ATTENDED);
+            }
+
+            // 1️⃣ Check if survey already exists
+            const existingSurvey = await knex('Surveys')
+                .where({
+                    Participant_ID,
+                    Event_ID,
+                    EventDateTimeStart
+                })
+                .first();
+
+            if (existingSurvey) {
+                // Survey exists — redirect to the same pages as success
+                return afterSurvey(res, user);
+            }
+
+            if (SurveyQuestionSet_ID) {
+                const questionSet = await loadQuestionSet(knex, SurveyQuestionSet_ID);
+                if (!questionSet || String(questionSet.Event_ID) !== String(Event_ID)) {
+                    return res.status(400).send('This survey form is out of date. Please reload it.');
+                }
+
+                const { values, errors, entered } = readAnswers(questionSet.questions, req.body.answers);
+
+                if (Object.keys(errors).length) {
+                    const event = await knex('EventTemplates').where({ Event_ID }).first('EventName');
+                    return res.status(400).render('add_survey', {
+                        user,
+                        Participant_ID,
+                        Event_ID,
+                        EventDateTimeStart,
+                        event: { ...event, EventDateTimeStart },
+                        questionSet,
+                        values: entered,
+                        errors
+                    });
+                }
+
+                await recordSurvey(knex, { Participant_ID, Event_ID, EventDateTimeStart }, questionSet, values);
+
+                return afterSurvey(res, user);
+            }
+
+            // 2️⃣ Parse scores
+            const scores = scoreSurvey({
+                satisfaction: SurveySatisfactionScore,
+                usefulness: SurveyUsefulnessScore,
+                instructor: SurveyInstructorScore,
+                recommendation: SurveyRecommendationScore
+            });
+
+            // 3️⃣ Insert new survey
+            await knex('Surveys').insert({
+                Participant_ID,
+                Event_ID,
+                EventDateTimeStart,
+                ...scores,
+                SurveyComments,
+                SurveySubmissionDate: knex.fn.now()
+            });
+
+            // 4️⃣ Redirect after successful submission
+            afterSurvey(res, user);
+
+        } catch (err) {
+            console.error('Error saving survey:', err);
+            res.status(500).send('Error submitting survey');
+        }
+    });
+
+    // ===== Login-free survey links (see lib/surveylinks.js) =====
+    // The registration a link is for, or why it can't be used ({ status, message })
+    async function openSurveyLink(token) {
+        const link = readSurveyToken(token);
+        if (!link) {
+            return { status: 400, message: "This survey link isn't valid. Please use the link from your email." };
+        }
+        if (link.expired) {
+            return { status: 410, message: 'This survey link has expired. Thank you for coming!' };
+        }
+
+        if (!(await attendedRegistration(link.key))) {
+            return { status: 403, message: NOT_ATTENDED };
+        }
+
+        if (await knex('Surveys').where(link.key).first()) {
+            return { status: 409, message: "You've already filled in this survey. Thank you!" };
+        }
+
+        const event = await knex('EventOccurrence as eo')
+            .join('EventTemplates as et', 'eo.Event_ID', 'et.Event_ID')
+            .where({ 'eo.Event_ID': link.key.Event_ID, 'eo.EventDateTimeStart': link.key.EventDateTimeStart })
+            .first('eo.Event_ID', 'eo.EventDateTimeStart', 'et.EventName');
+
+        return { key: link.key, event };
+    }
+
+    function renderSurveyLink(res, status, data) {
+        res.status(status).render('take_survey', {
+            token: null,
+            event: null,
+            questionSet: null,
+            values: {},
+            errors: {},
+            message: null,
+            ...data
+        });
+    }
+
+    router.get('/take-survey/:token', async(req, res) => {
+        try {
+            const opened = await openSurveyLink(req.params.token);
+            if (opened.message) return renderSurveyLink(res, opened.status, { message: opened.message });
+
+            renderSurveyLink(res, 200, {
+                token: req.params.token,
+                event: opened.event,
+                questionSet: await ensureQuestionSet(knex, opened.key.Event_ID)
+            });
+
+        } catch (err) {
+            console.error('Error opening survey link:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    // The response is tied to the registration in the link, never to form fields
+    router.post('/take-survey/:token', async(req, res) => {
+        try {
+            const opened = await openSurveyLink(req.params.token);
+            if (opened.message) return renderSurveyLink(res, opened.status, { message: opened.message });
+
+            // Answer the version the form was shown with, if it's this event's
+            let questionSet = req.body.SurveyQuestionSet_ID ?
+                await loadQuestionSet(knex, req.body.SurveyQuestionSet_ID) :
+                null;
+            if (!questionSet || String(questionSet.Event_ID) !== String(opened.key.Event_ID)) {
+                questionSet = await ensureQuestionSet(knex, opened.key.Event_ID);
+            }
+
+            const { values, errors, entered } = readAnswers(questionSet.questions, req.body.answers);
+
+            if (Object.keys(errors).length) {
+                return renderSurveyLink(res, 400, {
+                    token: req.params.token,
+                    event: opened.event,
+                    questionSet,
+                    values: entered,
+                    errors
+                });
+            }
+
+            try {
+                await recordSurvey(knex, opened.key, questionSet, values);
+            } catch (err) {
+                // Submitted twice at once: the first one wins
+                if (await knex('Surveys').where(opened.key).first()) {
+                    return renderSurveyLink(res, 409, { message: "You've already filled in this survey. Thank you!" });
+                }
+                throw err;
+            }
+
+            renderSurveyLink(res, 200, { message: 'Thank you! Your survey has been submitted.' });
+
+        } catch (err) {
+            console.error('Error submitting survey link:', err);
+            res.status(500).send('Error submitting survey');
+        }
+    });
+
+    // Edit survey (composite key)
+    router.get('/survey/:participantId/:eventId/:startTime/edit', requireSelfOrAdmin('participantId'), async(req, res) => {
+        const user = req.session.user;
+        const { participantId, eventId, startTime } = req.params;
+
+        try {
+            const survey = await knex('Surveys')
+                .where({
+                    Participant_ID: participantId,
+                    Event_ID: eventId,
+                    EventDateTimeStart: startTime
+                })
+                .first();
+
+            if (!survey) return res.status(404).send('Survey not found.');
+
+            // Surveys answered on a question set are edited against that
+            // version, even if the template's questions have changed since
+            const questionSet = survey.SurveyQuestionSet_ID ?
+                await loadQuestionSet(knex, survey.SurveyQuestionSet_ID) :
+                null;
+            const values = questionSet ? await loadAnswers(knex, survey) : {};
+
+            res.render('edit_survey', { user, survey, questionSet, values, errors: {} });
+        } catch (err) {
+            console.error('Error fetching survey:', err);
+            res.status(500).send('Internal server error.');
+        }
+    });
+
+    router.post("/survey/update", requireSelfOrAdmin('Participant_ID'), async(req, res) => {
+        const {
+            Participant_ID,
+            Event_ID,
+            EventDateTimeStart,
+            SurveySatisfaction,
+            SurveyUsefulnessScore,
+            SurveyInstructorScore,
+            SurveyRecommendationScore,
+            SurveyComments,
+            SurveyQuestionSet_ID
+        } = req.body;
+
+        try {
+            if (SurveyQuestionSet_ID) {
+                const survey = await knex('Surveys').where({ Participant_ID, Event_ID, EventDateTimeStart }).first();
+                if (!survey || String(survey.SurveyQuestionSet_ID) !== String(SurveyQuestionSet_ID)) {
+                    return res.status(404).send('Survey not found.');
+                }
+
+                const key = {
+                    Participant_ID: survey.Participant_ID,
+                    Event_ID: survey.Event_ID,
+                    EventDateTimeStart: survey.EventDateTimeStart
+                };
+
+                const questionSet = await loadQuestionSet(knex, SurveyQuestionSet_ID);
+                const { values, errors, entered } = readAnswers(questionSet.questions, req.body.answers);
+
+                if (Object.keys(errors).length) {
+                    return res.status(400).render('edit_survey', {
+                        user: req.session.user,
+                        survey,
+                        questionSet,
+                        values: entered,
+                        errors
+                    });
+                }
+
+                await knex.transaction(async trx => {
+                    await trx('Surveys')
+                        .where(key)
+                        .update({
+                            ...legacyColumns(questionSet.questions, values),
+                            SurveySubmissionDate: trx.fn.now()
+                        });
+                    await saveAnswers(trx, key, values);
+                });
+
+                return afterSurvey(res, req.session.user);
+            }
+
+            // Recalculate overall score and NPS bucket (same rules as insert)
+            const scores = scoreSurvey({
+                satisfaction: SurveySatisfaction,
+                usefulness: SurveyUsefulnessScore,
+                instructor: SurveyInstructorScore,
+                recommendation: SurveyRecommendationScore
+            });
+
+            // Perform update using composite key
+            await knex("Surveys")
+                .where({
+                    Participant_ID: Participant_ID,
+                    Event_ID: Event_ID,
+                    EventDateTimeStart: EventDateTimeStart
+                })
+                .update({
+                    ...scores,
+                    SurveyComments: SurveyComments,
+                    SurveySubmissionDate: knex.fn.now() // optional: refresh timestamp
+                });
+
+            afterSurvey(res, req.session.user);
+
+        } catch (err) {
+            console.error("Error updating survey:", err);
+            res.status(500).send("Server Error");
+        }
+    });
+
+    // Delete a specific Survey by composite key
+    router.post('/survey/:participantId/:eventId/:startTime/delete', requireSelfOrAdmin('participantId'), async(req, res) => {
+        const { participantId, eventId, startTime } = req.params;
+        const user = req.session.user;
+
+        try {
+            const deleted = await knex('Surveys')
+                .where({
+                    Participant_ID: participantId,
+                    Event_ID: eventId,
+                    EventDateTimeStart: startTime
+                })
+                .del();
+
+            if (deleted) {
+                // Redirect based on user role
+                if (user.role === 'admin') {
+                    return res.redirect('/manage_dashboard');
+                } else {
+                    return res.redirect(`/profile/${participantId}`);
+                }
+            } else {
+                // Survey not found, send 404 JSON response
+                return res.status(404).json({ message: 'Survey not found.' });
+            }
+        } catch (err) {
+            console.error('Error deleting survey:', err);
+            if (!res.headersSent) {
+                return res.status(500).json({ message: 'Internal server error.' });
+            }
+        }
+    });
+
+    return router;
+};
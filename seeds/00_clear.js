@@ -0,0 +1,21 @@
+// Clears demo data, children before parents, so the other seed files can
+// run in order against a fresh or previously seeded database.
+
+exports.seed = async function(knex) {
+    await knex('ParticipantMerges').del();
+    await knex('Outbox').del();
+    await knex('PledgeInstallments').del();
+    await knex('Pledges').del();
+    await knex('PaymentEvents').del();
+    await knex('Milestones').del();
+    await knex('Donations').del();
+    await knex('SurveyAnswers').del();
+    await knex('Surveys').del();
+    await knex('Registration').del();
+    await knex('EventOccurrence').del();
+    await knex('EventSeries').del();
+    await knex('SurveyQuestions').del();
+    await knex('SurveyQuestionSets').del();
+    await knex('EventTemplates').del();
+    await knex('Participants').del();
+};
@@ -0,0 +1,41 @@
+// Demo accounts. Every demo account's password is "ellarises".
+//   admin@ellarises.org      — admin
+//   sofia.martinez@example.com and the rest — participants
+
+const { hashPassword } = require('../lib/passwords');
+
+const DEMO_PASSWORD = 'ellarises';
+
+const people = [
+    ['admin@ellarises.org', 'Elena', 'Rios', '1988-03-14', 'admin', '801-555-0100', 'Provo', 'UT', '84604', 'Ella Rises', 'Nonprofit Leadership'],
+    ['sofia.martinez@example.com', 'Sofia', 'Martinez', '2008-06-02', 'participant', '801-555-0111', 'Provo', 'UT', '84601', 'Timpview High School', 'Engineering'],
+    ['isabella.garcia@example.com', 'Isabella', 'Garcia', '2007-11-19', 'participant', '801-555-0112', 'Orem', 'UT', '84057', 'Mountain View High School', 'Medicine'],
+    ['camila.hernandez@example.com', 'Camila', 'Hernandez', '2009-02-27', 'participant', '801-555-0113', 'Springville', 'UT', '84663', 'Springville High School', 'Art & Design'],
+    ['valentina.lopez@example.com', 'Valentina', 'Lopez', '2006-09-08', 'participant', '801-555-0114', 'Lehi', 'UT', '84043', 'Utah Valley University', 'Computer Science'],
+    ['lucia.gonzalez@example.com', 'Lucia', 'Gonzalez', '2008-12-30', 'participant', '801-555-0115', 'Provo', 'UT', '84606', 'Provo High School', 'Music'],
+    ['mariana.perez@example.com', 'Mariana', 'Perez', '2007-04-15', 'participant', '801-555-0116', 'American Fork', 'UT', '84003', 'American Fork High School', 'Business'],
+    ['daniela.sanchez@example.com', 'Daniela', 'Sanchez', '2009-07-21', 'participant', '801-555-0117', 'Orem', 'UT', '84058', 'Orem High School', 'Dance'],
+    ['gabriela.ramirez@example.com', 'Gabriela', 'Ramirez', '2006-01-05', 'participant', '801-555-0118', 'Payson', 'UT', '84651', 'Salem Hills High School', 'Biology'],
+    ['ana.torres@example.com', 'Ana', 'Torres', '1979-10-11', 'participant', '801-555-0119', 'Provo', 'UT', '84604', 'Intermountain Health', 'Mentoring']
+];
+
+exports.seed = async function(knex) {
+    const password = await hashPassword(DEMO_PASSWORD);
+
+    await knex('Participants').insert(people.map(p => ({
+        ParticipantEmail: p[0],
+        ParticipantPassword: password,
+        ParticipantFirstName: p[1],
+        ParticipantLastName: p[2],
+        ParticipantDOB: p[3],
+        ParticipantRole: p[4],
+        ParticipantPhone: p[5],
+        ParticipantCity: p[6],
+        ParticipantState: p[7],
+        ParticipantZIP: p[8],
+        ParticipantSchoolorEmployer: p[9],
+        ParticipantFieldOfInterest: p[10],
+        ParticipantAccountStatus: 'active',
+        ParticipantEmailVerifiedAt: knex.fn.now()
+    })));
+};
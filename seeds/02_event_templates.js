@@ -0,0 +1,46 @@
+exports.seed = async function(knex) {
+    await knex('EventTemplates').insert([
+        {
+            EventName: 'Intro to Coding',
+            EventType: 'STEAM',
+            EventDescription: 'Hands-on workshop building a first web page with HTML, CSS and JavaScript.',
+            EventRecurrencePattern: 'Weekly',
+            EventDefaultCapacity: 20
+        },
+        {
+            EventName: 'Ballet Folklórico',
+            EventType: 'Arts',
+            EventDescription: 'Traditional Mexican folk dance practice with a professional instructor.',
+            EventRecurrencePattern: 'Weekly',
+            EventDefaultCapacity: 25
+        },
+        {
+            EventName: 'Mariachi Ensemble',
+            EventType: 'Arts',
+            EventDescription: 'Violin, guitar and vocal lessons culminating in a spring performance.',
+            EventRecurrencePattern: 'Biweekly',
+            EventDefaultCapacity: 15
+        },
+        {
+            EventName: 'College Prep Night',
+            EventType: 'Academics',
+            EventDescription: 'Applications, scholarships and FAFSA help for students and families.',
+            EventRecurrencePattern: 'Monthly',
+            EventDefaultCapacity: 40
+        },
+        {
+            EventName: 'Mentoring Circle',
+            EventType: 'Leadership',
+            EventDescription: 'Small-group conversations with women leaders in STEAM careers.',
+            EventRecurrencePattern: 'Monthly',
+            EventDefaultCapacity: 12
+        },
+        {
+            EventName: 'Ella Rises Summit',
+            EventType: 'Leadership',
+            EventDescription: 'Annual day of keynotes, workshops and community celebration.',
+            EventRecurrencePattern: 'None',
+            EventDefaultCapacity: 150
+        }
+    ]);
+};
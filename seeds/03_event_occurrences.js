@@ -0,0 +1,49 @@
+// Occurrences are placed relative to today so the demo always has both
+// past events (with attendance and surveys) and upcoming ones.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// [template name, days from today, start hour, length in hours, location]
+const schedule = [
+    ['Intro to Coding', -28, 17, 2, 'UVU Computer Lab 101'],
+    ['Intro to Coding', -21, 17, 2, 'UVU Computer Lab 101'],
+    ['Intro to Coding', -14, 17, 2, 'UVU Computer Lab 101'],
+    ['Intro to Coding', 7, 17, 2, 'UVU Computer Lab 101'],
+    ['Intro to Coding', 14, 17, 2, 'UVU Computer Lab 101'],
+    ['Ballet Folklórico', -20, 18, 2, 'Provo Recreation Center'],
+    ['Ballet Folklórico', -13, 18, 2, 'Provo Recreation Center'],
+    ['Ballet Folklórico', 8, 18, 2, 'Provo Recreation Center'],
+    ['Mariachi Ensemble', -10, 16, 2, 'Covey Center for the Arts'],
+    ['Mariachi Ensemble', 4, 16, 2, 'Covey Center for the Arts'],
+    ['College Prep Night', -30, 19, 2, 'Orem Public Library'],
+    ['College Prep Night', 21, 19, 2, 'Orem Public Library'],
+    ['Mentoring Circle', -7, 12, 1, 'Ella Rises Office'],
+    ['Mentoring Circle', 23, 12, 1, 'Ella Rises Office'],
+    ['Ella Rises Summit', 45, 9, 8, 'Utah Valley Convention Center']
+];
+
+function at(daysFromToday, hour) {
+    const d = new Date();
+    d.setHours(hour, 0, 0, 0);
+    return new Date(d.getTime() + daysFromToday * DAY);
+}
+
+exports.seed = async function(knex) {
+    const templates = await knex('EventTemplates').select('Event_ID', 'EventName', 'EventDefaultCapacity');
+    const byName = Object.fromEntries(templates.map(t => [t.EventName, t]));
+
+    await knex('EventOccurrence').insert(schedule.map(([name, days, hour, hours, location]) => {
+        const template = byName[name];
+        const start = at(days, hour);
+
+        return {
+            Event_ID: template.Event_ID,
+            EventDateTimeStart: start,
+            EventDateTimeEnd: new Date(start.getTime() + hours * 60 * 60 * 1000),
+            EventLocation: location,
+            EventCapacity: template.EventDefaultCapacity,
+            EventNumRegistered: 0,
+            EventRegistrationDeadline: new Date(start.getTime() - DAY)
+        };
+    }));
+};
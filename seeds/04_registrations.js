@@ -0,0 +1,58 @@
+// Registers participants for occurrences. Past events get attendance and a
+// check-in time; EventNumRegistered is set from the rows inserted here.
+
+exports.seed = async function(knex) {
+    const participants = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .orderBy('Participant_ID')
+        .pluck('Participant_ID');
+
+    const occurrences = await knex('EventOccurrence')
+        .orderBy('EventDateTimeStart')
+        .select('Event_ID', 'EventDateTimeStart', 'EventCapacity');
+
+    const now = new Date();
+    const rows = [];
+
+    occurrences.forEach((occ, i) => {
+        const start = new Date(occ.EventDateTimeStart);
+        const isPast = start < now;
+
+        // Spread participants across events: each event gets a rotating subset
+        const count = Math.min(occ.EventCapacity, 3 + (i % 5));
+
+        for (let k = 0; k < count; k++) {
+            const participantId = participants[(i + k) % participants.length];
+            if (rows.some(r => r.Participant_ID === participantId &&
+                    r.Event_ID === occ.Event_ID &&
+                    r.EventDateTimeStart.getTime() === start.getTime())) {
+                continue;
+            }
+
+            // Most people who sign up show up
+            const attended = isPast && (i + k) % 4 !== 0;
+
+            rows.push({
+                Participant_ID: participantId,
+                Event_ID: occ.Event_ID,
+                EventDateTimeStart: start,
+                RegistrationStatus: isPast ? (attended ? 'attended' : 'no-show') : 'registered',
+                RegistrationAttendedFlag: attended ? 'T' : 'F',
+                RegistrationCheckInTime: attended ? new Date(start.getTime() + ((i + k) % 10) * 60 * 1000) : null,
+                RegistrationCreatedAt: new Date(start.getTime() - (7 + k) * 24 * 60 * 60 * 1000)
+            });
+        }
+    });
+
+    await knex('Registration').insert(rows);
+
+    for (const occ of occurrences) {
+        const start = new Date(occ.EventDateTimeStart).getTime();
+        const registered = rows.filter(r => r.Event_ID === occ.Event_ID &&
+            r.EventDateTimeStart.getTime() === start).length;
+
+        await knex('EventOccurrence')
+            .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+            .update({ EventNumRegistered: registered });
+    }
+};
@@ -0,0 +1,49 @@
+// Surveys for attended registrations, using the same overall score and NPS
+// bucket rules as POST /submit-survey.
+
+const comments = [
+    'Loved it — I want to come back next time!',
+    'The instructor explained everything really clearly.',
+    'It was fun but a little too short.',
+    'I learned a lot and made new friends.',
+    'Could use more hands-on time.',
+    null
+];
+
+exports.seed = async function(knex) {
+    const attended = await knex('Registration')
+        .where({ RegistrationAttendedFlag: 'T' })
+        .orderBy(['Event_ID', 'EventDateTimeStart', 'Participant_ID'])
+        .select('Participant_ID', 'Event_ID', 'EventDateTimeStart');
+
+    const surveys = attended
+        // Not everyone fills out the survey
+        .filter((r, i) => i % 5 !== 4)
+        .map((r, i) => {
+            const sat = 3 + (i % 3);
+            const use = 3 + ((i + 1) % 3);
+            const instr = 4 + (i % 2);
+            const rec = [5, 5, 4, 3, 5, 4, 2][i % 7];
+
+            let npsBucket;
+            if (rec === 5) npsBucket = 'Promoter';
+            else if (rec === 4) npsBucket = 'Passive';
+            else npsBucket = 'Detractor';
+
+            return {
+                Participant_ID: r.Participant_ID,
+                Event_ID: r.Event_ID,
+                EventDateTimeStart: r.EventDateTimeStart,
+                SurveySatisfaction: sat,
+                SurveyUsefulnessScore: use,
+                SurveyInstructorScore: instr,
+                SurveyRecommendationScore: rec,
+                SurveyOverallScore: ((sat + use + instr) / 3).toFixed(2),
+                SurveyNPSBucket: npsBucket,
+                SurveyComments: comments[i % comments.length],
+                SurveySubmissionDate: new Date(new Date(r.EventDateTimeStart).getTime() + 24 * 60 * 60 * 1000)
+            };
+        });
+
+    if (surveys.length) await knex('Surveys').insert(surveys);
+};
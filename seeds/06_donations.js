@@ -0,0 +1,44 @@
+// A mix of participant gifts and one-off visitor donors.
+
+const { unusablePassword } = require('../lib/passwords');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+exports.seed = async function(knex) {
+    const participants = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .orderBy('Participant_ID')
+        .pluck('Participant_ID');
+
+    const [visitor] = await knex('Participants')
+        .insert({
+            ParticipantFirstName: 'Rosa',
+            ParticipantLastName: 'Delgado',
+            ParticipantEmail: 'rosa.delgado@example.com',
+            ParticipantPassword: unusablePassword(),
+            ParticipantRole: 'visitor',
+            ParticipantCity: 'N/A',
+            ParticipantState: 'N/A',
+            ParticipantZIP: '00000'
+        })
+        .returning('Participant_ID');
+
+    const amounts = [25, 50, 10, 100, 20, 250, 15, 75, 40, 500];
+    const donations = amounts.map((amount, i) => ({
+        Participant_ID: i === amounts.length - 1 ? visitor.Participant_ID : participants[i % participants.length],
+        DonationAmount: amount,
+        DonationDate: new Date(Date.now() - (i * 17 + 3) * DAY)
+    }));
+
+    await knex('Donations').insert(donations);
+
+    for (const id of participants) {
+        const total = donations
+            .filter(d => d.Participant_ID === id)
+            .reduce((s, d) => s + d.DonationAmount, 0);
+
+        await knex('Participants')
+            .where({ Participant_ID: id })
+            .update({ TotalDonations: total });
+    }
+};
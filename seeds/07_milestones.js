@@ -0,0 +1,30 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const titles = [
+    'Completed Intro to Coding',
+    'First Folklórico Performance',
+    'Submitted College Application',
+    'Earned Scholarship',
+    'Joined Mentoring Circle'
+];
+
+exports.seed = async function(knex) {
+    const participants = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .orderBy('Participant_ID')
+        .pluck('Participant_ID');
+
+    const rows = [];
+    participants.forEach((id, i) => {
+        // Everyone has one or two milestones
+        for (let k = 0; k <= i % 2; k++) {
+            rows.push({
+                Participant_ID: id,
+                MilestoneTitle: titles[(i + k) % titles.length],
+                MilestoneDate: new Date(Date.now() - (i * 11 + k * 30) * DAY)
+            });
+        }
+    });
+
+    await knex('Milestones').insert(rows);
+};
@@ -0,0 +1,51 @@
+// A few recurring pledges: one with overdue installments, one up to date and
+// one that hasn't started yet. Received installments get their Donations row
+// like they would from /pledges.
+
+const { addMonths, dateOnly, scheduleInstallments } = require('../lib/pledges');
+
+exports.seed = async function(knex) {
+    const participants = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .orderBy('Participant_ID')
+        .pluck('Participant_ID');
+
+    const today = dateOnly(new Date());
+
+    const pledges = [
+        // monthly for four months, only the first two paid → overdue
+        { Participant_ID: participants[1], PledgeAmount: 20, PledgeFrequency: 'monthly', PledgeStartDate: addMonths(today, -4), paid: 2 },
+        // quarterly, paid so far
+        { Participant_ID: participants[3], PledgeAmount: 100, PledgeFrequency: 'quarterly', PledgeStartDate: addMonths(today, -2), paid: 1 },
+        // annual, starts next month
+        { Participant_ID: participants[5], PledgeAmount: 250, PledgeFrequency: 'annual', PledgeStartDate: addMonths(today, 1), paid: 0 }
+    ];
+
+    for (const { paid, ...pledge } of pledges) {
+        const [{ Pledge_ID }] = await knex('Pledges').insert(pledge).returning('Pledge_ID');
+        await scheduleInstallments(knex, { pledgeId: Pledge_ID });
+
+        const installments = await knex('PledgeInstallments')
+            .where({ Pledge_ID })
+            .orderBy('InstallmentDueDate', 'asc')
+            .limit(paid);
+
+        for (const installment of installments) {
+            const [{ Donation_ID }] = await knex('Donations')
+                .insert({
+                    Participant_ID: pledge.Participant_ID,
+                    DonationAmount: installment.InstallmentAmount,
+                    DonationDate: installment.InstallmentDueDate
+                })
+                .returning('Donation_ID');
+
+            await knex('PledgeInstallments')
+                .where({ PledgeInstallment_ID: installment.PledgeInstallment_ID })
+                .update({ InstallmentStatus: 'received', Donation_ID, InstallmentReceivedAt: installment.InstallmentDueDate });
+
+            await knex('Participants')
+                .where({ Participant_ID: pledge.Participant_ID })
+                .increment('TotalDonations', Number(installment.InstallmentAmount));
+        }
+    }
+};
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, mailer, app, participant, participantId, otherId;
+
+before(async() => {
+    ({ knex, mailer, app } = await createTestApp());
+    participant = await loginAs(app, 'sofia.martinez@example.com');
+
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'sofia.martinez@example.com' })
+        .first()).Participant_ID;
+    otherId = (await knex('Participants')
+        .where({ ParticipantEmail: 'isabella.garcia@example.com' })
+        .first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('anonymous visitors are sent to login', async() => {
+    const res = await request(app).get('/users');
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.location, '/login');
+});
+
+test('participants get 403 on admin pages', async() => {
+    for (const url of ['/users', '/participants', '/events', '/milestones', '/approvals', '/dashboard']) {
+        const res = await participant.get(url);
+        assert.strictEqual(res.status, 403, url);
+    }
+});
+
+test('participants can see their own profile but not someone else\'s', async() => {
+    await participant.get(`/profile/${participantId}`).expect(200);
+    await participant.get(`/profile/${otherId}`).expect(403);
+});
+
+test('participants cannot edit another profile by changing the form body', async() => {
+    await participant
+        .post('/profile/update')
+        .type('form')
+        .send({ Participant_ID: otherId, ParticipantFirstName: 'Hacked' })
+        .expect(403);
+
+    const other = await knex('Participants').where({ Participant_ID: otherId }).first();
+    assert.notStrictEqual(other.ParticipantFirstName, 'Hacked');
+});
+
+test('participants cannot delete someone else\'s donation', async() => {
+    const donation = await knex('Donations').where({ Participant_ID: otherId }).first();
+    await participant.post(`/donation/${donation.Donation_ID}/delete`).expect(403);
+    assert.ok(await knex('Donations').where({ Donation_ID: donation.Donation_ID }).first());
+});
+
+test('participants cannot add milestones for someone else', async() => {
+    await participant
+        .post('/milestone/add')
+        .type('form')
+        .send({ Participant_ID: otherId, MilestoneTitle: 'Not mine', MilestoneDate: '2025-01-01' })
+        .expect(403);
+});
+
+test('admins can only create users with an assignable role', async() => {
+    const admin = await loginAs(app, 'admin@ellarises.org');
+    const fields = {
+        ParticipantEmail: 'crafted.role@example.com',
+        ParticipantPassword: 'secret-pw',
+        ParticipantFirstName: 'Crafted',
+        ParticipantLastName: 'Role'
+    };
+
+    await admin.post('/create-user-submit').type('form').send({ ...fields, ParticipantRole: 'superuser' }).expect(400);
+    assert.strictEqual(await knex('Participants').where({ ParticipantEmail: fields.ParticipantEmail }).first(), undefined);
+
+    await admin.post('/create-user-submit').type('form').send({ ...fields, ParticipantRole: 'participant' }).expect(302);
+    const created = await knex('Participants').where({ ParticipantEmail: fields.ParticipantEmail }).first();
+    assert.strictEqual(created.ParticipantRole, 'participant');
+});
+
+test('changing your email address has to be verified again', async() => {
+    await knex('Participants').where({ Participant_ID: participantId }).update({ ParticipantEmailVerifiedAt: new Date() });
+    const before = await knex('Participants').where({ Participant_ID: participantId }).first();
+    const profile = {
+        Participant_ID: participantId,
+        ParticipantFirstName: before.ParticipantFirstName,
+        ParticipantLastName: before.ParticipantLastName
+    };
+
+    // Same address in another case is not a change
+    const sent = mailer.sent.length;
+    await participant.post('/profile/update').type('form')
+        .send({ ...profile, ParticipantEmail: 'Sofia.Martinez@example.com' })
+        .expect(302);
+    assert.strictEqual(mailer.sent.length, sent);
+    assert.ok((await knex('Participants').where({ Participant_ID: participantId }).first()).ParticipantEmailVerifiedAt);
+
+    await participant.post('/profile/update').type('form')
+        .send({ ...profile, ParticipantEmail: 'sofia.new@example.com' })
+        .expect(302);
+
+    let row = await knex('Participants').where({ Participant_ID: participantId }).first();
+    assert.strictEqual(row.ParticipantEmailVerifiedAt, null);
+    assert.strictEqual(row.ParticipantAccountStatus, before.ParticipantAccountStatus);
+    assert.strictEqual(mailer.sent.at(-1).to, 'sofia.new@example.com');
+
+    await request(app).get(mailer.lastLink(/\/verify-email\/[0-9a-f]+/)).expect(200);
+    row = await knex('Participants').where({ Participant_ID: participantId }).first();
+    assert.ok(row.ParticipantEmailVerifiedAt);
+});
+
+test('an email changed by an admin has to be verified again too', async() => {
+    const admin = await loginAs(app, 'admin@ellarises.org');
+    await knex('Participants').where({ Participant_ID: otherId }).update({ ParticipantEmailVerifiedAt: new Date() });
+    const before = await knex('Participants').where({ Participant_ID: otherId }).first();
+
+    await admin.post('/profile/update/admin').type('form')
+        .send({
+            Participant_ID: otherId,
+            ParticipantFirstName: before.ParticipantFirstName,
+            ParticipantLastName: before.ParticipantLastName,
+            ParticipantEmail: 'isabella.new@example.com'
+        })
+        .expect(302);
+
+    const row = await knex('Participants').where({ Participant_ID: otherId }).first();
+    assert.strictEqual(row.ParticipantEmail, 'isabella.new@example.com');
+    assert.strictEqual(row.ParticipantEmailVerifiedAt, null);
+    assert.strictEqual(mailer.sent.at(-1).to, 'isabella.new@example.com');
+    assert.match(mailer.sent.at(-1).text, /\/verify-email\/[0-9a-f]+/);
+
+    await admin.post('/profile/update/admin').type('form').send({ Participant_ID: 999999 }).expect(404);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { summarize, periodOf, groupSummaries } = require('../lib/analytics');
+
+let knex, app, admin;
+
+function survey(recommendation, overrides = {}) {
+    return {
+        SurveySatisfaction: 4,
+        SurveyUsefulnessScore: 5,
+        SurveyInstructorScore: 3,
+        SurveyRecommendationScore: recommendation,
+        SurveyOverallScore: '4.00',
+        ...overrides
+    };
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => knex.destroy());
+
+test('NPS is promoters minus detractors over all responses', () => {
+    const summary = summarize([survey(5), survey(5), survey(4), survey(2), survey(1, { SurveyNPSBucket: 'Detractor' })]);
+
+    assert.strictEqual(summary.count, 5);
+    assert.strictEqual(summary.promoters, 2);
+    assert.strictEqual(summary.passives, 1);
+    assert.strictEqual(summary.detractors, 2);
+    assert.strictEqual(summary.nps, 0);
+    assert.deepStrictEqual(summary.distribution.recommendation, [1, 1, 0, 1, 2]);
+    assert.strictEqual(summary.averages.recommendation, 3.4);
+
+    const empty = summarize([]);
+    assert.strictEqual(empty.nps, null);
+    assert.strictEqual(empty.averages.overall, null);
+});
+
+test('surveys group into months, quarters and terms', () => {
+    const may = new Date(2025, 4, 10);
+    assert.deepStrictEqual(periodOf(may, 'quarter'), { key: '2025-2', label: 'Q2 2025' });
+    assert.deepStrictEqual(periodOf(may, 'term'), { key: '2025-1', label: 'Summer 2025' });
+    assert.strictEqual(periodOf(may, 'month').key, '2025-05');
+
+    const groups = groupSummaries(
+        [survey(5, { when: new Date(2025, 9, 1) }), survey(1, { when: new Date(2025, 1, 1) }), survey(5, { when: new Date(2025, 10, 1) })],
+        s => periodOf(s.when, 'term')
+    );
+    assert.deepStrictEqual(groups.map(g => [g.label, g.count, g.nps]), [['Spring 2025', 1, -100], ['Fall 2025', 2, 100]]);
+});
+
+test('analytics page drills down from type to template to individual surveys', async() => {
+    const all = await knex('Surveys');
+    const expected = summarize(all);
+
+    let res = await admin.get('/surveys/analytics').expect(200);
+    assert.match(res.text, /By Event Type/);
+    assert.ok(res.text.includes(`<div class="small text-muted">Responses</div>\n      <div class="fs-3">${all.length}</div>`));
+    assert.match(res.text, new RegExp(`NPS</div>\\s*<div class="fs-3[^"]*">${expected.nps}</div>`));
+
+    const row = await knex('Surveys as s')
+        .join('EventTemplates as et', 's.Event_ID', 'et.Event_ID')
+        .first('s.Event_ID', 'et.EventType', 'et.EventName');
+
+    res = await admin.get(`/surveys/analytics?type=${encodeURIComponent(row.EventType)}`).expect(200);
+    assert.match(res.text, /By Template/);
+    assert.ok(res.text.includes(row.EventName));
+    assert.ok(res.text.includes(`eventId=${row.Event_ID}`));
+
+    res = await admin.get(`/surveys/analytics?type=${encodeURIComponent(row.EventType)}&eventId=${row.Event_ID}&interval=term`).expect(200);
+    assert.match(res.text, /By Occurrence/);
+    assert.match(res.text, /Individual Surveys/);
+    assert.match(res.text, /Trend by term/);
+    assert.match(res.text, new RegExp(`/surveys/${row.Event_ID}/`));
+
+    const participant = await loginAs(app, 'sofia.martinez@example.com');
+    await participant.get('/surveys/analytics').expect(403);
+});
+
+test('date range limits the surveys counted', async() => {
+    const res = await admin.get('/surveys/analytics?from=1990-01-01&to=1990-12-31').expect(200);
+    assert.match(res.text, /No surveys match these filters/);
+});
@@ -0,0 +1,180 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { DEMO_PASSWORD, createTestApp, loginAs } = require('./helpers');
+const { createApp } = require('../app');
+const { hashPassword, isHashed, unusablePassword, verifyPassword } = require('../lib/passwords');
+
+let knex, mailer, app;
+
+before(async() => {
+    ({ knex, mailer, app } = await createTestApp());
+});
+
+after(() => knex.destroy());
+
+test('seeded admin can log in and reach the management area', async() => {
+    const admin = await loginAs(app, 'admin@ellarises.org');
+    const res = await admin.get('/manage_dashboard');
+    assert.strictEqual(res.status, 200);
+});
+
+test('wrong password is rejected', async() => {
+    const res = await request(app)
+        .post('/login')
+        .type('form')
+        .send({ email: 'admin@ellarises.org', password: 'nope' });
+
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Invalid login/);
+});
+
+test('legacy plaintext password is upgraded to a hash on first login', async() => {
+    await knex('Participants')
+        .where({ ParticipantEmail: 'lucia.gonzalez@example.com' })
+        .update({ ParticipantPassword: 'plaintext-pw' });
+
+    await loginAs(app, 'lucia.gonzalez@example.com', 'plaintext-pw');
+
+    const row = await knex('Participants')
+        .where({ ParticipantEmail: 'lucia.gonzalez@example.com' })
+        .first();
+    assert.ok(isHashed(row.ParticipantPassword));
+
+    // The same password still works against the new hash
+    await loginAs(app, 'lucia.gonzalez@example.com', 'plaintext-pw');
+});
+
+test('visitor donor rows can never log in', async() => {
+    const res = await request(app)
+        .post('/login')
+        .type('form')
+        .send({ email: 'rosa.delgado@example.com', password: 'publicdonor' });
+
+    assert.match(res.text, /Invalid login/);
+});
+
+test('an account logs in even when an older visitor row shares its email', async() => {
+    // rosa.delgado@example.com is already a seeded visitor donor
+    const [account] = await knex('Participants').insert({
+        ParticipantEmail: 'Rosa.Delgado@example.com',
+        ParticipantPassword: await hashPassword(DEMO_PASSWORD),
+        ParticipantFirstName: 'Rosa',
+        ParticipantLastName: 'Delgado',
+        ParticipantRole: 'participant',
+        ParticipantAccountStatus: 'active'
+    }).returning('Participant_ID');
+
+    const agent = await loginAs(app, 'ROSA.DELGADO@example.com');
+    await agent.get(`/profile/${account.Participant_ID}`).expect(200);
+});
+
+test('legacy accounts without a role can still log in and reset their password', async() => {
+    await knex('Participants').insert({
+        ParticipantEmail: 'old.timer@example.com',
+        ParticipantPassword: await hashPassword(DEMO_PASSWORD),
+        ParticipantFirstName: 'Old',
+        ParticipantLastName: 'Timer',
+        ParticipantRole: null,
+        ParticipantAccountStatus: 'active'
+    });
+
+    await loginAs(app, 'Old.Timer@example.com');
+
+    await request(app).post('/forgot-password').type('form').send({ email: 'old.timer@example.com' }).expect(200);
+    const message = mailer.sent[mailer.sent.length - 1];
+    assert.strictEqual(message.to, 'old.timer@example.com');
+    assert.match(message.text, /\/reset-password\/[0-9a-f]+/);
+});
+
+test('legacy plaintext passwords may start with anything; unusable ones never match', async() => {
+    assert.strictEqual((await verifyPassword('!bang-pw', '!bang-pw')).ok, true);
+    assert.strictEqual((await verifyPassword('!bang-pw', '!bang-pw')).needsRehash, true);
+
+    const unusable = unusablePassword();
+    assert.strictEqual((await verifyPassword(unusable, unusable)).ok, false);
+    assert.strictEqual((await verifyPassword('', null)).ok, false);
+});
+
+test('enrollment → email verification → admin approval → login', async() => {
+    const email = 'new.student@example.com';
+
+    // A self-assigned role in the form is ignored
+    await request(app)
+        .post('/enroll')
+        .type('form')
+        .send({
+            ParticipantEmail: email,
+            ParticipantPassword: 'secret-pw',
+            ParticipantFirstName: 'New',
+            ParticipantLastName: 'Student',
+            ParticipantDOB: '2009-05-01',
+            ParticipantRole: 'admin',
+            ParticipantCity: 'Provo',
+            ParticipantState: 'UT',
+            ParticipantZIP: '84601'
+        })
+        .expect(200);
+
+    let row = await knex('Participants').where({ ParticipantEmail: email }).first();
+    assert.strictEqual(row.ParticipantRole, 'participant');
+    assert.strictEqual(row.ParticipantAccountStatus, 'pending_verification');
+
+    // Can't log in yet
+    let res = await request(app).post('/login').type('form').send({ email, password: 'secret-pw' });
+    assert.match(res.text, /verify your email/);
+
+    const link = mailer.lastLink(/\/verify-email\/[0-9a-f]+/);
+    await request(app).get(link).expect(200);
+
+    row = await knex('Participants').where({ ParticipantEmail: email }).first();
+    assert.strictEqual(row.ParticipantAccountStatus, 'pending_approval');
+
+    const admin = await loginAs(app, 'admin@ellarises.org');
+    res = await admin.get('/approvals');
+    assert.match(res.text, new RegExp(email));
+
+    await admin.post(`/approvals/${row.Participant_ID}/approve`).expect(302);
+    await loginAs(app, email, 'secret-pw');
+});
+
+test('emailed links use APP_URL, never the request\'s Host header', async() => {
+    await request(app)
+        .post('/forgot-password')
+        .set('Host', 'attacker.example')
+        .type('form')
+        .send({ email: 'camila.hernandez@example.com' })
+        .expect(200);
+
+    const message = mailer.sent[mailer.sent.length - 1];
+    assert.ok(message.text.includes(`${process.env.APP_URL}/reset-password/`));
+    assert.ok(!message.text.includes('attacker.example'));
+
+    const appUrl = process.env.APP_URL;
+    delete process.env.APP_URL;
+    try {
+        assert.throws(() => createApp({ knex, mailer, payments: null }), /APP_URL/);
+    } finally {
+        process.env.APP_URL = appUrl;
+    }
+});
+
+test('password reset link works once and then expires', async() => {
+    const email = 'camila.hernandez@example.com';
+
+    await request(app).post('/forgot-password').type('form').send({ email }).expect(200);
+    const link = mailer.lastLink(/\/reset-password\/[0-9a-f]+/);
+    assert.ok(link);
+
+    await request(app)
+        .post(link)
+        .type('form')
+        .send({ password: 'brand-new-pw', confirmPassword: 'brand-new-pw' })
+        .expect(200);
+
+    await loginAs(app, email, 'brand-new-pw');
+
+    // Reusing the link is refused
+    const res = await request(app).get(link);
+    assert.match(res.text, /invalid or has expired/);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+const { buildCalendar } = require('../lib/ical');
+
+let knex, app;
+
+function events(ics) {
+    return ics.split('BEGIN:VEVENT').length - 1;
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+});
+
+after(() => knex.destroy());
+
+test('text is escaped and long lines are folded', () => {
+    const ics = buildCalendar({
+        name: 'Test',
+        events: [{
+            uid: 'x@ellarises.org',
+            start: new Date('2030-01-01T17:00:00Z'),
+            end: new Date('2030-01-01T19:00:00Z'),
+            summary: 'Coding, Design; and More',
+            description: 'Line one\nLine two ' + 'x'.repeat(100)
+        }]
+    });
+
+    assert.match(ics, /SUMMARY:Coding\\, Design\\; and More\r\n/);
+    assert.match(ics, /DTSTART:20300101T170000Z\r\n/);
+    assert.match(ics, /DESCRIPTION:Line one\\nLine two/);
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+});
+
+test('public feed lists every upcoming occurrence', async() => {
+    const [{ count }] = await knex('EventOccurrence').where('EventDateTimeStart', '>=', new Date()).count('* as count');
+
+    const res = await request(app).get('/events.ics').expect(200);
+    assert.match(res.headers['content-type'], /text\/calendar/);
+    assert.match(res.text, /^BEGIN:VCALENDAR/);
+    assert.match(res.text, /LOCATION:Utah Valley Convention Center/);
+    assert.strictEqual(events(res.text), Number(count));
+});
+
+test('single events download as a file', async() => {
+    const occ = await knex('EventOccurrence').where('EventDateTimeStart', '>=', new Date()).first();
+    const url = `/events/${occ.Event_ID}/${encodeURIComponent(new Date(occ.EventDateTimeStart).toISOString())}/calendar.ics`;
+
+    const res = await request(app).get(url).expect(200);
+    assert.match(res.headers['content-disposition'], /attachment; filename=".+\.ics"/);
+    assert.strictEqual(events(res.text), 1);
+
+    const page = await request(app).get('/events_nonverified');
+    assert.ok(page.text.includes(url.replace(/&/g, '&amp;')));
+});
+
+test('private feed holds only the participant\'s registrations and can be replaced', async() => {
+    const participant = await loginAs(app, 'camila.hernandez@example.com');
+    const me = await knex('Participants').where({ ParticipantEmail: 'camila.hernandez@example.com' }).first();
+
+    const page = await participant.get(`/events_user/${me.Participant_ID}`);
+    const feedUrl = page.text.match(/\/calendar\/[0-9a-f]{48}\.ics/)[0];
+
+    const [{ count }] = await knex('Registration')
+        .where({ Participant_ID: me.Participant_ID })
+        .andWhere('EventDateTimeStart', '>=', new Date(Date.now() - 90 * 24 * 60 * 60 * 1000))
+        .count('* as count');
+
+    const res = await request(app).get(feedUrl).expect(200);
+    assert.strictEqual(events(res.text), Number(count));
+
+    await request(app).get('/calendar/not-a-real-token.ics').expect(404);
+
+    await participant.post('/calendar/reset').expect(302);
+    await request(app).get(feedUrl).expect(404);
+});
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs, withEnv } = require('./helpers');
+const { createApp } = require('../app');
+const { createCheckInToken, readCheckInToken } = require('../lib/checkin');
+
+let knex, app, admin, participant, participantId, reg;
+
+function checkinUrl(r) {
+    return `/events/${r.Event_ID}/${encodeURIComponent(new Date(r.EventDateTimeStart).toISOString())}/checkin`;
+}
+
+async function scan(url, token) {
+    await admin.post(url).type('form').send({ token }).expect(302);
+    return (await admin.get(url)).text;
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+    participant = await loginAs(app, 'isabella.garcia@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'isabella.garcia@example.com' })
+        .first()).Participant_ID;
+
+    reg = await knex('Registration')
+        .where({ Participant_ID: participantId, RegistrationStatus: 'registered' })
+        .andWhere('EventDateTimeStart', '>', new Date())
+        .first();
+});
+
+after(() => knex.destroy());
+
+test('codes round-trip and reject tampering', () => {
+    const token = createCheckInToken(reg);
+    assert.deepStrictEqual(readCheckInToken(token), {
+        Participant_ID: reg.Participant_ID,
+        Event_ID: reg.Event_ID,
+        EventDateTimeStart: new Date(reg.EventDateTimeStart).toISOString()
+    });
+
+    // Someone else's ID with the original signature
+    const [, ...rest] = token.split('.');
+    assert.strictEqual(readCheckInToken([reg.Participant_ID + 1, ...rest].join('.')), null);
+    assert.strictEqual(readCheckInToken('not-a-code'), null);
+});
+
+test('codes are never signed with a guessable secret', () => {
+    withEnv({ CHECKIN_SECRET: undefined, SESSION_SECRET: undefined }, () => {
+        assert.throws(() => createCheckInToken(reg), /CHECKIN_SECRET/);
+        assert.throws(() => createApp({ knex, payments: null }), /CHECKIN_SECRET/);
+    });
+
+    // A dedicated secret takes over from the session one
+    const token = createCheckInToken(reg);
+    withEnv({ CHECKIN_SECRET: 'checkin-only' }, () => {
+        assert.strictEqual(readCheckInToken(token), null);
+        assert.ok(readCheckInToken(createCheckInToken(reg)));
+    });
+});
+
+test('participants see a QR code for each seat they hold', async() => {
+    const page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /<img src="data:image\/png;base64,/);
+    assert.ok(page.text.includes(createCheckInToken(reg)));
+});
+
+test('scanning a code checks the participant in once', async() => {
+    const url = checkinUrl(reg);
+    const token = createCheckInToken(reg);
+
+    let text = await scan(url, token);
+    assert.match(text, /Checked in\./);
+
+    const row = await knex('Registration')
+        .where({ Participant_ID: participantId, Event_ID: reg.Event_ID, EventDateTimeStart: reg.EventDateTimeStart })
+        .first();
+    assert.strictEqual(row.RegistrationAttendedFlag, 'T');
+    assert.ok(row.RegistrationCheckInTime);
+
+    text = await scan(url, token);
+    assert.match(text, /already checked in at/);
+});
+
+test('wrong-event and invalid codes are rejected', async() => {
+    const other = await knex('Registration')
+        .where({ RegistrationStatus: 'registered' })
+        .whereNot({ Event_ID: reg.Event_ID })
+        .first();
+
+    let text = await scan(checkinUrl(reg), createCheckInToken(other));
+    assert.match(text, /Wrong event/);
+
+    text = await scan(checkinUrl(reg), '1.2.3.forged');
+    assert.match(text, /isn&#39;t a valid Ella Rises check-in code/);
+
+    // The other registration was not touched
+    const row = await knex('Registration')
+        .where({ Participant_ID: other.Participant_ID, Event_ID: other.Event_ID, EventDateTimeStart: other.EventDateTimeStart })
+        .first();
+    assert.strictEqual(row.RegistrationCheckInTime, null);
+});
+
+test('only admins can run check-in', async() => {
+    await participant.get(checkinUrl(reg)).expect(403);
+    await participant.post(checkinUrl(reg)).type('form').send({ token: createCheckInToken(reg) }).expect(403);
+});
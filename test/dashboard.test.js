@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { dashboardStats } = require('../lib/dashboard');
+
+let knex, app, admin;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => knex.destroy());
+
+test('dashboard is built from local data and assets only', async() => {
+    const res = await admin.get('/dashboard').expect(200);
+    assert.doesNotMatch(res.text, /tableau/i);
+    assert.match(res.text, /<script src="\/vendor\/chart.js\/chart.umd.min.js"><\/script>/);
+    assert.match(res.text, /Participants Enrolled/);
+
+    const [{ count }] = await knex('Participants').where({ ParticipantRole: 'participant' }).count('* as count');
+    assert.match(res.text, new RegExp(`data-kpi="participantsEnrolled">${count}<`));
+
+    await admin.get('/vendor/chart.js/chart.umd.min.js').expect(200);
+    await admin.get('/js/dashboard.js').expect(200);
+});
+
+test('attendance, donations, NPS and milestones follow the date range', async() => {
+    const template = await knex('EventTemplates').first();
+    const start = new Date(2001, 2, 15, 18);
+    await knex('EventOccurrence').insert({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventLocation: 'Archive',
+        EventCapacity: 10
+    });
+
+    const people = await knex('Participants').where({ ParticipantRole: 'participant' }).limit(3);
+    await knex('Registration').insert(people.map((p, i) => ({
+        Participant_ID: p.Participant_ID,
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        RegistrationStatus: i === 2 ? 'waitlisted' : 'registered',
+        RegistrationAttendedFlag: i === 0 ? 'T' : 'F'
+    })));
+    await knex('Surveys').insert({
+        Participant_ID: people[0].Participant_ID,
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        SurveyRecommendationScore: 5,
+        SurveyNPSBucket: 'Promoter'
+    });
+    await knex('Donations').insert({ Participant_ID: people[0].Participant_ID, DonationAmount: 40, DonationDate: new Date(2001, 2, 20) });
+    await knex('Milestones').insert({ Participant_ID: people[0].Participant_ID, MilestoneTitle: 'Archived Award', MilestoneDate: new Date(2001, 2, 21) });
+
+    const stats = await dashboardStats(knex, { from: new Date(2001, 0, 1), to: new Date(2002, 0, 1) });
+
+    assert.strictEqual(stats.kpis.attendanceRate, 50); // the waitlisted registration doesn't count
+    assert.strictEqual(stats.kpis.activeParticipants, 2);
+    assert.strictEqual(stats.kpis.donationsInRange, 40);
+    assert.strictEqual(stats.kpis.nps, 100);
+    assert.strictEqual(stats.kpis.milestonesAwarded, 1);
+    assert.deepStrictEqual(stats.topMilestones, [{ title: 'Archived Award', count: 1 }]);
+
+    assert.strictEqual(stats.charts.months.length, 12);
+    assert.strictEqual(stats.charts.donations[2], 40);
+    assert.strictEqual(stats.charts.attendanceRate[2], 50);
+    assert.strictEqual(stats.charts.attendanceRate[0], null);
+
+    const page = await admin.get('/dashboard?from=2001-01-01&to=2001-12-31').expect(200);
+    assert.match(page.text, /data-kpi="attendanceRate">50%</);
+    assert.match(page.text, /Archived Award/);
+});
+
+test('this month\'s donations include today\'s gifts', async() => {
+    const person = await knex('Participants').where({ ParticipantRole: 'participant' }).first();
+    const before = (await dashboardStats(knex, { from: new Date(2000, 0, 1), to: new Date() })).kpis;
+
+    await knex('Donations').insert({ Participant_ID: person.Participant_ID, DonationAmount: 123.45, DonationDate: new Date() });
+
+    const after = (await dashboardStats(knex, { from: new Date(2000, 0, 1), to: new Date() })).kpis;
+    assert.strictEqual(Math.round((after.donationsThisMonth - before.donationsThisMonth) * 100), 12345);
+    assert.strictEqual(Math.round((after.donationsThisYear - before.donationsThisYear) * 100), 12345);
+});
+
+test('bad ranges and non-admins are refused', async() => {
+    await admin.get('/dashboard?from=2025-05-01&to=2025-04-01').expect(400);
+
+    const participant = await loginAs(app, 'sofia.martinez@example.com');
+    await participant.get('/dashboard').expect(403);
+});
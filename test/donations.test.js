@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+});
+
+after(() => knex.destroy());
+
+test('public donation waits for payment before a donor is recorded', async() => {
+    const res = await request(app)
+        .post('/submit-donation-public')
+        .type('form')
+        .send({ firstName: 'Pat', lastName: 'Giver', email: 'pat.giver@example.com', amount: '42.50' })
+        .expect(302);
+    assert.match(res.headers.location, /\/mock-gateway\/checkout\/mock_pay_\w+$/);
+
+    const donation = await knex('Donations').where({ DonationDonorEmail: 'pat.giver@example.com' }).first();
+    assert.strictEqual(Number(donation.DonationAmount), 42.5);
+    assert.strictEqual(donation.DonationStatus, 'pending'); // until the provider confirms payment
+    assert.strictEqual(donation.Participant_ID, null);
+    assert.strictEqual(await knex('Participants').where({ ParticipantEmail: 'pat.giver@example.com' }).first(), undefined);
+});
+
+test('participant donation shows up on their donations page', async() => {
+    const participant = await loginAs(app, 'mariana.perez@example.com');
+
+    await participant.post('/submit-donation').type('form').send({ amount: '12.34' }).expect(302);
+
+    const res = await participant.get('/donations');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /12\.34/);
+});
+
+test('a new gift recomputes the donor total from completed donations', async() => {
+    const participant = await loginAs(app, 'mariana.perez@example.com');
+    const me = await knex('Participants').where({ ParticipantEmail: 'mariana.perez@example.com' }).first();
+    await knex('Participants').where({ Participant_ID: me.Participant_ID }).update({ TotalDonations: 9999 });
+
+    await participant.post('/submit-donation').type('form').send({ amount: '5' }).expect(302);
+
+    const completed = (await knex('Donations').where({ Participant_ID: me.Participant_ID }))
+        .filter(d => d.DonationStatus === 'completed')
+        .reduce((sum, d) => sum + Number(d.DonationAmount), 0);
+    const donor = await knex('Participants').where({ Participant_ID: me.Participant_ID }).first();
+    assert.strictEqual(Number(donor.TotalDonations), completed);
+});
+
+test('admin can add a donation', async() => {
+    const admin = await loginAs(app, 'admin@ellarises.org');
+    const before = (await knex('Donations').count('* as c'))[0].c;
+
+    await admin
+        .post('/donations/add')
+        .type('form')
+        .send({ DonationAmount: '99', DonationDate: '2025-06-01' })
+        .expect(302);
+
+    const afterCount = (await knex('Donations').count('* as c'))[0].c;
+    assert.strictEqual(Number(afterCount), Number(before) + 1);
+});
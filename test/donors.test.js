@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createServedTestApp } = require('./helpers');
+const { unusablePassword } = require('../lib/passwords');
+const { normalizeEmail, pickDonor } = require('../lib/donors');
+const backfill = require('../migrations/20251213000000_merge_duplicate_visitor_donors');
+
+let knex, server;
+
+before(async() => {
+    ({ knex, server } = await createServedTestApp());
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    return knex.destroy();
+});
+
+// Public donation through the mock checkout; resolves to the donation row
+async function donate(fields, action = 'pay') {
+    const res = await request(server).post('/submit-donation-public').type('form').send(fields).expect(302);
+    const checkout = new URL(res.headers.location).pathname;
+    if (action) await request(server).post(checkout).type('form').send({ action }).expect(302);
+    return knex('Donations').where({ DonationProviderRef: checkout.split('/').pop() }).first();
+}
+
+async function participantCount() {
+    return Number((await knex('Participants').count('* as c'))[0].c);
+}
+
+function visitor(fields) {
+    return knex('Participants')
+        .insert({ ParticipantPassword: unusablePassword(), ParticipantRole: 'visitor', ...fields })
+        .returning('Participant_ID')
+        .then(([row]) => row.Participant_ID);
+}
+
+test('donors are told apart by email, then name, then account over visitor row', () => {
+    assert.strictEqual(normalizeEmail('  Ana.Torres@Example.COM '), 'ana.torres@example.com');
+    assert.strictEqual(normalizeEmail('   '), null);
+
+    const rows = [
+        { Participant_ID: 1, ParticipantRole: 'visitor', ParticipantFirstName: 'Visitor', ParticipantLastName: 'Donor' },
+        { Participant_ID: 2, ParticipantRole: 'participant', ParticipantFirstName: 'Ana', ParticipantLastName: 'Torres' },
+        { Participant_ID: 3, ParticipantRole: 'visitor', ParticipantFirstName: 'Tomas', ParticipantLastName: 'Torres' }
+    ];
+    assert.strictEqual(pickDonor(rows).Participant_ID, 2);
+    assert.strictEqual(pickDonor(rows, { firstName: 'tomas', lastName: 'TORRES' }).Participant_ID, 3);
+    assert.strictEqual(pickDonor(rows.filter(r => r.ParticipantRole === 'visitor')).Participant_ID, 1);
+});
+
+test('a public donation from a participant\'s email goes to their record', async() => {
+    const participant = await knex('Participants').where({ ParticipantEmail: 'ana.torres@example.com' }).first();
+    const count = await participantCount();
+
+    const donation = await donate({ firstName: 'Someone', lastName: 'Else', email: '  ANA.Torres@example.com ', amount: '15' });
+
+    assert.strictEqual(await participantCount(), count);
+    assert.strictEqual(donation.Participant_ID, participant.Participant_ID);
+
+    // The public form never changes an account's details
+    const after = await knex('Participants').where({ Participant_ID: participant.Participant_ID }).first();
+    assert.strictEqual(after.ParticipantFirstName, participant.ParticipantFirstName);
+    assert.strictEqual(after.ParticipantRole, 'participant');
+});
+
+test('new donors get one visitor record, reused for later gifts', async() => {
+    const count = await participantCount();
+
+    await donate({ email: 'kim.newdonor@example.com', amount: '10' });
+    await donate({ firstName: 'Kim', lastName: 'Nguyen', email: 'Kim.NewDonor@example.com', amount: '20' });
+
+    assert.strictEqual(await participantCount(), count + 1);
+    const donor = await knex('Participants').where({ ParticipantEmail: 'kim.newdonor@example.com' }).first();
+    assert.strictEqual(donor.ParticipantRole, 'visitor');
+    assert.strictEqual(donor.ParticipantCity, null);
+    assert.strictEqual(donor.ParticipantZIP, null);
+    assert.strictEqual(donor.ParticipantFirstName, 'Kim'); // filled in by the second gift
+
+    const gifts = await knex('Donations').where({ Participant_ID: donor.Participant_ID });
+    assert.strictEqual(gifts.length, 2);
+
+    // Without an email there's nothing to match on
+    await donate({ amount: '5' });
+    await donate({ amount: '5' });
+    assert.strictEqual(await participantCount(), count + 3);
+});
+
+test('declined or abandoned checkouts leave no visitor record behind', async() => {
+    const count = await participantCount();
+
+    const declined = await donate({ firstName: 'Jo', lastName: 'Maybe', email: 'jo.maybe@example.com', amount: '25' }, 'decline');
+    const abandoned = await donate({ firstName: 'Jo', lastName: 'Later', email: 'jo.later@example.com', amount: '25' }, null);
+
+    assert.strictEqual(declined.DonationStatus, 'failed');
+    assert.strictEqual(abandoned.DonationStatus, 'pending');
+    for (const donation of [declined, abandoned]) assert.strictEqual(donation.Participant_ID, null);
+    assert.strictEqual(await participantCount(), count);
+});
+
+test('the backfill folds duplicate visitor rows and their donations together', async() => {
+    const placeholders = { ParticipantFirstName: 'Visitor', ParticipantLastName: 'Donor', ParticipantCity: 'N/A', ParticipantZIP: '00000' };
+
+    // Three gifts from the same visitor, one with their real name
+    const first = await visitor({ ...placeholders, ParticipantEmail: 'lee.repeat@example.com' });
+    const second = await visitor({ ParticipantFirstName: 'Lee', ParticipantLastName: 'Repeat', ParticipantEmail: 'Lee.Repeat@example.com' });
+    const third = await visitor({ ...placeholders, ParticipantEmail: ' lee.repeat@example.com' });
+
+    // A visitor gift from someone who has an account
+    const account = await knex('Participants').where({ ParticipantEmail: 'sofia.martinez@example.com' }).first();
+    const accountVisitor = await visitor({ ...placeholders, ParticipantEmail: 'SOFIA.MARTINEZ@example.com' });
+
+    // A duplicate with a registration attached is left alone
+    const occurrence = await knex('EventOccurrence').first();
+    const registered = await visitor({ ...placeholders, ParticipantEmail: 'lee.repeat@example.com' });
+    await knex('Registration').insert({
+        Participant_ID: registered,
+        Event_ID: occurrence.Event_ID,
+        EventDateTimeStart: occurrence.EventDateTimeStart
+    });
+
+    await knex('Donations').insert([
+        { Participant_ID: first, DonationAmount: 10, DonationDate: '2025-01-10', DonationStatus: 'completed' },
+        { Participant_ID: second, DonationAmount: 20, DonationDate: '2025-02-10', DonationStatus: 'completed' },
+        { Participant_ID: third, DonationAmount: 30, DonationDate: '2025-03-10', DonationStatus: 'completed' },
+        { Participant_ID: third, DonationAmount: 99, DonationDate: '2025-03-11', DonationStatus: 'failed' },
+        { Participant_ID: accountVisitor, DonationAmount: 40, DonationDate: '2025-04-10', DonationStatus: 'completed' }
+    ]);
+    const accountTotal = (await knex('Donations').where({ Participant_ID: account.Participant_ID }))
+        .filter(d => d.DonationStatus === 'completed')
+        .reduce((s, d) => s + Number(d.DonationAmount), 0);
+
+    const result = await knex.transaction(trx => backfill.up(trx));
+    assert.strictEqual(result.merged, 3);
+    assert.strictEqual(result.donationsMoved, 4);
+    assert.ok(result.skipped.includes(registered));
+
+    const remaining = (await knex('Participants').whereNotNull('ParticipantEmail'))
+        .filter(p => normalizeEmail(p.ParticipantEmail) === 'lee.repeat@example.com')
+        .map(p => p.Participant_ID)
+        .sort((a, b) => a - b);
+    assert.deepStrictEqual(remaining, [first, registered]);
+
+    const keeper = await knex('Participants').where({ Participant_ID: first }).first();
+    assert.strictEqual(keeper.ParticipantFirstName, 'Lee');
+    assert.strictEqual(keeper.ParticipantLastName, 'Repeat');
+    assert.strictEqual(Number(keeper.TotalDonations), 60);
+    assert.strictEqual((await knex('Donations').where({ Participant_ID: first })).length, 4);
+
+    assert.strictEqual(await knex('Participants').where({ Participant_ID: accountVisitor }).first(), undefined);
+    const merged = await knex('Participants').where({ Participant_ID: account.Participant_ID }).first();
+    assert.strictEqual(Number(merged.TotalDonations), accountTotal + 40);
+    assert.strictEqual(merged.ParticipantFirstName, account.ParticipantFirstName);
+
+    // Running it again finds nothing new to merge
+    const again = await knex.transaction(trx => backfill.up(trx));
+    assert.strictEqual(again.merged, 0);
+
+    await assert.rejects(backfill.down(knex), /cannot be undone/);
+});
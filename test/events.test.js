@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app, admin;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => knex.destroy());
+
+test('public events page lists upcoming occurrences', async() => {
+    const res = await request(app).get('/events_nonverified');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Ella Rises Summit/);
+});
+
+test('admin can add, edit and delete an occurrence', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Mentoring Circle' }).first();
+
+    await admin
+        .post('/events/add')
+        .type('form')
+        .send({
+            Event_ID: template.Event_ID,
+            EventDateTimeStart: '2030-03-01T12:00',
+            EventDateTimeEnd: '2030-03-01T13:00',
+            EventLocation: 'Ella Rises Office',
+            EventCapacity: 10,
+            EventRegistrationDeadline: '2030-02-28T12:00'
+        })
+        .expect(302);
+
+    const start = new Date('2030-03-01T12:00').toISOString();
+    let occ = await knex('EventOccurrence').where({ Event_ID: template.Event_ID, EventDateTimeStart: start }).first();
+    assert.ok(occ);
+
+    await admin
+        .post('/events/edit')
+        .type('form')
+        .send({
+            Event_ID: template.Event_ID,
+            OriginalDateTimeStart: start,
+            EventDateTimeStart: '2030-03-01T12:00',
+            EventDateTimeEnd: '2030-03-01T14:00',
+            EventLocation: 'Provo Library',
+            EventCapacity: 12,
+            EventRegistrationDeadline: '2030-02-28T12:00'
+        })
+        .expect(302);
+
+    occ = await knex('EventOccurrence').where({ Event_ID: template.Event_ID, EventDateTimeStart: start }).first();
+    assert.strictEqual(occ.EventLocation, 'Provo Library');
+    assert.strictEqual(occ.EventCapacity, 12);
+
+    await admin.post(`/events/delete/${template.Event_ID}/${encodeURIComponent(start)}`).expect(302);
+    occ = await knex('EventOccurrence').where({ Event_ID: template.Event_ID, EventDateTimeStart: start }).first();
+    assert.strictEqual(occ, undefined);
+});
+
+test('recurring series is previewed, then created in one go', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    const form = {
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: '2031-01-07T17:00',
+        EventDateTimeEnd: '2031-01-07T19:00',
+        EventLocation: 'UVU Computer Lab 101',
+        EventCapacity: '',
+        EventRegistrationDeadline: '2031-01-06T17:00',
+        EventRecurrencePattern: 'Weekly',
+        SeriesCount: 4
+    };
+
+    const preview = await admin.post('/events/add').type('form').send(form);
+    assert.strictEqual(preview.status, 200);
+    assert.match(preview.text, /4 new occurrences/);
+
+    // Nothing is written until the preview is confirmed
+    const series = () => knex('EventOccurrence')
+        .where({ Event_ID: template.Event_ID })
+        .andWhere('EventDateTimeStart', '>=', new Date('2031-01-01'))
+        .orderBy('EventDateTimeStart');
+    assert.strictEqual((await series()).length, 0);
+
+    await admin.post('/events/add').type('form').send({ ...form, confirm: 1 }).expect(302);
+
+    const rows = await series();
+    assert.strictEqual(rows.length, 4);
+    assert.ok(rows.every(r => r.EventSeries_ID === rows[0].EventSeries_ID && r.EventSeries_ID));
+    // Capacity defaults from the template
+    assert.ok(rows.every(r => r.EventCapacity === template.EventDefaultCapacity));
+    assert.strictEqual(new Date(rows[3].EventDateTimeStart) - new Date(rows[0].EventDateTimeStart), 21 * 24 * 60 * 60 * 1000);
+});
+
+test('a series that ends before it starts is refused with a clear message', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    const res = await admin.post('/events/add').type('form').send({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: '2031-03-10T17:00',
+        EventLocation: 'UVU Computer Lab 101',
+        EventRecurrencePattern: 'Weekly',
+        SeriesUntil: '2031-03-01'
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.match(res.text, /The series has no dates between start and end/);
+});
+
+test('"this and following" edits and cancellations leave earlier occurrences alone', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    const series = () => knex('EventOccurrence')
+        .where({ Event_ID: template.Event_ID })
+        .andWhere('EventDateTimeStart', '>=', new Date('2031-01-01'))
+        .orderBy('EventDateTimeStart');
+
+    const before = await series();
+    const second = before[1];
+    const secondStart = new Date(second.EventDateTimeStart);
+    const local = d => new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+    const page = await admin.get(`/events/edit/${template.Event_ID}/${encodeURIComponent(secondStart.toISOString())}`);
+    assert.match(page.text, /This and following \(3 occurrences\)/);
+
+    // Move the rest of the series an hour later and to a new room
+    const newStart = new Date(secondStart.getTime() + 60 * 60 * 1000);
+    await admin
+        .post('/events/edit')
+        .type('form')
+        .send({
+            Event_ID: template.Event_ID,
+            OriginalDateTimeStart: secondStart.toISOString(),
+            EventDateTimeStart: local(newStart),
+            EventDateTimeEnd: local(new Date(newStart.getTime() + 2 * 60 * 60 * 1000)),
+            EventLocation: 'UVU Computer Lab 202',
+            EventCapacity: 18,
+            EventRegistrationDeadline: local(new Date(newStart.getTime() - 24 * 60 * 60 * 1000)),
+            scope: 'following'
+        })
+        .expect(302);
+
+    let rows = await series();
+    assert.strictEqual(rows[0].EventLocation, 'UVU Computer Lab 101');
+    assert.deepStrictEqual(rows.slice(1).map(r => r.EventLocation), Array(3).fill('UVU Computer Lab 202'));
+    assert.strictEqual(new Date(rows[3].EventDateTimeStart) - new Date(before[3].EventDateTimeStart), 60 * 60 * 1000);
+
+    // Cancel from the third occurrence on
+    const third = new Date(rows[2].EventDateTimeStart).toISOString();
+    await admin
+        .post(`/events/delete/${template.Event_ID}/${encodeURIComponent(third)}`)
+        .type('form')
+        .send({ scope: 'following' })
+        .expect(302);
+
+    rows = await series();
+    assert.strictEqual(rows.length, 2);
+});
+
+test('capacity cannot drop below the seats taken, and deleting notifies registrants', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Mentoring Circle' }).first();
+    const start = new Date('2030-04-01T12:00').toISOString();
+    const key = { Event_ID: template.Event_ID, EventDateTimeStart: start };
+
+    await admin
+        .post('/events/add')
+        .type('form')
+        .send({ Event_ID: template.Event_ID, EventDateTimeStart: '2030-04-01T12:00', EventLocation: 'Ella Rises Office', EventCapacity: 2 })
+        .expect(302);
+
+    const people = await knex('Participants')
+        .whereIn('ParticipantEmail', ['ana.torres@example.com', 'sofia.martinez@example.com', 'mariana.perez@example.com'])
+        .orderBy('Participant_ID');
+    await knex('Registration').insert({ Participant_ID: people[0].Participant_ID, ...key, RegistrationStatus: 'registered' });
+    await knex('Registration').insert({ Participant_ID: people[1].Participant_ID, ...key, RegistrationStatus: 'registered' });
+    await knex('Registration').insert({ Participant_ID: people[2].Participant_ID, ...key, RegistrationStatus: 'waitlisted', RegistrationWaitlistPosition: 1 });
+    await knex('EventOccurrence').where(key).update({ EventNumRegistered: 2 });
+
+    const res = await admin
+        .post('/events/edit')
+        .type('form')
+        .send({ Event_ID: template.Event_ID, OriginalDateTimeStart: start, EventDateTimeStart: '2030-04-01T12:00', EventLocation: 'Ella Rises Office', EventCapacity: 1 })
+        .expect(400);
+    assert.match(res.text, /below the 2 people already registered/);
+    assert.strictEqual((await knex('EventOccurrence').where(key).first()).EventCapacity, 2);
+
+    await admin.post(`/events/delete/${template.Event_ID}/${encodeURIComponent(start)}`).expect(302);
+    assert.strictEqual((await knex('Registration').where(key)).length, 0);
+
+    const notices = await knex('Outbox').where({ OutboxKind: 'event_cancelled' });
+    assert.deepStrictEqual(notices.map(n => n.OutboxTo).sort(), people.map(p => p.ParticipantEmail).sort());
+    assert.ok(notices.every(n => /Mentoring Circle/.test(n.OutboxSubject)));
+});
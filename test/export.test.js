@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { createTestApp, loginAs } = require('./helpers');
+const { csvCell, inBatches } = require('../lib/export');
+
+let knex, app, admin;
+
+// supertest: collect a binary body as a Buffer
+function binary(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function csvLines(text) {
+    return text.replace(/^\uFEFF/, '').trim().split('\r\n');
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => knex.destroy());
+
+test('cells are quoted and formula characters are neutralized', () => {
+    assert.strictEqual(csvCell('plain'), 'plain');
+    assert.strictEqual(csvCell('Smith, Jr.'), '"Smith, Jr."');
+    assert.strictEqual(csvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.strictEqual(csvCell('+1 801 555 0100'), "'+1 801 555 0100");
+    assert.strictEqual(csvCell('@sum'), "'@sum");
+    assert.strictEqual(csvCell(-12.5, 'money'), '-12.50');
+    assert.strictEqual(csvCell(null), '');
+    assert.strictEqual(csvCell(new Date(2025, 0, 5, 9, 7), 'datetime'), '2025-01-05 09:07');
+});
+
+test('queries are read in pages', async() => {
+    const [{ count }] = await knex('Participants').count('* as count');
+    const ids = [];
+    for await (const p of inBatches(knex('Participants').select('Participant_ID').orderBy('Participant_ID'), 3)) {
+        ids.push(p.Participant_ID);
+    }
+    assert.strictEqual(ids.length, Number(count));
+    assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+test('donations export as CSV with amounts and dates, honouring the search', async() => {
+    const donor = await knex('Participants').where({ ParticipantRole: 'participant' }).first();
+    await knex('Participants').where({ Participant_ID: donor.Participant_ID }).update({ ParticipantLastName: '=cmd|calc' });
+    await knex('Donations').insert({ Participant_ID: donor.Participant_ID, DonationAmount: 1234.5, DonationDate: new Date(2024, 6, 4) });
+
+    const res = await admin.get('/donations/export?format=csv').expect(200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="donations-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = csvLines(res.text);
+    assert.strictEqual(lines[0], 'Donation ID,Participant ID,Donor Name,Donor Email,Amount,Date,Status');
+
+    const [{ count }] = await knex('Donations').count('* as count');
+    assert.strictEqual(lines.length - 1, Number(count));
+
+    const row = lines.find(l => l.includes('1234.50'));
+    assert.ok(row.includes(",2024-07-04"));
+    assert.ok(row.includes(`${donor.ParticipantFirstName} =cmd|calc`)); // not at the start of the cell
+
+    const filtered = csvLines((await admin.get('/donations/export?q=cmd%7Ccalc').expect(200)).text);
+    assert.ok(filtered.length >= 2);
+    assert.ok(filtered.slice(1).every(l => l.includes('=cmd|calc')));
+});
+
+test('every admin list exports to Excel', async() => {
+    const survey = await knex('Surveys').first();
+    const urls = [
+        '/users/export',
+        '/participants/export',
+        '/donations/export',
+        '/milestones/export',
+        `/surveys/${survey.Event_ID}/${encodeURIComponent(new Date(survey.EventDateTimeStart).toISOString())}/export`
+    ];
+
+    for (const url of urls) {
+        const res = await admin.get(`${url}?format=xlsx`).buffer(true).parse(binary).expect(200);
+        assert.match(res.headers['content-type'], /spreadsheetml/);
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body);
+        const sheet = workbook.worksheets[0];
+        assert.ok(sheet.rowCount >= 2, `${url} has data rows`);
+        assert.ok(sheet.getRow(1).values.includes('Participant ID') || sheet.getRow(1).values.includes('Donation ID'));
+    }
+
+    const milestones = await admin.get('/milestones/export?format=xlsx').buffer(true).parse(binary);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(milestones.body);
+    const date = workbook.worksheets[0].getRow(2).getCell(5).value;
+    assert.ok(date instanceof Date);
+
+    const page = await admin.get('/donations');
+    assert.match(page.text, /href="\/donations\/export\?format=xlsx"/);
+});
+
+test('exports are admin only', async() => {
+    const participant = await loginAs(app, 'sofia.martinez@example.com');
+    await participant.get('/users/export').expect(403);
+    await participant.get('/donations/export').expect(403);
+});
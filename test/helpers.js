@@ -0,0 +1,122 @@
+// test/helpers.js — throwaway in-memory Postgres (pg-mem) with the real
+// migrations and seeds, plus an app built around it.
+
+const http = require('http');
+const path = require('path');
+const { newDb } = require('pg-mem');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { createPaymentProvider } = require('../lib/payments');
+
+// Demo password for every seeded account (see seeds/01_participants.js)
+const DEMO_PASSWORD = 'ellarises';
+
+// Signs the mock payment gateway's webhooks in tests
+const TEST_PAYMENT_SECRET = 'test-payment-secret';
+
+// Settings the app needs at startup. Emailed links are built from APP_URL;
+// tests only follow a link's path, so the host doesn't have to be served.
+// Signed codes and links fall back to SESSION_SECRET.
+const TEST_SESSION_SECRET = 'test-secret';
+process.env.APP_URL = process.env.APP_URL || 'http://127.0.0.1';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || TEST_SESSION_SECRET;
+
+async function createTestDb() {
+    // pg-mem doesn't read every part of the DDL knex emits (e.g. decimal
+    // precision); skip that coverage check rather than bend the migrations.
+    const db = newDb({ noAstCoverageCheck: true });
+
+    const knex = db.adapters.createKnex(0, {
+        migrations: { directory: path.join(__dirname, '..', 'migrations') },
+        seeds: { directory: path.join(__dirname, '..', 'seeds') }
+    });
+
+    await knex.migrate.latest();
+    await knex.seed.run();
+
+    return knex;
+}
+
+// Mailer that keeps messages in memory so tests can follow emailed links
+function createTestMailer() {
+    const sent = [];
+    return {
+        sent,
+        async send(message) {
+            sent.push(message);
+        },
+        lastLink(pattern) {
+            for (let i = sent.length - 1; i >= 0; i--) {
+                const match = sent[i].text.match(pattern);
+                if (match) return match[0];
+            }
+            return null;
+        }
+    };
+}
+
+// The mock payment gateway for an app at baseUrl. The default address isn't
+// served, which is fine for tests that never finish a checkout.
+function createTestPayments(baseUrl = 'http://127.0.0.1') {
+    return createPaymentProvider({ provider: 'mock', baseUrl, secret: TEST_PAYMENT_SECRET });
+}
+
+async function createTestApp({ payments = createTestPayments() } = {}) {
+    const knex = await createTestDb();
+    const mailer = createTestMailer();
+    const app = createApp({ knex, mailer, payments, sessionSecret: TEST_SESSION_SECRET });
+    return { knex, mailer, app };
+}
+
+// An app served on a real port, for flows where it calls itself over HTTP
+// (the mock payment gateway's webhooks). The port has to be known before the
+// gateway is created, so the server starts first. supertest reuses a
+// listening server.
+async function createServedTestApp() {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const built = await createTestApp({ payments: createTestPayments(`http://127.0.0.1:${server.address().port}`) });
+    server.on('request', built.app);
+    return { ...built, server };
+}
+
+// Run fn with these environment variables set (undefined unsets one)
+function withEnv(vars, fn) {
+    const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+    const apply = values => {
+        for (const [k, v] of Object.entries(values)) {
+            if (v === undefined) delete process.env[k];
+            else process.env[k] = v;
+        }
+    };
+
+    apply(vars);
+    try {
+        return fn();
+    } finally {
+        apply(saved);
+    }
+}
+
+// Returns a supertest agent (keeps the session cookie) logged in as `email`
+async function loginAs(app, email, password = DEMO_PASSWORD) {
+    const agent = request.agent(app);
+    const res = await agent.post('/login').type('form').send({ email, password });
+    if (res.status !== 302) {
+        throw new Error(`Login failed for ${email}: ${res.status}`);
+    }
+    return agent;
+}
+
+module.exports = {
+    DEMO_PASSWORD,
+    TEST_PAYMENT_SECRET,
+    createTestDb,
+    createTestMailer,
+    createTestPayments,
+    createTestApp,
+    createServedTestApp,
+    loginAs,
+    withEnv
+};
@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { parseCsv, parseDate } = require('../lib/imports');
+
+let knex, app, admin;
+
+function upload(kind, csv, name = 'import.csv') {
+    return admin.post('/import')
+        .field('kind', kind)
+        .attach('file', Buffer.from(csv), name);
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => knex.destroy());
+
+test('CSV parsing handles quotes, line breaks, BOMs and escaped formulas', () => {
+    const rows = parseCsv('\uFEFFName,Note\r\n"Lopez, Ana","said ""hi""\ntwice"\r\n\r\nBo,\'=1+1\n');
+
+    assert.deepStrictEqual(rows, [
+        ['Name', 'Note'],
+        ['Lopez, Ana', 'said "hi"\ntwice'],
+        ['Bo', '=1+1']
+    ]);
+
+    assert.strictEqual(parseDate('4/30/2008'), '2008-04-30');
+    assert.strictEqual(parseDate('2008-02-30'), null);
+});
+
+test('participant import dry-runs, then creates and updates by email in one go', async() => {
+    const existing = await knex('Participants').where({ ParticipantEmail: 'camila.hernandez@example.com' }).first();
+    const [{ count: before }] = await knex('Participants').count('* as count');
+
+    const csv = [
+        'E-mail Address,First Name,Last Name,DOB,ZIP Code',
+        'new.student@example.com,Nina,Ortiz,2009-03-14,84604',
+        'CAMILA.HERNANDEZ@example.com,,,,84606'
+    ].join('\n');
+
+    await upload('participants', csv).expect(302);
+
+    const page = await admin.get('/import').expect(200);
+    assert.match(page.text, /<strong>1<\/strong> to create/);
+    assert.match(page.text, /<strong>1<\/strong> to update/);
+    assert.match(page.text, /Changes ZIP/);
+
+    // Dry run wrote nothing
+    const [{ count: during }] = await knex('Participants').count('* as count');
+    assert.strictEqual(Number(during), Number(before));
+
+    await admin.post('/import/commit').expect(302);
+
+    const created = await knex('Participants').where({ ParticipantEmail: 'new.student@example.com' }).first();
+    assert.strictEqual(created.ParticipantFirstName, 'Nina');
+    assert.strictEqual(created.ParticipantZIP, '84604');
+    assert.strictEqual(created.ParticipantRole, 'participant');
+
+    const updated = await knex('Participants').where({ Participant_ID: existing.Participant_ID }).first();
+    assert.strictEqual(updated.ParticipantZIP, '84606');
+    assert.strictEqual(updated.ParticipantFirstName, existing.ParticipantFirstName);
+
+    const [{ count: after }] = await knex('Participants').count('* as count');
+    assert.strictEqual(Number(after), Number(before) + 1);
+});
+
+test('rows with errors are reported and block the whole import', async() => {
+    const csv = [
+        'Email,First Name,Last Name,Date of Birth,ZIP',
+        'fine.person@example.com,Fine,Person,2008-01-01,84601',
+        'not-an-email,Bad,Email,,',
+        'bad.dob@example.com,Bad,Dob,13/45/2008,',
+        'bad.zip@example.com,Bad,Zip,,8460',
+        'fine.person@example.com,Again,Person,,'
+    ].join('\n');
+
+    await upload('participants', csv).expect(302);
+
+    const page = await admin.get('/import').expect(200);
+    assert.match(page.text, /<strong>4<\/strong> with errors/);
+    assert.match(page.text, /is not a valid email address/);
+    assert.match(page.text, /Date of birth &#34;13\/45\/2008&#34;/);
+    assert.match(page.text, /ZIP &#34;8460&#34;/);
+    assert.match(page.text, /Same email as line 2/);
+
+    await admin.post('/import/commit').expect(302);
+    assert.strictEqual(await knex('Participants').where({ ParticipantEmail: 'fine.person@example.com' }).first(), undefined);
+
+    await admin.post('/import/cancel').expect(302);
+    const cleared = await admin.get('/import');
+    assert.match(cleared.text, /Upload and Check/);
+});
+
+test('sign-in sheets record attendance against existing occurrences', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    const occ = await knex('EventOccurrence')
+        .where({ Event_ID: template.Event_ID })
+        .andWhere('EventDateTimeStart', '<', new Date())
+        .orderBy('EventDateTimeStart', 'desc')
+        .first();
+    const key = { Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart };
+
+    const registered = await knex('Registration').where(key).pluck('Participant_ID');
+    const [absent, newcomer] = (await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .orderBy('Participant_ID'))
+        .filter(p => !registered.includes(p.Participant_ID));
+    const regular = await knex('Participants').where({ Participant_ID: registered[0] }).first();
+    const start = new Date(occ.EventDateTimeStart).toISOString();
+
+    // Columns picked by hand for a sheet with unusual headers
+    const csv = [
+        'Who,Workshop,When,Here?',
+        `${newcomer.ParticipantEmail},${occ.Event_ID},${start},yes`,
+        `${regular.ParticipantEmail},${occ.Event_ID},${start},no`,
+        `${absent.ParticipantEmail},${occ.Event_ID},1999-01-01T00:00:00Z,yes`
+    ].join('\n');
+
+    await upload('registrations', csv).expect(302);
+    await admin.post('/import/mapping').type('form')
+        .send({ 'map[email]': '0', 'map[eventId]': '1', 'map[eventStart]': '2', 'map[attended]': '3' })
+        .expect(302);
+
+    let page = await admin.get('/import');
+    assert.match(page.text, /<strong>1<\/strong> with errors/);
+    assert.match(page.text, /has no occurrence starting/);
+
+    // Fix the sheet and upload again
+    await upload('registrations', csv.split('\n').slice(0, 3).join('\n'));
+    await admin.post('/import/mapping').type('form')
+        .send({ 'map[email]': '0', 'map[eventId]': '1', 'map[eventStart]': '2', 'map[attended]': '3' });
+
+    page = await admin.get('/import');
+    assert.match(page.text, /<strong>0<\/strong> with errors/);
+    await admin.post('/import/commit').expect(302);
+
+    const walkIn = await knex('Registration').where({ ...key, Participant_ID: newcomer.Participant_ID }).first();
+    assert.strictEqual(walkIn.RegistrationAttendedFlag, 'T');
+    assert.strictEqual(walkIn.RegistrationStatus, 'attended');
+
+    const missed = await knex('Registration').where({ ...key, Participant_ID: regular.Participant_ID }).first();
+    assert.strictEqual(missed.RegistrationAttendedFlag, 'F');
+    assert.strictEqual(missed.RegistrationStatus, 'no-show');
+
+    const row = await knex('EventOccurrence').where(key).first();
+    const [{ count }] = await knex('Registration').where(key).count('* as count');
+    assert.strictEqual(row.EventNumRegistered, Number(count));
+});
+
+test('only admins can import and only CSV files are accepted', async() => {
+    const participant = await loginAs(app, 'camila.hernandez@example.com');
+    await participant.get('/import').expect(403);
+    await participant.post('/import').field('kind', 'participants')
+        .attach('file', Buffer.from('Email\nx@example.com'), 'x.csv')
+        .expect(403);
+
+    await upload('participants', 'Email\nx@example.com', 'people.xlsx').expect(302);
+    const page = await admin.get('/import');
+    assert.match(page.text, /Only .csv files can be imported/);
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { normalizePhone, findDuplicates } = require('../lib/merges');
+const { syncRegisteredCount } = require('../lib/seats');
+
+let knex, app, admin, survivor, duplicate, occurrences;
+
+function insertParticipant(fields) {
+    return knex('Participants')
+        .insert({ ParticipantRole: 'participant', ParticipantFirstName: 'Marisol', ParticipantLastName: 'Reyes', ParticipantDOB: '2008-03-14', ...fields })
+        .returning('Participant_ID')
+        .then(([row]) => row.Participant_ID);
+}
+
+function key(occ) {
+    return { Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart };
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+
+    survivor = await insertParticipant({ ParticipantEmail: 'marisol.reyes@example.com', ParticipantPhone: '801-555-0199' });
+    duplicate = await insertParticipant({
+        ParticipantEmail: 'MARISOL.REYES@example.com',
+        ParticipantPhone: '+1 (801) 555-0199',
+        ParticipantCity: 'Provo',
+        ParticipantPassword: 'secret'
+    });
+
+    occurrences = await knex('EventOccurrence').orderBy('Event_ID').orderBy('EventDateTimeStart').limit(2);
+    const [both, onlyDuplicate] = occurrences;
+
+    await knex('Registration').insert({ Participant_ID: survivor, ...key(both), RegistrationStatus: 'registered' });
+    await knex('Registration').insert({ Participant_ID: duplicate, ...key(both), RegistrationStatus: 'attended', RegistrationAttendedFlag: 'T' });
+    await knex('Registration').insert({ Participant_ID: duplicate, ...key(onlyDuplicate), RegistrationStatus: 'registered' });
+    for (const occ of occurrences) await syncRegisteredCount(knex, key(occ));
+
+    await knex('Surveys').insert({ Participant_ID: survivor, ...key(both), SurveySatisfaction: 5 });
+    await knex('Surveys').insert({ Participant_ID: duplicate, ...key(both), SurveySatisfaction: 1 });
+    await knex('Surveys').insert({ Participant_ID: duplicate, ...key(onlyDuplicate), SurveySatisfaction: 4 });
+
+    const [set] = await knex('SurveyQuestionSets').insert({ Event_ID: onlyDuplicate.Event_ID, SurveyQuestionSetVersion: 99 }).returning('SurveyQuestionSet_ID');
+    const [question] = await knex('SurveyQuestions')
+        .insert({ SurveyQuestionSet_ID: set.SurveyQuestionSet_ID, SurveyQuestionOrder: 1, SurveyQuestionType: 'text', SurveyQuestionText: 'Anything else?' })
+        .returning('SurveyQuestion_ID');
+    await knex('SurveyAnswers').insert({
+        Participant_ID: duplicate,
+        ...key(onlyDuplicate),
+        SurveyQuestion_ID: question.SurveyQuestion_ID,
+        SurveyAnswerValue: 'More robots please'
+    });
+
+    await knex('Milestones').insert({ Participant_ID: survivor, MilestoneTitle: 'Graduated high school' });
+    await knex('Milestones').insert({ Participant_ID: duplicate, MilestoneTitle: 'Graduated high school', MilestoneDate: '2025-05-30' });
+    await knex('Milestones').insert({ Participant_ID: duplicate, MilestoneTitle: 'First internship', MilestoneDate: '2025-07-01' });
+
+    await knex('Donations').insert({ Participant_ID: duplicate, DonationAmount: 50, DonationDate: '2025-06-01', DonationStatus: 'completed' });
+});
+
+after(() => knex.destroy());
+
+test('likely duplicates are found by email, name and birth date, or phone', async() => {
+    assert.strictEqual(normalizePhone('+1 (801) 555-0199'), '8015550199');
+    assert.strictEqual(normalizePhone('801.555.0199'), '8015550199');
+    assert.strictEqual(normalizePhone('555'), null);
+
+    const pair = (await findDuplicates(knex))
+        .find(d => d.survivor.Participant_ID === survivor && d.merged.Participant_ID === duplicate);
+    assert.deepStrictEqual(pair.reasons, ['same email', 'same name and date of birth', 'same phone']);
+
+    const page = await admin.get('/users/duplicates').expect(200);
+    assert.ok(page.text.includes(`/users/merge?survivor=${survivor}&merged=${duplicate}`));
+
+    const compare = await admin.get(`/users/merge?survivor=${survivor}&merged=${duplicate}`).expect(200);
+    assert.match(compare.text, /Provo/);
+    assert.match(compare.text, /1 registration\(s\) for the same event/);
+});
+
+test('merging moves everything to the survivor and records an audit trail', async() => {
+    const [both, onlyDuplicate] = occurrences;
+    const seatsBefore = (await knex('EventOccurrence').where(key(both)).first()).EventNumRegistered;
+
+    await admin.post('/users/merge').type('form')
+        .send({
+            survivorId: survivor,
+            mergedId: duplicate,
+            'choice[ParticipantCity]': 'merged',
+            'choice[ParticipantEmail]': 'survivor'
+        })
+        .expect(302);
+
+    assert.strictEqual(await knex('Participants').where({ Participant_ID: duplicate }).first(), undefined);
+    const kept = await knex('Participants').where({ Participant_ID: survivor }).first();
+    assert.strictEqual(kept.ParticipantCity, 'Provo');
+    assert.strictEqual(kept.ParticipantEmail, 'marisol.reyes@example.com');
+    assert.strictEqual(Number(kept.TotalDonations), 50);
+
+    // The attended registration wins the collision; the seat count follows
+    const registrations = await knex('Registration').where({ Participant_ID: survivor });
+    assert.strictEqual(registrations.length, 2);
+    assert.strictEqual(registrations.find(r => r.Event_ID === both.Event_ID && new Date(r.EventDateTimeStart).getTime() === new Date(both.EventDateTimeStart).getTime()).RegistrationAttendedFlag, 'T');
+    assert.strictEqual((await knex('EventOccurrence').where(key(both)).first()).EventNumRegistered, seatsBefore - 1);
+
+    // The survivor's survey is kept; the other one moves with its answers
+    const surveys = await knex('Surveys').where({ Participant_ID: survivor });
+    assert.deepStrictEqual(surveys.map(s => s.SurveySatisfaction).sort(), [4, 5]);
+    const answers = await knex('SurveyAnswers').where({ Participant_ID: survivor });
+    assert.strictEqual(answers.length, 1);
+    assert.strictEqual(answers[0].SurveyAnswerValue, 'More robots please');
+
+    const milestones = await knex('Milestones').where({ Participant_ID: survivor }).orderBy('MilestoneTitle');
+    assert.deepStrictEqual(milestones.map(m => m.MilestoneTitle), ['First internship', 'Graduated high school']);
+    assert.ok(milestones[1].MilestoneDate);
+
+    assert.strictEqual((await knex('Donations').where({ Participant_ID: survivor })).length, 1);
+
+    const record = await knex('ParticipantMerges').where({ ParticipantMergeMerged_ID: duplicate }).first();
+    assert.strictEqual(record.ParticipantMergeSurvivor_ID, survivor);
+    assert.ok(record.ParticipantMergeAdmin_ID);
+    const snapshot = JSON.parse(record.ParticipantMergeSnapshot);
+    assert.strictEqual(snapshot.ParticipantEmail, 'MARISOL.REYES@example.com');
+    assert.strictEqual(snapshot.ParticipantPassword, undefined);
+    assert.deepStrictEqual(Object.keys(JSON.parse(record.ParticipantMergeFields)), ['ParticipantCity']);
+    const summary = JSON.parse(record.ParticipantMergeSummary);
+    assert.strictEqual(summary.Registration.moved, 1);
+    assert.strictEqual(summary.Registration.dropped.length, 1);
+    assert.strictEqual(summary.Surveys.dropped[0].survey.SurveySatisfaction, 1);
+    assert.strictEqual(summary.Donations.moved, 1);
+
+    const history = await admin.get('/users/duplicates').expect(200);
+    assert.match(history.text, /Merged participant #\d+ into #\d+/);
+    assert.ok(history.text.includes(`#${duplicate} Marisol Reyes`));
+});
+
+test('merges need two existing records and an admin', async() => {
+    const me = await knex('Participants').where({ ParticipantEmail: 'admin@ellarises.org' }).first();
+
+    await admin.post('/users/merge').type('form').send({ survivorId: survivor, mergedId: survivor }).expect(400);
+    await admin.post('/users/merge').type('form').send({ survivorId: survivor, mergedId: me.Participant_ID }).expect(400);
+    await admin.post('/users/merge').type('form').send({ survivorId: survivor, mergedId: duplicate }).expect(404);
+    await admin.get(`/users/merge?survivor=${survivor}&merged=${duplicate}`).expect(404);
+
+    const participant = await loginAs(app, 'mariana.perez@example.com');
+    await participant.get('/users/duplicates').expect(403);
+    await participant.post('/users/merge').type('form').send({ survivorId: survivor, mergedId: duplicate }).expect(403);
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app, participant, participantId;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    participant = await loginAs(app, 'gabriela.ramirez@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'gabriela.ramirez@example.com' })
+        .first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('participant adds, edits and deletes a milestone', async() => {
+    const title = 'Won Science Fair';
+
+    await participant
+        .post('/milestone/add')
+        .type('form')
+        .send({ Participant_ID: participantId, MilestoneTitle: title, MilestoneDate: '2025-04-01' })
+        .expect(302);
+
+    // Titles are unique per participant
+    await participant
+        .post('/milestone/add')
+        .type('form')
+        .send({ Participant_ID: participantId, MilestoneTitle: title, MilestoneDate: '2025-04-02' })
+        .expect(400);
+
+    await participant
+        .post(`/milestone/${participantId}/${encodeURIComponent(title)}/update`)
+        .type('form')
+        .send({ MilestoneDate: '2025-05-01' })
+        .expect(302);
+
+    const milestone = await knex('Milestones').where({ Participant_ID: participantId, MilestoneTitle: title }).first();
+    assert.ok(milestone);
+
+    await participant.post(`/milestone/${participantId}/${encodeURIComponent(title)}/delete`).expect(302);
+    assert.strictEqual(
+        await knex('Milestones').where({ Participant_ID: participantId, MilestoneTitle: title }).first(),
+        undefined
+    );
+});
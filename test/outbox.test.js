@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { deliverPending, STATUS, MAX_ATTEMPTS } = require('../lib/outbox');
+const { queueScheduledNotifications } = require('../lib/notifications');
+const { createScheduler } = require('../lib/scheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+let knex, app, mailer, admin, participant, participantId;
+
+async function makeOccurrence(startsIn, extra = {}) {
+    const template = await knex('EventTemplates').where({ EventName: 'Mentoring Circle' }).first();
+    const start = new Date(Date.now() + startsIn);
+    const occ = {
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventDateTimeEnd: new Date(start.getTime() + HOUR),
+        EventLocation: 'Ella Rises Office',
+        EventCapacity: 5,
+        EventNumRegistered: 0,
+        EventRegistrationDeadline: null,
+        ...extra
+    };
+    await knex('EventOccurrence').insert(occ);
+    return occ;
+}
+
+function outboxFor(kind, dedupeKey) {
+    return knex('Outbox').where({ OutboxKind: kind, ...(dedupeKey ? { OutboxDedupeKey: dedupeKey } : {}) });
+}
+
+before(async() => {
+    ({ knex, app, mailer } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+    participant = await loginAs(app, 'sofia.martinez@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'sofia.martinez@example.com' })
+        .first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('registering queues a confirmation that is delivered once', async() => {
+    const occ = await makeOccurrence(10 * 24 * HOUR);
+    const url = `/events/${occ.Event_ID}/${encodeURIComponent(occ.EventDateTimeStart.toISOString())}`;
+
+    await participant.post(`${url}/register`).expect(302);
+
+    const [queued] = await outboxFor('registration_confirmed').where({ Participant_ID: participantId });
+    assert.strictEqual(queued.OutboxStatus, STATUS.PENDING);
+    assert.strictEqual(queued.OutboxTo, 'sofia.martinez@example.com');
+    assert.match(queued.OutboxSubject, /You're registered for Mentoring Circle/);
+
+    const before = mailer.sent.length;
+    const first = await deliverPending(knex, mailer);
+    assert.ok(first.sent >= 1);
+    assert.ok(mailer.sent.slice(before).some(m => m.subject === queued.OutboxSubject));
+
+    const row = await knex('Outbox').where({ Outbox_ID: queued.Outbox_ID }).first();
+    assert.strictEqual(row.OutboxStatus, STATUS.SENT);
+    assert.ok(row.OutboxSentAt);
+
+    assert.deepStrictEqual(await deliverPending(knex, mailer), { sent: 0, failed: 0 });
+});
+
+test('reminder scan queues one reminder per seat, however often it runs', async() => {
+    const occ = await makeOccurrence(6 * HOUR);
+    await knex('Registration').insert({
+        Participant_ID: participantId,
+        Event_ID: occ.Event_ID,
+        EventDateTimeStart: occ.EventDateTimeStart,
+        RegistrationStatus: 'registered',
+        RegistrationAttendedFlag: 'F'
+    });
+
+    await queueScheduledNotifications(knex);
+    await queueScheduledNotifications(knex);
+
+    const key = `reminder:${participantId}:${occ.Event_ID}:${occ.EventDateTimeStart.getTime()}`;
+    const rows = await outboxFor('event_reminder', key);
+    assert.strictEqual(rows.length, 1);
+    assert.match(rows[0].OutboxBody, /check-in QR code/);
+});
+
+test('returning participants are warned before registration closes', async() => {
+    const occ = await makeOccurrence(5 * 24 * HOUR, { EventRegistrationDeadline: new Date(Date.now() + 24 * HOUR) });
+    const full = await makeOccurrence(6 * 24 * HOUR, {
+        EventRegistrationDeadline: new Date(Date.now() + 24 * HOUR),
+        EventCapacity: 0
+    });
+
+    await queueScheduledNotifications(knex);
+
+    // Sofia registered for another Mentoring Circle above
+    const [warning] = await outboxFor('deadline_warning',
+        `deadline:${participantId}:${occ.Event_ID}:${occ.EventDateTimeStart.getTime()}`);
+    assert.ok(warning);
+    assert.match(warning.OutboxSubject, /Last chance to sign up for Mentoring Circle/);
+
+    const tooFull = await outboxFor('deadline_warning',
+        `deadline:${participantId}:${full.Event_ID}:${full.EventDateTimeStart.getTime()}`);
+    assert.strictEqual(tooFull.length, 0);
+});
+
+test('survey requests go to attendees who have not answered yet', async() => {
+    const occ = await makeOccurrence(-26 * HOUR);
+    const other = await knex('Participants').where({ ParticipantEmail: 'camila.hernandez@example.com' }).first();
+
+    for (const id of [participantId, other.Participant_ID]) {
+        await knex('Registration').insert({
+            Participant_ID: id,
+            Event_ID: occ.Event_ID,
+            EventDateTimeStart: occ.EventDateTimeStart,
+            RegistrationStatus: 'attended',
+            RegistrationAttendedFlag: 'T'
+        });
+    }
+    await knex('Surveys').insert({
+        Participant_ID: other.Participant_ID,
+        Event_ID: occ.Event_ID,
+        EventDateTimeStart: occ.EventDateTimeStart,
+        SurveySatisfaction: 5
+    });
+
+    await queueScheduledNotifications(knex);
+
+    const tag = `${occ.Event_ID}:${occ.EventDateTimeStart.getTime()}`;
+    const [mine] = await outboxFor('survey_request', `survey:${participantId}:${tag}`);
+    assert.ok(mine);
+    assert.ok(mine.OutboxBody.includes(
+        `/take-survey/${participantId}.${occ.Event_ID}.${occ.EventDateTimeStart.getTime()}.`));
+
+    assert.strictEqual((await outboxFor('survey_request', `survey:${other.Participant_ID}:${tag}`)).length, 0);
+});
+
+test('failed sends are retried, then given up on, and admins can resend', async() => {
+    const broken = { async send() { throw new Error('SMTP down'); } };
+
+    await knex('Outbox').update({ OutboxStatus: STATUS.SENT });
+    await knex('Outbox').insert({
+        OutboxKind: 'test',
+        OutboxTo: 'someone@example.com',
+        OutboxSubject: 'Retry me',
+        OutboxBody: 'Hello',
+        OutboxStatus: STATUS.PENDING,
+        OutboxAttempts: MAX_ATTEMPTS - 2,
+        OutboxSendAfter: new Date(Date.now() - 1000)
+    });
+    const msg = await outboxFor('test').first();
+
+    assert.deepStrictEqual(await deliverPending(knex, broken), { sent: 0, failed: 1 });
+    let row = await knex('Outbox').where({ Outbox_ID: msg.Outbox_ID }).first();
+    assert.strictEqual(row.OutboxStatus, STATUS.PENDING);
+    assert.strictEqual(row.OutboxLastError, 'SMTP down');
+    assert.ok(new Date(row.OutboxSendAfter) > new Date());
+
+    await knex('Outbox').where({ Outbox_ID: msg.Outbox_ID }).update({ OutboxSendAfter: new Date(Date.now() - 1000) });
+    await deliverPending(knex, broken);
+    row = await knex('Outbox').where({ Outbox_ID: msg.Outbox_ID }).first();
+    assert.strictEqual(row.OutboxStatus, STATUS.FAILED);
+
+    await participant.get('/outbox').expect(403);
+
+    const page = await admin.get('/outbox?status=failed').expect(200);
+    assert.match(page.text, /Retry me/);
+    assert.match(page.text, /SMTP down/);
+
+    await admin.post(`/outbox/${msg.Outbox_ID}/resend`).expect(302);
+    await deliverPending(knex, mailer);
+    row = await knex('Outbox').where({ Outbox_ID: msg.Outbox_ID }).first();
+    assert.strictEqual(row.OutboxStatus, STATUS.SENT);
+    assert.ok(mailer.sent.some(m => m.subject === 'Retry me'));
+});
+
+test('scheduler runs jobs in order without overlapping runs', async() => {
+    const scheduler = createScheduler({ intervalMs: 60 * 1000 });
+    const calls = [];
+
+    scheduler.addJob('slow', async() => {
+        calls.push('slow');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return 'done';
+    });
+    scheduler.addJob('broken', async() => {
+        throw new Error('boom');
+    });
+
+    const [a, b] = await Promise.all([scheduler.runOnce(), scheduler.runOnce()]);
+    assert.strictEqual(a, b);
+    assert.deepStrictEqual(calls, ['slow']);
+    assert.strictEqual(a.slow, 'done');
+    assert.deepStrictEqual(a.broken, { error: 'boom' });
+});
@@ -0,0 +1,192 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { TEST_PAYMENT_SECRET, createTestApp, createServedTestApp, loginAs, withEnv } = require('./helpers');
+const { readWebhook, signWebhook } = require('../lib/mockgateway');
+const { createPaymentProvider } = require('../lib/payments');
+
+let knex, server, admin;
+
+before(async() => {
+    ({ knex, server } = await createServedTestApp());
+    admin = await loginAs(server, 'admin@ellarises.org');
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    return knex.destroy();
+});
+
+// Public donation up to the mock checkout: { donation, checkout } (checkout is a path)
+async function startDonation(email, amount) {
+    const res = await request(server)
+        .post('/submit-donation-public')
+        .type('form')
+        .send({ firstName: 'Sam', lastName: 'Donor', email, amount })
+        .expect(302);
+
+    const checkout = new URL(res.headers.location).pathname;
+    const donation = await knex('Donations').where({ DonationProviderRef: checkout.split('/').pop() }).first();
+    return { donation, checkout };
+}
+
+// The donation as it is now, after a checkout or webhook
+function reload(donation) {
+    return knex('Donations').where({ Donation_ID: donation.Donation_ID }).first();
+}
+
+function postWebhook(event, signature) {
+    const body = JSON.stringify(event);
+    return request(server)
+        .post('/payments/webhook/mock')
+        .set('Content-Type', 'application/json')
+        .set('Mock-Signature', signature === undefined ? signWebhook(body, TEST_PAYMENT_SECRET) : signature)
+        .send(body);
+}
+
+test('mock webhooks are only accepted with a fresh, matching signature', () => {
+    const body = JSON.stringify({ id: 'mock_evt_1', type: 'payment.succeeded', ref: 'mock_pay_1' });
+    const signature = signWebhook(body, TEST_PAYMENT_SECRET);
+
+    assert.deepStrictEqual(readWebhook(Buffer.from(body), { 'mock-signature': signature }, TEST_PAYMENT_SECRET),
+        { id: 'mock_evt_1', type: 'payment.succeeded', ref: 'mock_pay_1', amount: undefined });
+    assert.strictEqual(readWebhook(body.replace('succeeded', 'refunded'), { 'mock-signature': signature }, TEST_PAYMENT_SECRET), null);
+    assert.strictEqual(readWebhook(body, { 'mock-signature': signature }, 'another-secret'), null);
+    assert.strictEqual(readWebhook(body, {}, TEST_PAYMENT_SECRET), null);
+
+    const stale = signWebhook(body, TEST_PAYMENT_SECRET, new Date(Date.now() - 10 * 60 * 1000));
+    assert.strictEqual(readWebhook(body, { 'mock-signature': stale }, TEST_PAYMENT_SECRET), null);
+});
+
+test('the mock gateway must be chosen, configured, and kept out of production', () => {
+    const unset = { PAYMENT_PROVIDER: undefined, APP_URL: undefined, MOCK_PAYMENT_SECRET: undefined, SESSION_SECRET: undefined };
+    const mock = { provider: 'mock', baseUrl: 'https://ellarises.example.org/', secret: 's3cret' };
+
+    withEnv(unset, () => {
+        assert.strictEqual(createPaymentProvider(), null);
+        assert.strictEqual(createPaymentProvider(mock).baseUrl, 'https://ellarises.example.org');
+        assert.throws(() => createPaymentProvider({ ...mock, baseUrl: undefined }), /APP_URL/);
+        assert.throws(() => createPaymentProvider({ ...mock, secret: undefined }), /MOCK_PAYMENT_SECRET/);
+    });
+
+    withEnv({ ...unset, PAYMENT_PROVIDER: 'mock', APP_URL: 'https://ellarises.example.org', MOCK_PAYMENT_SECRET: 's3cret' }, () => {
+        assert.strictEqual(createPaymentProvider().name, 'mock');
+    });
+
+    withEnv({ NODE_ENV: 'production' }, () => {
+        assert.throws(() => createPaymentProvider(mock), /production/);
+    });
+});
+
+test('without a payment provider the public form and webhooks are off', async() => {
+    const { knex: db, app } = await createTestApp({ payments: null });
+    try {
+        const page = await request(app).get('/donate-public').expect(200);
+        assert.match(page.text, /not available right now/);
+        assert.doesNotMatch(page.text, /submit-donation-public/);
+
+        const count = (await db('Donations')).length;
+        await request(app).post('/submit-donation-public').type('form').send({ email: 'x@example.com', amount: '5' }).expect(503);
+        assert.strictEqual((await db('Donations')).length, count);
+
+        await request(app).post('/payments/webhook/mock').send({}).expect(404);
+        await request(app).get('/mock-gateway/checkout/mock_pay_1').expect(404);
+    } finally {
+        await db.destroy();
+    }
+});
+
+test('a public donation completes only when the provider confirms payment', async() => {
+    const { donation, checkout } = await startDonation('sam.paid@example.com', '75');
+    assert.strictEqual(donation.DonationStatus, 'pending');
+    assert.strictEqual(donation.DonationProvider, 'mock');
+
+    // No donor record, receipt or total while pending
+    assert.strictEqual(donation.Participant_ID, null);
+    assert.strictEqual(donation.DonationDonorEmail, 'sam.paid@example.com');
+    assert.strictEqual(await knex('Participants').where({ ParticipantEmail: 'sam.paid@example.com' }).first(), undefined);
+    const page = await request(server).get(checkout).expect(200);
+    assert.match(page.text, /Pay \$75\.00/);
+    await admin.get(`/donation/${donation.Donation_ID}/receipt.pdf`).expect(404);
+
+    const paid = await request(server).post(checkout).type('form').send({ action: 'pay' }).expect(302);
+    const thanks = await request(server).get(new URL(paid.headers.location).pathname).expect(200);
+    assert.match(thanks.text, /Thank you for your donation!/);
+    assert.match(thanks.text, /\/receipts\/[\w.-]+\.pdf/);
+
+    // Confirmed, the donor gets a visitor record
+    const completed = await reload(donation);
+    assert.strictEqual(completed.DonationStatus, 'completed');
+    const donor = await knex('Participants').where({ Participant_ID: completed.Participant_ID }).first();
+    assert.strictEqual(donor.ParticipantEmail, 'sam.paid@example.com');
+    assert.strictEqual(donor.ParticipantRole, 'visitor');
+    assert.strictEqual(Number(donor.TotalDonations), 75);
+    assert.ok(await knex('Outbox').where({ OutboxKind: 'donation_receipt', Participant_ID: donor.Participant_ID }).first());
+
+    // A redelivered webhook is only applied once; the checkout can't be reused
+    const events = (await knex('PaymentEvents').where({ Donation_ID: donation.Donation_ID })).length;
+    await request(server).post(checkout).type('form').send({ action: 'resend' }).expect(302);
+    assert.strictEqual((await knex('PaymentEvents').where({ Donation_ID: donation.Donation_ID })).length, events);
+    await request(server).post(checkout).type('form').send({ action: 'decline' }).expect(404);
+});
+
+test('declined payments are recorded as failed and leave no donor behind', async() => {
+    const { donation, checkout } = await startDonation('sam.declined@example.com', '20');
+
+    const declined = await request(server).post(checkout).type('form').send({ action: 'decline' }).expect(302);
+    const thanks = await request(server).get(new URL(declined.headers.location).pathname).expect(200);
+    assert.match(thanks.text, /didn(&#39;|')t go through/);
+    assert.doesNotMatch(thanks.text, /\/receipts\//);
+
+    const failed = await reload(donation);
+    assert.strictEqual(failed.DonationStatus, 'failed');
+    assert.strictEqual(failed.Participant_ID, null);
+    assert.strictEqual(await knex('Participants').where({ ParticipantEmail: 'sam.declined@example.com' }).first(), undefined);
+
+    // Admins still see who tried to give
+    assert.match((await admin.get('/donations').expect(200)).text, /Sam Donor/);
+});
+
+test('webhooks must be signed and name a known payment', async() => {
+    const { donation } = await startDonation('sam.forged@example.com', '500');
+    const event = { id: 'mock_evt_forged', type: 'payment.succeeded', ref: donation.DonationProviderRef };
+
+    await postWebhook(event, 't=1,v1=nope').expect(400);
+    await postWebhook(event, '').expect(400);
+    assert.strictEqual((await knex('Donations').where({ Donation_ID: donation.Donation_ID }).first()).DonationStatus, 'pending');
+
+    await postWebhook({ ...event, ref: 'mock_pay_unknown' }).expect(404);
+    await request(server).post('/payments/webhook/stripe').send({}).expect(404);
+
+    // Correctly signed, it's applied
+    await postWebhook(event).expect(200);
+    assert.strictEqual((await knex('Donations').where({ Donation_ID: donation.Donation_ID }).first()).DonationStatus, 'completed');
+});
+
+test('admins refund through the provider and the donation drops out of totals', async() => {
+    const { donation, checkout } = await startDonation('sam.refunded@example.com', '40');
+    await request(server).post(checkout).type('form').send({ action: 'pay' }).expect(302);
+
+    const list = await admin.get('/donations').expect(200);
+    assert.ok(list.text.includes(`/donation/${donation.Donation_ID}/refund`));
+
+    await admin.post(`/donation/${donation.Donation_ID}/refund`).expect(302);
+    assert.match((await admin.get('/donations').expect(200)).text, /Refund requested/);
+
+    const refunded = await reload(donation);
+    assert.strictEqual(refunded.DonationStatus, 'refunded');
+    assert.strictEqual(Number((await knex('Participants').where({ Participant_ID: refunded.Participant_ID }).first()).TotalDonations), 0);
+    await admin.get(`/donation/${donation.Donation_ID}/receipt.pdf`).expect(404);
+
+    // Only completed, provider-paid donations can be refunded
+    await admin.post(`/donation/${donation.Donation_ID}/refund`).expect(302);
+    assert.match((await admin.get('/donations').expect(200)).text, /Only completed donations can be refunded/);
+
+    const offline = await knex('Donations').whereNull('DonationProvider').first();
+    await admin.post(`/donation/${offline.Donation_ID}/refund`).expect(302);
+    assert.match((await admin.get('/donations').expect(200)).text, /not paid online/);
+
+    const participant = await loginAs(server, 'mariana.perez@example.com');
+    await participant.post(`/donation/${donation.Donation_ID}/refund`).expect(403);
+});
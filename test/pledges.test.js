@@ -0,0 +1,206 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { addMonths, changePledge, createPledge, dateOnly, dueDates, scheduleInstallments, summarizePledge } = require('../lib/pledges');
+
+let knex, app, admin, participant, me;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+    me = await knex('Participants').where({ ParticipantEmail: 'lucia.gonzalez@example.com' }).first();
+    participant = await loginAs(app, me.ParticipantEmail);
+});
+
+after(() => knex.destroy());
+
+async function newPledge(agent, fields) {
+    const res = await agent.post('/pledges').type('form').send(fields).expect(302);
+    return Number(res.headers.location.match(/\/pledges\/(\d+)$/)[1]);
+}
+
+test('installments fall due every period, clamped to the end of short months', () => {
+    assert.strictEqual(addMonths('2025-01-31', 1), '2025-02-28');
+    assert.strictEqual(addMonths('2024-01-31', 1), '2024-02-29');
+    assert.strictEqual(addMonths('2025-11-15', 3), '2026-02-15');
+
+    const pledge = { PledgeStartDate: '2025-01-31', PledgeEndDate: '2025-05-01', PledgeFrequency: 'monthly' };
+    assert.deepStrictEqual(dueDates(pledge, '2025-12-31'), ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    assert.deepStrictEqual(dueDates({ ...pledge, PledgeFrequency: 'quarterly' }, '2025-12-31'), ['2025-01-31', '2025-04-30']);
+
+    const summary = summarizePledge({ ...pledge, PledgeStatus: 'active' }, [
+        { InstallmentDueDate: '2025-01-31', InstallmentAmount: '10.00', InstallmentStatus: 'received' },
+        { InstallmentDueDate: '2025-02-28', InstallmentAmount: '10.00', InstallmentStatus: 'waived' },
+        { InstallmentDueDate: '2025-03-31', InstallmentAmount: '10.00', InstallmentStatus: 'expected' }
+    ], new Date(2025, 3, 15));
+    assert.strictEqual(summary.scheduled, 20);
+    assert.strictEqual(summary.received, 10);
+    assert.strictEqual(summary.overdue, 1);
+    assert.strictEqual(summary.fulfilment, 0.5);
+    assert.strictEqual(summary.nextDue, '2025-04-30');
+});
+
+test('participants pledge for themselves and admins record installments as donations', async() => {
+    const start = addMonths(dateOnly(new Date()), -2);
+    const pledgeId = await newPledge(participant, { PledgeAmount: '25', PledgeFrequency: 'monthly', PledgeStartDate: start });
+
+    const pledge = await knex('Pledges').where({ Pledge_ID: pledgeId }).first();
+    assert.strictEqual(pledge.Participant_ID, me.Participant_ID);
+    assert.strictEqual(pledge.PledgeStatus, 'active');
+
+    const installments = await knex('PledgeInstallments').where({ Pledge_ID: pledgeId }).orderBy('InstallmentDueDate');
+    assert.strictEqual(installments.length, 3);
+    assert.ok(installments.every(i => i.InstallmentStatus === 'expected'));
+
+    const page = await participant.get(`/pledges/${pledgeId}`).expect(200);
+    assert.match(page.text, /Your pledge has been set up/);
+    assert.match(page.text, /overdue/);
+
+    // Bad terms are rejected
+    await participant.post('/pledges').type('form')
+        .send({ PledgeAmount: '0', PledgeFrequency: 'monthly', PledgeStartDate: start }).expect(400);
+    await participant.post('/pledges').type('form')
+        .send({ PledgeAmount: '5', PledgeFrequency: 'weekly', PledgeStartDate: start }).expect(400);
+
+    // Participants can't mark their own installments received
+    await participant.post(`/pledges/installments/${installments[0].PledgeInstallment_ID}/receive`).expect(403);
+
+    const before = Number(me.TotalDonations || 0);
+    await admin.post(`/pledges/installments/${installments[0].PledgeInstallment_ID}/receive`)
+        .type('form').send({ amount: '25', date: installments[0].InstallmentDueDate }).expect(302);
+    await admin.post(`/pledges/installments/${installments[1].PledgeInstallment_ID}/waive`).expect(302);
+
+    const received = await knex('PledgeInstallments').where({ PledgeInstallment_ID: installments[0].PledgeInstallment_ID }).first();
+    assert.strictEqual(received.InstallmentStatus, 'received');
+
+    const donation = await knex('Donations').where({ Donation_ID: received.Donation_ID }).first();
+    assert.strictEqual(donation.Participant_ID, me.Participant_ID);
+    assert.strictEqual(Number(donation.DonationAmount), 25);
+
+    const donor = await knex('Participants').where({ Participant_ID: me.Participant_ID }).first();
+    assert.strictEqual(Number(donor.TotalDonations), before + 25);
+
+    const receipt = await knex('Outbox').where({ OutboxKind: 'donation_receipt', Participant_ID: me.Participant_ID }).first();
+    assert.ok(receipt);
+
+    // Receiving twice is refused
+    const again = await admin.post(`/pledges/installments/${installments[0].PledgeInstallment_ID}/receive`).expect(302);
+    assert.strictEqual(again.headers.location, `/pledges/${pledgeId}`);
+    assert.match((await admin.get(`/pledges/${pledgeId}`).expect(200)).text, /not waiting to be received/);
+});
+
+test('admins follow up on overdue pledges', async() => {
+    const overdueId = await newPledge(admin, {
+        Participant_ID: me.Participant_ID,
+        PledgeAmount: '40',
+        PledgeFrequency: 'quarterly',
+        PledgeStartDate: addMonths(dateOnly(new Date()), -1)
+    });
+    const upcomingId = await newPledge(admin, {
+        Participant_ID: me.Participant_ID,
+        PledgeAmount: '40',
+        PledgeFrequency: 'annual',
+        PledgeStartDate: addMonths(dateOnly(new Date()), 1)
+    });
+
+    const overdue = await admin.get('/pledges?filter=overdue').expect(200);
+    assert.ok(overdue.text.includes(`/pledges/${overdueId}"`));
+    assert.ok(!overdue.text.includes(`/pledges/${upcomingId}"`));
+
+    const all = await admin.get('/pledges').expect(200);
+    assert.ok(all.text.includes(`/pledges/${upcomingId}"`));
+
+    await admin.post('/pledges').type('form')
+        .send({ PledgeAmount: '40', PledgeFrequency: 'annual', PledgeStartDate: dateOnly(new Date()) }).expect(400);
+});
+
+test('changing a pledge keeps the old terms and cancelling stops it', async() => {
+    const today = dateOnly(new Date());
+    const pledgeId = await newPledge(participant, { PledgeAmount: '10', PledgeFrequency: 'monthly', PledgeStartDate: addMonths(today, -3) });
+
+    const change = await participant.post(`/pledges/${pledgeId}/change`).type('form')
+        .send({ PledgeAmount: '15', PledgeFrequency: 'monthly', PledgeStartDate: addMonths(today, -1) })
+        .expect(302);
+    const newId = Number(change.headers.location.match(/\/pledges\/(\d+)$/)[1]);
+    assert.notStrictEqual(newId, pledgeId);
+
+    const old = await knex('Pledges').where({ Pledge_ID: pledgeId }).first();
+    const current = await knex('Pledges').where({ Pledge_ID: newId }).first();
+    assert.strictEqual(old.PledgeStatus, 'changed');
+    assert.ok(dateOnly(old.PledgeEndDate) < addMonths(today, -1));
+    assert.strictEqual(current.PledgeReplaces_ID, pledgeId);
+    assert.strictEqual(Number(current.PledgeAmount), 15);
+
+    // The old pledge's installments from the new start on are waived
+    const waived = (await knex('PledgeInstallments').where({ Pledge_ID: pledgeId }))
+        .filter(i => dateOnly(i.InstallmentDueDate) >= addMonths(today, -1));
+    assert.ok(waived.length > 0);
+    assert.ok(waived.every(i => i.InstallmentStatus === 'waived'));
+
+    const page = await participant.get(`/pledges/${newId}`).expect(200);
+    assert.match(page.text, /Earlier Terms/);
+
+    // Closed pledges can't be changed again
+    await participant.post(`/pledges/${pledgeId}/cancel`).expect(302);
+    assert.strictEqual((await knex('Pledges').where({ Pledge_ID: pledgeId }).first()).PledgeStatus, 'changed');
+
+    await participant.post(`/pledges/${newId}/cancel`).expect(302);
+    const cancelled = await knex('Pledges').where({ Pledge_ID: newId }).first();
+    assert.strictEqual(cancelled.PledgeStatus, 'cancelled');
+    assert.strictEqual(dateOnly(cancelled.PledgeEndDate), today);
+});
+
+test('new terms cannot start over installments already received', async() => {
+    const today = dateOnly(new Date());
+    const pledgeId = await newPledge(participant, { PledgeAmount: '10', PledgeFrequency: 'monthly', PledgeStartDate: addMonths(today, -3) });
+    const installments = await knex('PledgeInstallments').where({ Pledge_ID: pledgeId }).orderBy('InstallmentDueDate');
+    await admin.post(`/pledges/installments/${installments[1].PledgeInstallment_ID}/receive`).expect(302);
+
+    const received = dateOnly(installments[1].InstallmentDueDate);
+    for (const start of [addMonths(today, -2), received]) {
+        const result = await changePledge(knex, pledgeId, { PledgeAmount: '15', PledgeFrequency: 'monthly', PledgeStartDate: start });
+        assert.strictEqual(result.status, 400);
+        assert.match(result.message, /already been received/);
+    }
+    assert.strictEqual((await knex('Pledges').where({ Pledge_ID: pledgeId }).first()).PledgeStatus, 'active');
+
+    const result = await changePledge(knex, pledgeId, { PledgeAmount: '15', PledgeFrequency: 'monthly', PledgeStartDate: addMonths(today, -1) });
+    assert.strictEqual(result.ok, true);
+
+    // Every due date is asked for once across the old and new schedules
+    const owed = (await knex('PledgeInstallments').whereIn('Pledge_ID', [pledgeId, result.pledgeId]))
+        .filter(i => i.InstallmentStatus !== 'waived')
+        .map(i => dateOnly(i.InstallmentDueDate));
+    assert.strictEqual(new Set(owed).size, owed.length);
+});
+
+test('old terms keep falling due until changed terms start later on', async() => {
+    const created = await createPledge(knex, me.Participant_ID,
+        { PledgeAmount: '50', PledgeFrequency: 'monthly', PledgeStartDate: '2026-01-01' }, new Date(2026, 2, 15));
+    const changed = await changePledge(knex, created.pledgeId,
+        { PledgeAmount: '100', PledgeFrequency: 'monthly', PledgeStartDate: '2026-06-01' }, new Date(2026, 2, 15));
+    assert.strictEqual(changed.ok, true);
+
+    await scheduleInstallments(knex, { now: new Date(2026, 6, 15) });
+
+    const dueFor = async pledgeId => (await knex('PledgeInstallments').where({ Pledge_ID: pledgeId }))
+        .map(i => `${dateOnly(i.InstallmentDueDate)} ${Number(i.InstallmentAmount)}`)
+        .sort();
+    assert.deepStrictEqual(await dueFor(created.pledgeId), [
+        '2026-01-01 50', '2026-02-01 50', '2026-03-01 50', '2026-04-01 50', '2026-05-01 50'
+    ]);
+    assert.deepStrictEqual(await dueFor(changed.pledgeId), ['2026-06-01 100', '2026-07-01 100']);
+    assert.strictEqual((await knex('Pledges').where({ Pledge_ID: created.pledgeId }).first()).PledgeStatus, 'changed');
+});
+
+test('participants only see their own pledges', async() => {
+    const other = await knex('Participants').where({ ParticipantEmail: 'sofia.martinez@example.com' }).first();
+    const otherAgent = await loginAs(app, other.ParticipantEmail);
+    const pledgeId = await newPledge(participant, { PledgeAmount: '5', PledgeFrequency: 'annual', PledgeStartDate: dateOnly(new Date()) });
+
+    await otherAgent.get(`/pledges/${pledgeId}`).expect(403);
+    await otherAgent.post(`/pledges/${pledgeId}/cancel`).expect(403);
+
+    const list = await otherAgent.get('/pledges').expect(200);
+    assert.ok(!list.text.includes(`/pledges/${pledgeId}"`));
+});
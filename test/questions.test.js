@@ -0,0 +1,208 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { normalizeQuestions, readAnswers, legacyColumns } = require('../lib/questions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let knex, app, admin, participant, participantId;
+
+// A past occurrence of `eventName` that the participant attended
+async function attended(eventName, daysAgo) {
+    const template = await knex('EventTemplates').where({ EventName: eventName }).first();
+    const start = new Date(Date.now() - daysAgo * DAY);
+    await knex('EventOccurrence').insert({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventDateTimeEnd: new Date(start.getTime() + 2 * 60 * 60 * 1000),
+        EventLocation: 'Ella Rises Office',
+        EventCapacity: 10
+    });
+    await knex('Registration').insert({
+        Participant_ID: participantId,
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        RegistrationStatus: 'attended',
+        RegistrationAttendedFlag: 'T'
+    });
+    return { Event_ID: template.Event_ID, EventDateTimeStart: start.toISOString() };
+}
+
+function formUrl(occ) {
+    return `/add_survey/${participantId}/${occ.Event_ID}/${encodeURIComponent(occ.EventDateTimeStart)}`;
+}
+
+// Question ids in the order they appear on a rendered form
+function questionIds(html) {
+    return [...new Set([...html.matchAll(/name="answers\[q(\d+)\]"/g)].map(m => m[1]))];
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+    participant = await loginAs(app, 'sofia.martinez@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'sofia.martinez@example.com' })
+        .first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('templates without their own questions use the standard survey', async() => {
+    const occ = await attended('Mentoring Circle', 3);
+
+    const form = await participant.get(formUrl(occ)).expect(200);
+    assert.match(form.text, /How likely are you to recommend this event to a friend\?/);
+
+    const [sat, use, instr, rec, comments] = questionIds(form.text);
+    const setId = form.text.match(/name="SurveyQuestionSet_ID" value="(\d+)"/)[1];
+
+    await participant.post('/submit-survey').type('form').send({
+        Participant_ID: participantId,
+        ...occ,
+        SurveyQuestionSet_ID: setId,
+        [`answers[q${sat}]`]: '5',
+        [`answers[q${use}]`]: '4',
+        [`answers[q${instr}]`]: '3',
+        [`answers[q${rec}]`]: '5',
+        [`answers[q${comments}]`]: 'Loved it'
+    }).expect(302);
+
+    const survey = await knex('Surveys').where({ Participant_ID: participantId, Event_ID: occ.Event_ID }).first();
+    assert.strictEqual(Number(survey.SurveyOverallScore), 4);
+    assert.strictEqual(survey.SurveyNPSBucket, 'Promoter');
+    assert.strictEqual(survey.SurveyComments, 'Loved it');
+    assert.strictEqual(String(survey.SurveyQuestionSet_ID), setId);
+
+    const answers = await knex('SurveyAnswers').where({ Participant_ID: participantId, Event_ID: occ.Event_ID });
+    assert.strictEqual(answers.length, 5);
+});
+
+test('admins build a custom question set and participants answer it', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Ella Rises Summit' }).first();
+    const occ = await attended('Ella Rises Summit', 2);
+
+    await admin.post(`/survey_questions/${template.Event_ID}`).type('form').send({
+        'questions[0][text]': 'Would you recommend the summit?',
+        'questions[0][type]': 'likert',
+        'questions[0][legacyField]': 'recommendation',
+        'questions[0][required]': 'true',
+        'questions[1][text]': 'Which session was best?',
+        'questions[1][type]': 'choice',
+        'questions[1][options]': 'Keynote\nPanel\nWorkshops',
+        'questions[1][required]': 'true',
+        'questions[2][text]': 'Anything else?',
+        'questions[2][type]': 'text'
+    }).expect(302);
+
+    const form = await participant.get(formUrl(occ)).expect(200);
+    assert.match(form.text, /Which session was best\?/);
+    assert.doesNotMatch(form.text, /How useful was this event/);
+
+    const [rec, session] = questionIds(form.text);
+    const setId = form.text.match(/name="SurveyQuestionSet_ID" value="(\d+)"/)[1];
+    const base = { Participant_ID: participantId, ...occ, SurveyQuestionSet_ID: setId };
+
+    // Missing required answer and a choice that isn't offered
+    const bad = await participant.post('/submit-survey').type('form').send({
+        ...base,
+        [`answers[q${session}]`]: 'Lunch'
+    }).expect(400);
+    assert.match(bad.text, /This question is required/);
+    assert.match(bad.text, /Choose one of the options/);
+
+    await participant.post('/submit-survey').type('form').send({
+        ...base,
+        [`answers[q${rec}]`]: '2',
+        [`answers[q${session}]`]: 'Panel'
+    }).expect(302);
+
+    const survey = await knex('Surveys').where({ Participant_ID: participantId, Event_ID: occ.Event_ID }).first();
+    assert.strictEqual(survey.SurveyRecommendationScore, 2);
+    assert.strictEqual(survey.SurveyNPSBucket, 'Detractor');
+    assert.strictEqual(survey.SurveySatisfaction, null);
+    assert.strictEqual(survey.SurveyOverallScore, null);
+
+    const stored = await knex('SurveyAnswers').where({ Participant_ID: participantId, Event_ID: occ.Event_ID });
+    assert.deepStrictEqual(stored.map(a => a.SurveyAnswerValue).sort(), ['2', 'Panel']);
+});
+
+test('changing questions adds a version and old surveys keep their wording', async() => {
+    const template = await knex('EventTemplates').where({ EventName: 'Ella Rises Summit' }).first();
+    const [{ count: before }] = await knex('SurveyQuestionSets').where({ Event_ID: template.Event_ID }).count('* as count');
+
+    const page = await admin.get(`/survey_questions/${template.Event_ID}`).expect(200);
+    assert.match(page.text, /Version History/);
+
+    // Same questions again → nothing new
+    await admin.post(`/survey_questions/${template.Event_ID}`).type('form').send({
+        'questions[0][text]': 'Would you recommend the summit?',
+        'questions[0][type]': 'likert',
+        'questions[0][legacyField]': 'recommendation',
+        'questions[0][required]': 'true',
+        'questions[1][text]': 'Which session was best?',
+        'questions[1][type]': 'choice',
+        'questions[1][options]': 'Keynote\nPanel\nWorkshops',
+        'questions[1][required]': 'true',
+        'questions[2][text]': 'Anything else?',
+        'questions[2][type]': 'text'
+    }).expect(302);
+    let [{ count }] = await knex('SurveyQuestionSets').where({ Event_ID: template.Event_ID }).count('* as count');
+    assert.strictEqual(Number(count), Number(before));
+
+    await admin.post(`/survey_questions/${template.Event_ID}`).type('form').send({
+        'questions[0][text]': 'How likely are you to come back next year?',
+        'questions[0][type]': 'likert',
+        'questions[0][legacyField]': 'recommendation'
+    }).expect(302);
+    [{ count }] = await knex('SurveyQuestionSets').where({ Event_ID: template.Event_ID }).count('* as count');
+    assert.strictEqual(Number(count), Number(before) + 1);
+
+    const survey = await knex('Surveys')
+        .where({ Participant_ID: participantId, Event_ID: template.Event_ID })
+        .whereNotNull('SurveyQuestionSet_ID')
+        .first();
+    const edit = await participant
+        .get(`/survey/${participantId}/${template.Event_ID}/${encodeURIComponent(new Date(survey.EventDateTimeStart).toISOString())}/edit`)
+        .expect(200);
+    assert.match(edit.text, /Which session was best\?/);
+    assert.match(edit.text, /value="Panel"\s+checked/);
+});
+
+test('the builder rejects choices without options and clashing score mappings', async() => {
+    const { errors } = normalizeQuestions([
+        { text: 'Pick one', type: 'choice', options: 'Only' },
+        { text: 'Rate it', type: 'likert', legacyField: 'satisfaction' },
+        { text: 'Rate it again', type: 'likert', legacyField: 'satisfaction' },
+        { text: 'Words', type: 'text', legacyField: 'recommendation' },
+        { text: '   ' }
+    ]);
+    assert.strictEqual(errors.length, 3);
+
+    const template = await knex('EventTemplates').first();
+    const res = await admin.post(`/survey_questions/${template.Event_ID}`).type('form').send({
+        'questions[0][text]': 'Pick one',
+        'questions[0][type]': 'choice',
+        'questions[0][options]': 'Only'
+    }).expect(400);
+    assert.match(res.text, /needs at least two options/);
+
+    await participant.get(`/survey_questions/${template.Event_ID}`).expect(403);
+});
+
+test('legacy scores are derived from mapped questions only', () => {
+    const questions = [
+        { id: 1, type: 'likert', required: true, legacyField: 'satisfaction' },
+        { id: 2, type: 'likert', required: false, legacyField: 'usefulness' },
+        { id: 3, type: 'text', required: false, legacyField: null }
+    ];
+    const { values, errors } = readAnswers(questions, { q1: '4', q2: '', q3: 'Fun' });
+
+    assert.deepStrictEqual(errors, {});
+    const columns = legacyColumns(questions, values);
+    assert.strictEqual(columns.SurveySatisfaction, 4);
+    assert.strictEqual(columns.SurveyUsefulnessScore, null);
+    assert.strictEqual(columns.SurveyOverallScore, '4.00');
+    assert.strictEqual(columns.SurveyNPSBucket, null);
+    assert.strictEqual(columns.SurveyComments, null);
+});
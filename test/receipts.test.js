@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createServedTestApp, loginAs, withEnv } = require('./helpers');
+const { createApp } = require('../app');
+const { createReceiptToken, readReceiptToken, receiptNumber } = require('../lib/receipts');
+
+let knex, app, server, admin;
+
+// Collect a binary response body as a Buffer
+function binary(res, done) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+}
+
+function download(agent, url) {
+    return agent.get(url).buffer(true).parse(binary);
+}
+
+before(async() => {
+    ({ knex, app, server } = await createServedTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    return knex.destroy();
+});
+
+test('receipt links are signed per donation', () => {
+    const token = createReceiptToken(42);
+    assert.strictEqual(readReceiptToken(token), 42);
+    assert.strictEqual(readReceiptToken(token.replace(/^42\./, '43.')), null);
+    assert.strictEqual(readReceiptToken('42'), null);
+    assert.strictEqual(receiptNumber(42), 'ER-000042');
+});
+
+test('receipt links are never signed with a guessable secret', () => {
+    // Other signed codes have their own secrets; receipt links still need one
+    const others = { CHECKIN_SECRET: 'checkin-only', SURVEY_LINK_SECRET: 'survey-only' };
+    withEnv({ ...others, RECEIPT_LINK_SECRET: undefined, SESSION_SECRET: undefined }, () => {
+        assert.throws(() => createReceiptToken(42), /RECEIPT_LINK_SECRET/);
+        assert.throws(() => createApp({ knex, payments: null }), /RECEIPT_LINK_SECRET/);
+    });
+});
+
+test('participants download receipts and statements for their own donations only', async() => {
+    const me = await knex('Participants').where({ ParticipantEmail: 'mariana.perez@example.com' }).first();
+    const participant = await loginAs(app, me.ParticipantEmail);
+
+    await participant.post('/submit-donation').type('form').send({ amount: '30' }).expect(302);
+    const donation = await knex('Donations').where({ Participant_ID: me.Participant_ID }).orderBy('Donation_ID', 'desc').first();
+
+    const page = await participant.get('/donations');
+    assert.ok(page.text.includes(receiptNumber(donation.Donation_ID)));
+    assert.ok(page.text.includes(`/donation/${donation.Donation_ID}/receipt.pdf`));
+
+    const receipt = await download(participant, `/donation/${donation.Donation_ID}/receipt.pdf`).expect(200);
+    assert.strictEqual(receipt.headers['content-type'], 'application/pdf');
+    assert.match(receipt.headers['content-disposition'], new RegExp(`receipt-${receiptNumber(donation.Donation_ID)}\\.pdf`));
+    assert.strictEqual(receipt.body.subarray(0, 5).toString(), '%PDF-');
+
+    const year = new Date().getFullYear();
+    const statement = await download(participant, `/statements/${me.Participant_ID}/${year}.pdf`).expect(200);
+    assert.match(statement.headers['content-disposition'], new RegExp(`giving-statement-${year}-`));
+    assert.strictEqual(statement.body.subarray(0, 5).toString(), '%PDF-');
+
+    // Someone else's records
+    const other = await knex('Donations').whereNot({ Participant_ID: me.Participant_ID }).first();
+    await participant.get(`/donation/${other.Donation_ID}/receipt.pdf`).expect(403);
+    await participant.get(`/statements/${other.Participant_ID}/${year}.pdf`).expect(403);
+    await participant.get(`/statements/${me.Participant_ID}/20x5.pdf`).expect(400);
+    await participant.get(`/statements/${year}.zip`).expect(403);
+
+    // Emailed receipt
+    const queued = await knex('Outbox').where({ OutboxKind: 'donation_receipt', Participant_ID: me.Participant_ID }).first();
+    assert.ok(queued.OutboxBody.includes(`/receipts/${createReceiptToken(donation.Donation_ID)}.pdf`));
+});
+
+test('public donors get a signed receipt link without logging in', async() => {
+    const res = await request(server)
+        .post('/submit-donation-public')
+        .type('form')
+        .send({ firstName: 'Lee', lastName: 'Benefactor', email: 'lee.benefactor@example.com', amount: '60' })
+        .expect(302);
+
+    // Pay at the mock gateway, which confirms by webhook and sends the donor back
+    const checkout = new URL(res.headers.location).pathname;
+    const paid = await request(server).post(checkout).type('form').send({ action: 'pay' }).expect(302);
+    const thanks = await request(server).get(new URL(paid.headers.location).pathname).expect(200);
+
+    const link = thanks.text.match(/\/receipts\/[\w.-]+\.pdf/)[0];
+    const receipt = await download(request(server), link).expect(200);
+    assert.strictEqual(receipt.body.subarray(0, 5).toString(), '%PDF-');
+
+    await request(server).get(link.replace(/\.[\w-]+\.pdf$/, '.forged.pdf')).expect(404);
+});
+
+test('admins batch-download every donor\'s statement for a year as a zip', async() => {
+    const year = new Date().getFullYear();
+    const donors = new Set((await knex('Donations').whereNotNull('Participant_ID'))
+        .filter(d => d.DonationStatus === 'completed' && new Date(d.DonationDate).getFullYear() === year)
+        .map(d => d.Participant_ID));
+
+    const res = await download(admin, `/statements/${year}.zip`).expect(200);
+    assert.strictEqual(res.headers['content-type'], 'application/zip');
+    assert.match(res.headers['content-disposition'], new RegExp(`giving-statements-${year}\\.zip`));
+
+    // Each entry name appears in its local header and the central directory
+    const names = res.body.toString('latin1').match(/giving-statement-\d{4}-\d{6}-[\w-]+\.pdf/g);
+    assert.strictEqual(new Set(names).size, donors.size);
+
+    const page = await admin.get('/donations');
+    assert.ok(page.text.includes('Year-end statements'));
+
+    await admin.get('/statements/1800.zip').expect(400);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { expandSeries, normalizePattern } = require('../lib/recurrence');
+
+function days(dates) {
+    return dates.map(d => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`);
+}
+
+test('template patterns are matched case-insensitively', () => {
+    assert.strictEqual(normalizePattern('Biweekly'), 'Biweekly');
+    assert.strictEqual(normalizePattern('monthly'), 'Monthly');
+    assert.strictEqual(normalizePattern('something else'), 'None');
+});
+
+test('weekly and biweekly series stop at the end date', () => {
+    assert.deepStrictEqual(
+        days(expandSeries({ pattern: 'Weekly', start: '2030-01-01T17:00', until: '2030-01-22' })),
+        ['2030-1-1', '2030-1-8', '2030-1-15', '2030-1-22']
+    );
+    assert.deepStrictEqual(
+        days(expandSeries({ pattern: 'Biweekly', start: '2030-01-01T17:00', count: 3 })),
+        ['2030-1-1', '2030-1-15', '2030-1-29']
+    );
+});
+
+test('monthly keeps the nth weekday, and a 5th weekday becomes the last one', () => {
+    // 2nd Tuesday
+    assert.deepStrictEqual(
+        days(expandSeries({ pattern: 'Monthly', start: '2030-01-08T17:00', count: 3 })),
+        ['2030-1-8', '2030-2-12', '2030-3-12']
+    );
+    // 5th Tuesday → last Tuesday
+    assert.deepStrictEqual(
+        days(expandSeries({ pattern: 'Monthly', start: '2030-01-29T17:00', count: 3 })),
+        ['2030-1-29', '2030-2-26', '2030-3-26']
+    );
+});
+
+test('time of day is kept and a one-off pattern yields one date', () => {
+    const [first, second] = expandSeries({ pattern: 'Weekly', start: '2030-03-01T17:30', count: 2 });
+    assert.strictEqual(second.getHours(), 17);
+    assert.strictEqual(second.getMinutes(), 30);
+    assert.strictEqual(second - first, 7 * 24 * 60 * 60 * 1000);
+
+    assert.strictEqual(expandSeries({ pattern: 'None', start: '2030-03-01T17:30', count: 5 }).length, 1);
+});
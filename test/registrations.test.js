@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { cutoffHours } = require('../lib/registrations');
+
+let knex, app, admin, participant, participantId, occ;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+    participant = await loginAs(app, 'ana.torres@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'ana.torres@example.com' })
+        .first()).Participant_ID;
+
+    // The summit is far enough out that registration is still open
+    const template = await knex('EventTemplates').where({ EventName: 'Ella Rises Summit' }).first();
+    occ = await knex('EventOccurrence').where({ Event_ID: template.Event_ID }).first();
+    await knex('Registration')
+        .where({ Participant_ID: participantId, Event_ID: occ.Event_ID })
+        .del();
+});
+
+after(() => knex.destroy());
+
+function key() {
+    return `${participantId}/${occ.Event_ID}/${encodeURIComponent(new Date(occ.EventDateTimeStart).toISOString())}`;
+}
+
+test('a bad cancellation cutoff setting falls back to 24 hours', () => {
+    assert.strictEqual(cutoffHours(undefined), 24);
+    assert.strictEqual(cutoffHours(''), 24);
+    assert.strictEqual(cutoffHours('0'), 0);
+    assert.strictEqual(cutoffHours('1.5'), 1.5);
+    assert.strictEqual(cutoffHours('two days'), 24);
+    assert.strictEqual(cutoffHours('-3'), 24);
+    assert.strictEqual(cutoffHours('Infinity'), 24);
+});
+
+test('participant registers for an upcoming occurrence', async() => {
+    await participant
+        .post('/register')
+        .type('form')
+        .send({
+            Participant_ID: participantId,
+            Event_ID: occ.Event_ID,
+            EventDateTimeStart: new Date(occ.EventDateTimeStart).toISOString()
+        })
+        .expect(200);
+
+    const reg = await knex('Registration')
+        .where({ Participant_ID: participantId, Event_ID: occ.Event_ID })
+        .first();
+    assert.ok(reg);
+});
+
+test('admin edits the registration through the single edit route', async() => {
+    await admin.get(`/registration/${key()}/edit`).expect(200);
+
+    await admin
+        .post(`/registration/${key()}/edit`)
+        .type('form')
+        .send({ RegistrationStatus: 'confirmed', RegistrationAttendedFlag: 'true' })
+        .expect(302);
+
+    const reg = await knex('Registration')
+        .where({ Participant_ID: participantId, Event_ID: occ.Event_ID })
+        .first();
+    assert.strictEqual(reg.RegistrationStatus, 'confirmed');
+    assert.strictEqual(reg.RegistrationAttendedFlag, 'T');
+});
+
+test('participants cannot edit registrations', async() => {
+    await participant
+        .post(`/registration/${key()}/edit`)
+        .type('form')
+        .send({ RegistrationStatus: 'whatever' })
+        .expect(403);
+});
+
+test('participant cancels their own registration', async() => {
+    await participant.post(`/registration/${key()}/delete`).expect(302);
+
+    const reg = await knex('Registration')
+        .where({ Participant_ID: participantId, Event_ID: occ.Event_ID })
+        .first();
+    assert.strictEqual(reg, undefined);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app, admin, occ, url;
+
+function registrations() {
+    return knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .orderBy('Participant_ID');
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+
+    // A past workshop with a mix of attended and no-show registrations
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    occ = await knex('EventOccurrence')
+        .where({ Event_ID: template.Event_ID })
+        .andWhere('EventDateTimeStart', '<', new Date())
+        .orderBy('EventDateTimeStart', 'desc')
+        .first();
+    url = `/events/${occ.Event_ID}/${encodeURIComponent(new Date(occ.EventDateTimeStart).toISOString())}`;
+});
+
+after(() => knex.destroy());
+
+test('roster lists every registrant with their attendance', async() => {
+    const rows = await registrations();
+    const res = await admin.get(`${url}/roster`);
+    assert.strictEqual(res.status, 200);
+
+    const checked = (res.text.match(/name="attended" value="\d+" checked/g) || []).length;
+    assert.strictEqual(checked, rows.filter(r => r.RegistrationAttendedFlag === 'T').length);
+});
+
+test('one submit sets attendance for the whole roster', async() => {
+    const rows = await registrations();
+    const [first, ...rest] = rows;
+
+    // Only the first person attended
+    await admin
+        .post(`${url}/roster`)
+        .type('form')
+        .send({ attended: String(first.Participant_ID) })
+        .expect(302);
+
+    const after = await registrations();
+    assert.strictEqual(after[0].RegistrationAttendedFlag, 'T');
+    assert.strictEqual(after[0].RegistrationStatus, 'attended');
+    for (const r of after.slice(1)) {
+        assert.strictEqual(r.RegistrationAttendedFlag, 'F');
+        assert.strictEqual(r.RegistrationStatus, 'no-show');
+        assert.strictEqual(r.RegistrationCheckInTime, null);
+    }
+
+    // Everyone attended
+    await admin
+        .post(`${url}/roster`)
+        .type('form')
+        .send(`attended=${[first, ...rest].map(r => r.Participant_ID).join('&attended=')}`)
+        .expect(302);
+
+    assert.ok((await registrations()).every(r => r.RegistrationAttendedFlag === 'T'));
+
+    const page = await admin.get(`${url}/roster`);
+    assert.match(page.text, new RegExp(`${rest.length} registrations? updated`));
+});
+
+test('sign-in sheet has event details, every name and blank rows', async() => {
+    const rows = await knex('Registration as r')
+        .join('Participants as p', 'p.Participant_ID', 'r.Participant_ID')
+        .where({ 'r.Event_ID': occ.Event_ID, 'r.EventDateTimeStart': occ.EventDateTimeStart })
+        .select('p.ParticipantLastName', 'p.ParticipantFirstName');
+
+    const res = await admin.get(`${url}/signin-sheet`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Intro to Coding — Sign-in Sheet/);
+    assert.match(res.text, /UVU Computer Lab 101/);
+    assert.match(res.text, /@media print/);
+    for (const r of rows) {
+        assert.ok(res.text.includes(`${r.ParticipantLastName}, ${r.ParticipantFirstName}`));
+    }
+    assert.strictEqual((res.text.match(/<tr>/g) || []).length, 1 + rows.length + 8);
+});
+
+test('participants cannot see rosters', async() => {
+    const participant = await loginAs(app, 'sofia.martinez@example.com');
+    await participant.get(`${url}/roster`).expect(403);
+    await participant.get(`${url}/signin-sheet`).expect(403);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app, admin, occ, startISO;
+
+function occurrence() {
+    return knex('EventOccurrence').where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart }).first();
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+
+    const template = await knex('EventTemplates').where({ EventName: 'College Prep Night' }).first();
+    occ = await knex('EventOccurrence')
+        .where({ Event_ID: template.Event_ID })
+        .andWhere('EventDateTimeStart', '>', new Date())
+        .first();
+    startISO = new Date(occ.EventDateTimeStart).toISOString();
+});
+
+after(() => knex.destroy());
+
+// pg-mem doesn't implement row locks, so the concurrent case itself can only
+// be exercised against Postgres; this checks the capacity decision.
+test('the last seat goes to one person and the next joins the waitlist', async() => {
+    const taken = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .pluck('Participant_ID');
+    const others = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .whereNotIn('Participant_ID', taken)
+        .limit(2)
+        .pluck('Participant_ID');
+
+    // One seat left, and a stale counter claiming it's free twice over
+    await knex('EventOccurrence')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .update({ EventCapacity: taken.length + 1, EventNumRegistered: 0 });
+
+    const results = [];
+    for (const id of others) {
+        results.push(await admin
+            .post('/register')
+            .type('form')
+            .send({ Participant_ID: id, Event_ID: occ.Event_ID, EventDateTimeStart: startISO }));
+    }
+
+    assert.match(results[0].text, /successful/);
+    assert.match(results[1].text, /#1 on the waitlist/);
+
+    const now = await occurrence();
+    assert.strictEqual(now.EventNumRegistered, now.EventCapacity);
+});
+
+test('registering twice is refused', async() => {
+    const reg = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .first();
+
+    const res = await admin
+        .post('/register')
+        .type('form')
+        .send({ Participant_ID: reg.Participant_ID, Event_ID: occ.Event_ID, EventDateTimeStart: startISO });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.text, /Already registered/);
+});
+
+test('admin status edits keep the count in step', async() => {
+    const reg = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart, RegistrationStatus: 'registered' })
+        .first();
+    const before = (await occurrence()).EventNumRegistered;
+
+    // Moving someone to the waitlist frees their seat for the person already waiting
+    await admin
+        .post(`/registration/${reg.Participant_ID}/${occ.Event_ID}/${encodeURIComponent(startISO)}/edit`)
+        .type('form')
+        .send({ RegistrationStatus: 'waitlisted', RegistrationAttendedFlag: 'F' })
+        .expect(302);
+
+    const moved = await knex('Registration')
+        .where({ Participant_ID: reg.Participant_ID, Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .first();
+    assert.strictEqual(moved.RegistrationStatus, 'waitlisted');
+    assert.strictEqual(moved.RegistrationWaitlistPosition, 1);
+    assert.strictEqual((await occurrence()).EventNumRegistered, before);
+});
+
+test('recount repairs drifted counts', async() => {
+    const correct = (await occurrence()).EventNumRegistered;
+
+    await knex('EventOccurrence')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .update({ EventNumRegistered: 99 });
+
+    const res = await admin.post('/events/recount').expect(302);
+    assert.strictEqual(res.headers.location, '/events?recounted=1');
+    assert.strictEqual((await occurrence()).EventNumRegistered, correct);
+
+    const page = await admin.get(res.headers.location);
+    assert.match(page.text, /1 occurrence corrected/);
+});
+
+test('participants cannot run a recount', async() => {
+    const participant = await loginAs(app, 'sofia.martinez@example.com');
+    await participant.post('/events/recount').expect(403);
+});
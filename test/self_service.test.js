@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+let knex, app, participant, participantId;
+
+// A fresh upcoming occurrence of the Mentoring Circle nobody is registered for
+async function makeOccurrence(startsIn, extra = {}) {
+    const template = await knex('EventTemplates').where({ EventName: 'Mentoring Circle' }).first();
+    const start = new Date(Date.now() + startsIn);
+    await knex('EventOccurrence').insert({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventDateTimeEnd: new Date(start.getTime() + HOUR),
+        EventLocation: 'Ella Rises Office',
+        EventCapacity: 5,
+        EventRegistrationDeadline: null,
+        ...extra
+    });
+    return `/events/${template.Event_ID}/${encodeURIComponent(start.toISOString())}`;
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    participant = await loginAs(app, 'sofia.martinez@example.com');
+    participantId = (await knex('Participants')
+        .where({ ParticipantEmail: 'sofia.martinez@example.com' })
+        .first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('participant registers and cancels from the events page', async() => {
+    const url = await makeOccurrence(10 * 24 * HOUR);
+
+    await participant.post(`${url}/register`).expect(302);
+
+    let page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /You&#39;re registered!/);
+    assert.match(page.text, /My Registrations/);
+    assert.match(page.text, new RegExp(`${url}/cancel`));
+
+    await participant.post(`${url}/cancel`).expect(302);
+
+    page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /Registration cancelled/);
+    assert.doesNotMatch(page.text, new RegExp(`${url}/cancel`));
+});
+
+test('cancelling inside the cutoff is refused', async() => {
+    const url = await makeOccurrence(2 * HOUR);
+
+    await participant.post(`${url}/register`).expect(302);
+    await participant.post(`${url}/cancel`).expect(302);
+
+    const page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /too late to cancel/);
+    assert.match(page.text, /Cancellations close 24 hours before the event/);
+});
+
+test('registration closes at the deadline', async() => {
+    const url = await makeOccurrence(5 * 24 * HOUR, { EventRegistrationDeadline: new Date(Date.now() - HOUR) });
+
+    await participant.post(`${url}/register`).expect(302);
+
+    const page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /Registration deadline has passed/);
+});
+
+test('a full event offers the waitlist instead', async() => {
+    const url = await makeOccurrence(7 * 24 * HOUR, { EventCapacity: 0 });
+
+    let page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /Join Waitlist/);
+
+    await participant.post(`${url}/register`).expect(302);
+    page = await participant.get(`/events_user/${participantId}`);
+    assert.match(page.text, /#1 on the waitlist/);
+    assert.match(page.text, /Leave Waitlist/);
+});
+
+test('anonymous visitors are sent to login', async() => {
+    const url = await makeOccurrence(8 * 24 * HOUR);
+    const res = await request(app).post(`${url}/register`);
+    assert.strictEqual(res.status, 302);
+    assert.strictEqual(res.headers.location, '/login');
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, loginAs, withEnv } = require('./helpers');
+const { createApp } = require('../app');
+const { createSurveyToken, readSurveyToken } = require('../lib/surveylinks');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let knex, app, participantId, otherId;
+
+// A past occurrence with one registration for `pid`
+async function registration(pid, attendedFlag, daysAgo) {
+    const template = await knex('EventTemplates').where({ EventName: 'Intro to Coding' }).first();
+    const start = new Date(Date.now() - daysAgo * DAY);
+    await knex('EventOccurrence').insert({
+        Event_ID: template.Event_ID,
+        EventDateTimeStart: start,
+        EventDateTimeEnd: new Date(start.getTime() + 2 * 60 * 60 * 1000),
+        EventLocation: 'Ella Rises Office',
+        EventCapacity: 10
+    });
+    const key = { Participant_ID: pid, Event_ID: template.Event_ID, EventDateTimeStart: start };
+    await knex('Registration').insert({
+        ...key,
+        RegistrationStatus: attendedFlag === 'T' ? 'attended' : 'registered',
+        RegistrationAttendedFlag: attendedFlag
+    });
+    return key;
+}
+
+// Answer every question on a rendered form with a valid value
+function answersFor(html) {
+    const body = { SurveyQuestionSet_ID: html.match(/name="SurveyQuestionSet_ID" value="(\d+)"/)[1] };
+    for (const [, id, value] of html.matchAll(/name="answers\[q(\d+)\]"[^>]*value="([^"]+)"/g)) {
+        body[`answers[q${id}]`] = value;
+    }
+    for (const [, id] of html.matchAll(/<textarea[^>]*name="answers\[q(\d+)\]"/g)) {
+        body[`answers[q${id}]`] = 'Thanks!';
+    }
+    return body;
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    participantId = (await knex('Participants').where({ ParticipantEmail: 'sofia.martinez@example.com' }).first()).Participant_ID;
+    otherId = (await knex('Participants').where({ ParticipantEmail: 'camila.hernandez@example.com' }).first()).Participant_ID;
+});
+
+after(() => knex.destroy());
+
+test('tokens carry the registration and reject tampering', () => {
+    const key = { Participant_ID: 7, Event_ID: 3, EventDateTimeStart: '2030-01-01T17:00:00.000Z' };
+    const token = createSurveyToken(key);
+
+    const read = readSurveyToken(token);
+    assert.deepStrictEqual(read.key, key);
+    assert.strictEqual(read.expired, false);
+
+    assert.strictEqual(readSurveyToken(token.replace(/^7\./, '8.')), null);
+    assert.strictEqual(readSurveyToken(token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A')), null);
+    assert.strictEqual(readSurveyToken('not-a-token'), null);
+});
+
+test('links are never signed with a guessable secret', () => {
+    const key = { Participant_ID: 7, Event_ID: 3, EventDateTimeStart: '2030-01-01T17:00:00.000Z' };
+
+    // Other signed codes have their own secret; survey links still need one
+    withEnv({ SURVEY_LINK_SECRET: undefined, SESSION_SECRET: undefined, CHECKIN_SECRET: 'checkin-only' }, () => {
+        assert.throws(() => createSurveyToken(key), /SURVEY_LINK_SECRET/);
+        assert.throws(() => createApp({ knex, payments: null }), /SURVEY_LINK_SECRET/);
+    });
+});
+
+test('attendees answer without logging in, once', async() => {
+    const key = await registration(participantId, 'T', 2);
+    const url = `/take-survey/${createSurveyToken(key)}`;
+
+    const form = await request(app).get(url).expect(200);
+    assert.match(form.text, /How was Intro to Coding\?/);
+    assert.doesNotMatch(form.text, /name="Participant_ID"/);
+
+    // A Participant_ID in the body is ignored; the link decides whose survey it is
+    const done = await request(app).post(url).type('form')
+        .send({ ...answersFor(form.text), Participant_ID: otherId })
+        .expect(200);
+    assert.match(done.text, /Thank you! Your survey has been submitted/);
+
+    const surveys = await knex('Surveys').where({ Event_ID: key.Event_ID, EventDateTimeStart: key.EventDateTimeStart });
+    assert.deepStrictEqual(surveys.map(s => s.Participant_ID), [participantId]);
+
+    const again = await request(app).get(url).expect(409);
+    assert.match(again.text, /already filled in this survey/);
+    await request(app).post(url).type('form').send(answersFor(form.text)).expect(409);
+});
+
+test('links fail when tampered with, expired or not for an attendee', async() => {
+    const key = await registration(participantId, 'T', 3);
+    const token = createSurveyToken(key);
+
+    const forged = token.replace(`${participantId}.`, `${otherId}.`);
+    await request(app).get(`/take-survey/${forged}`).expect(400);
+
+    const expired = createSurveyToken(key, new Date(Date.now() - 1000));
+    const res = await request(app).get(`/take-survey/${expired}`).expect(410);
+    assert.match(res.text, /expired/);
+
+    const noShow = await registration(otherId, 'F', 4);
+    await request(app).get(`/take-survey/${createSurveyToken(noShow)}`).expect(403);
+});
+
+test('the roster offers survey links for attendees', async() => {
+    const key = await registration(otherId, 'T', 5);
+    const admin = await loginAs(app, 'admin@ellarises.org');
+
+    const roster = await admin
+        .get(`/events/${key.Event_ID}/${encodeURIComponent(key.EventDateTimeStart.toISOString())}/roster`)
+        .expect(200);
+    assert.ok(roster.text.includes(`/take-survey/${otherId}.${key.Event_ID}.${key.EventDateTimeStart.getTime()}.`));
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+
+let knex, app, admin, participant, reg;
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+
+    // An attended registration with no survey yet
+    reg = await knex('Registration as r')
+        .leftJoin('Surveys as s', function() {
+            this.on('s.Participant_ID', '=', 'r.Participant_ID')
+                .andOn('s.Event_ID', '=', 'r.Event_ID')
+                .andOn('s.EventDateTimeStart', '=', 'r.EventDateTimeStart');
+        })
+        .where('r.RegistrationAttendedFlag', 'T')
+        .whereNull('s.Participant_ID')
+        .first('r.Participant_ID', 'r.Event_ID', 'r.EventDateTimeStart');
+
+    const person = await knex('Participants').where({ Participant_ID: reg.Participant_ID }).first();
+    participant = await loginAs(app, person.ParticipantEmail);
+});
+
+after(() => knex.destroy());
+
+test('participant submits a survey and derived scores are stored', async() => {
+    await participant
+        .post('/submit-survey')
+        .type('form')
+        .send({
+            Participant_ID: reg.Participant_ID,
+            Event_ID: reg.Event_ID,
+            EventDateTimeStart: new Date(reg.EventDateTimeStart).toISOString(),
+            SurveySatisfactionScore: 5,
+            SurveyUsefulnessScore: 4,
+            SurveyInstructorScore: 3,
+            SurveyRecommendationScore: 5,
+            SurveyComments: 'Great!'
+        })
+        .expect(302);
+
+    const survey = await knex('Surveys')
+        .where({ Participant_ID: reg.Participant_ID, Event_ID: reg.Event_ID, EventDateTimeStart: reg.EventDateTimeStart })
+        .first();
+    assert.strictEqual(Number(survey.SurveyOverallScore), 4);
+    assert.strictEqual(survey.SurveyNPSBucket, 'Promoter');
+});
+
+test('admin sees survey results for the occurrence', async() => {
+    const res = await admin.get(`/surveys/${reg.Event_ID}/${encodeURIComponent(new Date(reg.EventDateTimeStart).toISOString())}`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Great!/);
+});
+
+test('surveys are refused for occurrences the participant did not attend', async() => {
+    // An occurrence this participant has no attended registration for
+    const attendedKeys = new Set((await knex('Registration')
+        .where({ Participant_ID: reg.Participant_ID })
+        .andWhere('RegistrationAttendedFlag', 'T'))
+        .map(r => `${r.Event_ID}:${new Date(r.EventDateTimeStart).getTime()}`));
+    const other = (await knex('EventOccurrence'))
+        .find(o => !attendedKeys.has(`${o.Event_ID}:${new Date(o.EventDateTimeStart).getTime()}`));
+    const key = {
+        Participant_ID: reg.Participant_ID,
+        Event_ID: other.Event_ID,
+        EventDateTimeStart: new Date(other.EventDateTimeStart).toISOString()
+    };
+
+    await participant
+        .get(`/add_survey/${key.Participant_ID}/${key.Event_ID}/${encodeURIComponent(key.EventDateTimeStart)}`)
+        .expect(403);
+
+    for (const url of ['/submit-survey', '/add_survey/submit']) {
+        const res = await participant
+            .post(url)
+            .type('form')
+            .send({ ...key, SurveySatisfactionScore: 1, SurveyUsefulnessScore: 1, SurveyInstructorScore: 1, SurveyRecommendationScore: 0 })
+            .expect(403);
+        assert.match(res.text, /only for participants who attended/);
+    }
+
+    assert.strictEqual(await knex('Surveys').where(key).first(), undefined);
+});
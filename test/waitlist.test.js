@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, loginAs } = require('./helpers');
+const { deliverPending } = require('../lib/outbox');
+
+let knex, app, admin, occ, startISO;
+const people = {};
+
+async function participantAgent(email) {
+    people[email] = (await knex('Participants').where({ ParticipantEmail: email }).first()).Participant_ID;
+    return loginAs(app, email);
+}
+
+function register(agent, email) {
+    return agent
+        .post('/register')
+        .type('form')
+        .send({ Participant_ID: people[email], Event_ID: occ.Event_ID, EventDateTimeStart: startISO });
+}
+
+// Promotion notices queued for someone, newest first
+function promotionNotices(email) {
+    return knex('Outbox')
+        .where({ OutboxKind: 'waitlist_promoted', Participant_ID: people[email] })
+        .orderBy('Outbox_ID', 'desc');
+}
+
+function registration(email) {
+    return knex('Registration')
+        .where({ Participant_ID: people[email], Event_ID: occ.Event_ID, EventDateTimeStart: startISO })
+        .first();
+}
+
+before(async() => {
+    ({ knex, app } = await createTestApp());
+    admin = await loginAs(app, 'admin@ellarises.org');
+
+    // Make the summit full with its current registrations
+    const template = await knex('EventTemplates').where({ EventName: 'Ella Rises Summit' }).first();
+    occ = await knex('EventOccurrence').where({ Event_ID: template.Event_ID }).first();
+    startISO = new Date(occ.EventDateTimeStart).toISOString();
+
+    const [{ count }] = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .count('* as count');
+    await knex('EventOccurrence')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .update({ EventCapacity: Number(count), EventNumRegistered: Number(count) });
+    occ = await knex('EventOccurrence').where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart }).first();
+});
+
+after(() => knex.destroy());
+
+test('sign-ups past capacity join the waitlist in order', async() => {
+    const registered = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart })
+        .pluck('Participant_ID');
+    const candidates = await knex('Participants')
+        .where({ ParticipantRole: 'participant' })
+        .whereNotIn('Participant_ID', registered)
+        .orderBy('Participant_ID')
+        .limit(2)
+        .pluck('ParticipantEmail');
+    people.first = candidates[0];
+    people.second = candidates[1];
+
+    const a = await participantAgent(people.first);
+    const b = await participantAgent(people.second);
+
+    let res = await register(a, people.first);
+    assert.match(res.text, /#1 on the waitlist/);
+    res = await register(b, people.second);
+    assert.match(res.text, /#2 on the waitlist/);
+
+    assert.strictEqual((await registration(people.second)).RegistrationStatus, 'waitlisted');
+
+    // The participant sees their place in line
+    res = await b.get(`/events_user/${people[people.second]}`);
+    assert.match(res.text, /Waitlisted — #2 in line/);
+
+    // Seats taken didn't change
+    const now = await knex('EventOccurrence').where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart }).first();
+    assert.strictEqual(now.EventNumRegistered, occ.EventNumRegistered);
+});
+
+test('admin reorders the waitlist', async() => {
+    const url = `/events/${occ.Event_ID}/${encodeURIComponent(startISO)}/waitlist`;
+
+    let res = await admin.get(url);
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.text.indexOf(people.first) < res.text.indexOf(people.second));
+
+    await admin
+        .post(`${url}/move`)
+        .type('form')
+        .send({ Participant_ID: people[people.second], direction: 'up' })
+        .expect(302);
+
+    assert.strictEqual((await registration(people.second)).RegistrationWaitlistPosition, 1);
+    assert.strictEqual((await registration(people.first)).RegistrationWaitlistPosition, 2);
+});
+
+test('a cancellation promotes the front of the waitlist and emails them', async() => {
+    const seat = await knex('Registration')
+        .where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart, RegistrationStatus: 'registered' })
+        .first();
+
+    await admin
+        .post(`/registration/${seat.Participant_ID}/${occ.Event_ID}/${encodeURIComponent(startISO)}/delete`)
+        .expect(302);
+
+    const promoted = await registration(people.second);
+    assert.strictEqual(promoted.RegistrationStatus, 'registered');
+    assert.strictEqual(promoted.RegistrationWaitlistPosition, null);
+    assert.strictEqual((await registration(people.first)).RegistrationWaitlistPosition, 1);
+
+    const [notice] = await promotionNotices(people.second);
+    assert.strictEqual(notice.OutboxTo, people.second);
+    assert.match(notice.OutboxSubject, /spot opened up/);
+
+    // A failed send leaves the notice in the outbox to retry or resend
+    const broken = { async send() { throw new Error('SMTP down'); } };
+    await deliverPending(knex, broken);
+    const kept = await knex('Outbox').where({ Outbox_ID: notice.Outbox_ID }).first();
+    assert.strictEqual(kept.OutboxStatus, 'pending');
+    assert.strictEqual(kept.OutboxAttempts, 1);
+
+    const now = await knex('EventOccurrence').where({ Event_ID: occ.Event_ID, EventDateTimeStart: occ.EventDateTimeStart }).first();
+    assert.strictEqual(now.EventNumRegistered, occ.EventNumRegistered);
+});
+
+test('raising capacity promotes the rest of the waitlist', async() => {
+    await admin
+        .post('/events/edit')
+        .type('form')
+        .send({
+            Event_ID: occ.Event_ID,
+            OriginalDateTimeStart: startISO,
+            EventDateTimeStart: startISO,
+            EventDateTimeEnd: new Date(occ.EventDateTimeEnd).toISOString(),
+            EventLocation: occ.EventLocation,
+            EventCapacity: occ.EventCapacity + 5,
+            EventRegistrationDeadline: new Date(occ.EventRegistrationDeadline).toISOString()
+        })
+        .expect(302);
+
+    assert.strictEqual((await registration(people.first)).RegistrationStatus, 'registered');
+    assert.strictEqual((await promotionNotices(people.first)).length, 1);
+});